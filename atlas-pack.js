@@ -0,0 +1,118 @@
+// Atlas Rect Packing
+// Skyline bottom-left packer for sprite atlases with differently sized cells
+// (e.g. trimmed splatter variants). Rects are placed tallest first, each at the
+// lowest spot along the skyline, ties broken by the least wasted area.
+//
+//   const { width, height, rects } = packRects([{ w: 120, h: 90 }, ...], { spacing: 2 });
+//   rects[i] -> { x, y, w, h } for sizes[i]
+
+// Candidate spot for a w-wide rect on the skyline starting at segment `index`,
+// or null when it runs past the atlas edge
+function fitAt(skyline, index, w, atlasWidth) {
+  const x = skyline[index].x;
+  if (x + w > atlasWidth) return null;
+
+  let y = 0;
+  let remaining = w;
+  for (let i = index; remaining > 0; i++) {
+    y = Math.max(y, skyline[i].y);
+    remaining -= skyline[i].w;
+  }
+
+  // Area left unusable underneath the rect
+  let waste = 0;
+  remaining = w;
+  for (let i = index; remaining > 0; i++) {
+    const span = Math.min(remaining, skyline[i].w);
+    waste += span * (y - skyline[i].y);
+    remaining -= span;
+  }
+  return { x, y, waste };
+}
+
+// Raises the skyline under a placed rect and merges equal-height neighbours
+function placeOnSkyline(skyline, x, y, w, h) {
+  const next = [];
+  for (const seg of skyline) {
+    if (seg.x < x) next.push({ x: seg.x, y: seg.y, w: Math.min(seg.x + seg.w, x) - seg.x });
+  }
+  next.push({ x, y: y + h, w });
+  for (const seg of skyline) {
+    const end = seg.x + seg.w;
+    if (end > x + w) {
+      const start = Math.max(seg.x, x + w);
+      next.push({ x: start, y: seg.y, w: end - start });
+    }
+  }
+
+  const merged = [];
+  for (const seg of next) {
+    const last = merged[merged.length - 1];
+    if (last && last.y === seg.y) last.w += seg.w;
+    else merged.push(seg);
+  }
+  return merged;
+}
+
+function nextPowerOfTwo(n) {
+  return Math.pow(2, Math.ceil(Math.log2(Math.max(1, n))));
+}
+
+// One skyline pass at a fixed width. `order` holds the spacing-padded rects.
+function packAtWidth(order, count, atlasWidth, spacing) {
+  let skyline = [{ x: 0, y: 0, w: atlasWidth }];
+  const rects = new Array(count);
+  let usedWidth = 0;
+
+  for (const r of order) {
+    let best = null;
+    for (let i = 0; i < skyline.length; i++) {
+      const spot = fitAt(skyline, i, r.w, atlasWidth);
+      if (spot && (!best || spot.y < best.y || (spot.y === best.y && spot.waste < best.waste))) {
+        best = spot;
+      }
+    }
+    // The atlas is at least as wide as the widest rect, so segment 0 always fits
+    skyline = placeOnSkyline(skyline, best.x, best.y, r.w, r.h);
+    rects[r.index] = { x: best.x + spacing, y: best.y + spacing, w: r.sourceW, h: r.sourceH };
+    usedWidth = Math.max(usedWidth, best.x + r.w);
+  }
+
+  const height = skyline.reduce((max, s) => Math.max(max, s.y), 0);
+  return { width: usedWidth + spacing, height: height + spacing, rects };
+}
+
+// sizes:              [{ w, h }] in px
+// options.spacing:    gap in px between rects (and around the atlas border)
+// options.maxWidth:   atlas width limit
+// options.powerOfTwo: round both atlas sides up to a power of two
+// Returns { width, height, rects } with rects in the order of `sizes`.
+// Several widths around the square one are tried; the smallest atlas wins.
+export function packRects(sizes, options = {}) {
+  const spacing = Math.max(0, Math.round(options.spacing || 0));
+  const padded = sizes.map((s, index) => ({ index, sourceW: s.w, sourceH: s.h, w: Math.ceil(s.w) + spacing, h: Math.ceil(s.h) + spacing }));
+  if (padded.length === 0) return { width: 1, height: 1, rects: [] };
+
+  const order = [...padded].sort((a, b) => b.h - a.h || b.w - a.w);
+  const area = padded.reduce((sum, r) => sum + r.w * r.h, 0);
+  const widest = padded.reduce((max, r) => Math.max(max, r.w), 0);
+  const limit = options.maxWidth ? Math.max(widest, options.maxWidth - spacing) : Infinity;
+
+  let best = null;
+  let bestArea = Infinity;
+  for (let f = 0.7; f <= 1.5; f += 0.1) {
+    const atlasWidth = Math.min(limit, Math.max(widest, Math.ceil(Math.sqrt(area) * f)));
+    const result = packAtWidth(order, sizes.length, atlasWidth, spacing);
+    if (options.powerOfTwo) {
+      result.width = nextPowerOfTwo(result.width);
+      result.height = nextPowerOfTwo(result.height);
+    }
+    // Ties go to the squarer atlas
+    const resultArea = result.width * result.height;
+    if (resultArea < bestArea || (resultArea === bestArea && Math.abs(result.width - result.height) < Math.abs(best.width - best.height))) {
+      best = result;
+      bestArea = resultArea;
+    }
+  }
+  return best;
+}
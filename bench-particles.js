@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+// bench-particles - particle store benchmark
+// Fills a headless FluidSimulator up to a range of maxParticles caps and
+// times steady-state frames (three substeps each) while the scenario keeps
+// spawning, so the caps are hit and particles are evicted every frame.
+// Before that, the storage alone: the simulator's particle bookkeeping (spawn
+// with oldest-first eviction, step, kill) over the Array of particle objects
+// the simulator used to keep and over the ParticlePool, side by side.
+//
+//   node bench-particles.js --counts 6000,24000,48000 --scenario spray
+//
+// Surface stamping is switched off unless --stamp is given: it measures the
+// canvas backend rather than the particle store, and under Node the software
+// rasterizer would swamp everything else.
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { FluidSimulator } from './fluid-sim.js';
+import { softwareBackend } from './surface-backend.js';
+import { ParticlePool } from './particle-pool.js';
+
+const USAGE = `Usage: node bench-particles.js [options]
+
+Options:
+  --scenario <name>  spray, ballistic, pool or all (default: all)
+  --counts <list>    Comma-separated maxParticles caps (default: 6000,12000,24000,48000)
+  --frames <n>       Timed frames per cap (default: 60)
+  --budget <ms>      Frame budget for the summary (default: 16.7, one 60 Hz frame)
+  --size <px>        Canvas size (default: 1024)
+  --stamp            Keep surface stamping on
+  --no-stores        Skip the Array vs ParticlePool comparison`;
+
+const FRAME = 1 / 60;
+
+// Upper bound on fill frames, in case a scenario cannot reach its cap
+const MAX_FILL_FRAMES = 600;
+
+// Particles spawned per frame in the storage comparison, as a fraction of
+// the cap, and the share of them that dies within a few frames
+const STORE_SPAWN = 0.02;
+const STORE_SHORT_LIVED = 0.5;
+
+// Particle stores for the storage comparison. Each runs the same frame: add
+// `spawn` particles, evicting the oldest at the cap, then step every
+// particle backwards and remove the ones that ran out of mass, the way
+// FluidSimulator.step() does in wall mode.
+export const STORES = {
+  // Before the pool: particle objects, push / shift / splice
+  array(cap) {
+    const particles = [];
+    return (spawn, rand) => {
+      for (let s = 0; s < spawn; s++) {
+        if (particles.length >= cap) particles.shift();
+        const x = rand() * 1024, y = rand() * 1024;
+        const mass = rand() < STORE_SHORT_LIVED ? 0.3 : 4;
+        particles.push({ x, y, prevX: x, prevY: y, vx: rand() - 0.5, vy: 0, mass, initialMass: mass, color: 'rgba(255, 0, 0, 1)', active: true, life: 10 });
+      }
+      for (let i = particles.length - 1; i >= 0; i--) {
+        const p = particles[i];
+        p.prevX = p.x;
+        p.prevY = p.y;
+        p.vy += 2500 * FRAME;
+        p.vx *= 0.98;
+        p.vy *= 0.98;
+        p.mass -= Math.abs(p.vy) * FRAME * 0.001;
+        p.x += p.vx * FRAME;
+        p.y += p.vy * FRAME;
+        if (p.mass <= 0.2) particles.splice(i, 1);
+      }
+      return particles.length;
+    };
+  },
+  pool(cap) {
+    const P = new ParticlePool();
+    return (spawn, rand) => {
+      for (let s = 0; s < spawn; s++) {
+        if (P.count >= cap) P.evictOldest();
+        const x = rand() * 1024, y = rand() * 1024;
+        const mass = rand() < STORE_SHORT_LIVED ? 0.3 : 4;
+        P.add(x, y, rand() - 0.5, 0, mass, mass, 10, 'rgba(255, 0, 0, 1)');
+      }
+      for (let k = P.count - 1; k >= 0; k--) {
+        const i = P.live[k];
+        P.prevX[i] = P.x[i];
+        P.prevY[i] = P.y[i];
+        let vx = P.vx[i], vy = P.vy[i] + 2500 * FRAME;
+        vx *= 0.98;
+        vy *= 0.98;
+        const mass = P.mass[i] - Math.abs(vy) * FRAME * 0.001;
+        if (mass <= 0.2) {
+          P.remove(k);
+          continue;
+        }
+        P.x[i] += vx * FRAME;
+        P.y[i] += vy * FRAME;
+        P.vx[i] = vx;
+        P.vy[i] = vy;
+        P.mass[i] = mass;
+      }
+      return P.count;
+    };
+  }
+};
+
+// Each scenario sets up `sim` for a cap and returns the per-frame action
+export const SCENARIOS = {
+  // Wall spray: oldest particles are evicted once the cap is reached
+  spray(sim) {
+    sim.setMode('wall');
+    sim.setGravity(0.05);
+    sim.setSpawnRate(400);
+    return () => {
+      for (let s = 0; s < 4; s++) sim.spawn(sim.random() * sim.width, sim.random() * sim.height);
+    };
+  },
+  // Shotgun impacts: a few hundred particles per shot, oldest evicted
+  ballistic(sim) {
+    sim.setMode('ballistic');
+    sim.setGravity(0);
+    sim.activeCaliber = '12ga';
+    return () => {
+      for (let s = 0; s < 4; s++) {
+        sim.spawnBallistic(sim.random() * sim.width, sim.random() * sim.height, sim.random() * Math.PI * 2, 0.5);
+      }
+    };
+  },
+  // One-click pools: repulsion between every particle, random eviction
+  pool(sim) {
+    sim.setMode('one-click');
+    sim.infiniteLifetime = true;
+    const emitters = Math.ceil(sim.maxParticles / 150);
+    for (let e = 0; e < emitters; e++) sim.spawnPool(sim.random() * sim.width, sim.random() * sim.height);
+    return () => {};
+  }
+};
+
+export function parseArgs(argv) {
+  const opts = { scenarios: Object.keys(SCENARIOS), counts: [6000, 12000, 24000, 48000], frames: 60, budget: 1000 / 60, size: 1024, stamp: false, stores: true, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--scenario': {
+        const name = next();
+        if (name !== 'all' && !SCENARIOS[name]) throw new Error(`Unknown scenario "${name}"`);
+        opts.scenarios = name === 'all' ? Object.keys(SCENARIOS) : [name];
+        break;
+      }
+      case '--counts': opts.counts = next().split(',').map(s => parseInt(s, 10)).filter(n => n > 0); break;
+      case '--frames': opts.frames = parseInt(next(), 10); break;
+      case '--budget': opts.budget = parseFloat(next()); break;
+      case '--size': opts.size = parseInt(next(), 10); break;
+      case '--stamp': opts.stamp = true; break;
+      case '--no-stores': opts.stores = false; break;
+      case '-h':
+      case '--help': opts.help = true; break;
+      default: throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  return opts;
+}
+
+// Milliseconds per frame for one store at one cap, filled to the cap first
+export function measureStore(store, cap, opts) {
+  // Same particles for every store (mulberry32)
+  let seed = 1337;
+  const rand = () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const frame = STORES[store](cap);
+  const spawn = Math.ceil(cap * STORE_SPAWN);
+  for (let f = 0; f < MAX_FILL_FRAMES && frame(spawn, rand) < cap * 0.95; f++);
+
+  let particles = 0;
+  const start = performance.now();
+  for (let f = 0; f < opts.frames; f++) particles += frame(spawn, rand);
+  const ms = (performance.now() - start) / opts.frames;
+  return { ms, particles: Math.round(particles / opts.frames) };
+}
+
+// Milliseconds per frame for one scenario at one cap, plus the particle
+// count the frames ran with
+export function measure(scenario, cap, opts) {
+  const sim = new FluidSimulator(opts.size, opts.size, { backend: softwareBackend });
+  sim.setSeed(1337);
+  sim.maxParticles = cap;
+  if (!opts.stamp) sim.drawOnSurface = () => {};
+  const frame = SCENARIOS[scenario](sim);
+
+  for (let f = 0; f < MAX_FILL_FRAMES && sim.particles.count < cap * 0.95; f++) {
+    frame();
+    sim.update(FRAME);
+  }
+
+  let particles = 0;
+  const start = performance.now();
+  for (let f = 0; f < opts.frames; f++) {
+    frame();
+    sim.update(FRAME);
+    particles += sim.particles.count;
+  }
+  const ms = (performance.now() - start) / opts.frames;
+  return { ms, particles: Math.round(particles / opts.frames) };
+}
+
+function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    return 2;
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (opts.stores) {
+    console.log(`storage: spawn, step and kill, ${opts.frames} frames per cap`);
+    console.log('     cap  particles   Array ms    pool ms');
+    for (const cap of opts.counts) {
+      const array = measureStore('array', cap, opts);
+      const pool = measureStore('pool', cap, opts);
+      console.log(`${String(cap).padStart(8)} ${String(pool.particles).padStart(10)} ${array.ms.toFixed(2).padStart(10)} ${pool.ms.toFixed(2).padStart(10)}`);
+    }
+    console.log('');
+  }
+
+  console.log(`${opts.size}x${opts.size}, ${opts.frames} frames per cap, budget ${opts.budget.toFixed(1)} ms${opts.stamp ? ', stamping on' : ''}`);
+  for (const scenario of opts.scenarios) {
+    console.log(`\n${scenario}`);
+    console.log('     cap  particles   ms/frame');
+    let best = 0;
+    for (const cap of opts.counts) {
+      const { ms, particles } = measure(scenario, cap, opts);
+      const fits = ms <= opts.budget;
+      if (fits) best = Math.max(best, particles);
+      console.log(`${String(cap).padStart(8)} ${String(particles).padStart(10)} ${ms.toFixed(2).padStart(10)}${fits ? '' : '  over budget'}`);
+    }
+    console.log(best ? `most particles within budget: ${best}` : 'no cap fits the budget');
+  }
+  return 0;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,109 @@
+// Channel Packing
+// Builds one RGBA texture out of several scalar fluid layers so a shader can
+// read height, wetness, coverage, ... from a single sample. A packing maps each
+// of R/G/B/A to a source, optionally inverted:
+//
+//   { r: 'height', g: { source: 'wetness', invert: true }, b: 'zero', a: 'coverage' }
+//
+// Sources (all 0..1):
+//   height    - depth map (renderDepthToContext)
+//   wetness   - simulator wetMap (wall/ballistic modes track it)
+//   roughness - 1 - wetness; wet paint is glossy
+//   dryness   - coverage that is no longer wet
+//   thickness - grid fluid height in the grid modes, otherwise the depth map
+//   coverage  - alpha of the color texture
+//   age       - how far the liquid has dried, 0 fresh .. 1 dry (needs drying
+//               on in the simulator; 0 where nothing landed while it was)
+//   zero, one - constants
+
+export const PACK_SOURCES = ['height', 'wetness', 'roughness', 'dryness', 'thickness', 'coverage', 'age', 'zero', 'one'];
+
+export const PACK_CHANNELS = ['r', 'g', 'b', 'a'];
+
+// Named layouts for common engine conventions
+export const PACK_PRESETS = {
+  // Our own splatter shaders
+  'fluid-mask': { label: 'Fluid Mask (Height/Wet/Dry/Coverage)', r: 'height', g: 'wetness', b: 'dryness', a: 'coverage' },
+  // Unreal / glTF: Occlusion, Roughness, Metallic
+  'orm': { label: 'ORM (Unreal / glTF)', r: 'one', g: 'roughness', b: 'zero', a: 'coverage' },
+  // Unity HDRP Mask Map: Metallic, Occlusion, Detail Mask, Smoothness
+  'hdrp-mask': { label: 'Unity HDRP Mask Map', r: 'zero', g: 'one', b: 'coverage', a: 'wetness' },
+  // Unity URP / Built-in Metallic map: Metallic in R, Smoothness in A
+  'urp-metallic': { label: 'Unity URP Metallic/Smoothness', r: 'zero', g: 'zero', b: 'zero', a: 'wetness' },
+  // Height-based blending (e.g. vertex paint / decal layers)
+  'height-thickness': { label: 'Height + Thickness + Coverage', r: 'height', g: 'thickness', b: 'zero', a: 'coverage' },
+  // Shader-driven drying: fade gloss and shift color by age
+  'drying': { label: 'Drying (Age/Wet/Thickness/Coverage)', r: 'age', g: 'wetness', b: 'thickness', a: 'coverage' }
+};
+
+function normalizeChannel(spec, channel) {
+  const entry = typeof spec === 'string' ? { source: spec, invert: false } : { source: spec && spec.source, invert: !!(spec && spec.invert) };
+  if (!PACK_SOURCES.includes(entry.source)) {
+    throw new Error(`Channel ${channel.toUpperCase()}: unknown source "${entry.source}" (expected ${PACK_SOURCES.join(', ')})`);
+  }
+  return entry;
+}
+
+// Accepts a preset name or a custom { r, g, b, a } mapping.
+// Returns { name, r, g, b, a } with every channel as { source, invert }.
+export function resolvePacking(packing) {
+  let name = 'custom';
+  let spec = packing;
+  if (typeof packing === 'string') {
+    spec = PACK_PRESETS[packing];
+    if (!spec) throw new Error(`Unknown packing preset "${packing}" (expected ${Object.keys(PACK_PRESETS).join(', ')})`);
+    name = packing;
+  }
+
+  const resolved = { name };
+  for (const channel of PACK_CHANNELS) {
+    // Unmapped alpha stays opaque so the texture is still visible in viewers
+    resolved[channel] = normalizeChannel(spec[channel] !== undefined ? spec[channel] : (channel === 'a' ? 'one' : 'zero'), channel);
+  }
+  return resolved;
+}
+
+// Sources actually referenced by a resolved packing (constants excluded)
+export function packingSources(resolved) {
+  const names = new Set(PACK_CHANNELS.map(c => resolved[c].source));
+  names.delete('zero');
+  names.delete('one');
+  return [...names];
+}
+
+// sources: { name: Float32Array(width * height) } in 0..1
+export function packChannels(resolved, sources, width, height) {
+  const out = new Uint8ClampedArray(width * height * 4);
+  PACK_CHANNELS.forEach((channel, c) => {
+    const { source, invert } = resolved[channel];
+    const data = sources[source];
+    for (let i = 0; i < width * height; i++) {
+      let v = source === 'one' ? 1 : (source === 'zero' ? 0 : data[i]);
+      if (invert) v = 1 - v;
+      out[i * 4 + c] = Math.round(v * 255);
+    }
+  });
+  return out;
+}
+
+// Bilinear resample of a scalar field (fw x fh), times `scale` and capped at
+// `max`, into the content rect of an export layout ({ width, height, x, y, w, h }).
+// Pixels outside the content stay 0.
+export function resampleField(field, fw, fh, layout, scale = 1, max = 1) {
+  const { width, height } = layout;
+  const out = new Float32Array(width * height);
+  const y0c = Math.max(0, layout.y), y1c = Math.min(height, layout.y + layout.h);
+  const x0c = Math.max(0, layout.x), x1c = Math.min(width, layout.x + layout.w);
+  for (let y = y0c; y < y1c; y++) {
+    const fy = Math.max(0, Math.min(fh - 1, (y - layout.y + 0.5) * fh / layout.h - 0.5));
+    const y0 = Math.floor(fy), y1 = Math.min(fh - 1, y0 + 1), ty = fy - y0;
+    for (let x = x0c; x < x1c; x++) {
+      const fx = Math.max(0, Math.min(fw - 1, (x - layout.x + 0.5) * fw / layout.w - 0.5));
+      const x0 = Math.floor(fx), x1 = Math.min(fw - 1, x0 + 1), tx = fx - x0;
+      const top = field[y0 * fw + x0] * (1 - tx) + field[y0 * fw + x1] * tx;
+      const bottom = field[y1 * fw + x0] * (1 - tx) + field[y1 * fw + x1] * tx;
+      out[y * width + x] = Math.min(max, (top * (1 - ty) + bottom * ty) * scale);
+    }
+  }
+  return out;
+}
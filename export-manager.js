@@ -1,341 +1,1256 @@
 import { FluidSimulator } from './fluid-sim.js';
+import { resolvePacking, packingSources, packChannels, resampleField } from './channel-pack.js';
+import { buildFlipbookMetadata, flipbookSidecars, realtimeFps } from './flipbook-metadata.js';
+import { packRects } from './atlas-pack.js';
+import { VARIATION_ATLAS_FORMAT, VARIATION_ATLAS_VERSION, variantJitter, variantEvents } from './variations.js';
+import { hasVectorPaths, buildVectorSVG, buildVectorLottie } from './vector-export.js';
+import { encodeAPNG, encodePNGAsync } from './png.js';
+import { encodeEXR } from './exr.js';
+import { sampleHeightField } from './height-field.js';
+import { computeNormals, canvasHeightField, packNormals8, packNormals16 } from './normal-map.js';
+import { PBR_MAPS, computePbrMaps } from './pbr-maps.js';
+import { encodeGIF } from './gif.js';
+import { DRY_HEIGHT } from './shallow-water.js';
+
+// Cap on sub-frames rendered per flipbook frame when blending
+const MAX_BLEND_SAMPLES = 8;
+
+// Averages several renders of the same layer (premultiplied, so edges blend
+// like real exposure instead of darkening)
+class FrameAccumulator {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.sum = new Float32Array(width * height * 4);
+    this.count = 0;
+  }
+
+  add(canvas) {
+    const data = canvas.getContext('2d').getImageData(0, 0, this.width, this.height).data;
+    const sum = this.sum;
+    for (let i = 0; i < sum.length; i += 4) {
+      const a = data[i+3] / 255;
+      sum[i] += data[i] * a;
+      sum[i+1] += data[i+1] * a;
+      sum[i+2] += data[i+2] * a;
+      sum[i+3] += a;
+    }
+    this.count++;
+  }
+
+  resolveTo(canvas) {
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(this.width, this.height);
+    const d = img.data;
+    const sum = this.sum;
+    for (let i = 0; i < sum.length; i += 4) {
+      const a = sum[i+3];
+      if (a <= 0) continue;
+      d[i] = sum[i] / a;
+      d[i+1] = sum[i+1] / a;
+      d[i+2] = sum[i+2] / a;
+      d[i+3] = (a / this.count) * 255;
+    }
+    ctx.putImageData(img, 0, 0);
+  }
+}
+
+const POT_ROUNDING = {
+  up: Math.ceil,
+  down: Math.floor,
+  nearest: Math.round
+};
+
+function roundPowerOfTwo(n, mode) {
+  return Math.max(1, Math.pow(2, POT_ROUNDING[mode](Math.log2(n))));
+}
+
+// Long edge the content bounds are measured at when trimming
+const TRIM_MEASURE_SIZE = 512;
+
+// Union of two { x, y, w, h } rects, either of which may be null
+function unionBounds(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return { x, y, w: Math.max(a.x + a.w, b.x + b.w) - x, h: Math.max(a.y + a.h, b.y + b.h) - y };
+}
+
+// Where a srcWidth x srcHeight simulation lands in an exported image.
+// Returns { width, height } of the image and the content rect { x, y, w, h }
+// (which may reach past the image when cropping).
+//
+// resolution:         long edge of the content when no explicit size is given
+// options.width/height: explicit image size; a missing one follows the aspect
+// options.fit:        'contain' (letterbox, default), 'cover' (crop) or 'stretch'
+// options.padding:    transparent border in px, inside an explicit size
+// options.powerOfTwo: round the image size to a power of two: 'up', 'down',
+//                     'nearest' (true = 'up'); the content is refit inside
+// options.crop:       { x, y, w, h } in canvas px; frames that part of the
+//                     canvas instead of all of it (trimmed exports). The crop
+//                     keeps the scale of the untrimmed layout, so the image is
+//                     the crop's size at that scale (plus padding, then rounded
+//                     to a power of two if asked, centred) rather than zoomed
+//                     back up to `resolution`
+export function computeExportLayout(srcWidth, srcHeight, resolution, options = {}) {
+  const crop = options.crop;
+  if (crop) {
+    // Cut the crop out of the untrimmed layout, then extend the content rect
+    // to the whole canvas around it
+    const full = computeExportLayout(srcWidth, srcHeight, resolution, { ...options, crop: null });
+    const scaleX = full.w / srcWidth;
+    const scaleY = full.h / srcHeight;
+    const cropW = Math.max(1, Math.round(crop.w * scaleX));
+    const cropH = Math.max(1, Math.round(crop.h * scaleY));
+    const padding = Math.max(0, Math.round(options.padding || 0));
+    let width = cropW + padding * 2;
+    let height = cropH + padding * 2;
+    const pot = options.powerOfTwo === true ? 'up' : options.powerOfTwo;
+    if (pot) {
+      width = roundPowerOfTwo(width, pot);
+      height = roundPowerOfTwo(height, pot);
+    }
+    return {
+      width,
+      height,
+      x: Math.round((width - cropW) / 2 - crop.x * scaleX),
+      y: Math.round((height - cropH) / 2 - crop.y * scaleY),
+      w: full.w,
+      h: full.h
+    };
+  }
+
+  const aspect = srcWidth / srcHeight;
+  const padding = Math.max(0, Math.round(options.padding || 0));
+  const fit = options.fit || 'contain';
+  if (!['contain', 'cover', 'stretch'].includes(fit)) throw new Error(`Unknown fit "${fit}"`);
+
+  let width = Math.round(options.width || 0);
+  let height = Math.round(options.height || 0);
+  if (!width && !height) {
+    const contentW = aspect >= 1 ? resolution : Math.round(resolution * aspect);
+    const contentH = aspect >= 1 ? Math.round(resolution / aspect) : resolution;
+    width = contentW + padding * 2;
+    height = contentH + padding * 2;
+  } else if (!height) {
+    height = Math.round((width - padding * 2) / aspect) + padding * 2;
+  } else if (!width) {
+    width = Math.round((height - padding * 2) * aspect) + padding * 2;
+  }
+
+  const pot = options.powerOfTwo === true ? 'up' : options.powerOfTwo;
+  if (pot) {
+    if (!POT_ROUNDING[pot]) throw new Error(`Unknown power-of-two rounding "${pot}"`);
+    width = roundPowerOfTwo(width, pot);
+    height = roundPowerOfTwo(height, pot);
+  }
+  width = Math.max(1, width);
+  height = Math.max(1, height);
+
+  const boxW = Math.max(1, width - padding * 2);
+  const boxH = Math.max(1, height - padding * 2);
+  let w = boxW, h = boxH;
+  if (fit !== 'stretch') {
+    const scale = fit === 'cover' ? Math.max(boxW / srcWidth, boxH / srcHeight) : Math.min(boxW / srcWidth, boxH / srcHeight);
+    w = Math.max(1, Math.round(srcWidth * scale));
+    h = Math.max(1, Math.round(srcHeight * scale));
+  }
+
+  return {
+    width,
+    height,
+    x: padding + Math.round((boxW - w) / 2),
+    y: padding + Math.round((boxH - h) / 2),
+    w,
+    h
+  };
+}
 
 export class ExportManager {
-  constructor(simulator) {
+  // options.backend:          surface backend for export canvases (defaults to the simulator's)
+  // options.writer:           async (canvasTextOrBytes, filename) => void, replaces the browser download
+  // options.simulatorOptions: passed to the ghost simulators used for replays
+  // options.signal:           AbortSignal; aborting stops the export at its next yield
+  // options.yieldSteps:       physics steps replayed between yields (default 5,
+  //                           enough to keep a page responsive; workers can go higher)
+  constructor(simulator, options = {}) {
     this.simulator = simulator;
+    this.backend = options.backend || simulator.backend;
+    this.writer = options.writer || null;
+    this.simulatorOptions = options.simulatorOptions || {};
+    this.signal = options.signal || null;
+    this.yieldSteps = options.yieldSteps || 5;
+  }
+
+  throwIfCancelled() {
+    if (this.signal && this.signal.aborted) throw new Error('Export cancelled');
+  }
+
+  // Lets the page (or the worker's message queue) run, then stops if the
+  // export was cancelled meanwhile
+  async yieldToEvents() {
+    await new Promise(r => setTimeout(r, 0));
+    this.throwIfCancelled();
+  }
+
+  createCanvas(width, height) {
+    return this.backend.createCanvas(width, height);
+  }
+
+  // Canvas holding RGBA8 pixels
+  canvasFromPixels(width, height, pixels) {
+    const canvas = this.createCanvas(width, height);
+    canvas.getContext('2d').putImageData(this.backend.createImageData(width, height, pixels), 0, 0);
+    return canvas;
   }
 
-  async exportTexture(resolution, includeDepth, includeNormal, onProgress) {
+  // Export layout for the current simulator (see computeExportLayout)
+  exportLayout(resolution, options = {}) {
+    return computeExportLayout(this.simulator.width, this.simulator.height, resolution, options);
+  }
+
+  // The render methods take a layout or, as before, a plain square size that
+  // the whole canvas is stretched over
+  toLayout(size) {
+    return typeof size === 'number' ? { width: size, height: size, x: 0, y: 0, w: size, h: size } : size;
+  }
+
+  // Tileable canvases only tile when the content fills the whole image
+  wrapsEdges(layout) {
+    return this.simulator.tileable && layout.x === 0 && layout.y === 0 && layout.w === layout.width && layout.h === layout.height;
+  }
+
+  async saveCanvas(canvas, filename) {
+    if (this.writer) {
+      await this.writer(canvas, filename);
+      return;
+    }
+    // OffscreenCanvas has convertToBlob instead of toBlob
+    const blob = canvas.toBlob
+      ? await new Promise(resolve => canvas.toBlob(resolve, 'image/png'))
+      : await canvas.convertToBlob({ type: 'image/png' });
+    this.downloadBlob(blob, filename);
+  }
+
+  async saveText(text, filename, type = 'application/json') {
+    if (this.writer) {
+      await this.writer(text, filename);
+      return;
+    }
+    this.downloadBlob(new Blob([text], { type }), filename);
+  }
+
+  // bytes: Uint8Array or Blob (e.g. recorded video)
+  async saveBytes(bytes, filename, type = 'application/octet-stream') {
+    if (this.writer) {
+      await this.writer(bytes, filename);
+      return;
+    }
+    this.downloadBlob(bytes instanceof Blob ? bytes : new Blob([bytes], { type }), filename);
+  }
+
+  // Bounding box { x, y, w, h } in canvas px of everything the color layer
+  // draws - plus the depth layer (and so the normals) with includeDepth - or
+  // null when nothing is drawn. Measured at a reduced size, so the box is
+  // grown by one measurement pixel.
+  contentBounds(includeDepth) {
+    const sim = this.simulator;
+    const layout = computeExportLayout(sim.width, sim.height, Math.min(TRIM_MEASURE_SIZE, Math.max(sim.width, sim.height)));
+    const canvas = this.createCanvas(layout.width, layout.height);
+    const ctx = canvas.getContext('2d');
+    let x0 = Infinity, y0 = Infinity, x1 = -1, y1 = -1;
+    // channel: 3 = any coverage, 0 = any height (grid depth renders opaque black)
+    const scan = (channel) => {
+        const data = ctx.getImageData(0, 0, layout.width, layout.height).data;
+        for (let y = 0; y < layout.height; y++) {
+            for (let x = 0; x < layout.width; x++) {
+                const i = (y * layout.width + x) * 4;
+                if (data[i + 3] === 0 || data[i + channel] === 0) continue;
+                if (x < x0) x0 = x;
+                if (x > x1) x1 = x;
+                if (y < y0) y0 = y;
+                if (y > y1) y1 = y;
+            }
+        }
+    };
+
+    this.renderToContext(ctx, layout);
+    scan(3);
+    if (includeDepth) {
+        ctx.filter = 'none';
+        this.renderDepthToContext(ctx, layout, true);
+        scan(0);
+    }
+    if (x1 < 0) return null;
+
+    const scaleX = sim.width / layout.w;
+    const scaleY = sim.height / layout.h;
+    const left = Math.max(0, Math.floor((x0 - 1) * scaleX));
+    const top = Math.max(0, Math.floor((y0 - 1) * scaleY));
+    const right = Math.min(sim.width, Math.ceil((x1 + 2) * scaleX));
+    const bottom = Math.min(sim.height, Math.ceil((y1 + 2) * scaleY));
+    return { x: left, y: top, w: right - left, h: bottom - top };
+  }
+
+  // Placement data for a trimmed image: the canvas rect it covers, where the
+  // canvas origin lands in it, and the pivot - the impact point (first spawn,
+  // canvas centre without one) in image px and normalized, top-left origin
+  trimMetadata(layout) {
+    const sim = this.simulator;
+    const scaleX = layout.w / sim.width;
+    const scaleY = layout.h / sim.height;
+    const impact = sim.impactPoint || { x: sim.width / 2, y: sim.height / 2 };
+    const pivotX = layout.x + impact.x * scaleX;
+    const pivotY = layout.y + impact.y * scaleY;
+    return {
+        sourceWidth: sim.width,
+        sourceHeight: sim.height,
+        sourceRect: { x: -layout.x / scaleX, y: -layout.y / scaleY, width: layout.width / scaleX, height: layout.height / scaleY },
+        offset: { x: layout.x, y: layout.y },
+        scale: { x: scaleX, y: scaleY },
+        impact: { x: impact.x, y: impact.y },
+        pivot: { x: pivotX / layout.width, y: pivotY / layout.height },
+        pivotPixels: { x: pivotX, y: pivotY }
+    };
+  }
+
+  // resolution:      long edge of the texture; the other side follows the
+  //                  canvas aspect (see computeExportLayout for the size options)
+  // options.packing: channel-packing preset name or { r, g, b, a } mapping
+  //                  (see channel-pack.js); also writes fluid-packed.png
+  // options.trim:    crop to the content bounds at the untrimmed scale (padding
+  //                  still applies) and write fluid-texture.json with the pivot. Ignored on
+  //                  tileable canvases, where cropping would break the tiling.
+  // options.vector:  also write the Vector Drip geometry as fluid-vector.svg
+  // options.lottie:  also write it as a Lottie animation, fluid-vector.json
+  //                  (options.lottieFps, default 30)
+  // options.heightFormats: high-precision height (and, with includeNormal,
+  //                  normal) maps from the float heights: 'png16'
+  //                  (fluid-height-16.png, fluid-normal-16.png) and/or 'exr'
+  //                  (fluid-height.exr, fluid-normal.exr)
+  // options.heightRange: height that maps to white in the 16-bit PNG (default 1,
+  //                  like the 8-bit depth map; 0 = the highest point). EXR
+  //                  heights are never scaled.
+  // options.normalMap: normal map settings (strength, kernel, convention, blur,
+  //                  edgeFalloff, alphaThreshold; see normal-map.js)
+  // options.pbrMaps: material maps to write as fluid-<map>.png: 'roughness',
+  //                  'specular', 'ao', 'emissive' (see pbr-maps.js)
+  // options.pbr:     their settings (wet/dry roughness, AO radius, ...)
+  async exportTexture(resolution, includeDepth, includeNormal, onProgress, options = {}) {
+    if ((options.vector || options.lottie) && !hasVectorPaths(this.simulator.vectorPaths)) {
+      throw new Error('No vector paths to export: they are only recorded in Vector Drip mode');
+    }
     onProgress(0);
     
-    const canvas = document.createElement('canvas');
-    canvas.width = resolution;
-    canvas.height = resolution;
+    const trim = options.trim && !this.simulator.tileable;
+    const crop = trim ? this.contentBounds(includeDepth || includeNormal || !!options.packing) : null;
+    const layout = this.exportLayout(resolution, { ...options, crop });
+    const canvas = this.createCanvas(layout.width, layout.height);
     const ctx = canvas.getContext('2d');
     
     // Render Fluid
-    this.renderToContext(ctx, resolution);
+    this.renderToContext(ctx, layout);
     
     onProgress(50);
-    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
-    this.downloadBlob(blob, 'fluid-texture.png');
+    await this.saveCanvas(canvas, 'fluid-texture.png');
     
     // Render Depth if requested
     if (includeDepth) {
-      const depthCanvas = document.createElement('canvas');
-      depthCanvas.width = resolution;
-      depthCanvas.height = resolution;
+      const depthCanvas = this.createCanvas(layout.width, layout.height);
       const depthCtx = depthCanvas.getContext('2d');
       
-      this.renderDepthToContext(depthCtx, resolution);
+      this.renderDepthToContext(depthCtx, layout);
       
       onProgress(75);
-      const depthBlob = await new Promise(resolve => depthCanvas.toBlob(resolve, 'image/png'));
-      this.downloadBlob(depthBlob, 'fluid-depth.png');
+      await this.saveCanvas(depthCanvas, 'fluid-depth.png');
     }
 
     // Render Normal if requested
     if (includeNormal) {
       // Need a transparent depth map for accurate normals calculation at edges
-      const depthCanvas = document.createElement('canvas');
-      depthCanvas.width = resolution;
-      depthCanvas.height = resolution;
+      const depthCanvas = this.createCanvas(layout.width, layout.height);
       const depthCtx = depthCanvas.getContext('2d');
-      this.renderDepthToContext(depthCtx, resolution, true); // true = transparent bg
+      this.renderDepthToContext(depthCtx, layout, true); // true = transparent bg
 
-      const normalCanvas = this.generateNormalMap(depthCanvas);
+      const normalCanvas = this.generateNormalMap(depthCanvas, this.wrapsEdges(layout), options.normalMap);
       
       onProgress(90);
-      const normalBlob = await new Promise(resolve => normalCanvas.toBlob(resolve, 'image/png'));
-      this.downloadBlob(normalBlob, 'fluid-normal.png');
+      await this.saveCanvas(normalCanvas, 'fluid-normal.png');
+    }
+
+    if (options.packing) {
+      const packedCanvas = this.renderPackedTexture(layout, options.packing, canvas);
+      onProgress(95);
+      await this.saveCanvas(packedCanvas, 'fluid-packed.png');
+    }
+
+    const pbrLayers = {};
+    if (options.pbrMaps && options.pbrMaps.length) {
+      const colorPixels = ctx.getImageData(0, 0, layout.width, layout.height).data;
+      const maps = computePbrMaps(this.simulator, layout, options.pbrMaps, colorPixels, options.pbr, { wrap: this.wrapsEdges(layout) });
+      for (const map of PBR_MAPS) {
+        if (!maps[map]) continue;
+        await this.saveCanvas(this.canvasFromPixels(layout.width, layout.height, maps[map]), `fluid-${map}.png`);
+        pbrLayers[map] = `fluid-${map}.png`;
+      }
+    }
+
+    let heightLayers = {};
+    if (options.heightFormats && options.heightFormats.length) {
+      heightLayers = await this.exportHeightField(layout, includeNormal, options.heightFormats, options.heightRange, options.normalMap);
+    }
+
+    if (trim) {
+      const layers = { color: 'fluid-texture.png' };
+      if (includeDepth) layers.depth = 'fluid-depth.png';
+      if (includeNormal) layers.normal = 'fluid-normal.png';
+      if (options.packing) layers.packed = 'fluid-packed.png';
+      Object.assign(layers, pbrLayers, heightLayers);
+      const meta = { image: layers.color, layers, width: layout.width, height: layout.height, trim: this.trimMetadata(layout) };
+      await this.saveText(JSON.stringify(meta, null, 2), 'fluid-texture.json');
+    }
+
+    if (options.vector || options.lottie) {
+      await this.exportVector(options);
     }
     
     onProgress(100);
   }
+
+  // Float heights of the current simulator written as 16-bit PNG / EXR, plus
+  // normals from them with includeNormal (normalSettings: see normal-map.js).
+  // Returns the layers written ({ height16, normal16, heightExr, normalExr }).
+  async exportHeightField(layout, includeNormal, formats, heightRange = 1, normalSettings = {}) {
+    const field = sampleHeightField(this.simulator, layout);
+    const { width, height, heights } = field;
+    const normals = includeNormal ? packNormals16(computeNormals(field, { ...normalSettings, wrap: this.wrapsEdges(layout) })) : null;
+    const deflate = this.backend.deflate;
+    const layers = {};
+
+    if (formats.includes('png16')) {
+      let range = heightRange;
+      if (!(range > 0)) range = heights.reduce((max, h) => Math.max(max, h), 0) || 1;
+      const pixels = new Uint16Array(width * height);
+      for (let i = 0; i < pixels.length; i++) pixels[i] = Math.round(Math.min(1, heights[i] / range) * 65535);
+      await this.saveBytes(await encodePNGAsync(width, height, pixels, { channels: 1, bitDepth: 16, deflate }), 'fluid-height-16.png', 'image/png');
+      layers.height16 = 'fluid-height-16.png';
+      if (normals) {
+        await this.saveBytes(await encodePNGAsync(width, height, normals, { bitDepth: 16, deflate }), 'fluid-normal-16.png', 'image/png');
+        layers.normal16 = 'fluid-normal-16.png';
+      }
+    }
+
+    if (formats.includes('exr')) {
+      await this.saveBytes(await encodeEXR(width, height, { Y: heights }, { deflate }), 'fluid-height.exr', 'image/x-exr');
+      layers.heightExr = 'fluid-height.exr';
+      if (normals) {
+        // Same 0..1 encoding as the PNG normal maps
+        const channels = { R: new Float32Array(width * height), G: new Float32Array(width * height), B: new Float32Array(width * height), A: new Float32Array(width * height) };
+        for (let i = 0; i < width * height; i++) {
+          channels.R[i] = normals[i * 4] / 65535;
+          channels.G[i] = normals[i * 4 + 1] / 65535;
+          channels.B[i] = normals[i * 4 + 2] / 65535;
+          channels.A[i] = normals[i * 4 + 3] / 65535;
+        }
+        await this.saveBytes(await encodeEXR(width, height, channels, { deflate }), 'fluid-normal.exr', 'image/x-exr');
+        layers.normalExr = 'fluid-normal.exr';
+      }
+    }
+    return layers;
+  }
+
+  // Vector Drip geometry of the current simulator, in canvas units
+  async exportVector(options = {}) {
+    const sim = this.simulator;
+    const size = { width: sim.width, height: sim.height };
+    if (options.vector) {
+      await this.saveText(buildVectorSVG(sim.vectorPaths, { ...size, tileable: sim.tileable }), 'fluid-vector.svg', 'image/svg+xml');
+    }
+    if (options.lottie) {
+      const lottie = buildVectorLottie(sim.vectorPaths, { ...size, fps: options.lottieFps || 30, duration: sim.elapsed });
+      await this.saveText(JSON.stringify(lottie), 'fluid-vector.json');
+    }
+  }
+
+  // Channel-packed texture from the fluid layers. `colorCanvas` is the
+  // already-rendered color texture, if there is one, for the coverage source.
+  renderPackedTexture(size, packing, colorCanvas = null) {
+    const sim = this.simulator;
+    const layout = this.toLayout(size);
+    const { width, height } = layout;
+    const resolved = resolvePacking(packing);
+    const needed = new Set(packingSources(resolved));
+    if (needed.has('roughness')) needed.add('wetness');
+    if (needed.has('dryness')) { needed.add('wetness'); needed.add('coverage'); }
+    const isGridMode = sim.mode === 'tlou' || sim.mode === 'smart' || sim.mode === 'experimental';
+    if (needed.has('thickness') && !isGridMode) needed.add('height');
+
+    const count = width * height;
+    const sources = {};
+    // Red channel of a grayscale render as 0..1
+    const readRed = (canvas) => {
+        const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+        const out = new Float32Array(count);
+        for (let i = 0; i < count; i++) out[i] = data[i * 4] / 255;
+        return out;
+    };
+
+    if (needed.has('height')) {
+        const depthCanvas = this.createCanvas(width, height);
+        this.renderDepthToContext(depthCanvas.getContext('2d'), layout);
+        sources.height = readRed(depthCanvas);
+    }
+    if (needed.has('coverage')) {
+        if (!colorCanvas) {
+            colorCanvas = this.createCanvas(width, height);
+            this.renderToContext(colorCanvas.getContext('2d'), layout);
+        }
+        const data = colorCanvas.getContext('2d').getImageData(0, 0, width, height).data;
+        sources.coverage = new Float32Array(count);
+        for (let i = 0; i < count; i++) sources.coverage[i] = data[i * 4 + 3] / 255;
+    }
+    if (needed.has('wetness')) {
+        sources.wetness = resampleField(sim.wetMap, sim.width, sim.height, layout, 1 / 255);
+    }
+    if (needed.has('roughness')) {
+        sources.roughness = sources.wetness.map(w => 1 - w);
+    }
+    if (needed.has('dryness')) {
+        sources.dryness = sources.coverage.map((c, i) => c * (1 - sources.wetness[i]));
+    }
+    if (needed.has('thickness')) {
+        sources.thickness = isGridMode
+            ? resampleField(sim.grid, sim.gridWidth, sim.gridHeight, layout)
+            : sources.height;
+    }
+    if (needed.has('age')) {
+        sources.age = resampleField(sim.ageField(), sim.gridWidth, sim.gridHeight, layout);
+    }
+
+    const canvas = this.createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(width, height);
+    img.data.set(packChannels(resolved, sources, width, height));
+    ctx.putImageData(img, 0, 0);
+    return canvas;
+  }
   
-  renderToContext(ctx, resolution) {
-    const scaleFactor = resolution / this.simulator.width;
+  renderToContext(ctx, size) {
+    const layout = this.toLayout(size);
+    const scaleFactor = Math.min(layout.w / this.simulator.width, layout.h / this.simulator.height);
     // Tighter blur for more detail in floor mode (TLOU2 style puddles)
     const isPoolMode = this.simulator.mode === 'floor' || this.simulator.mode === 'one-click';
     const blurAmt = isPoolMode ? 4 * scaleFactor : 8 * scaleFactor;
     // Higher contrast for sharper edges
     const contrast = isPoolMode ? 35 : 20;
-    
-    ctx.filter = `blur(${blurAmt}px) contrast(${contrast})`;
+    const filter = `blur(${blurAmt}px) contrast(${contrast})`;
 
-    ctx.clearRect(0, 0, resolution, resolution);
+    if (this.simulator.tileable) {
+        this.renderWrapped(ctx, layout, filter, Math.ceil(blurAmt * 3) + 2);
+        return;
+    }
     
-    const scaleX = resolution / this.simulator.width;
-    const scaleY = resolution / this.simulator.height;
+    ctx.filter = filter;
+    ctx.clearRect(0, 0, layout.width, layout.height);
+    this.drawFluidLayer(ctx, layout);
+  }
+
+  // Tileable canvases: the blur has to see across the edges, so the unfiltered
+  // layer is repeated around itself (`pad` px deep), filtered, then cropped
+  renderWrapped(ctx, layout, filter, pad) {
+    const { w, h } = layout;
+    const raw = this.createCanvas(w, h);
+    this.drawFluidLayer(raw.getContext('2d'), { width: w, height: h, x: 0, y: 0, w, h });
+
+    const padded = this.createCanvas(w + pad * 2, h + pad * 2);
+    const paddedCtx = padded.getContext('2d');
+    for (let oy = -1; oy <= 1; oy++) {
+        for (let ox = -1; ox <= 1; ox++) {
+            paddedCtx.drawImage(raw, pad + ox * w, pad + oy * h);
+        }
+    }
+
+    const filtered = this.createCanvas(w + pad * 2, h + pad * 2);
+    const filteredCtx = filtered.getContext('2d');
+    filteredCtx.filter = filter;
+    filteredCtx.drawImage(padded, 0, 0);
+
+    ctx.filter = 'none';
+    ctx.clearRect(0, 0, layout.width, layout.height);
+    ctx.drawImage(filtered, pad, pad, w, h, layout.x, layout.y, w, h);
+  }
+
+  // Surface (or grid) plus, outside the pool modes, the live particles
+  drawFluidLayer(ctx, layout) {
+    const isPoolMode = this.simulator.mode === 'floor' || this.simulator.mode === 'one-click';
+    const scaleX = layout.w / this.simulator.width;
+    const scaleY = layout.h / this.simulator.height;
     
     // Draw Surface (Wall streaks or Floor stains)
     if (this.simulator.mode === 'tlou' || this.simulator.mode === 'smart' || this.simulator.mode === 'experimental') {
          // Render the grid-based modes
-         const tempC = document.createElement('canvas');
-         tempC.width = this.simulator.width;
-         tempC.height = this.simulator.height;
+         const tempC = this.createCanvas(this.simulator.width, this.simulator.height);
          const tempCtx = tempC.getContext('2d');
          
          if (this.simulator.mode === 'tlou') this.simulator.renderTLOU(tempCtx);
          else if (this.simulator.mode === 'experimental') this.simulator.renderExperimental(tempCtx);
          else this.simulator.renderSmartExpansion(tempCtx);
          
-         ctx.drawImage(tempC, 0, 0, resolution, resolution);
+         ctx.drawImage(tempC, layout.x, layout.y, layout.w, layout.h);
     } else {
-         ctx.drawImage(this.simulator.surfaceCanvas, 0, 0, resolution, resolution);
+         ctx.drawImage(this.simulator.surfaceCanvas, layout.x, layout.y, layout.w, layout.h);
     }
 
     // Only draw particles if NOT in floor mode/pool mode
     // For floor/pool mode, user wants "what is left behind"
     const isGridMode = this.simulator.mode === 'tlou' || this.simulator.mode === 'smart' || this.simulator.mode === 'experimental';
     if (!isPoolMode && !isGridMode) {
-      for (const p of this.simulator.particles) {
-        const radius = p.mass * scaleX; 
-        const x = p.x * scaleX;
-        const y = p.y * scaleY;
+      const P = this.simulator.particles;
+      for (let k = 0; k < P.count; k++) {
+        const p = P.live[k];
+        const radius = P.mass[p] * scaleX; 
         
-        ctx.fillStyle = p.color;
-        ctx.beginPath();
-        ctx.arc(x, y, radius, 0, Math.PI * 2);
-        ctx.fill();
+        ctx.fillStyle = P.colorOf(p);
+        for (const [ox, oy] of this.particleCopies(p)) {
+          const x = layout.x + (P.x[p] + ox) * scaleX;
+          const y = layout.y + (P.y[p] + oy) * scaleY;
+          ctx.beginPath();
+          ctx.arc(x, y, radius, 0, Math.PI * 2);
+          ctx.fill();
+        }
       }
     }
   }
 
-  renderDepthToContext(ctx, resolution, transparent = false) {
-    ctx.clearRect(0, 0, resolution, resolution);
-    const scaleX = resolution / this.simulator.width;
-    const scaleY = resolution / this.simulator.height;
+  // Sim-space offsets to draw the particle in pool slot `p` at: just [0, 0],
+  // plus the copies across the edges on a tileable canvas
+  particleCopies(p) {
+    const P = this.simulator.particles;
+    return this.simulator.tileable ? this.simulator.wrapOffsets(P.x[p], P.y[p], P.mass[p]) : [[0, 0]];
+  }
+
+  renderDepthToContext(ctx, size, transparent = false) {
+    const layout = this.toLayout(size);
+    ctx.clearRect(0, 0, layout.width, layout.height);
+    const scaleX = layout.w / this.simulator.width;
+    const scaleY = layout.h / this.simulator.height;
 
     if (!transparent) {
         ctx.fillStyle = '#000';
-        ctx.fillRect(0, 0, resolution, resolution);
+        ctx.fillRect(0, 0, layout.width, layout.height);
     }
     
     if (this.simulator.mode === 'tlou' || this.simulator.mode === 'smart' || this.simulator.mode === 'experimental') {
         // Grid modes depth
-        const tempC = document.createElement('canvas');
-        tempC.width = this.simulator.width;
-        tempC.height = this.simulator.height;
+        const tempC = this.createCanvas(this.simulator.width, this.simulator.height);
         const tempCtx = tempC.getContext('2d');
         this.simulator.renderDepth(tempCtx); 
-        ctx.drawImage(tempC, 0, 0, resolution, resolution);
+        ctx.drawImage(tempC, layout.x, layout.y, layout.w, layout.h);
     } else {
         // Draw surface stain for all modes
         ctx.filter = 'grayscale(100%) brightness(200%)';
-        ctx.drawImage(this.simulator.surfaceCanvas, 0, 0, resolution, resolution);
+        ctx.drawImage(this.simulator.surfaceCanvas, layout.x, layout.y, layout.w, layout.h);
         ctx.filter = 'none';
     
-        for (const p of this.simulator.particles) {
-      const x = p.x * scaleX;
-      const y = p.y * scaleY;
-      const radius = p.mass * scaleX;
-      
-      const g = ctx.createRadialGradient(x, y, 0, x, y, radius);
-      g.addColorStop(0, 'rgba(255, 255, 255, 1)');
-      g.addColorStop(1, 'rgba(255, 255, 255, 0)');
-      
-      ctx.fillStyle = g;
-      ctx.beginPath();
-      ctx.arc(x, y, radius, 0, Math.PI * 2);
-      ctx.fill();
+        const P = this.simulator.particles;
+        for (let k = 0; k < P.count; k++) {
+      const p = P.live[k];
+      const radius = P.mass[p] * scaleX;
+      for (const [ox, oy] of this.particleCopies(p)) {
+        const x = layout.x + (P.x[p] + ox) * scaleX;
+        const y = layout.y + (P.y[p] + oy) * scaleY;
+        
+        const g = ctx.createRadialGradient(x, y, 0, x, y, radius);
+        g.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        g.addColorStop(1, 'rgba(255, 255, 255, 0)');
+        
+        ctx.fillStyle = g;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+      }
     }
     }
   }
 
-  async generateReplayFlipbook(events, totalDuration, frameCount, resolution, includeDepth, includeNormal, onProgress) {
-    // 1. Setup Ghost Simulator
-    const sim = new FluidSimulator(1024, 1024);
+  createGhostSimulator() {
+    // Share the live formation sheet so the ghost never races its own image load
+    const formation = {
+        data: this.simulator.formationData,
+        width: this.simulator.formationWidth,
+        height: this.simulator.formationHeight
+    };
+    // Same size as the live canvas; the log's init event resizes it to the session's
+    const sim = new FluidSimulator(this.simulator.width, this.simulator.height, { backend: this.backend, formation, ...this.simulatorOptions });
     sim.setSeed(1337); // Ensure deterministic replay
+    return sim;
+  }
+
+  // Replays normally start at t=0; a log that opens with a 'snapshot'
+  // checkpoint (FluidSimulator.snapshot()) starts at the checkpoint instead.
+  createReplayCursor(events) {
+    const first = events[0];
+    const startTime = first && first.type === 'snapshot' ? first.time : 0;
+    return { simTime: startTime, startTime, nextEvent: 0 };
+  }
+
+  // Steps a ghost simulator through the event log until targetTime.
+  // `cursor` ({ simTime, nextEvent }) carries progress between calls.
+  // Mirrors App.start(): events logged at time t are applied before the fixed
+  // step that starts at t, so replaying to t reproduces the live state at t.
+  async replayUntil(sim, events, cursor, targetTime) {
+    const STEP = 1/60; // Physics step (seconds), same as App FIXED_STEP
+
+    // Catch up physics, yielding every `yieldSteps` steps
+    let stepsSinceYield = 0;
+    while (true) {
+        // Apply events happening in this window
+        while (cursor.nextEvent < events.length && events[cursor.nextEvent].time <= cursor.simTime) {
+            await this.applyEvent(sim, events[cursor.nextEvent]);
+            cursor.nextEvent++;
+        }
+
+        if (cursor.simTime >= targetTime - 0.0001) break;
+        
+        // Step physics
+        sim.update(STEP);
+        cursor.simTime += STEP;
+        
+        // Yield frequently to keep browser responsive
+        stepsSinceYield++;
+        if (stepsSinceYield >= this.yieldSteps) { 
+            await this.yieldToEvents();
+            stepsSinceYield = 0;
+        }
+    }
+  }
+
+  // Re-simulates the whole log and exports its final state as a static texture
+  async exportReplayTexture(events, totalDuration, resolution, includeDepth, includeNormal, onProgress, options = {}) {
+    const sim = this.createGhostSimulator();
+    const cursor = this.createReplayCursor(events);
+    await this.replayUntil(sim, events, cursor, totalDuration);
+
+    const originalSim = this.simulator;
+    this.simulator = sim;
+    try {
+        await this.exportTexture(resolution, includeDepth, includeNormal, onProgress, options);
+    } finally {
+        this.simulator = originalSim;
+    }
+  }
+
+  // Re-simulates the log `variantCount` times with different randomness and
+  // packs the final states into one atlas: variations-color.png (+ depth /
+  // normal) and variations.json with each variant's rect and UVs.
+  // resolution / options.width/height/fit/padding/powerOfTwo/trim: per variant,
+  //                          as in exportTexture (trimmed variants pack tighter)
+  // options.seed:            seed of the first variant (default 0, the session itself)
+  // options.positionJitter / parameterJitter: see variations.js
+  // options.spacing:         px between atlas cells (default 2)
+  // options.atlasPowerOfTwo: round the atlas size up to a power of two
+  // options.normalMap:       normal map settings, as for exportTexture
+  async exportVariationAtlas(events, totalDuration, variantCount, resolution, includeDepth, includeNormal, onProgress, options = {}) {
+    const firstSeed = options.seed || 0;
+    const variants = [];
+
+    for (let i = 0; i < variantCount; i++) {
+        const jitter = variantJitter(firstSeed + i, options);
+        const log = variantEvents(events, jitter);
+        const sim = this.createGhostSimulator();
+        const cursor = this.createReplayCursor(log);
+        await this.replayUntil(sim, log, cursor, totalDuration);
+
+        const originalSim = this.simulator;
+        this.simulator = sim;
+        try {
+            const trim = options.trim && !sim.tileable;
+            const crop = trim ? this.contentBounds(includeDepth || includeNormal) : null;
+            const layout = this.exportLayout(resolution, { ...options, crop });
+            const variant = { jitter, layout, trim: trim ? this.trimMetadata(layout) : null, canvases: {} };
+
+            variant.canvases.color = this.createCanvas(layout.width, layout.height);
+            this.renderToContext(variant.canvases.color.getContext('2d'), layout);
+            if (includeDepth) {
+                variant.canvases.depth = this.createCanvas(layout.width, layout.height);
+                this.renderDepthToContext(variant.canvases.depth.getContext('2d'), layout);
+            }
+            if (includeNormal) {
+                // Need a transparent depth map for accurate normals calculation at edges
+                const heightCanvas = this.createCanvas(layout.width, layout.height);
+                this.renderDepthToContext(heightCanvas.getContext('2d'), layout, true);
+                variant.canvases.normal = this.generateNormalMap(heightCanvas, this.wrapsEdges(layout), options.normalMap);
+            }
+            variants.push(variant);
+        } finally {
+            this.simulator = originalSim;
+        }
+
+        onProgress(((i + 1) / variantCount) * 90);
+    }
+
+    const spacing = options.spacing !== undefined ? options.spacing : 2;
+    const packed = packRects(variants.map(v => ({ w: v.layout.width, h: v.layout.height })), { spacing, powerOfTwo: !!options.atlasPowerOfTwo });
+
+    const layers = { color: 'variations-color.png' };
+    if (includeDepth) layers.depth = 'variations-depth.png';
+    if (includeNormal) layers.normal = 'variations-normal.png';
+
+    for (const [layer, filename] of Object.entries(layers)) {
+        const atlas = this.createCanvas(packed.width, packed.height);
+        const ctx = atlas.getContext('2d');
+        variants.forEach((v, i) => ctx.drawImage(v.canvases[layer], packed.rects[i].x, packed.rects[i].y));
+        await this.saveCanvas(atlas, filename);
+    }
+
+    const meta = {
+        format: VARIATION_ATLAS_FORMAT,
+        version: VARIATION_ATLAS_VERSION,
+        image: layers.color,
+        layers,
+        width: packed.width,
+        height: packed.height,
+        variantCount,
+        uvOrigin: 'top-left',
+        variants: variants.map((v, i) => {
+            const rect = packed.rects[i];
+            const entry = {
+                index: i,
+                seed: v.jitter.seed,
+                x: rect.x,
+                y: rect.y,
+                width: rect.w,
+                height: rect.h,
+                u: rect.x / packed.width,
+                v: rect.y / packed.height,
+                uSize: rect.w / packed.width,
+                vSize: rect.h / packed.height,
+                jitter: { dx: v.jitter.dx, dy: v.jitter.dy, params: v.jitter.params }
+            };
+            if (v.trim) entry.trim = v.trim;
+            return entry;
+        })
+    };
+    await this.saveText(JSON.stringify(meta, null, 2), 'variations.json');
+
+    onProgress(100);
+  }
+
+  // options.frameBlending: accumulate sub-frames across the physics steps
+  //                        leading up to each captured frame (motion blur)
+  // options.blendStrength: 0..1, fraction of the frame interval the shutter stays open
+  // options.includeMotion: also write a motion vector (optical flow) atlas
+  // options.motionRange:   UV displacement per frame that maps to full red/green
+  // options.fps:           playback rate written to the metadata (default: real time)
+  // options.engines:       engine sidecars to write next to flipbook.json ('unity', 'unreal', 'godot')
+  // options.width/height/fit/padding/powerOfTwo: frame size, see computeExportLayout
+  //                        (`resolution` is the long edge otherwise). Frames are
+  //                        sized from the canvas at the start of the replay.
+  // options.trim:          crop every frame to the content bounds across all
+  //                        frames (an extra measuring replay) and add the pivot
+  //                        to flipbook.json. Ignored on tileable canvases.
+  // options.animations:    also encode the color frames as animations: 'apng'
+  //                        (flipbook-animated.png), 'gif' (flipbook.gif), 'webm'
+  //                        (flipbook.webm, needs a backend with encodeVideo)
+  // options.loops:         plays of the animations and the sheet metadata,
+  //                        0 = forever (default)
+  // options.gifMatte:      '#rrggbb' the GIF blends soft edges over instead of
+  //                        cutting alpha at 50%
+  // options.normalMap:     normal map settings, as for exportTexture
+  // options.pbrMaps / pbr: material map sheets (flipbook-<map>.png), as for exportTexture
+  async generateReplayFlipbook(events, totalDuration, frameCount, resolution, includeDepth, includeNormal, onProgress, options = {}) {
+    const frameBlending = !!options.frameBlending;
+    const blendStrength = options.blendStrength !== undefined ? options.blendStrength : 0.5;
+    const includeMotion = !!options.includeMotion;
+    const motionRange = options.motionRange || 0.1;
+    const animations = options.animations || [];
+    if (animations.includes('webm') && !this.backend.encodeVideo) {
+        throw new Error(`WebM export needs a video encoder, which the ${this.backend.name} backend does not have`);
+    }
+
+    // 1. Setup Ghost Simulator
+    const sim = this.createGhostSimulator();
+    const cursor = this.createReplayCursor(events);
+    // Apply the opening events (init / snapshot) so the canvas size is known
+    await this.replayUntil(sim, events, cursor, cursor.startTime);
+
+    let span = totalDuration - cursor.startTime;
     
-    // Canvas for frame capturing
-    const frameCanvas = document.createElement('canvas');
-    frameCanvas.width = resolution;
-    frameCanvas.height = resolution;
-    const ctx = frameCanvas.getContext('2d');
+    // Safety break to prevent infinite loops if duration is 0
+    if (span <= 0.001) span = 0.1;
+
+    const frameInterval = span / (frameCount - 1);
+    const shutter = frameBlending ? frameInterval * Math.max(0, Math.min(1, blendStrength)) : 0;
+    const STEP = 1/60;
+    const blendSamples = Math.max(1, Math.min(MAX_BLEND_SAMPLES, Math.round(shutter / STEP) + 1));
+    const fps = options.fps || realtimeFps(frameCount, span);
+
+    // Times each frame is built from; the first frame has nothing before it to blend with
+    const frameSampleTimes = (f) => {
+        const targetTime = cursor.startTime + f * frameInterval;
+        const samples = f > 0 ? blendSamples : 1;
+        const times = [];
+        for (let s = 0; s < samples; s++) {
+            times.push(samples > 1 ? targetTime - shutter * (samples - 1 - s) / (samples - 1) : targetTime);
+        }
+        return times;
+    };
+
+    // A trimmed flipbook replays twice: once to measure, once to render
+    const trim = options.trim && !sim.tileable;
+    const passes = trim ? 2 : 1;
+    let crop = null;
+    if (trim) {
+        const sampleTimes = [];
+        for (let f = 0; f < frameCount; f++) sampleTimes.push(...frameSampleTimes(f));
+        crop = await this.measureReplayBounds(events, sampleTimes, includeDepth || includeNormal, (p) => onProgress(p / passes));
+    }
+
+    const layout = computeExportLayout(sim.width, sim.height, resolution, { ...options, crop });
+    const frameWidth = layout.width;
+    const frameHeight = layout.height;
+    
+    // Canvases for frame capturing (one per layer so blending can accumulate them)
+    const colorFrame = this.createCanvas(frameWidth, frameHeight);
+    const depthFrame = includeDepth ? this.createCanvas(frameWidth, frameHeight) : null;
+    const heightFrame = includeNormal ? this.createCanvas(frameWidth, frameHeight) : null;
+    const motionFrame = includeMotion ? this.createCanvas(frameWidth, frameHeight) : null;
     
     // Output Sheet
     const cols = Math.ceil(Math.sqrt(frameCount));
     const rows = Math.ceil(frameCount / cols);
-    const sheetWidth = cols * resolution;
-    const sheetHeight = rows * resolution;
+    const sheetWidth = cols * frameWidth;
+    const sheetHeight = rows * frameHeight;
     
-    const outputCanvas = document.createElement('canvas');
-    outputCanvas.width = sheetWidth;
-    outputCanvas.height = sheetHeight;
+    const outputCanvas = this.createCanvas(sheetWidth, sheetHeight);
     const outputCtx = outputCanvas.getContext('2d');
     
     let depthOutputCanvas = null;
     let depthOutputCtx = null;
     if (includeDepth) {
-        depthOutputCanvas = document.createElement('canvas');
-        depthOutputCanvas.width = sheetWidth;
-        depthOutputCanvas.height = sheetHeight;
+        depthOutputCanvas = this.createCanvas(sheetWidth, sheetHeight);
         depthOutputCtx = depthOutputCanvas.getContext('2d');
     }
 
     let normalOutputCanvas = null;
     let normalOutputCtx = null;
     if (includeNormal) {
-        normalOutputCanvas = document.createElement('canvas');
-        normalOutputCanvas.width = sheetWidth;
-        normalOutputCanvas.height = sheetHeight;
+        normalOutputCanvas = this.createCanvas(sheetWidth, sheetHeight);
         normalOutputCtx = normalOutputCanvas.getContext('2d');
     }
 
+    let motionOutputCanvas = null;
+    let motionOutputCtx = null;
+    if (includeMotion) {
+        motionOutputCanvas = this.createCanvas(sheetWidth, sheetHeight);
+        motionOutputCtx = motionOutputCanvas.getContext('2d');
+    }
+
+    // One sheet per material map
+    const pbrMaps = PBR_MAPS.filter(map => (options.pbrMaps || []).includes(map));
+    const pbrFrames = {};
+    const pbrSheets = {};
+    for (const map of pbrMaps) {
+        pbrFrames[map] = this.createCanvas(frameWidth, frameHeight);
+        pbrSheets[map] = this.createCanvas(sheetWidth, sheetHeight);
+    }
+
+    // Color frames kept for the animation encoders
+    const animationFrames = animations.length ? [] : null;
+
     // 2. Simulation Loop
-    const STEP = 1/60; // Physics step (seconds)
-    let simTime = 0;
-    let nextEventIndex = 0;
-    
-    // Safety break to prevent infinite loops if duration is 0
-    if (totalDuration <= 0.001) totalDuration = 0.1;
+    const frameLayers = [
+        { canvas: colorFrame, render: (ctx) => this.renderToContext(ctx, layout) },
+        { canvas: depthFrame, render: (ctx) => this.renderDepthToContext(ctx, layout) },
+        // Need a transparent depth map for accurate normals calculation at edges
+        { canvas: heightFrame, render: (ctx) => this.renderDepthToContext(ctx, layout, true) }
+    ].filter(l => l.canvas);
 
-    for (let f = 0; f < frameCount; f++) {
-        // Target time for this frame
-        const targetTime = (f / (frameCount - 1)) * totalDuration;
-        
-        // Catch up physics with aggressively robust yielding
-        let stepsSinceYield = 0;
-        while (simTime < targetTime + 0.0001) {
-            // Apply events happening in this window
-            while (nextEventIndex < events.length && events[nextEventIndex].time <= simTime) {
-                await this.applyEvent(sim, events[nextEventIndex]);
-                nextEventIndex++;
+    // Material maps are computed together, from the color frame rendered just before
+    let pbrSample = null;
+    for (const map of pbrMaps) {
+        frameLayers.push({ canvas: pbrFrames[map], render: (ctx) => {
+            if (map === pbrMaps[0]) {
+                const colorPixels = colorFrame.getContext('2d').getImageData(0, 0, frameWidth, frameHeight).data;
+                pbrSample = computePbrMaps(this.simulator, layout, pbrMaps, colorPixels, options.pbr, { wrap: this.wrapsEdges(layout) });
             }
-            
-            // Step physics
-            sim.update(STEP);
-            simTime += STEP;
-            
-            // Yield frequently to keep browser responsive
-            stepsSinceYield++;
-            if (stepsSinceYield >= 5) { 
-                await new Promise(r => setTimeout(r, 0));
-                stepsSinceYield = 0;
-            }
-        }
-        
-        // Render Frame
+            ctx.putImageData(this.backend.createImageData(frameWidth, frameHeight, pbrSample[map]), 0, 0);
+        } });
+    }
+
+    for (let f = 0; f < frameCount; f++) {
+        const sampleTimes = frameSampleTimes(f);
+        const accumulators = sampleTimes.length > 1 ? frameLayers.map(() => new FrameAccumulator(frameWidth, frameHeight)) : null;
+
         const originalSim = this.simulator;
-        this.simulator = sim;
-        
-        this.renderToContext(ctx, resolution);
+        for (const sampleTime of sampleTimes) {
+            await this.replayUntil(sim, events, cursor, sampleTime);
+
+            // Render Frame
+            this.simulator = sim;
+            frameLayers.forEach((layer, i) => {
+                const ctx = layer.canvas.getContext('2d');
+                ctx.filter = 'none';
+                layer.render(ctx);
+                if (accumulators) accumulators[i].add(layer.canvas);
+            });
+            this.simulator = originalSim;
+        }
+
+        if (accumulators) {
+            frameLayers.forEach((layer, i) => accumulators[i].resolveTo(layer.canvas));
+        }
+
         const col = f % cols;
         const row = Math.floor(f / cols);
-        outputCtx.drawImage(frameCanvas, col * resolution, row * resolution);
+        const cellX = col * frameWidth;
+        const cellY = row * frameHeight;
+        outputCtx.drawImage(colorFrame, cellX, cellY);
+        if (animationFrames) {
+            animationFrames.push(colorFrame.getContext('2d').getImageData(0, 0, frameWidth, frameHeight).data.slice());
+        }
         
         if (includeDepth) {
-            this.renderDepthToContext(ctx, resolution);
-            depthOutputCtx.drawImage(frameCanvas, col * resolution, row * resolution);
+            depthOutputCtx.drawImage(depthFrame, cellX, cellY);
         }
 
         if (includeNormal) {
-            this.renderDepthToContext(ctx, resolution, true);
-            const nCanvas = this.generateNormalMap(frameCanvas);
-            normalOutputCtx.drawImage(nCanvas, col * resolution, row * resolution);
+            this.simulator = sim;
+            const nCanvas = this.generateNormalMap(heightFrame, this.wrapsEdges(layout), options.normalMap);
+            this.simulator = originalSim;
+            normalOutputCtx.drawImage(nCanvas, cellX, cellY);
+        }
+
+        if (includeMotion) {
+            this.simulator = sim;
+            this.renderMotionToContext(motionFrame.getContext('2d'), layout, frameInterval, motionRange);
+            this.simulator = originalSim;
+            motionOutputCtx.drawImage(motionFrame, cellX, cellY);
+        }
+
+        for (const map of pbrMaps) {
+            pbrSheets[map].getContext('2d').drawImage(pbrFrames[map], cellX, cellY);
         }
         
-        this.simulator = originalSim;
-        
-        onProgress(((f + 1) / frameCount) * 100);
+        onProgress((passes - 1 + (f + 1) / frameCount) * 100 / passes);
         
         // Yield after each frame
-        await new Promise(r => setTimeout(r, 0));
+        await this.yieldToEvents();
     }
     
     // Download with proper async handling
     onProgress(100);
     await new Promise(r => setTimeout(r, 100)); // Small delay before blob creation
     
-    const blob = await new Promise(resolve => outputCanvas.toBlob(resolve, 'image/png'));
-    this.downloadBlob(blob, 'flipbook-color.png');
+    await this.saveCanvas(outputCanvas, 'flipbook-color.png');
     
     if (includeDepth) {
-        const dBlob = await new Promise(resolve => depthOutputCanvas.toBlob(resolve, 'image/png'));
-        this.downloadBlob(dBlob, 'flipbook-depth.png');
+        await this.saveCanvas(depthOutputCanvas, 'flipbook-depth.png');
     }
 
     if (includeNormal) {
-        const nBlob = await new Promise(resolve => normalOutputCanvas.toBlob(resolve, 'image/png'));
-        this.downloadBlob(nBlob, 'flipbook-normal.png');
+        await this.saveCanvas(normalOutputCanvas, 'flipbook-normal.png');
+    }
+
+    if (includeMotion) {
+        await this.saveCanvas(motionOutputCanvas, 'flipbook-motion.png');
+    }
+
+    for (const map of pbrMaps) {
+        await this.saveCanvas(pbrSheets[map], `flipbook-${map}.png`);
+    }
+
+    const layers = { color: 'flipbook-color.png' };
+    if (includeDepth) layers.depth = 'flipbook-depth.png';
+    if (includeNormal) layers.normal = 'flipbook-normal.png';
+    if (includeMotion) layers.motion = 'flipbook-motion.png';
+    for (const map of pbrMaps) layers[map] = `flipbook-${map}.png`;
+
+    let animationFiles = null;
+    if (animationFrames) {
+        animationFiles = await this.saveAnimations(animationFrames, frameWidth, frameHeight, animations, {
+            fps,
+            loops: options.loops || 0,
+            matte: options.gifMatte
+        });
+    }
+
+    let trimMeta = null;
+    if (trim) {
+        const originalSim = this.simulator;
+        this.simulator = sim;
+        trimMeta = this.trimMetadata(layout);
+        this.simulator = originalSim;
+    }
+
+    const meta = buildFlipbookMetadata({
+        frameCount,
+        columns: cols,
+        rows,
+        frameWidth,
+        frameHeight,
+        duration: span,
+        fps,
+        layers,
+        frameBlending: shutter > 0,
+        trim: trimMeta,
+        animations: animationFiles,
+        loops: options.loops || 0
+    });
+    for (const file of flipbookSidecars(meta, options.engines || [])) {
+        const type = file.filename.endsWith('.json') ? 'application/json' : 'text/plain';
+        await this.saveText(file.text, file.filename, type);
     }
   }
 
-  generateNormalMap(depthCanvas) {
-    const width = depthCanvas.width;
-    const height = depthCanvas.height;
-    const ctx = depthCanvas.getContext('2d');
-    const imgData = ctx.getImageData(0, 0, width, height);
-    const data = imgData.data;
-    
-    const normalCanvas = document.createElement('canvas');
-    normalCanvas.width = width;
-    normalCanvas.height = height;
-    const normalCtx = normalCanvas.getContext('2d');
-    const normalData = normalCtx.createImageData(width, height);
-    const nd = normalData.data;
-
-    const strength = 3.0; 
-
-    // Helper to get height (0-1) from red channel
-    const getH = (x, y) => {
-        // Clamp
-        const nx = Math.max(0, Math.min(width-1, x));
-        const ny = Math.max(0, Math.min(height-1, y));
-        const idx = (ny * width + nx) * 4;
-        return data[idx] / 255.0;
+  // Writes the flipbook frames (RGBA8) in each requested animation format.
+  // Returns { apng, gif, webm, loops } with the filenames written.
+  async saveAnimations(frames, width, height, formats, { fps, loops, matte }) {
+    const files = {};
+    if (formats.includes('apng')) {
+        const bytes = await encodeAPNG(width, height, frames, { fps, loops, deflate: this.backend.deflate });
+        await this.saveBytes(bytes, 'flipbook-animated.png', 'image/png');
+        files.apng = 'flipbook-animated.png';
+    }
+    if (formats.includes('gif')) {
+        await this.saveBytes(encodeGIF(width, height, frames, { fps, loops, matte }), 'flipbook.gif', 'image/gif');
+        files.gif = 'flipbook.gif';
+    }
+    if (formats.includes('webm')) {
+        // MediaRecorder has no loop count; players loop WebM themselves
+        await this.saveBytes(await this.backend.encodeVideo(width, height, frames, { fps }), 'flipbook.webm', 'video/webm');
+        files.webm = 'flipbook.webm';
+    }
+    files.loops = loops;
+    return files;
+  }
+
+  // Measuring pass of a trimmed flipbook: union of the content bounds over
+  // every sample time the frames are built from
+  async measureReplayBounds(events, sampleTimes, includeDepth, onProgress) {
+    const sim = this.createGhostSimulator();
+    const cursor = this.createReplayCursor(events);
+    let bounds = null;
+
+    for (let i = 0; i < sampleTimes.length; i++) {
+        await this.replayUntil(sim, events, cursor, sampleTimes[i]);
+
+        const originalSim = this.simulator;
+        this.simulator = sim;
+        bounds = unionBounds(bounds, this.contentBounds(includeDepth));
+        this.simulator = originalSim;
+
+        onProgress(((i + 1) / sampleTimes.length) * 100);
+    }
+    return bounds;
+  }
+
+  // Motion vectors: screen-space displacement over one frame interval, as a
+  // fraction of the frame (UV). R = +U (right), G = +V (up), 128 = no motion,
+  // +/-motionRange maps to 255/0. Alpha marks pixels that carry a vector.
+  // Particles and drip heads splat their velocity; grid modes splat each wet
+  // cell's velocity from the shallow-water solver (sim.water.velX / velY)
+  renderMotionToContext(ctx, size, frameInterval, motionRange) {
+    const sim = this.simulator;
+    const layout = this.toLayout(size);
+    const { width, height } = layout;
+    const scaleX = layout.w / sim.width;
+    const scaleY = layout.h / sim.height;
+    const sumX = new Float32Array(width * height);
+    const sumY = new Float32Array(width * height);
+    const weight = new Float32Array(width * height);
+
+    // Splats a sim-space displacement (px over one frame) with a soft falloff
+    const splat = (x, y, radius, dx, dy) => {
+        const cx = layout.x + x * scaleX, cy = layout.y + y * scaleY;
+        const r = Math.max(1, radius * scaleX);
+        const u = dx * scaleX / width, v = -dy * scaleY / height; // V up
+        const x0 = Math.max(0, Math.floor(cx - r)), x1 = Math.min(width - 1, Math.ceil(cx + r));
+        const y0 = Math.max(0, Math.floor(cy - r)), y1 = Math.min(height - 1, Math.ceil(cy + r));
+        for (let py = y0; py <= y1; py++) {
+            for (let px = x0; px <= x1; px++) {
+                const ddx = px + 0.5 - cx, ddy = py + 0.5 - cy;
+                const w = 1 - (ddx*ddx + ddy*ddy) / (r*r);
+                if (w <= 0) continue;
+                const i = py * width + px;
+                sumX[i] += u * w;
+                sumY[i] += v * w;
+                weight[i] += w;
+            }
+        }
     };
 
-    for(let y=0; y<height; y++) {
-      for(let x=0; x<width; x++) {
-        const idx = (y * width + x) * 4;
-        const alpha = data[idx+3];
-        
-        if (alpha < 10) {
-            // Background / Transparent
-            nd[idx] = 128;
-            nd[idx+1] = 128;
-            nd[idx+2] = 255;
-            nd[idx+3] = 0;
-            continue;
+    const t = frameInterval * sim.timeScale;
+    const isGridMode = sim.mode === 'tlou' || sim.mode === 'smart' || sim.mode === 'experimental';
+    if (isGridMode) {
+        // 'tlou' stamps its formation in place and never runs the solver,
+        // so its cells carry zero vectors
+        const w = sim.gridWidth, h = sim.gridHeight;
+        const cell = 1 / sim.gridScale; // px per grid cell
+        const { velX, velY } = sim.water; // cells per second
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const idx = y * w + x;
+                if (sim.grid[idx] <= DRY_HEIGHT) continue;
+                splat((x + 0.5) * cell, (y + 0.5) * cell, cell, velX[idx] * cell * t, velY[idx] * cell * t);
+            }
+        }
+    } else {
+        const P = sim.particles;
+        for (let k = 0; k < P.count; k++) {
+            const p = P.live[k];
+            splat(P.x[p], P.y[p], P.mass[p], P.vx[p] * t, P.vy[p] * t);
+        }
+        for (const head of sim.dripHeads) {
+            if (head.active) splat(head.x, head.y, head.width / 2, head.vx * t, head.vy * t);
         }
+    }
 
-        // Sobel-ish filter
-        const hL = getH(x-1, y);
-        const hR = getH(x+1, y);
-        const hT = getH(x, y-1);
-        const hB = getH(x, y+1);
-        
-        // Derivatives
-        const dx = (hL - hR) * strength; 
-        const dy = (hT - hB) * strength;
-        
-        let nz = 1.0;
-        
-        // Normalize
-        const len = Math.sqrt(dx*dx + dy*dy + nz*nz);
-        const nx = dx / len;
-        const ny = dy / len; 
-        const n_z = nz / len;
-        
-        // Pack to 0..255
-        nd[idx] = Math.floor((nx + 1) * 127.5);
-        nd[idx+1] = Math.floor((ny + 1) * 127.5);
-        nd[idx+2] = Math.floor((n_z + 1) * 127.5);
-        nd[idx+3] = alpha; 
-      }
+    const img = ctx.createImageData(width, height);
+    const d = img.data;
+    for (let i = 0; i < weight.length; i++) {
+        const o = i * 4;
+        if (weight[i] > 0) {
+            const u = Math.max(-1, Math.min(1, sumX[i] / weight[i] / motionRange));
+            const v = Math.max(-1, Math.min(1, sumY[i] / weight[i] / motionRange));
+            d[o] = Math.round((u * 0.5 + 0.5) * 255);
+            d[o+1] = Math.round((v * 0.5 + 0.5) * 255);
+            d[o+2] = 0;
+            d[o+3] = 255;
+        } else {
+            d[o] = 128;
+            d[o+1] = 128;
+            d[o+2] = 0;
+            d[o+3] = 0;
+        }
     }
-    
-    normalCtx.putImageData(normalData, 0, 0);
-    return normalCanvas;
+    ctx.putImageData(img, 0, 0);
+  }
+
+  // wrap:     sample across the edges (tileable canvases) instead of clamping
+  // settings: normal-map.js settings (strength, kernel, convention, blur, ...)
+  generateNormalMap(depthCanvas, wrap = this.simulator.tileable, settings = {}) {
+    const result = computeNormals(canvasHeightField(depthCanvas), { ...settings, wrap });
+    return this.canvasFromPixels(result.width, result.height, packNormals8(result));
   }
 
   async applyEvent(sim, event) {
     const { type, data } = event;
+    await this.applyEventAction(sim, type, data);
+    // Resync the PRNG to the state the live simulator had after this event
+    if (event.rng !== undefined) sim.setSeed(event.rng);
+  }
+
+  async applyEventAction(sim, type, data) {
     switch(type) {
         case 'init': 
             sim.setState(data);
+            // An uploaded substrate texture travels as its data URL
+            if (data.substrate === 'custom' && data.substrateImage) await this.loadSubstrate(sim, data.substrateImage);
+            break;
+        case 'snapshot':
+            sim.restore(data);
             break;
         case 'spawn':
             sim.spawn(data.x, data.y);
@@ -350,17 +1265,28 @@ export class ExportManager {
         case 'setParticleSize': sim.setParticleSize(data); break;
         case 'setOpacity': sim.setOpacity(data); break;
         case 'setColor': sim.setColor(data); break;
+        case 'setDrying': sim.setDrying(data); break;
+        case 'setDryingSpeed': sim.setDryingSpeed(data); break;
+        case 'setEvaporation': sim.setEvaporation(data); break;
+        case 'setResidue': sim.setResidue(data); break;
+        case 'setDryColor': sim.setDryColor(data); break;
+        case 'setSubstrate': sim.setSubstrate(data); break;
+        case 'setSubstrateFromImage': await this.loadSubstrate(sim, data); break;
         case 'setMode': sim.setMode(data); break;
         case 'setSpawnMode': sim.setSpawnMode(data); break;
         case 'setSpawnDirection': sim.setSpawnDirection(data); break;
+        case 'setCaliber': sim.setCaliber(data); break;
         case 'applyMaterial': sim.applyMaterial(data); break;
         case 'setTurbulence': sim.setTurbulence(data); break;
         case 'setPoolingRandomness': sim.setPoolingRandomness(data); break;
+        case 'setTilt': sim.setTilt(data.x, data.y); break;
         case 'setParticleLifetime': sim.setParticleLifetime(data); break;
         case 'setInfiniteLifetime': sim.setInfiniteLifetime(data); break;
+        case 'setTileable': sim.setTileable(data); break;
         case 'setSizeRandomness': sim.setSizeRandomness(data); break;
         case 'setTimeScale': sim.setTimeScale(data); break;
         case 'setSubsteps': sim.setSubsteps(data); break;
+        case 'setPaused': sim.setPaused(data); break;
         case 'spawnPool': sim.spawnPool(data.x, data.y); break;
         case 'spawnTLOU': sim.spawnTLOU(data.x, data.y); break;
         case 'spawnBallistic': 
@@ -372,27 +1298,41 @@ export class ExportManager {
         case 'drawShape': sim.updateMask(data.x, data.y, data.radius, data.erase); break;
         case 'clearMask': sim.clearMask(); break;
         case 'setMaskFromImage':
-            await new Promise((resolve) => {
-                const img = new Image();
-                img.onload = () => {
-                    sim.setMaskFromImage(img);
-                    resolve();
-                };
-                img.onerror = resolve; // Continue even if image fails
-                img.src = data;
-            });
+            if (!sim.backend.loadImage) break;
+            try {
+                const img = await sim.backend.loadImage(data);
+                sim.setMaskFromImage(img);
+            } catch (e) {
+                // Continue even if image fails
+            }
             break;
     }
   }
 
+  async loadSubstrate(sim, src) {
+    if (!sim.backend.loadImage) return;
+    try {
+        const img = await sim.backend.loadImage(src);
+        sim.setSubstrateFromImage(img, src);
+    } catch (e) {
+        // Continue on the default custom texture
+    }
+  }
+
   downloadBlob(blob, filename) {
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-  }
-}
\ No newline at end of file
+    downloadBlob(blob, filename);
+  }
+}
+
+// Browser download of a Blob. Also used for files that export jobs running
+// in sim-worker.js send back to the page.
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
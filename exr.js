@@ -0,0 +1,138 @@
+// Minimal OpenEXR Encoder (pure JS)
+// Single-part scanline images with 32-bit float channels. Compression is
+// pluggable like in png.js: pass a zlib deflate (sync or returning a Promise)
+// for ZIP compression, otherwise the file is written uncompressed.
+//
+//   const bytes = await encodeEXR(width, height, { Y: heights }, { deflate });
+
+const EXR_MAGIC = 20000630;
+const PIXEL_FLOAT = 2;
+const COMPRESSION_NONE = 0;
+const COMPRESSION_ZIP = 3;
+const ZIP_LINES = 16; // scanlines per ZIP block
+
+// Little-endian attribute/header writer
+class ByteWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  string(s) {
+    for (let i = 0; i < s.length; i++) this.bytes.push(s.charCodeAt(i));
+    this.bytes.push(0);
+  }
+
+  uint8(v) {
+    this.bytes.push(v & 0xFF);
+  }
+
+  int32(v) {
+    this.bytes.push(v & 0xFF, (v >> 8) & 0xFF, (v >> 16) & 0xFF, (v >> 24) & 0xFF);
+  }
+
+  float32(v) {
+    const b = new Uint8Array(new Float32Array([v]).buffer);
+    this.bytes.push(...b);
+  }
+
+  attribute(name, type, write) {
+    const value = new ByteWriter();
+    write(value);
+    this.string(name);
+    this.string(type);
+    this.int32(value.bytes.length);
+    this.bytes.push(...value.bytes);
+  }
+}
+
+// ZIP blocks: bytes split into even/odd halves, then delta-encoded, then deflated
+function zipPredict(raw) {
+  const n = raw.length;
+  const out = new Uint8Array(n);
+  const half = (n + 1) >> 1;
+  for (let i = 0, a = 0, b = half; i < n; i += 2) {
+    out[a++] = raw[i];
+    if (i + 1 < n) out[b++] = raw[i + 1];
+  }
+  let prev = out[0];
+  for (let i = 1; i < n; i++) {
+    const v = out[i];
+    out[i] = (v - prev + 128 + 256) & 0xFF;
+    prev = v;
+  }
+  return out;
+}
+
+// channels: { name: Float32Array(width * height) }, stored in name order as
+// the format requires
+// options.deflate: zlib deflate for ZIP compression
+export async function encodeEXR(width, height, channels, options = {}) {
+  const names = Object.keys(channels).sort();
+  const deflate = options.deflate || null;
+  const linesPerBlock = deflate ? ZIP_LINES : 1;
+
+  const header = new ByteWriter();
+  header.int32(EXR_MAGIC);
+  header.int32(2); // version 2, single-part scanline
+  header.attribute('channels', 'chlist', (w) => {
+    for (const name of names) {
+      w.string(name);
+      w.int32(PIXEL_FLOAT);
+      w.uint8(0); // pLinear
+      w.uint8(0); w.uint8(0); w.uint8(0);
+      w.int32(1); // x sampling
+      w.int32(1); // y sampling
+    }
+    w.uint8(0);
+  });
+  header.attribute('compression', 'compression', (w) => w.uint8(deflate ? COMPRESSION_ZIP : COMPRESSION_NONE));
+  const box = (w) => { w.int32(0); w.int32(0); w.int32(width - 1); w.int32(height - 1); };
+  header.attribute('dataWindow', 'box2i', box);
+  header.attribute('displayWindow', 'box2i', box);
+  header.attribute('lineOrder', 'lineOrder', (w) => w.uint8(0)); // increasing y
+  header.attribute('pixelAspectRatio', 'float', (w) => w.float32(1));
+  header.attribute('screenWindowCenter', 'v2f', (w) => { w.float32(0); w.float32(0); });
+  header.attribute('screenWindowWidth', 'float', (w) => w.float32(1));
+  header.uint8(0);
+
+  // Scanline blocks: each line holds every channel's row in turn
+  const blocks = [];
+  const lineBytes = width * 4 * names.length;
+  for (let y0 = 0; y0 < height; y0 += linesPerBlock) {
+    const lines = Math.min(linesPerBlock, height - y0);
+    const raw = new Uint8Array(lineBytes * lines);
+    const view = new DataView(raw.buffer);
+    let o = 0;
+    for (let y = y0; y < y0 + lines; y++) {
+      for (const name of names) {
+        const data = channels[name];
+        for (let x = 0; x < width; x++, o += 4) view.setFloat32(o, data[y * width + x], true);
+      }
+    }
+
+    let payload = raw;
+    if (deflate) {
+      const packed = new Uint8Array(await deflate(zipPredict(raw)));
+      // Blocks that do not shrink are stored as-is
+      if (packed.length < raw.length) payload = packed;
+    }
+    blocks.push({ y: y0, payload });
+  }
+
+  // Offset table (uint64 per block), then the blocks
+  const headerSize = header.bytes.length;
+  let offset = headerSize + blocks.length * 8;
+  const size = offset + blocks.reduce((n, b) => n + 8 + b.payload.length, 0);
+  const out = new Uint8Array(size);
+  const view = new DataView(out.buffer);
+  out.set(header.bytes, 0);
+  blocks.forEach((block, i) => {
+    view.setUint32(headerSize + i * 8, offset % 0x100000000, true);
+    view.setUint32(headerSize + i * 8 + 4, Math.floor(offset / 0x100000000), true);
+    view.setInt32(offset, block.y, true);
+    view.setInt32(offset + 4, block.payload.length, true);
+    out.set(block.payload, offset + 8);
+    offset += 8 + block.payload.length;
+  });
+  return out;
+}
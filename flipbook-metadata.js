@@ -0,0 +1,328 @@
+// Flipbook Metadata Sidecars
+// Describes a flipbook sprite sheet (grid, frame count, fps, empty cells) so the
+// atlas can be imported without manual setup. The generic JSON is always
+// written; the engine files are generated from it on request:
+//
+//   unity:  flipbook.anim (material _MainTex_ST tiling/offset, stepped keys)
+//           + flipbook-unity.json (texture import + Texture Sheet Animation)
+//   unreal: flipbook-unreal-subuv.json (Niagara SubUV / Cascade Sub Images)
+//   godot:  flipbook.tres (Godot 4 SpriteFrames with one AtlasTexture per frame)
+//
+// Cells are numbered left to right, top to bottom. `u`/`v` in the JSON use a
+// top-left origin like the PNG itself; the Unity clip converts to bottom-left.
+
+export const FLIPBOOK_FORMAT = 'arsenals-flipbook';
+export const FLIPBOOK_VERSION = 1;
+
+export const ENGINES = ['unity', 'unreal', 'godot'];
+
+// layers:     { color: 'flipbook-color.png', depth: ..., ... } - files written for this sheet
+// trim:       placement and pivot of trimmed frames (ExportManager.trimMetadata), if any
+// animations: { apng, gif, webm, loops } - animated copies of the color frames, if any
+// loops:      plays of the sheet, 0 = forever (the default, like the animations);
+//             `loop` in the JSON and the engine files is only set for forever,
+//             since the engines take a flag rather than a count
+export function buildFlipbookMetadata({ frameCount, columns, rows, frameWidth, frameHeight, duration, fps, layers, frameBlending = false, trim = null, animations = null, loops = 0 }) {
+  const sheetWidth = columns * frameWidth;
+  const sheetHeight = rows * frameHeight;
+  const frameInterval = frameCount > 1 ? duration / (frameCount - 1) : 0;
+
+  const frames = [];
+  for (let i = 0; i < frameCount; i++) {
+    const col = i % columns;
+    const row = Math.floor(i / columns);
+    frames.push({
+      index: i,
+      time: i * frameInterval,
+      x: col * frameWidth,
+      y: row * frameHeight,
+      width: frameWidth,
+      height: frameHeight,
+      u: col / columns,
+      v: row / rows,
+      uSize: 1 / columns,
+      vSize: 1 / rows
+    });
+  }
+
+  const emptyCells = [];
+  for (let i = frameCount; i < columns * rows; i++) emptyCells.push(i);
+
+  const meta = {
+    format: FLIPBOOK_FORMAT,
+    version: FLIPBOOK_VERSION,
+    image: layers.color,
+    layers,
+    sheetWidth,
+    sheetHeight,
+    frameWidth,
+    frameHeight,
+    columns,
+    rows,
+    frameCount,
+    emptyCells,
+    fps,
+    duration: frameCount / fps,
+    sourceDuration: duration,
+    loop: loops === 0,
+    loops,
+    frameBlending,
+    uvOrigin: 'top-left',
+    frames
+  };
+  if (trim) meta.trim = trim;
+  if (animations) meta.animations = animations;
+  return meta;
+}
+
+// Real-time playback rate for frames sampled evenly over `duration` seconds
+export function realtimeFps(frameCount, duration) {
+  if (frameCount < 2 || !(duration > 0)) return 30;
+  return Math.round(((frameCount - 1) / duration) * 100) / 100;
+}
+
+// Returns [{ filename, text }] for the generic JSON plus each requested engine
+export function flipbookSidecars(meta, engines = []) {
+  const base = 'flipbook';
+  const files = [{ filename: `${base}.json`, text: JSON.stringify(meta, null, 2) }];
+
+  for (const engine of engines) {
+    switch (engine) {
+      case 'unity':
+        files.push({ filename: `${base}.anim`, text: unityAnimationClip(meta, base) });
+        files.push({ filename: `${base}-unity.json`, text: JSON.stringify(unitySettings(meta), null, 2) });
+        break;
+      case 'unreal':
+        files.push({ filename: `${base}-unreal-subuv.json`, text: JSON.stringify(unrealSubUV(meta), null, 2) });
+        break;
+      case 'godot':
+        files.push({ filename: `${base}.tres`, text: godotSpriteFrames(meta, base) });
+        break;
+      default:
+        throw new Error(`Unknown engine "${engine}" (expected ${ENGINES.join(', ')})`);
+    }
+  }
+  return files;
+}
+
+// --- Unity ---
+
+// Unity serializes floats without exponent noise; keep it readable
+function unityFloat(v) {
+  return Number.isInteger(v) ? String(v) : String(Math.round(v * 1e7) / 1e7);
+}
+
+// One stepped (constant) float curve on the MeshRenderer's material
+function unityCurve(attribute, keys) {
+  const keyLines = keys.map(k => `      - serializedVersion: 3
+        time: ${unityFloat(k.time)}
+        value: ${unityFloat(k.value)}
+        inSlope: Infinity
+        outSlope: Infinity
+        tangentMode: 103
+        weightedMode: 0
+        inWeight: 0.33333334
+        outWeight: 0.33333334`).join('\n');
+
+  return `  - curve:
+      serializedVersion: 2
+      m_Curve:
+${keyLines}
+      m_PreInfinity: 2
+      m_PostInfinity: 2
+      m_RotationOrder: 4
+    attribute: ${attribute}
+    path:
+    classID: 23
+    script: {fileID: 0}`;
+}
+
+// AnimationClip stepping _MainTex_ST through the cells. Unity samples textures
+// from the bottom-left, so the row offset is flipped.
+function unityAnimationClip(meta, name) {
+  const frameTime = 1 / meta.fps;
+  const tileX = 1 / meta.columns;
+  const tileY = 1 / meta.rows;
+  const offsetX = [];
+  const offsetY = [];
+
+  meta.frames.forEach((f, i) => {
+    const time = i * frameTime;
+    offsetX.push({ time, value: f.u });
+    offsetY.push({ time, value: 1 - f.v - tileY });
+  });
+  // Hold the last frame for its full duration
+  const last = meta.frames[meta.frames.length - 1];
+  offsetX.push({ time: meta.frames.length * frameTime, value: last.u });
+  offsetY.push({ time: meta.frames.length * frameTime, value: 1 - last.v - tileY });
+
+  const stopTime = meta.frames.length * frameTime;
+  const curves = [
+    unityCurve('material._MainTex_ST.x', [{ time: 0, value: tileX }, { time: stopTime, value: tileX }]),
+    unityCurve('material._MainTex_ST.y', [{ time: 0, value: tileY }, { time: stopTime, value: tileY }]),
+    unityCurve('material._MainTex_ST.z', offsetX),
+    unityCurve('material._MainTex_ST.w', offsetY)
+  ].join('\n');
+
+  return `%YAML 1.1
+%TAG !u! tag:unity3d.com,2011:
+--- !u!74 &7400000
+AnimationClip:
+  m_ObjectHideFlags: 0
+  m_CorrespondingSourceObject: {fileID: 0}
+  m_PrefabInstance: {fileID: 0}
+  m_PrefabAsset: {fileID: 0}
+  m_Name: ${name}
+  serializedVersion: 6
+  m_Legacy: 0
+  m_Compressed: 0
+  m_UseHighQualityCurve: 1
+  m_RotationCurves: []
+  m_CompressedRotationCurves: []
+  m_EulerCurves: []
+  m_PositionCurves: []
+  m_ScaleCurves: []
+  m_FloatCurves:
+${curves}
+  m_PPtrCurves: []
+  m_SampleRate: ${unityFloat(meta.fps)}
+  m_WrapMode: 0
+  m_Bounds:
+    m_Center: {x: 0, y: 0, z: 0}
+    m_Extent: {x: 0, y: 0, z: 0}
+  m_ClipBindingConstant:
+    genericBindings: []
+    pptrCurveMapping: []
+  m_AnimationClipSettings:
+    serializedVersion: 2
+    m_AdditiveReferencePoseClip: {fileID: 0}
+    m_AdditiveReferencePoseTime: 0
+    m_StartTime: 0
+    m_StopTime: ${unityFloat(stopTime)}
+    m_OrientationOffsetY: 0
+    m_Level: 0
+    m_CycleOffset: 0
+    m_HasAdditiveReferencePose: 0
+    m_LoopTime: ${meta.loop ? 1 : 0}
+    m_LoopBlend: 0
+    m_LoopBlendOrientation: 0
+    m_LoopBlendPositionY: 0
+    m_LoopBlendPositionXZ: 0
+    m_KeepOriginalOrientation: 0
+    m_KeepOriginalPositionY: 1
+    m_KeepOriginalPositionXZ: 0
+    m_HeightFromFeet: 0
+    m_Mirror: 0
+  m_EditorCurves:
+${curves}
+  m_EulerEditorCurves: []
+  m_HasGenericRootTransform: 0
+  m_HasMotionFloatCurves: 0
+  m_Events: []
+`;
+}
+
+// Import and particle settings, named after the inspector fields they map to
+function unitySettings(meta) {
+  return {
+    texture: meta.image,
+    textureImporter: {
+      textureType: 'Default',
+      alphaIsTransparency: true,
+      wrapMode: 'Clamp',
+      filterMode: 'Bilinear',
+      // Mips bleed neighbouring cells into each other
+      mipmapEnabled: false,
+      maxTextureSize: Math.max(meta.sheetWidth, meta.sheetHeight)
+    },
+    material: {
+      mainTextureScale: { x: 1 / meta.columns, y: 1 / meta.rows },
+      mainTextureOffset: { x: 0, y: 1 - 1 / meta.rows }
+    },
+    particleSystemTextureSheetAnimation: {
+      mode: 'Grid',
+      numTilesX: meta.columns,
+      numTilesY: meta.rows,
+      animation: 'WholeSheet',
+      timeMode: 'Lifetime',
+      startLifetime: meta.duration,
+      startFrame: 0,
+      cycleCount: 1,
+      // Stops short of the empty trailing cells
+      frameOverTime: { mode: 'Curve', from: 0, to: meta.frameCount / (meta.columns * meta.rows) }
+    }
+  };
+}
+
+// --- Unreal ---
+
+function unrealSubUV(meta) {
+  return {
+    texture: meta.image,
+    textureSettings: {
+      CompressionSettings: 'TC_Default',
+      Filter: 'TF_Bilinear',
+      AddressX: 'TA_Clamp',
+      AddressY: 'TA_Clamp',
+      MipGenSettings: 'TMGS_NoMipmaps',
+      LODGroup: 'TEXTUREGROUP_Effects'
+    },
+    // Niagara: Sprite Renderer + SubUV Animation module
+    niagara: {
+      SubImageSize: { X: meta.columns, Y: meta.rows },
+      bSubImageBlend: meta.frameBlending,
+      SubUVAnimationMode: 'Linear',
+      StartFrame: 0,
+      EndFrame: meta.frameCount - 1,
+      NumberOfFrames: meta.frameCount,
+      PlaybackMode: 'Frame Rate',
+      FrameRate: meta.fps
+    },
+    // Cascade: Required module + SubImage Index over particle life
+    cascade: {
+      InterpolationMethod: meta.frameBlending ? 'PSUVIM_Linear_Blend' : 'PSUVIM_Linear',
+      SubImages_Horizontal: meta.columns,
+      SubImages_Vertical: meta.rows,
+      SubImageIndex: { from: 0, to: meta.frameCount - 1 }
+    },
+    // Material Flipbook node
+    material: {
+      NumberOfRows: meta.rows,
+      NumberOfColumns: meta.columns,
+      AnimationPhase: `Time * ${meta.fps} / ${meta.frameCount}`
+    }
+  };
+}
+
+// --- Godot ---
+
+function godotFloat(v) {
+  return Number.isInteger(v) ? v.toFixed(1) : String(v);
+}
+
+// Godot 4 text resource. The texture path is relative to the .tres file.
+function godotSpriteFrames(meta, name) {
+  const subResources = meta.frames.map(f => `[sub_resource type="AtlasTexture" id="AtlasTexture_${f.index}"]
+atlas = ExtResource("1_color")
+region = Rect2(${f.x}, ${f.y}, ${f.width}, ${f.height})
+`).join('\n');
+
+  const frames = meta.frames.map(f => `{
+"duration": 1.0,
+"texture": SubResource("AtlasTexture_${f.index}")
+}`).join(', ');
+
+  return `[gd_resource type="SpriteFrames" load_steps=${meta.frames.length + 2} format=3]
+
+[ext_resource type="Texture2D" path="${meta.image}" id="1_color"]
+
+${subResources}
+[resource]
+animations = [{
+"frames": [${frames}],
+"loop": ${meta.loop},
+"name": &"${name}",
+"speed": ${godotFloat(meta.fps)}
+}]
+`;
+}
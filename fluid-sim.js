@@ -1,23 +1,75 @@
+import { getDefaultBackend } from './surface-backend.js';
+import { packParticles, unpackParticles } from './particle-buffer.js';
+import { ParticlePool, ACTIVE, MIST, SPLATTER, POOL, MAX_COLORS } from './particle-pool.js';
+import { SpatialHash } from './spatial-hash.js';
+import { resolveMaterial, materialRenderStyle, materialPhase, materialDrying, DRYING_DEFAULTS } from './material-library.js';
+import { SUBSTRATES, fillSubstrate, substrateSourceFromImage } from './substrate.js';
+import { ShallowWater } from './shallow-water.js';
+
+// wrapOffsets() result for non-tileable canvases
+const NO_WRAP = [[0, 0]];
+
+// Closest spacing (px) of recorded Vector Drip vertices
+const VECTOR_MIN_SEGMENT = 3;
+
+// Drying (see dry()): seconds between passes over the surface canvas
+const SURFACE_DRY_INTERVAL = 0.5;
+// Grid height a fluid with evaporation 1 loses per second
+const EVAPORATION_SCALE = 0.05;
+// Coffee-ring effect: liquid at the edge of a stain evaporates faster and
+// leaves more residue, by up to this factor
+const RING_STRENGTH = 3.0;
+
+// Substrates (substrate.js) in the particle modes: velocity a friction 1
+// cell takes per second, mass an absorbency 1 cell drinks per second, and
+// how hard channels (grout lines, grain) pull particles in (px/s^2)
+const SUBSTRATE_DRAG = 6.0;
+const SUBSTRATE_ABSORPTION = 3.0;
+const CHANNEL_PULL = 300.0;
+// ... and in the grid modes: height an absorbency 1 cell soaks up per
+// second, the most it holds, and how fast soaked liquid wicks on
+const SOAK_RATE = 0.3;
+const SOAK_CAPACITY = 1.0;
+const WICK_RATE = 4.0;
+
+// Shallow-water flow in the grid modes (shallow-water.js): pipe acceleration
+// per unit of height difference, damping (1/s) per unit of viscosity and of
+// substrate friction, the longest stable solver step (s), how far the surface
+// drops per cell at full tilt, and the film a surface tension 1 front needs
+// to wet a dry cell
+const GRID_GRAVITY = 400.0;
+const VISCOUS_DAMPING = 6.0;
+const SUBSTRATE_FRICTION = 8.0;
+const MAX_FLOW_DT = 1 / 120;
+const TILT_SLOPE = 0.05;
+const FILM_TENSION = 0.6;
+
 export class FluidSimulator {
-  constructor(width, height) {
+  // options.backend:   surface/raster backend (defaults to DOM in the browser,
+  //                    the pure JS software rasterizer under Node)
+  // options.formation: { data, width, height } RGBA sub-UV sheet for the
+  //                    Realistic Formation mode, or an image URL to load
+  constructor(width, height, options = {}) {
     this.width = width;
     this.height = height;
+    this.backend = options.backend || getDefaultBackend();
 
     // Pseudo Random State
     this.seed = 1337;
 
     // Persistent Surface (the texture)
-    this.surfaceCanvas = document.createElement('canvas');
-    this.surfaceCanvas.width = width;
-    this.surfaceCanvas.height = height;
+    this.surfaceCanvas = this.backend.createCanvas(width, height);
     this.surfaceCtx = this.surfaceCanvas.getContext('2d');
     
     // Wet Map for accumulation (0 = dry, >0 = wet)
     this.wetMap = new Uint8Array(width * height);
     
-    // Particles
-    this.particles = [];
-    this.maxParticles = 6000; // Increased for better pools
+    // Particles (structure-of-arrays pool, see particle-pool.js)
+    this.particles = new ParticlePool();
+    // Wall spray and ballistic fit 12000 in a frame; a one-click pool,
+    // where every particle repels its neighbours, fits about this many
+    // (node bench-particles.js)
+    this.maxParticles = 8000; // Increased for better pools
     
     // Properties
     this.mode = 'wall';
@@ -36,59 +88,133 @@ export class FluidSimulator {
     
     // Turbulence for floor pools
     this.turbulence = 0;
-    this.noiseOffset = Math.random() * 1000;
+    // Drawn from the seeded PRNG (never Math.random) so replays match exactly
+    this.noiseOffset = this.random() * 1000;
     
     // Active Emitters (for slow pool formation)
     this.emitters = [];
 
     // Vector Drip Heads
     this.dripHeads = [];
+
+    // First spawn since the last reset; exports use it as the sprite pivot
+    this.impactPoint = null;
+
+    // Vector Drip geometry as it is drawn, for the SVG / Lottie export:
+    // blobs:   [{ x, y, r, time, color }]
+    // strokes: [{ parent, color, points: [{ x, y, width, time }] }], parent is
+    //          the stroke a branch (or a wrapped continuation) split off from
+    this.vectorPaths = { blobs: [], strokes: [] };
+    // Seconds simulated since the last reset (before timeScale)
+    this.elapsed = 0;
     
     // Shape Mask (Constraint)
-    this.maskCanvas = document.createElement('canvas');
-    this.maskCanvas.width = width;
-    this.maskCanvas.height = height;
+    this.maskCanvas = this.backend.createCanvas(width, height);
     this.maskCtx = this.maskCanvas.getContext('2d');
     this.maskData = new Uint8Array(width * height); // 0 = blocked, 1 = open
     this.hasMask = false;
 
     // Shader/Material Props
     this.material = 'custom';
+    this.renderStyle = 'standard'; // 'blood' for layered dark pools (see material-library.js)
+    this.phase = 'aqueous'; // fluids of one phase blend where they meet
     this.surfaceTension = 0.3;
 
+    // Drying (see dry()), off unless switched on. How each material dries
+    // is part of its preset (material-library.js).
+    this.drying = false;
+    this.dryingSpeed = 1.0;
+    this.evaporation = DRYING_DEFAULTS.evaporation;
+    this.residue = DRYING_DEFAULTS.residue;
+    this.dryColor = DRYING_DEFAULTS.dryColor;
+    // Seconds of drying since the last reset, and when the surface canvas
+    // was last dried
+    this.dryingTime = 0;
+    this.surfaceDriedAt = 0;
+
+    // Fluids in the scene. Particles (particles.fluids) and grid cells
+    // (gridFluid) hold an index into this table, so liquids poured as
+    // different materials keep their own physics and shading side by side.
+    // One entry per material; the sliders edit the current one (syncFluid()).
+    this.fluids = [];
+    this.fluid = 0;
+
     // Time & Accuracy
     this.timeScale = 1.0;
     this.substeps = 3;
+    // Pool stains are stamped once per frame, on the last substep, rather
+    // than faintly on every substep: the particles move well under a pixel
+    // between substeps, and the arc fills are what the canvas pays for
+    this.stampStep = true;
     this.paused = false;
 
     // New Properties
     this.particleLifetime = 10.0;
     this.infiniteLifetime = false;
+    // Toroidal canvas: fluid leaving one edge re-enters on the opposite one,
+    // so the surface tiles seamlessly
+    this.tileable = false;
     this.sizeRandomness = 0.5;
     this.poolingRandomness = 0.2;
+    // Surface tilt in the grid modes, -1..1 along x and y: liquid runs
+    // toward +x / +y for positive values
+    this.tiltX = 0;
+    this.tiltY = 0;
 
     // Smart Expansion Mode Props - High Fidelity
     this.gridScale = 0.25; // Optimized for performance (was 0.5)
     this.gridWidth = Math.ceil(width * this.gridScale);
     this.gridHeight = Math.ceil(height * this.gridScale);
     this.grid = new Float32Array(this.gridWidth * this.gridHeight);
-    // Static maps
+    // Per cell: fluid index of what fills most of it, and color times
+    // height (r, g, b), which flows along with the fluid so colors mix
+    this.gridFluid = new Uint8Array(this.gridWidth * this.gridHeight);
+    this.gridPigment = new Float32Array(this.gridWidth * this.gridHeight * 3);
+    // Drying, per cell: dryingTime when liquid last landed there (-1: never),
+    // and the residue left behind in the grid modes (in grid height units)
+    this.gridWetTime = new Float32Array(this.gridWidth * this.gridHeight).fill(-1);
+    this.gridResidue = new Float32Array(this.gridWidth * this.gridHeight);
+    // Liquid soaked into the substrate, per cell (grid modes)
+    this.gridSoak = new Float32Array(this.gridWidth * this.gridHeight);
+    this.nextSoak = new Float32Array(this.gridWidth * this.gridHeight);
+
+    // Surface substrate (substrate.js): 'procedural' noise, a material
+    // ('tile', 'wood', ...) or 'custom', built from substrateSource, the
+    // luminance of the image at substrateImage
+    this.substrate = 'procedural';
+    this.substrateSource = null;
+    this.substrateImage = null;
+    // Preview of the substrate for the overlay
+    this.substrateCanvas = this.backend.createCanvas(this.gridWidth, this.gridHeight);
+
+    // Static maps: friction, channels (permeability) and absorbency
     this.roughnessMap = new Float32Array(this.gridWidth * this.gridHeight);
     this.permeabilityMap = new Float32Array(this.gridWidth * this.gridHeight);
+    this.absorbencyMap = new Float32Array(this.gridWidth * this.gridHeight);
     this.initRoughness();
-    this.gridCanvas = document.createElement('canvas');
-    this.gridCanvas.width = this.gridWidth;
-    this.gridCanvas.height = this.gridHeight;
+    this.gridCanvas = this.backend.createCanvas(this.gridWidth, this.gridHeight);
     this.gridCtx = this.gridCanvas.getContext('2d');
     this.gridImgData = this.gridCtx.createImageData(this.gridWidth, this.gridHeight);
     
     // Pre-allocate for performance
     this.nextGrid = new Float32Array(this.gridWidth * this.gridHeight);
-
-    // Spatial Hashing for Performance
+    this.nextPigment = new Float32Array(this.gridWidth * this.gridHeight * 3);
+    // Grid-mode flow: the solver (its pipe fluxes are the liquid's momentum)
+    // and per-cell scratch maps of open (unmasked) cells and pipe conductance
+    this.water = new ShallowWater(this.gridWidth, this.gridHeight);
+    this.gridOpen = new Uint8Array(this.gridWidth * this.gridHeight);
+    this.gridConductance = new Float32Array(this.gridWidth * this.gridHeight);
+
+    // Spatial Hashing for Performance: minimum cell size (px); cells grow to
+    // the interaction radius. Rebuilt by applyRepulsion() every step, so other
+    // per-step code can query it too.
     this.gridCellSize = 20; 
-    // Enough buckets for 1024x1024 with 20px cells (approx 52x52 = 2704)
-    this.buckets = Array.from({ length: 3000 }, () => []);
+    this.neighborHash = new SpatialHash();
+    // Repulsion scratch, in the hash's bucket order: velocity change and
+    // interaction count per particle
+    this.repulsionDvx = new Float64Array(0);
+    this.repulsionDvy = new Float64Array(0);
+    this.repulsionCounts = new Uint8Array(0);
 
     // Realistic Formation Asset
     this.formationData = null;
@@ -98,26 +224,39 @@ export class FluidSimulator {
     // Fallback generation in case image fails
     this.createFallbackFormationData();
 
-    const img = new Image();
-    img.crossOrigin = "Anonymous";
-    img.onload = () => {
+    const formation = options.formation !== undefined ? options.formation : 't_puddle_06_alpha_subUV.png';
+    if (typeof formation === 'string') {
+        this.loadFormation(formation);
+    } else if (formation) {
+        this.setFormationData(formation.data, formation.width, formation.height);
+    }
+  }
+
+  setFormationData(data, width, height) {
+    this.formationData = data;
+    this.formationWidth = width;
+    this.formationHeight = height;
+  }
+
+  loadFormation(src) {
+    // Headless backends can't decode images; keep the fallback
+    if (!this.backend.loadImage) return Promise.resolve(false);
+
+    return this.backend.loadImage(src).then((img) => {
         try {
-            const c = document.createElement('canvas');
-            c.width = img.width;
-            c.height = img.height;
+            const c = this.backend.createCanvas(img.width, img.height);
             const ctx = c.getContext('2d');
             ctx.drawImage(img, 0, 0);
-            this.formationData = ctx.getImageData(0, 0, img.width, img.height).data;
-            this.formationWidth = img.width;
-            this.formationHeight = img.height;
+            this.setFormationData(ctx.getImageData(0, 0, img.width, img.height).data, img.width, img.height);
+            return true;
         } catch(e) {
             console.warn("Could not read image data (CORS?), keeping fallback.");
+            return false;
         }
-    };
-    img.onerror = () => {
+    }, () => {
         console.warn("Flipbook asset failed to load, using fallback.");
-    };
-    img.src = 't_puddle_06_alpha_subUV.png';
+        return false;
+    });
   }
 
   createFallbackFormationData() {
@@ -160,6 +299,14 @@ export class FluidSimulator {
   }
 
   initRoughness() {
+    if (this.substrate !== 'procedural') {
+        const maps = { channel: this.permeabilityMap, friction: this.roughnessMap, absorbency: this.absorbencyMap };
+        fillSubstrate(this.substrate, maps, this.gridWidth, this.gridHeight, { scale: this.gridScale, seed: this.noiseOffset, source: this.substrateSource });
+        this.renderSubstrate();
+        return;
+    }
+    this.absorbencyMap.fill(0);
+
     // Generate static surface roughness and permeability
     for(let y=0; y<this.gridHeight; y++) {
         for(let x=0; x<this.gridWidth; x++) {
@@ -180,6 +327,8 @@ export class FluidSimulator {
   }
 
   // PRNG
+  // The only source of randomness in the simulation. Its whole state is
+  // `this.seed`, which is logged with every event so replays can resync.
   random() {
     const x = Math.sin(this.seed++) * 10000;
     return x - Math.floor(x);
@@ -215,12 +364,14 @@ export class FluidSimulator {
   }
   
   setSeed(s) { this.seed = s; }
+  setPaused(val) { this.paused = val; }
 
   // Setters
   setTurbulence(val) { this.turbulence = val; }
   setPoolingRandomness(val) { this.poolingRandomness = val; }
   setParticleLifetime(val) { this.particleLifetime = val; }
   setInfiniteLifetime(val) { this.infiniteLifetime = val; }
+  setTileable(val) { this.tileable = val; }
   setSizeRandomness(val) { this.sizeRandomness = val; }
   setTimeScale(val) { this.timeScale = val; }
   togglePause() {
@@ -229,6 +380,44 @@ export class FluidSimulator {
   }
 
   setSubsteps(val) { this.substeps = Math.max(1, val); }
+  setTilt(x, y) {
+    this.tiltX = Math.max(-1, Math.min(1, x));
+    this.tiltY = Math.max(-1, Math.min(1, y));
+  }
+
+  // name: a SUBSTRATES key (substrate.js). 'custom' keeps the last uploaded
+  // texture (setSubstrateFromImage()).
+  setSubstrate(name) {
+    if (!SUBSTRATES[name]) throw new Error(`Unknown substrate "${name}"`);
+    this.substrate = name;
+    this.initRoughness();
+  }
+
+  // img: a loaded image (backend.loadImage). src is what it was loaded
+  // from, kept so init events can load it again.
+  setSubstrateFromImage(img, src = null) {
+    const c = this.backend.createCanvas(img.width, img.height);
+    const ctx = c.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+    this.substrateSource = substrateSourceFromImage(ctx.getImageData(0, 0, img.width, img.height));
+    this.substrateImage = src;
+    this.setSubstrate('custom');
+  }
+
+  // Shades the channel map into substrateCanvas: grooves dark, raised light
+  renderSubstrate() {
+    const ctx = this.substrateCanvas.getContext('2d');
+    const img = ctx.createImageData(this.gridWidth, this.gridHeight);
+    for (let i = 0; i < this.permeabilityMap.length; i++) {
+        const v = 255 * (1 - 0.6 * this.permeabilityMap[i]);
+        img.data[i * 4] = v;
+        img.data[i * 4 + 1] = v;
+        img.data[i * 4 + 2] = v;
+        img.data[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(img, 0, 0);
+  }
+
   setMode(mode) { 
     this.mode = mode; 
     this.reset();
@@ -254,26 +443,26 @@ export class FluidSimulator {
   setParticleSize(val) { this.particleSize = 4 + val * 2; }
   setOpacity(val) { this.opacity = val; }
   setColor(val) { this.color = val; }
+  setDrying(val) { this.drying = val; }
+  setDryingSpeed(val) { this.dryingSpeed = val; }
+  setEvaporation(val) { this.evaporation = val; }
+  setResidue(val) { this.residue = val; }
+  setDryColor(val) { this.dryColor = val; }
   
+  // mat: a built-in material id, 'custom', or a user preset object
+  // (material-library.js). Settings the preset leaves out keep their values.
   applyMaterial(mat) {
-    this.material = mat;
-    const presets = {
-      water: { color: '#2b95ff', viscosity: 0.1, density: 40, opacity: 0.6, tension: 0.4 },
-      blood: { color: '#7a0000', viscosity: 0.5, density: 80, opacity: 0.95, tension: 0.6, turbulence: 0.4 },
-      oil: { color: '#1a1a1a', viscosity: 0.4, density: 55, opacity: 0.98, tension: 0.5 },
-      honey: { color: '#dca600', viscosity: 0.8, density: 80, opacity: 0.9, tension: 0.8 },
-      slime: { color: '#52ff00', viscosity: 0.6, density: 65, opacity: 0.8, tension: 0.6 },
-      chocolate: { color: '#3e2723', viscosity: 0.7, density: 70, opacity: 1.0, tension: 0.6 }
-    };
-    
-    if (presets[mat]) {
-      const p = presets[mat];
-      this.color = p.color;
-      this.viscosity = p.viscosity;
-      this.density = p.density;
-      this.opacity = p.opacity;
-      this.surfaceTension = p.tension || 0.3;
-      this.turbulence = p.turbulence !== undefined ? p.turbulence : 0;
+    const p = resolveMaterial(mat);
+    this.material = p ? (p.id || 'custom') : mat;
+    this.renderStyle = p && p.renderStyle ? p.renderStyle : 'standard';
+    this.phase = p && p.phase ? p.phase : 'aqueous';
+
+    if (p) {
+      if (p.color) this.color = p.color;
+      if (p.dryColor) this.dryColor = p.dryColor;
+      for (const field of ['viscosity', 'density', 'opacity', 'surfaceTension', 'turbulence', 'particleLifetime', 'sizeRandomness', 'evaporation', 'residue']) {
+        if (p[field] !== undefined) this[field] = p[field];
+      }
       
       // Return values to UI
       return p;
@@ -281,11 +470,40 @@ export class FluidSimulator {
     return null;
   }
 
+  // Makes the current material's entry in this.fluids the current fluid,
+  // adding it on first use, and refreshes it from the current settings.
+  // Up to 256 fluids; past that the last entry is reused.
+  syncFluid() {
+    let index = this.fluids.findIndex(f => f.material === this.material);
+    if (index < 0) {
+      index = Math.min(this.fluids.length, 255);
+      this.fluids[index] = { material: this.material };
+    }
+    const f = this.fluids[index];
+    f.color = this.color;
+    f.rgb = this.hexToRgb(this.color);
+    f.viscosity = this.viscosity;
+    f.density = this.density;
+    f.surfaceTension = this.surfaceTension;
+    f.turbulence = this.turbulence;
+    f.opacity = this.opacity;
+    f.renderStyle = this.renderStyle;
+    f.phase = this.phase;
+    f.evaporation = this.evaporation;
+    f.residue = this.residue;
+    f.dryColor = this.dryColor;
+    this.fluid = index;
+    return index;
+  }
+
+  // Whether two fluids blend where they meet
+  fluidsMix(a, b) {
+    return a === b || this.fluids[a].phase === this.fluids[b].phase;
+  }
+
   resize(width, height) {
     // Save current content
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = this.width;
-    tempCanvas.height = this.height;
+    const tempCanvas = this.backend.createCanvas(this.width, this.height);
     tempCanvas.getContext('2d').drawImage(this.surfaceCanvas, 0, 0);
 
     this.width = width;
@@ -301,9 +519,22 @@ export class FluidSimulator {
     this.gridHeight = Math.ceil(height * this.gridScale);
     this.grid = new Float32Array(this.gridWidth * this.gridHeight);
     this.nextGrid = new Float32Array(this.gridWidth * this.gridHeight);
+    this.gridFluid = new Uint8Array(this.gridWidth * this.gridHeight);
+    this.gridPigment = new Float32Array(this.gridWidth * this.gridHeight * 3);
+    this.nextPigment = new Float32Array(this.gridWidth * this.gridHeight * 3);
+    this.gridWetTime = new Float32Array(this.gridWidth * this.gridHeight).fill(-1);
+    this.gridResidue = new Float32Array(this.gridWidth * this.gridHeight);
+    this.gridSoak = new Float32Array(this.gridWidth * this.gridHeight);
+    this.nextSoak = new Float32Array(this.gridWidth * this.gridHeight);
+    this.water.resize(this.gridWidth, this.gridHeight);
+    this.gridOpen = new Uint8Array(this.gridWidth * this.gridHeight);
+    this.gridConductance = new Float32Array(this.gridWidth * this.gridHeight);
     
     this.roughnessMap = new Float32Array(this.gridWidth * this.gridHeight);
     this.permeabilityMap = new Float32Array(this.gridWidth * this.gridHeight);
+    this.absorbencyMap = new Float32Array(this.gridWidth * this.gridHeight);
+    this.substrateCanvas.width = this.gridWidth;
+    this.substrateCanvas.height = this.gridHeight;
     this.initRoughness();
 
     this.gridCanvas.width = this.gridWidth;
@@ -323,14 +554,27 @@ export class FluidSimulator {
   }
 
   reset() {
-    this.particles = [];
+    this.particles.clear();
     this.emitters = [];
     this.dripHeads = [];
+    this.impactPoint = null;
+    this.vectorPaths = { blobs: [], strokes: [] };
+    this.elapsed = 0;
     this.surfaceCtx.clearRect(0, 0, this.width, this.height);
     this.wetMap.fill(0);
     this.grid.fill(0);
+    this.gridFluid.fill(0);
+    this.gridPigment.fill(0);
+    this.gridWetTime.fill(-1);
+    this.gridResidue.fill(0);
+    this.gridSoak.fill(0);
+    this.water.clear();
+    this.dryingTime = 0;
+    this.surfaceDriedAt = 0;
+    this.fluids = [];
+    this.fluid = 0;
     this.seed = 1337; 
-    this.noiseOffset = Math.random() * 1000;
+    this.noiseOffset = this.random() * 1000;
     this.initRoughness();
   }
   
@@ -391,6 +635,8 @@ export class FluidSimulator {
   }
 
   spawn(x, y) {
+    if (!this.impactPoint) this.impactPoint = { x, y };
+
     if (this.mode === 'experimental') {
         this.spawnExperimental(x, y);
         return;
@@ -408,6 +654,8 @@ export class FluidSimulator {
         return;
     }
 
+    const fluid = this.syncFluid();
+
     // If single drop, spawn one big blob
     if (this.spawnMode === 'drop') {
       this.spawnBlob(x, y);
@@ -420,9 +668,9 @@ export class FluidSimulator {
     const baseSpeed = this.spawnVelocity * 20;
 
     for(let i=0; i<count; i++) {
-      if (this.particles.length >= this.maxParticles) {
-        if (this.mode === 'wall') this.particles.shift(); 
-        else if (this.random() > 0.5) this.particles.shift(); // Recycle faster in floor mode to leave stains
+      if (this.particles.count >= this.maxParticles) {
+        if (this.mode === 'wall') this.particles.evictOldest(); 
+        else if (this.random() > 0.5) this.particles.evictOldest(); // Recycle faster in floor mode to leave stains
       }
 
       // Size Randomness: 0 = uniform, 1 = huge variance
@@ -456,19 +704,8 @@ export class FluidSimulator {
         y += (this.random() - 0.5) * 5;
       }
 
-      this.particles.push({
-        x: x,
-        y: y,
-        prevX: x,
-        prevY: y,
-        vx: vx,
-        vy: vy,
-        mass: mass,
-        initialMass: mass,
-        color: colorStr,
-        active: true,
-        life: this.particleLifetime // for floor mode fading
-      });
+      // life is for floor mode fading
+      this.particles.add(x, y, vx, vy, mass, mass, this.particleLifetime, colorStr, ACTIVE, fluid);
     }
   }
 
@@ -485,6 +722,7 @@ export class FluidSimulator {
       this.emitters.push({
           x: x, y: y,
           type: 'experimental',
+          fluid: this.syncFluid(),
           duration: 99999,
           active: true,
           age: 0,
@@ -496,6 +734,7 @@ export class FluidSimulator {
       this.emitters.push({
           x: x, y: y,
           type: 'smart',
+          fluid: this.syncFluid(),
           duration: 99999,
           active: true,
           age: 0
@@ -508,18 +747,26 @@ export class FluidSimulator {
       const r = this.particleSize * 3;
       
       this.surfaceCtx.fillStyle = this.color;
-      this.surfaceCtx.beginPath();
-      this.surfaceCtx.arc(x, y, r, 0, Math.PI*2);
-      this.surfaceCtx.fill();
+      this.drawOnSurface(x, y, r, () => {
+          this.surfaceCtx.beginPath();
+          this.surfaceCtx.arc(x, y, r, 0, Math.PI*2);
+          this.surfaceCtx.fill();
+      });
+      this.vectorPaths.blobs.push({ x, y, r, time: this.elapsed, color: this.color });
+      this.markWet(x, y, r, this.syncFluid());
       
       // Add some random droplets around
       for(let i=0; i<count; i++) {
           const angle = this.random() * Math.PI * 2;
           const dist = this.random() * r * 1.5;
           const size = this.random() * r * 0.4;
-          this.surfaceCtx.beginPath();
-          this.surfaceCtx.arc(x + Math.cos(angle)*dist, y + Math.sin(angle)*dist, size, 0, Math.PI*2);
-          this.surfaceCtx.fill();
+          const dx = x + Math.cos(angle)*dist, dy = y + Math.sin(angle)*dist;
+          this.drawOnSurface(dx, dy, size, () => {
+              this.surfaceCtx.beginPath();
+              this.surfaceCtx.arc(dx, dy, size, 0, Math.PI*2);
+              this.surfaceCtx.fill();
+          });
+          this.vectorPaths.blobs.push({ x: dx, y: dy, r: size, time: this.elapsed, color: this.color });
       }
 
       // 2. Spawn Active Drip Heads
@@ -529,16 +776,19 @@ export class FluidSimulator {
       for(let i=0; i<dripCount; i++) {
           const w = 4 + this.random() * 6; // Width
           const speed = 50 + this.random() * 50;
+          const hx = x + (this.random() - 0.5) * r;
+          const hy = y + (this.random() - 0.5) * r;
           
           this.dripHeads.push({
-              x: x + (this.random() - 0.5) * r,
-              y: y + (this.random() - 0.5) * r,
+              x: hx,
+              y: hy,
               prevX: x, 
               prevY: y,
               vx: 0,
               vy: speed,
               width: w,
-              active: true
+              active: true,
+              path: this.startVectorStroke(hx, hy, w)
           });
       }
   }
@@ -573,6 +823,7 @@ export class FluidSimulator {
     };
 
     const stats = calibers[this.activeCaliber] || calibers['9mm'];
+    const fluid = this.syncFluid();
     const rgb = this.hexToRgb(this.color);
     const colorStr = `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, 1)`;
     
@@ -591,7 +842,7 @@ export class FluidSimulator {
     const velocityScale = 30.0; // Significant boost from previous 15
 
     for(let i=0; i<count; i++) {
-        if (this.particles.length >= this.maxParticles) this.particles.shift();
+        if (this.particles.count >= this.maxParticles) this.particles.evictOldest();
 
         // 1. Determine type: Splatter (Super fast), Mist (fast, small), or Drop (heavier)
         const r = this.random();
@@ -628,18 +879,11 @@ export class FluidSimulator {
         const sx = x + Math.cos(theta) * spawnOffset;
         const sy = y + Math.sin(theta) * spawnOffset;
 
-        this.particles.push({
-            x: sx, y: sy, prevX: sx, prevY: sy,
-            vx: Math.cos(theta) * speed, 
-            vy: Math.sin(theta) * speed,
-            mass: mass,
-            initialMass: mass,
-            color: colorStr,
-            active: true,
-            life: this.particleLifetime,
-            isMist: (type === 'mist'),
-            isSplatter: (type === 'splatter') // New flag for low friction
-        });
+        let flags = ACTIVE;
+        if (type === 'mist') flags |= MIST;
+        if (type === 'splatter') flags |= SPLATTER; // New flag for low friction
+        this.particles.add(sx, sy, Math.cos(theta) * speed, Math.sin(theta) * speed,
+            mass, mass, this.particleLifetime, colorStr, flags, fluid);
     }
   }
 
@@ -671,6 +915,7 @@ export class FluidSimulator {
         age: 0,
         duration: duration,
         type: 'pool', // Simplified type
+        fluid: this.syncFluid(), // keeps pouring this fluid after a material switch
         wanderAngle: this.random() * Math.PI * 2,
         pulsePhase: 0
     });
@@ -683,7 +928,7 @@ export class FluidSimulator {
     const impactForce = this.spawnVelocity * 10; 
 
     for (let i = 0; i < particleCount; i++) {
-      if (this.particles.length >= this.maxParticles) this.particles.shift();
+      if (this.particles.count >= this.maxParticles) this.particles.evictOldest();
 
       const angle = this.random() * Math.PI * 2;
       const r = this.random() * this.particleSize * 2;
@@ -706,15 +951,7 @@ export class FluidSimulator {
       const variance = (this.random() - 0.5) * 2.0 * this.sizeRandomness;
       const mass = this.particleSize * (1.0 + variance);
 
-      this.particles.push({
-        x: px, y: py, prevX: px, prevY: py,
-        vx: vx, vy: vy,
-        mass: mass,
-        initialMass: this.particleSize,
-        color: colorStr,
-        active: true,
-        life: this.particleLifetime
-      });
+      this.particles.add(px, py, vx, vy, mass, this.particleSize, this.particleLifetime, colorStr, ACTIVE, this.fluid);
     }
   }
 
@@ -726,11 +963,18 @@ export class FluidSimulator {
     const stepDt = finalDt / steps;
     
     for(let i=0; i<steps; i++) {
+        this.stampStep = i === steps - 1;
         this.step(stepDt);
     }
+    this.stampStep = true;
+    this.elapsed += dt;
   }
 
   step(dt) {
+    // Slider changes reach the current fluid
+    this.syncFluid();
+    if (this.drying) this.dry(dt * this.dryingSpeed);
+
     // 1. Process Emitters (Particle Spawning)
     // NOTE: Smart and TLOU emitters are processed in their respective update functions
     for (let i = this.emitters.length - 1; i >= 0; i--) {
@@ -785,15 +1029,16 @@ export class FluidSimulator {
         const frac = count - whole;
         const numToSpawn = whole + (this.random() < frac ? 1 : 0);
         
-        const rgb = this.hexToRgb(this.color);
+        // Emitters saved before per-particle fluids pour the current one
+        const fluid = e.fluid !== undefined ? e.fluid : this.fluid;
+        const rgb = this.fluids[fluid].rgb;
         const colorStr = `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, 1)`;
         
         for(let k=0; k<numToSpawn; k++) {
-            if (this.particles.length >= this.maxParticles) {
+            if (this.particles.count >= this.maxParticles) {
                 // Steal from oldest? Or random?
                 // Random avoids flickering of new particles
-                const idx = Math.floor(this.random() * this.particles.length);
-                this.particles.splice(idx, 1);
+                this.particles.remove(Math.floor(this.random() * this.particles.count));
             }
 
             // Direction: Bias towards wanderAngle but with spread
@@ -815,19 +1060,12 @@ export class FluidSimulator {
             const jx = (this.random() - 0.5) * jitter;
             const jy = (this.random() - 0.5) * jitter;
 
-            this.particles.push({
-                x: px + jx, y: py + jy, prevX: px, prevY: py,
-                vx: Math.cos(angle) * v, 
-                vy: Math.sin(angle) * v,
-                originX: e.originX !== undefined ? e.originX : e.x,
-                originY: e.originY !== undefined ? e.originY : e.y,
-                mass: mass,
-                initialMass: this.particleSize,
-                color: colorStr,
-                active: true,
-                life: this.particleLifetime, 
-                pool: true
-            });
+            const slot = this.particles.add(px + jx, py + jy, Math.cos(angle) * v, Math.sin(angle) * v,
+                mass, this.particleSize, this.particleLifetime, colorStr, ACTIVE | POOL, fluid);
+            this.particles.prevX[slot] = px;
+            this.particles.prevY[slot] = py;
+            this.particles.originX[slot] = e.originX !== undefined ? e.originX : e.x;
+            this.particles.originY[slot] = e.originY !== undefined ? e.originY : e.y;
         }
     }
 
@@ -857,19 +1095,31 @@ export class FluidSimulator {
 
     if (this.mode === 'floor' || this.mode === 'one-click') {
       this.applyRepulsion(dt);
+      this.mixFluids(dt);
     }
 
-    for (let i = this.particles.length - 1; i >= 0; i--) {
-      const p = this.particles[i];
-      p.prevX = p.x;
-      p.prevY = p.y;
+    // Backwards over the pool's live list, so remove(k) only moves in
+    // particles that were already stepped
+    const P = this.particles;
+    const substrate = this.substrate !== 'procedural' ? SUBSTRATES[this.substrate] : null;
+    const floorFriction = this.fluids.map(f => Math.exp(-Math.max(0.1, f.viscosity) * 2.0 * dt));
+    for (let k = P.count - 1; k >= 0; k--) {
+      const i = P.live[k];
+      let x = P.x[i], y = P.y[i], vx = P.vx[i], vy = P.vy[i];
+      let mass = P.mass[i], life = P.life[i];
+      const originX = P.originX[i], originY = P.originY[i];
+      const flags = P.flags[i];
+      const color = P.colorOf(i);
+      const fluid = this.fluids[P.fluids[i]];
+      let prevX = x;
+      let prevY = y;
       
-      const speed = Math.sqrt(p.vx*p.vx + p.vy*p.vy);
+      const speed = Math.sqrt(vx*vx + vy*vy);
 
       if (this.mode === 'wall' || this.mode === 'ballistic') {
         // Check wet map at particle position
-        const ix = Math.floor(p.x);
-        const iy = Math.floor(p.y);
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
         let wetVal = 0;
         
         // Simple bounds check
@@ -878,21 +1128,21 @@ export class FluidSimulator {
         }
 
         const gravity = 2500 * this.gravityStrength;
-        p.vy += gravity * dt;
+        vy += gravity * dt;
         
         // Simplified friction for classic drip behavior
-        const viscosityFactor = Math.max(0.1, this.viscosity);
+        const viscosityFactor = Math.max(0.1, fluid.viscosity);
         let friction = 1.0 - (viscosityFactor * 2.0 * dt);
         
         // BALLISTIC MODES
         if (this.mode === 'ballistic') {
-             if (p.isSplatter) {
+             if ((flags & SPLATTER)) {
                  // High friction to simulate impact "splat" on the wall plane
                  // This prevents them from flying across the canvas like bullets
                  friction = 1.0 - (20.0 * dt); 
-             } else if (p.isMist) {
+             } else if ((flags & MIST)) {
                  friction = 1.0 - (25.0 * dt); 
-                 if (speed < 100) p.mass -= dt * 10.0; 
+                 if (speed < 100) mass -= dt * 10.0; 
              }
         }
 
@@ -902,52 +1152,55 @@ export class FluidSimulator {
         }
         if (friction < 0) friction = 0;
 
-        p.vx *= friction;
-        p.vy *= friction;
+        vx *= friction;
+        vy *= friction;
 
         // Mass Loss on Wall = Streaks
         const dist = speed * dt;
         // Lower loss rate allows drips to flow much further
-        let lossRate = 0.01 * (1.0 - this.viscosity * 0.5);
+        let lossRate = 0.01 * (1.0 - fluid.viscosity * 0.5);
         
         // Streak / Trail Logic
         // Only streak if there is enough mass (buildup) or the surface is already wet.
         const massThreshold = this.particleSize * 0.8; 
         const wetThreshold = 5; 
-        const canStreak = (p.mass > massThreshold) || (wetVal > wetThreshold);
+        const canStreak = (mass > massThreshold) || (wetVal > wetThreshold);
 
         if (canStreak) {
             // Reduce loss on existing liquid (re-wetting)
             if (wetVal > 0) {
                 lossRate *= 0.4;
             }
-            p.mass -= dist * lossRate; 
+            mass -= dist * lossRate; 
         } else {
              // Minimal loss for non-streaking drops
-             p.mass -= dist * (lossRate * 0.1);
+             mass -= dist * (lossRate * 0.1);
         }
         
         // Random deviation / Meandering
         if (speed > 10) {
-           p.vx += (this.random() - 0.5) * 150 * (1-this.viscosity) * dt;
+           vx += (this.random() - 0.5) * 150 * (1-fluid.viscosity) * dt;
         }
 
         // Draw Trails Immediately for Wall Mode
         // Only draw streak if we determined it can streak
-        if (p.active && p.mass > 0.5 && canStreak) {
-          this.surfaceCtx.fillStyle = p.color;
-          this.surfaceCtx.strokeStyle = p.color;
-          const width = p.mass * 2;
+        if ((flags & ACTIVE) && mass > 0.5 && canStreak) {
+          this.surfaceCtx.fillStyle = color;
+          this.surfaceCtx.strokeStyle = color;
+          const width = mass * 2;
           this.surfaceCtx.lineWidth = width;
           this.surfaceCtx.lineCap = 'round';
           this.surfaceCtx.lineJoin = 'round';
-          this.surfaceCtx.beginPath();
-          this.surfaceCtx.moveTo(p.prevX, p.prevY);
-          this.surfaceCtx.lineTo(p.x, p.y);
-          this.surfaceCtx.stroke();
-          this.surfaceCtx.beginPath();
-          this.surfaceCtx.arc(p.x, p.y, p.mass, 0, Math.PI * 2);
-          this.surfaceCtx.fill();
+          this.drawOnSurface(x, y, width + Math.abs(x - prevX) + Math.abs(y - prevY), () => {
+              this.surfaceCtx.beginPath();
+              this.surfaceCtx.moveTo(prevX, prevY);
+              this.surfaceCtx.lineTo(x, y);
+              this.surfaceCtx.stroke();
+              this.surfaceCtx.beginPath();
+              this.surfaceCtx.arc(x, y, mass, 0, Math.PI * 2);
+              this.surfaceCtx.fill();
+          });
+          this.markWet(x, y, width / 2, P.fluids[i]);
 
           // Update WetMap (Accumulate)
           if (ix >= 0 && ix < this.width && iy >= 0 && iy < this.height) {
@@ -956,33 +1209,38 @@ export class FluidSimulator {
              if (this.wetMap[idx] < 255 - increase) this.wetMap[idx] += increase; else this.wetMap[idx] = 255;
              
              // Spread wetness slightly to neighbors to create paths
-             if (ix+1 < this.width && this.wetMap[idx+1] < 255) this.wetMap[idx+1] = Math.min(255, this.wetMap[idx+1] + 10);
-             if (ix-1 >= 0 && this.wetMap[idx-1] < 255) this.wetMap[idx-1] = Math.min(255, this.wetMap[idx-1] + 10);
-             if (iy+1 < this.height && this.wetMap[idx+this.width] < 255) this.wetMap[idx+this.width] = Math.min(255, this.wetMap[idx+this.width] + 10);
+             const spread = (n) => {
+                 if (n >= 0 && this.wetMap[n] < 255) this.wetMap[n] = Math.min(255, this.wetMap[n] + 10);
+             };
+             spread(this.pixelIndex(ix + 1, iy));
+             spread(this.pixelIndex(ix - 1, iy));
+             spread(this.pixelIndex(ix, iy + 1));
           }
         }
 
       } else if (this.mode === 'floor' || this.mode === 'one-click') {
         // FLOOR / POOL MODE - Organic Pool Growth
-        const viscosityFactor = Math.max(0.1, this.viscosity);
         // Base friction
-        let friction = Math.exp(-viscosityFactor * 2.0 * dt); 
+        let friction = floorFriction[P.fluids[i]];
         
         // Coherent Terrain/Noise Influence for "Fingering"
-        const nVal = this.noise(p.x, p.y);
+        const nVal = this.noise(x, y);
         
         // 1. Group Movement (Turbulence)
         const angle = nVal * Math.PI * 4;
+        const flows = fluid.turbulence > 0 || this.mode === 'one-click';
+        const flowX = flows ? Math.cos(angle) : 0;
+        const flowY = flows ? Math.sin(angle) : 0;
         
-        if (this.turbulence > 0) {
-           const turbStrength = this.turbulence * 80; 
+        if (fluid.turbulence > 0) {
+           const turbStrength = fluid.turbulence * 80; 
            
-           p.vx += Math.cos(angle) * turbStrength * dt;
-           p.vy += Math.sin(angle) * turbStrength * dt;
+           vx += flowX * turbStrength * dt;
+           vy += flowY * turbStrength * dt;
            
-           if (this.turbulence > 0.5) {
-                p.vx += (this.random() - 0.5) * this.turbulence * 20 * dt;
-                p.vy += (this.random() - 0.5) * this.turbulence * 20 * dt;
+           if (fluid.turbulence > 0.5) {
+                vx += (this.random() - 0.5) * fluid.turbulence * 20 * dt;
+                vy += (this.random() - 0.5) * fluid.turbulence * 20 * dt;
            }
         }
         
@@ -991,32 +1249,32 @@ export class FluidSimulator {
             // REDUCED drastically to prevent explosion. 
             // Now acts as a gentle nudge rather than an accelerator.
             const flowBoost = 200 * dt * dt; 
-            p.vx += Math.cos(angle) * flowBoost;
-            p.vy += Math.sin(angle) * flowBoost;
+            vx += flowX * flowBoost;
+            vy += flowY * flowBoost;
         }
         
         // Mask Constraint
         if (this.hasMask) {
-            const ix = Math.floor(p.x);
-            const iy = Math.floor(p.y);
+            const ix = Math.floor(x);
+            const iy = Math.floor(y);
             // Check bounds
             if (ix >= 0 && ix < this.width && iy >= 0 && iy < this.height) {
                 if (this.maskData[iy * this.width + ix] === 0) {
                     // STRICT BOUNDS:
                     // If current position is invalid, revert to previous.
-                    p.x = p.prevX;
-                    p.y = p.prevY;
+                    x = prevX;
+                    y = prevY;
                     
                     // Kill velocity completely to prevent tunnel/sticking
-                    p.vx = 0;
-                    p.vy = 0;
+                    vx = 0;
+                    vy = 0;
                     
                     // Extra check: if prev is also invalid, kill particle
-                    const pIx = Math.floor(p.prevX);
-                    const pIy = Math.floor(p.prevY);
+                    const pIx = Math.floor(prevX);
+                    const pIy = Math.floor(prevY);
                     if (pIx >= 0 && pIx < this.width && pIy >= 0 && pIy < this.height) {
                         if (this.maskData[pIy * this.width + pIx] === 0) {
-                             p.mass = 0; // Kill it
+                             mass = 0; // Kill it
                         }
                     }
                 }
@@ -1035,14 +1293,19 @@ export class FluidSimulator {
         // EXTRA DAMPING for One-Click
         if (this.mode === 'one-click') {
             // Strong damping to stop particles from flying off
-            p.vx *= 0.85;
-            p.vy *= 0.85;
+            vx *= 0.85;
+            vy *= 0.85;
             
             // Constant Outward Expansion Force (Non-Explosive)
             // Push particles away from origin gently
-            if (p.originX !== undefined) {
-                 const dx = p.x - p.originX;
-                 const dy = p.y - p.originY;
+            if (!Number.isNaN(originX)) {
+                 let dx = x - originX;
+                 let dy = y - originY;
+                 if (this.tileable) {
+                     // Wrapped particles still push away from the nearest copy of the origin
+                     if (dx > this.width / 2) dx -= this.width; else if (dx < -this.width / 2) dx += this.width;
+                     if (dy > this.height / 2) dy -= this.height; else if (dy < -this.height / 2) dy += this.height;
+                 }
                  const dist = Math.sqrt(dx*dx + dy*dy);
                  if (dist > 1) {
                      // Normalize
@@ -1051,120 +1314,156 @@ export class FluidSimulator {
                      // Expansion force decreases with distance? Or constant?
                      // Constant ensures it keeps growing.
                      const expansion = 200.0 * dt; 
-                     p.vx += nx * expansion;
-                     p.vy += ny * expansion;
+                     vx += nx * expansion;
+                     vy += ny * expansion;
                  }
             }
         } else {
-            p.vx *= friction;
-            p.vy *= friction;
+            vx *= friction;
+            vy *= friction;
         }
         
         // 3. Stain / Pool Accumulation - TLOU2 Style
-        if (p.active) {
+        if ((flags & ACTIVE) && this.stampStep) {
           const speedFactor = Math.min(1, speed / 50);
           
           // Organic edge variation
-          const jagged = Math.sin(p.x * 0.5) * Math.cos(p.y * 0.5);
-          const r = p.mass * (1.0 + jagged * 0.3);
-          
-          const isBlood = this.material === 'blood';
-          const rgb = this.hexToRgb(this.color);
+          const jagged = Math.sin(x * 0.5) * Math.cos(y * 0.5);
+          const r = mass * (1.0 + jagged * 0.3);
           
-          if (this.mode === 'one-click' && isBlood) {
-              // TLOU2 Blood Pools: Multi-layer rendering for depth
+          this.drawOnSurface(x, y, r * 1.2, () => {
+              if (this.mode === 'one-click' && fluid.renderStyle === 'blood') {
+                  // TLOU2 Blood Pools: Multi-layer rendering for depth
+                  const [red, green, blue] = P.rgbOf(i);
               
-              // Base layer: Very dark, almost black in centers
-              if (speed < 8) {
-                  this.surfaceCtx.beginPath();
-                  this.surfaceCtx.arc(p.x, p.y, r * 1.2, 0, Math.PI * 2);
+                  // Base layer: Very dark, almost black in centers
+                  if (speed < 8) {
+                      this.surfaceCtx.beginPath();
+                      this.surfaceCtx.arc(x, y, r * 1.2, 0, Math.PI * 2);
                   
-                  const coreDark = speed < 2 ? 0.08 : 0.15;
-                  this.surfaceCtx.fillStyle = `rgba(${rgb.r * coreDark}, 0, 0, 1)`;
-                  this.surfaceCtx.globalAlpha = 0.18 / this.substeps;
+                      const coreDark = speed < 2 ? 0.08 : 0.15;
+                      this.surfaceCtx.fillStyle = `rgba(${red * coreDark}, 0, 0, 1)`;
+                      this.surfaceCtx.globalAlpha = 0.18;
+                      this.surfaceCtx.fill();
+                  }
+              
+                  // Mid layer: Reddish-brown
+                  this.surfaceCtx.beginPath();
+                  this.surfaceCtx.arc(x, y, r, 0, Math.PI * 2);
+                  this.surfaceCtx.fillStyle = `rgba(${red * 0.4}, ${green * 0.15}, ${blue * 0.1}, 1)`;
+                  this.surfaceCtx.globalAlpha = 0.15;
                   this.surfaceCtx.fill();
-              }
               
-              // Mid layer: Reddish-brown
-              this.surfaceCtx.beginPath();
-              this.surfaceCtx.arc(p.x, p.y, r, 0, Math.PI * 2);
-              this.surfaceCtx.fillStyle = `rgba(${rgb.r * 0.4}, ${rgb.g * 0.15}, ${rgb.b * 0.1}, 1)`;
-              this.surfaceCtx.globalAlpha = 0.15 / this.substeps;
-              this.surfaceCtx.fill();
+                  // Edge layer: Brighter red
+                  this.surfaceCtx.beginPath();
+                  this.surfaceCtx.arc(x, y, r * 0.7, 0, Math.PI * 2);
+                  this.surfaceCtx.fillStyle = color;
+                  this.surfaceCtx.globalAlpha = 0.08;
+                  this.surfaceCtx.fill();
               
-              // Edge layer: Brighter red
-              this.surfaceCtx.beginPath();
-              this.surfaceCtx.arc(p.x, p.y, r * 0.7, 0, Math.PI * 2);
-              this.surfaceCtx.fillStyle = p.color;
-              this.surfaceCtx.globalAlpha = 0.08 / this.substeps;
-              this.surfaceCtx.fill();
+                  this.surfaceCtx.globalAlpha = 1.0;
+              } else {
+                  // Standard rendering for other modes/materials
+                  this.surfaceCtx.beginPath();
+                  this.surfaceCtx.arc(x, y, r, 0, Math.PI * 2);
               
-              this.surfaceCtx.globalAlpha = 1.0;
-          } else {
-              // Standard rendering for other modes/materials
-              this.surfaceCtx.beginPath();
-              this.surfaceCtx.arc(p.x, p.y, r, 0, Math.PI * 2);
+                  let baseAlpha = fluid.opacity > 0.9 ? 0.05 : 0.02;
+                  if (this.mode === 'one-click') {
+                     baseAlpha = 0.12;
+                     if (speed < 5) baseAlpha = 0.20;
+                  }
               
-              let baseAlpha = this.opacity > 0.9 ? 0.05 : 0.02;
-              if (this.mode === 'one-click') {
-                 baseAlpha = 0.12;
-                 if (speed < 5) baseAlpha = 0.20;
+                  this.surfaceCtx.fillStyle = color;
+                  this.surfaceCtx.globalAlpha = baseAlpha;
+                  this.surfaceCtx.fill();
+                  this.surfaceCtx.globalAlpha = 1.0;
               }
-              
-              this.surfaceCtx.fillStyle = p.color;
-              this.surfaceCtx.globalAlpha = baseAlpha / this.substeps;
-              this.surfaceCtx.fill();
-              this.surfaceCtx.globalAlpha = 1.0;
-          }
+          });
+          this.markWet(x, y, r, P.fluids[i]);
         }
         
         // Kill logic - settle down
         // In one-click mode, we disable despawning completely for pool particles
-        const disableDecay = this.infiniteLifetime || (this.mode === 'one-click' && p.pool);
+        const disableDecay = this.infiniteLifetime || (this.mode === 'one-click' && (flags & POOL));
 
         if (!disableDecay) {
             if (speed < 2.0) {
-                p.life -= dt * 2.0; 
+                life -= dt * 2.0; 
             } else {
-                p.life -= dt;
+                life -= dt;
+            }
+            if (life <= 0) mass = 0;
+        }
+      }
+
+      // Substrate: rough cells hold the liquid back, channels (grout lines,
+      // grain) draw it in, and absorbent cells soak it up, bleeding a soft
+      // halo into the surface
+      if (substrate) {
+        const cell = this.gridCellAt(x, y);
+        if (cell >= 0) {
+          const drag = Math.max(0, 1 - this.roughnessMap[cell] * SUBSTRATE_DRAG * dt);
+          vx *= drag;
+          vy *= drag;
+
+          const ch = this.permeabilityMap;
+          const reach = 1 / this.gridScale;
+          const left = this.gridCellAt(x - reach, y), right = this.gridCellAt(x + reach, y);
+          const up = this.gridCellAt(x, y - reach), down = this.gridCellAt(x, y + reach);
+          if (left >= 0 && right >= 0) vx += (ch[right] - ch[left]) * 0.5 * CHANNEL_PULL * dt;
+          if (up >= 0 && down >= 0) vy += (ch[down] - ch[up]) * 0.5 * CHANNEL_PULL * dt;
+
+          const absorbency = this.absorbencyMap[cell];
+          if (absorbency > 0) {
+            mass -= absorbency * SUBSTRATE_ABSORPTION * dt;
+            if ((flags & ACTIVE) && this.stampStep && mass > 0.5) {
+              const halo = mass * (1 + 2 * absorbency * substrate.wick);
+              this.surfaceCtx.fillStyle = color;
+              this.surfaceCtx.globalAlpha = absorbency * 0.1;
+              this.drawOnSurface(x, y, halo, () => {
+                  this.surfaceCtx.beginPath();
+                  this.surfaceCtx.arc(x, y, halo, 0, Math.PI * 2);
+                  this.surfaceCtx.fill();
+              });
+              this.surfaceCtx.globalAlpha = 1.0;
+              this.markWet(x, y, halo, P.fluids[i]);
             }
-            if (p.life <= 0) p.mass = 0;
+          }
         }
       }
 
-      p.x += p.vx * dt;
-      p.y += p.vy * dt;
+      x += vx * dt;
+      y += vy * dt;
+      if (this.tileable) {
+        // Same as wrapPosition(), on the locals
+        let dx = 0, dy = 0;
+        if (x < 0) dx = this.width; else if (x >= this.width) dx = -this.width;
+        if (y < 0) dy = this.height; else if (y >= this.height) dy = -this.height;
+        x += dx; y += dy;
+        prevX += dx; prevY += dy;
+      }
 
       // Kill logic
-      const outOfBounds = p.y > this.height + 100 || p.x < -100 || p.x > this.width + 100;
-      if (p.mass <= 0.2 || outOfBounds) {
-        this.particles.splice(i, 1);
+      const outOfBounds = !this.tileable && (y > this.height + 100 || x < -100 || x > this.width + 100);
+      if (mass <= 0.2 || outOfBounds) {
+        P.remove(k);
+        continue;
       }
+
+      P.x[i] = x; P.y[i] = y;
+      P.prevX[i] = prevX; P.prevY[i] = prevY;
+      P.vx[i] = vx; P.vy[i] = vy;
+      P.mass[i] = mass;
+      P.life[i] = life;
     }
   }
 
   applyRepulsion(dt) {
     // Spatial Hash Implementation for O(N) performance
-    // Clear buckets
-    for (const b of this.buckets) b.length = 0;
-
-    const cellSize = this.gridCellSize;
-    const cols = Math.ceil(this.width / cellSize);
-    
-    // Bucket particles
-    for (const p of this.particles) {
-        if (p.mass <= 0) continue;
-        const cx = Math.floor(p.x / cellSize);
-        const cy = Math.floor(p.y / cellSize);
-        const idx = cy * cols + cx;
-        if (this.buckets[idx]) {
-            this.buckets[idx].push(p);
-        }
-    }
+    const P = this.particles;
+    const { vx, vy } = P;
 
     let interactMult = 1.0;
-    const pressureStrength = 2000 * (this.density / 50); 
-    const tensionStrength = 1500 * this.surfaceTension; 
     const restDist = this.particleSize * 1.5;
     
     // For one-click, we want soft repulsion to avoid explosion
@@ -1176,67 +1475,379 @@ export class FluidSimulator {
     const interactionDist = this.particleSize * 4.0; 
     const interactionDistSq = interactionDist * interactionDist;
 
+    // Cells at least as wide as the interaction, so the 3x3 block covers it
+    const hash = this.neighborHash;
+    hash.build(P, this.width, this.height, Math.max(this.gridCellSize, interactionDist), this.tileable);
+    const { start, items, xs, ys, cells, cols, rows } = hash;
+    const bucketFluids = hash.fluids;
+    const wrap = hash.wrap;
+
+    // Each particle responds with its own fluid's density and tension, and
+    // is only pulled toward fluids it mixes with
+    const fluidCount = this.fluids.length;
+    const pressure = this.fluids.map(f => 2000 * (f.density / 50) * interactMult);
+    const tension = this.fluids.map(f => 1500 * f.surfaceTension * interactMult);
+    const mixes = new Uint8Array(fluidCount * fluidCount);
+    for (let a = 0; a < fluidCount; a++) {
+        for (let b = 0; b < fluidCount; b++) mixes[a * fluidCount + b] = this.fluidsMix(a, b) ? 1 : 0;
+    }
+
     // Check neighbors
     const maxInteractions = 20; // Performance optimization cap
 
-    for (const p1 of this.particles) {
-        if (p1.mass <= 0) continue;
-
-        const cx = Math.floor(p1.x / cellSize);
-        const cy = Math.floor(p1.y / cellSize);
-        
-        let interactionCount = 0;
-
-        // Check 3x3 grid around cell
-        neighborLoop:
-        for(let j=cy-1; j<=cy+1; j++) {
-            for(let i=cx-1; i<=cx+1; i++) {
-                const idx = j * cols + i;
-                if (!this.buckets[idx]) continue;
-                
-                for(const p2 of this.buckets[idx]) {
-                    if (p1 === p2) continue; // Skip self
-
-                    const dx = p1.x - p2.x;
-                    const dy = p1.y - p2.y;
-                    const distSq = dx*dx + dy*dy;
-
-                    if (distSq < interactionDistSq && distSq > 0.01) {
-                        interactionCount++;
-                        if (interactionCount > maxInteractions) break neighborLoop;
-
-                        const dist = Math.sqrt(distSq);
-                        const nx = dx / dist;
-                        const ny = dy / dist;
-                        
-                        let force = 0;
-
-                        if (dist < restDist) {
-                            // Repulsion
-                            const u = 1 - (dist / restDist);
-                            force = pressureStrength * u * interactMult;
-                            // Clamp max force to prevent explosion
-                            if (force > 500) force = 500;
-                        } else {
-                            // Attraction
-                            const u = (dist - restDist) / (interactionDist - restDist);
-                            const pull = (1 - u) * tensionStrength * interactMult;
-                            force = -pull;
-                        }
+    const total = start[cols * rows];
+    if (this.repulsionDvx.length < total) {
+        this.repulsionDvx = new Float64Array(P.capacity);
+        this.repulsionDvy = new Float64Array(P.capacity);
+        this.repulsionCounts = new Uint8Array(P.capacity);
+    }
+    const dvx = this.repulsionDvx, dvy = this.repulsionDvy, counts = this.repulsionCounts;
+    dvx.fill(0, 0, total);
+    dvy.fill(0, 0, total);
+    counts.fill(0, 0, total);
+
+    // Each pair is visited once - from the lower of the two buckets, or the
+    // earlier particle when they share one (3x3 blocks are symmetric, so
+    // either bucket sees the other) - and pushes both particles, each with
+    // its own fluid's strengths. A particle stops looking once it holds
+    // maxInteractions, and takes no more pushes from later particles.
+    for (let cy = 0; cy < rows; cy++) {
+      for (let cx = 0; cx < cols; cx++) {
+        const bucket = cy * cols + cx;
+        if (start[bucket] === start[bucket + 1]) continue;
+        // 3x3 grid around the cell (wrapping across the edges when tileable)
+        const cellCount = hash.blockCells(cx, cy);
+
+        for (let m = start[bucket]; m < start[bucket + 1]; m++) {
+          let interactionCount = counts[m];
+          if (interactionCount >= maxInteractions) continue;
+          const x1 = xs[m], y1 = ys[m];
+          const f1 = bucketFluids[m];
+          const pressureStrength = pressure[f1];
+          const tensionStrength = tension[f1];
+          const mixRow = f1 * fluidCount;
+          let ax = 0, ay = 0;
+
+          neighborLoop:
+          for (let c = 0; c < cellCount; c++) {
+            const b = cells[c];
+            if (b < bucket) continue;
+            for (let n = b === bucket ? m + 1 : start[b]; n < start[b + 1]; n++) {
+                // Shortest way round the torus when tileable
+                let dx = x1 - xs[n];
+                let dy = y1 - ys[n];
+                if (wrap) {
+                    dx = hash.deltaX(dx);
+                    dy = hash.deltaY(dy);
+                }
+                const distSq = dx*dx + dy*dy;
+                if (distSq >= interactionDistSq || distSq <= 0.01) continue;
+
+                const dist = Math.sqrt(distSq);
+                const f2 = bucketFluids[n];
+                let force1 = 0, force2 = 0;
+
+                if (dist < restDist) {
+                    // Repulsion
+                    const u = 1 - (dist / restDist);
+                    force1 = pressureStrength * u;
+                    force2 = pressure[f2] * u;
+                    // Clamp max force to prevent explosion
+                    if (force1 > 500) force1 = 500;
+                    if (force2 > 500) force2 = 500;
+                } else if (mixes[mixRow + f2]) {
+                    // Attraction, only within fluids that mix: the
+                    // others are pushed apart but never pulled together
+                    const u = (dist - restDist) / (interactionDist - restDist);
+                    force1 = -(1 - u) * tensionStrength;
+                    force2 = -(1 - u) * tension[f2];
+                }
 
-                        // Apply
-                        const fx = nx * force * dt;
-                        const fy = ny * force * dt;
-                        
-                        p1.vx += fx;
-                        p1.vy += fy;
-                    }
+                // Apply, (dx, dy) pointing from the second to the first
+                const perDist = dt / dist;
+                ax += dx * force1 * perDist;
+                ay += dy * force1 * perDist;
+                if (counts[n] < maxInteractions) {
+                    counts[n]++;
+                    dvx[n] -= dx * force2 * perDist;
+                    dvy[n] -= dy * force2 * perDist;
                 }
+                if (++interactionCount >= maxInteractions) break neighborLoop;
+            }
+          }
+          counts[m] = interactionCount;
+          dvx[m] += ax;
+          dvy[m] += ay;
+        }
+      }
+    }
+
+    for (let n = 0; n < total; n++) {
+        const i = items[n];
+        vx[i] += dvx[n];
+        vy[i] += dvy[n];
+    }
+  }
+
+  // Blends the colors of particles touching a different fluid they mix
+  // with, toward the average of their mixing neighbours. Runs after
+  // applyRepulsion(), whose hash it queries. Particles that only touch their
+  // own fluid keep their color.
+  mixFluids(dt) {
+    const P = this.particles;
+    if (this.fluids.length < 2 || P.palette.length >= MAX_COLORS) return;
+    const radius = this.particleSize * 4.0;
+
+    let self = 0, sumR = 0, sumG = 0, sumB = 0, n = 0, foreign = false;
+    const visit = (slot) => {
+        if (slot === self || !this.fluidsMix(P.fluids[self], P.fluids[slot])) return;
+        if (P.fluids[slot] !== P.fluids[self]) foreign = true;
+        const rgb = P.rgbOf(slot);
+        sumR += rgb[0]; sumG += rgb[1]; sumB += rgb[2];
+        n++;
+    };
+
+    for (let k = 0; k < P.count; k++) {
+        self = P.live[k];
+        if (P.mass[self] <= 0) continue;
+        sumR = 0; sumG = 0; sumB = 0; n = 0; foreign = false;
+        this.neighborHash.forEachNeighbor(P, P.x[self], P.y[self], radius, visit);
+        if (!foreign) continue;
+
+        // Thicker fluids mix more slowly. Each channel moves at least one
+        // step, so colors do not stall short of the blend.
+        const rate = Math.min(1, 2.0 * dt * (1.0 - this.fluids[P.fluids[self]].viscosity * 0.5));
+        const rgb = P.rgbOf(self);
+        const mixed = [sumR / n, sumG / n, sumB / n].map((target, c) => {
+            const d = target - rgb[c];
+            let move = Math.round(d * rate);
+            if (!move && Math.abs(d) >= 1) move = Math.sign(d);
+            return rgb[c] + move;
+        });
+        P.colors[self] = P.colorIndex(`rgba(${mixed[0]}, ${mixed[1]}, ${mixed[2]}, 1)`);
+    }
+  }
+
+  // --- Drying ---
+
+  // Advances drying by dt (already scaled by dryingSpeed): the grid modes
+  // evaporate their liquid every step, the particle modes dry the surface
+  // canvas every SURFACE_DRY_INTERVAL. TLOU pools are projected from their
+  // emitters and do not dry.
+  dry(dt) {
+    this.dryingTime += dt;
+    if (this.mode === 'smart' || this.mode === 'experimental') {
+        this.evaporateGrid(dt);
+    } else if (this.mode !== 'tlou' && this.dryingTime - this.surfaceDriedAt >= SURFACE_DRY_INTERVAL) {
+        this.drySurface(this.dryingTime - this.surfaceDriedAt);
+        this.surfaceDriedAt = this.dryingTime;
+    }
+  }
+
+  // Notes that `fluid` landed within r px of (x, y) just now (grid cells).
+  // Needed for drying, and to tell fluids apart on the grid (the PBR
+  // emissive map reads gridFluid); with drying off and a single fluid every
+  // cell already holds the right one, fluid 0, so stamps skip it.
+  markWet(x, y, r, fluid) {
+    if (!this.drying && this.fluids.length < 2) return;
+    const w = this.gridWidth, h = this.gridHeight;
+    const gx = Math.floor(x * this.gridScale);
+    const gy = Math.floor(y * this.gridScale);
+    const gr = Math.ceil(r * this.gridScale);
+    const time = this.dryingTime;
+    for (let j = -gr; j <= gr; j++) {
+        const cy = gy + j;
+        if (!this.tileable && (cy < 0 || cy >= h)) continue;
+        // Row span of the disc
+        const span = Math.floor(Math.sqrt(gr * gr - j * j));
+        for (let i = -span; i <= span; i++) {
+            const cx = gx + i;
+            if (!this.tileable && (cx < 0 || cx >= w)) continue;
+            const idx = this.gridIndex(cx, cy);
+            this.gridWetTime[idx] = time;
+            this.gridFluid[idx] = fluid;
+        }
+    }
+  }
+
+  // How far the liquid of grid cell idx has dried, from its age and its
+  // fluid's evaporation: 0 fresh (or never wet) .. 1 dry
+  dryness(idx) {
+    const wetTime = this.gridWetTime[idx];
+    if (wetTime < 0) return 0;
+    const f = this.fluids[this.gridFluid[idx]];
+    return 1 - Math.exp(-(this.dryingTime - wetTime) * f.evaporation);
+  }
+
+  // dryness() of every grid cell, for the exported age channel
+  ageField() {
+    const field = new Float32Array(this.gridWetTime.length);
+    for (let i = 0; i < field.length; i++) field[i] = this.dryness(i);
+    return field;
+  }
+
+  // Dries the surface canvas stains by dt: colors shift toward their fluid's
+  // dryColor and fade down to the residue it leaves, which is thicker along
+  // stain edges (coffee ring). wetMap dries at the same rate. The canvas holds
+  // whole levels, so each pass moves at least one (see stepLevel).
+  drySurface(dt) {
+    const w = this.width, h = this.height;
+    const img = this.surfaceCtx.getImageData(0, 0, w, h);
+    const data = img.data;
+    const alpha = new Uint8Array(w * h);
+    for (let i = 0; i < alpha.length; i++) alpha[i] = data[i * 4 + 3];
+
+    // Per fluid: how far this pass dries it, and its dried color
+    const rates = this.fluids.map(f => 1 - Math.exp(-f.evaporation * dt));
+    const dryRgb = this.fluids.map(f => this.hexToRgb(f.dryColor));
+    // Stain edges: pixels with bare surface within `reach` px
+    const reach = 3;
+    const isBare = (x, y) => {
+        const i = this.pixelIndex(x, y);
+        return i >= 0 && alpha[i] < 8 ? 1 : 0;
+    };
+
+    for (let y = 0; y < h; y++) {
+        const gridRow = Math.floor(y * this.gridScale) * this.gridWidth;
+        for (let x = 0; x < w; x++) {
+            const i = y * w + x;
+            const a = alpha[i];
+            if (a === 0 && this.wetMap[i] === 0) continue;
+            const fluid = this.gridFluid[gridRow + Math.floor(x * this.gridScale)];
+            const k = rates[fluid];
+            if (this.wetMap[i]) this.wetMap[i] = Math.floor(this.wetMap[i] * (1 - k));
+            if (a === 0) continue;
+
+            const f = this.fluids[fluid];
+            const o = i * 4;
+            const dried = dryRgb[fluid];
+            data[o] = stepLevel(data[o], dried.r, k);
+            data[o + 1] = stepLevel(data[o + 1], dried.g, k);
+            data[o + 2] = stepLevel(data[o + 2], dried.b, k);
+
+            // Full strength once bare on two sides (a stain's rim rarely has more)
+            const edge = Math.min(1, (isBare(x - reach, y) + isBare(x + reach, y) + isBare(x, y - reach) + isBare(x, y + reach)) / 2);
+            const stain = 255 * Math.min(1, f.residue * (1 + RING_STRENGTH * edge));
+            if (a > stain) data[o + 3] = stepLevel(a, stain, k);
+        }
+    }
+    this.surfaceCtx.putImageData(img, 0, 0);
+  }
+
+  // Evaporates the grid modes' liquid by dt. Cells thin by their fluid's
+  // evaporation, faster where they border dry cells, and what evaporates
+  // leaves its residue behind, more of it along the edges (coffee ring).
+  // Liquid soaked into the substrate dries in place, without a ring.
+  evaporateGrid(dt) {
+    const w = this.gridWidth, h = this.gridHeight;
+    const grid = this.grid;
+    const wrap = this.tileable;
+    // Neighbour index -1 is off the canvas, which does not count as dry
+    const isDry = (n) => n >= 0 && grid[n] <= 0.005 ? 1 : 0;
+
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            const idx = y * w + x;
+            const val = grid[idx];
+            const soak = this.gridSoak[idx];
+            if (soak > 0) {
+                const f = this.fluids[this.gridFluid[idx]];
+                const loss = Math.min(soak, f.evaporation * EVAPORATION_SCALE * dt);
+                this.gridSoak[idx] = soak - loss;
+                this.gridResidue[idx] += loss * f.residue;
             }
+            if (val <= 0) continue;
+
+            const left = x > 0 ? idx - 1 : (wrap ? idx + w - 1 : -1);
+            const right = x < w - 1 ? idx + 1 : (wrap ? idx - w + 1 : -1);
+            const up = y > 0 ? idx - w : (wrap ? idx + (h - 1) * w : -1);
+            const down = y < h - 1 ? idx + w : (wrap ? idx - (h - 1) * w : -1);
+            const edge = (isDry(left) + isDry(right) + isDry(up) + isDry(down)) / 4;
+            const ring = 1 + RING_STRENGTH * edge;
+            const f = this.fluids[this.gridFluid[idx]];
+            const loss = Math.min(val, f.evaporation * EVAPORATION_SCALE * ring * dt);
+            const keep = (val - loss) / val;
+
+            grid[idx] = val - loss;
+            this.gridPigment[idx * 3] *= keep;
+            this.gridPigment[idx * 3 + 1] *= keep;
+            this.gridPigment[idx * 3 + 2] *= keep;
+            this.gridResidue[idx] += loss * f.residue * ring;
         }
     }
   }
 
+  // --- Tileable (toroidal) helpers ---
+
+  // Index into the canvas-sized maps (wetMap, maskData): wrapped when
+  // tileable, -1 off the canvas otherwise
+  pixelIndex(x, y) {
+    if (this.tileable) {
+      x = ((x % this.width) + this.width) % this.width;
+      y = ((y % this.height) + this.height) % this.height;
+    } else if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+      return -1;
+    }
+    return y * this.width + x;
+  }
+
+  // Grid cell index: wrapped when tileable, otherwise the plain row-major
+  // index (callers keep their own range checks)
+  gridIndex(x, y) {
+    const w = this.gridWidth, h = this.gridHeight;
+    if (this.tileable) {
+      x = ((x % w) + w) % w;
+      y = ((y % h) + h) % h;
+    }
+    return y * w + x;
+  }
+
+  // Grid cell under canvas point (x, y): wrapped when tileable, -1 off the
+  // canvas otherwise
+  gridCellAt(x, y) {
+    const gx = Math.floor(x * this.gridScale);
+    const gy = Math.floor(y * this.gridScale);
+    if (!this.tileable && (gx < 0 || gx >= this.gridWidth || gy < 0 || gy >= this.gridHeight)) return -1;
+    return this.gridIndex(gx, gy);
+  }
+
+  // Moves a drip head back onto the canvas, keeping its trail
+  // start on the same side so the next stroke stays short
+  wrapPosition(p) {
+    let dx = 0, dy = 0;
+    if (p.x < 0) dx = this.width; else if (p.x >= this.width) dx = -this.width;
+    if (p.y < 0) dy = this.height; else if (p.y >= this.height) dy = -this.height;
+    if (!dx && !dy) return;
+    p.x += dx; p.y += dy;
+    if (p.prevX !== undefined) { p.prevX += dx; p.prevY += dy; }
+  }
+
+  // Offsets at which something reaching `r` px around (x, y) has to be
+  // repeated so it shows up across every edge it crosses. [0, 0] first.
+  wrapOffsets(x, y, r) {
+    const xs = [0], ys = [0];
+    if (x - r < 0) xs.push(this.width);
+    if (x + r > this.width) xs.push(-this.width);
+    if (y - r < 0) ys.push(this.height);
+    if (y + r > this.height) ys.push(-this.height);
+    const offsets = [];
+    for (const oy of ys) for (const ox of xs) offsets.push([ox, oy]);
+    return offsets;
+  }
+
+  // Runs `draw` on the surface, plus shifted copies across the edges when tileable
+  drawOnSurface(x, y, r, draw) {
+    draw();
+    if (!this.tileable) return;
+    const offsets = this.wrapOffsets(x, y, r);
+    for (let i = 1; i < offsets.length; i++) {
+      this.surfaceCtx.save();
+      this.surfaceCtx.translate(offsets[i][0], offsets[i][1]);
+      draw();
+      this.surfaceCtx.restore();
+    }
+  }
+
   render(ctx) {
     if (this.mode === 'experimental') {
         this.renderExperimental(ctx);
@@ -1260,17 +1871,28 @@ export class FluidSimulator {
     ctx.drawImage(this.surfaceCanvas, 0, 0);
     
     // Draw Particles
-    for (const p of this.particles) {
-      ctx.fillStyle = p.color;
-      ctx.beginPath();
-      // Wall mode particles are smaller as they are just the "wet" tips
-      // Floor mode particles ARE the liquid, so they are full size
-      ctx.arc(p.x, p.y, p.mass, 0, Math.PI * 2);
-      ctx.fill();
+    const P = this.particles;
+    for (let k = 0; k < P.count; k++) {
+      const i = P.live[k];
+      const x = P.x[i], y = P.y[i], mass = P.mass[i];
+      ctx.fillStyle = P.colorOf(i);
+      for (const [ox, oy] of this.tileable ? this.wrapOffsets(x, y, mass) : NO_WRAP) {
+        ctx.beginPath();
+        // Wall mode particles are smaller as they are just the "wet" tips
+        // Floor mode particles ARE the liquid, so they are full size
+        ctx.arc(x + ox, y + oy, mass, 0, Math.PI * 2);
+        ctx.fill();
+      }
     }
   }
   
   renderOverlay(ctx) {
+    if (this.substrate !== 'procedural') {
+        ctx.save();
+        ctx.globalAlpha = 0.25;
+        ctx.drawImage(this.substrateCanvas, 0, 0, this.width, this.height);
+        ctx.restore();
+    }
     if (this.hasMask) {
         ctx.save();
         ctx.globalAlpha = 0.3; 
@@ -1299,10 +1921,8 @@ export class FluidSimulator {
             buffer[i*4+3] = 255;
         }
         
-        const tempC = document.createElement('canvas');
-        tempC.width = w;
-        tempC.height = h;
-        tempC.getContext('2d').putImageData(new ImageData(buffer, w, h), 0, 0);
+        const tempC = this.backend.createCanvas(w, h);
+        tempC.getContext('2d').putImageData(this.backend.createImageData(w, h, buffer), 0, 0);
         
         ctx.save();
         ctx.imageSmoothingEnabled = true;
@@ -1320,15 +1940,21 @@ export class FluidSimulator {
     ctx.drawImage(this.surfaceCanvas, 0, 0);
     ctx.filter = 'none';
     
-    for (const p of this.particles) {
-      // Center is white, edge is transparent/gray
-      const g = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, p.mass);
-      g.addColorStop(0, 'rgba(255, 255, 255, 1)');
-      g.addColorStop(1, 'rgba(255, 255, 255, 0)');
-      ctx.fillStyle = g;
-      ctx.beginPath();
-      ctx.arc(p.x, p.y, p.mass, 0, Math.PI * 2);
-      ctx.fill();
+    const P = this.particles;
+    for (let k = 0; k < P.count; k++) {
+      const i = P.live[k];
+      const mass = P.mass[i];
+      for (const [ox, oy] of this.tileable ? this.wrapOffsets(P.x[i], P.y[i], mass) : NO_WRAP) {
+        const x = P.x[i] + ox, y = P.y[i] + oy;
+        // Center is white, edge is transparent/gray
+        const g = ctx.createRadialGradient(x, y, 0, x, y, mass);
+        g.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        g.addColorStop(1, 'rgba(255, 255, 255, 0)');
+        ctx.fillStyle = g;
+        ctx.beginPath();
+        ctx.arc(x, y, mass, 0, Math.PI * 2);
+        ctx.fill();
+      }
     }
   }
 
@@ -1342,6 +1968,7 @@ export class FluidSimulator {
   }
   
   // For export manager compatibility
+  // Parameters only (cheap, JSON friendly). See snapshot() for the live buffers.
   getState() { 
     return {
         width: this.width,
@@ -1360,9 +1987,32 @@ export class FluidSimulator {
         opacity: this.opacity,
         turbulence: this.turbulence,
         material: this.material,
+        renderStyle: this.renderStyle,
+        phase: this.phase,
+        evaporation: this.evaporation,
+        residue: this.residue,
+        dryColor: this.dryColor,
+        drying: this.drying,
+        dryingSpeed: this.dryingSpeed,
         surfaceTension: this.surfaceTension,
         timeScale: this.timeScale,
-        substeps: this.substeps
+        substeps: this.substeps,
+        particleLifetime: this.particleLifetime,
+        infiniteLifetime: this.infiniteLifetime,
+        tileable: this.tileable,
+        sizeRandomness: this.sizeRandomness,
+        poolingRandomness: this.poolingRandomness,
+        tiltX: this.tiltX,
+        tiltY: this.tiltY,
+        activeCaliber: this.activeCaliber,
+        maxParticles: this.maxParticles,
+        seed: this.seed,
+        noiseOffset: this.noiseOffset,
+        substrate: this.substrate,
+        // Data URL of an uploaded substrate texture (loaded by ExportManager)
+        substrateImage: this.substrateImage,
+        // Run-length encoded so init events stay small
+        mask: this.hasMask ? encodeMaskRuns(this.maskData) : null
     }; 
   } 
   
@@ -1371,6 +2021,22 @@ export class FluidSimulator {
     if (s.width) this.resize(s.width, s.height);
     if (s.mode) this.setMode(s.mode);
     if (s.spawnMode) this.setSpawnMode(s.spawnMode);
+    // Material only tags the style here; the individual values below win
+    // (applyMaterial would overwrite anything tweaked after picking a preset)
+    if (s.material) this.material = s.material;
+    // States from before render styles get the one their material implies
+    if (s.renderStyle) this.renderStyle = s.renderStyle;
+    else if (s.material) this.renderStyle = materialRenderStyle(s.material);
+    if (s.phase) this.phase = s.phase;
+    else if (s.material) this.phase = materialPhase(s.material);
+    const drying = s.evaporation !== undefined ? s : (s.material ? materialDrying(s.material) : null);
+    if (drying) {
+        this.setEvaporation(drying.evaporation);
+        this.setResidue(drying.residue);
+        this.setDryColor(drying.dryColor);
+    }
+    if (s.drying !== undefined) this.setDrying(s.drying);
+    if (s.dryingSpeed !== undefined) this.setDryingSpeed(s.dryingSpeed);
     if (s.viscosity !== undefined) this.setViscosity(s.viscosity);
     if (s.density !== undefined) this.setDensity(s.density);
     if (s.gravityStrength !== undefined) this.setGravity(s.gravityStrength);
@@ -1382,14 +2048,154 @@ export class FluidSimulator {
     if (s.color) this.setColor(s.color);
     if (s.opacity !== undefined) this.setOpacity(s.opacity);
     if (s.turbulence !== undefined) this.setTurbulence(s.turbulence);
-    if (s.material) this.applyMaterial(s.material);
     if (s.surfaceTension !== undefined) this.setSurfaceTension(s.surfaceTension);
     if (s.timeScale !== undefined) this.setTimeScale(s.timeScale);
     if (s.substeps !== undefined) this.setSubsteps(s.substeps);
     if (s.particleLifetime !== undefined) this.setParticleLifetime(s.particleLifetime);
     if (s.infiniteLifetime !== undefined) this.setInfiniteLifetime(s.infiniteLifetime);
+    if (s.tileable !== undefined) this.setTileable(s.tileable);
     if (s.sizeRandomness !== undefined) this.setSizeRandomness(s.sizeRandomness);
     if (s.poolingRandomness !== undefined) this.setPoolingRandomness(s.poolingRandomness);
+    if (s.tiltX !== undefined) this.setTilt(s.tiltX, s.tiltY);
+    if (s.activeCaliber) this.setCaliber(s.activeCaliber);
+    if (s.maxParticles !== undefined) this.maxParticles = s.maxParticles;
+    // initRoughness() below builds the substrate
+    if (s.substrate) {
+        if (!SUBSTRATES[s.substrate]) throw new Error(`Unknown substrate "${s.substrate}"`);
+        this.substrate = s.substrate;
+        this.substrateImage = s.substrateImage || null;
+    }
+    // Surface noise depends on poolingRandomness, so rebuild it after that
+    if (s.noiseOffset !== undefined) {
+        this.noiseOffset = s.noiseOffset;
+        this.initRoughness();
+    }
+    // setMode() above clears the mask
+    if (s.mask) this.setMaskFromRuns(s.mask);
+    // Last: setMode() above resets the seed
+    if (s.seed !== undefined) this.setSeed(s.seed);
+  }
+
+  setMaskFromRuns(runs) {
+    this.hasMask = true;
+    decodeMaskRuns(runs, this.maskData);
+
+    // Rebuild the visual mask from the logic map
+    const img = this.maskCtx.createImageData(this.width, this.height);
+    for (let i = 0; i < this.maskData.length; i++) {
+        if (this.maskData[i]) {
+            img.data[i*4] = 255;
+            img.data[i*4+1] = 255;
+            img.data[i*4+2] = 255;
+            img.data[i*4+3] = 255;
+        }
+    }
+    this.maskCtx.putImageData(img, 0, 0);
+  }
+
+  // Full checkpoint: parameters plus every live simulation buffer.
+  // Buffers are copies, so the snapshot stays valid while the sim keeps running.
+  // Particles are packed into typed arrays (particle-buffer.js), so the whole
+  // checkpoint can be transferred to or from a worker.
+  // Note: DOM canvases store premultiplied alpha, so surface pixels only
+  // round-trip exactly on the software backend.
+  snapshot() {
+    return {
+        state: this.getState(),
+        particles: packParticles(this.particles),
+        fluids: this.fluids.map(f => ({ ...f, rgb: { ...f.rgb } })),
+        emitters: this.emitters.map(e => ({ ...e })),
+        dripHeads: this.dripHeads.map(h => ({ ...h })),
+        grid: this.grid.slice(),
+        gridFluid: this.gridFluid.slice(),
+        gridPigment: this.gridPigment.slice(),
+        gridWetTime: this.gridWetTime.slice(),
+        gridResidue: this.gridResidue.slice(),
+        gridSoak: this.gridSoak.slice(),
+        gridFlux: this.water.flux.slice(),
+        dryingTime: this.dryingTime,
+        surfaceDriedAt: this.surfaceDriedAt,
+        wetMap: this.wetMap.slice(),
+        roughnessMap: this.roughnessMap.slice(),
+        permeabilityMap: this.permeabilityMap.slice(),
+        absorbencyMap: this.absorbencyMap.slice(),
+        substrateSource: this.substrateSource ? { ...this.substrateSource, data: this.substrateSource.data.slice() } : null,
+        surface: this.surfaceCtx.getImageData(0, 0, this.width, this.height).data,
+        impactPoint: this.impactPoint ? { ...this.impactPoint } : null,
+        vectorPaths: {
+            blobs: this.vectorPaths.blobs.map(b => ({ ...b })),
+            strokes: this.vectorPaths.strokes.map(s => ({ ...s, points: s.points.map(p => ({ ...p })) }))
+        },
+        elapsed: this.elapsed,
+        paused: this.paused
+    };
+  }
+
+  restore(snap) {
+    this.setState(snap.state);
+    if (!snap.state.mask) this.clearMask();
+
+    // Checkpoints from before per-particle fluids hold one fluid: the
+    // current settings, which their particles and cells (fluid 0) get.
+    // Fluids from before drying dry like the custom material.
+    this.fluids = snap.fluids ? snap.fluids.map(f => ({ ...DRYING_DEFAULTS, ...f, rgb: { ...f.rgb } })) : [];
+    this.syncFluid();
+    unpackParticles(snap.particles, this.particles);
+    this.emitters = snap.emitters.map(e => ({ ...e }));
+    this.dripHeads = snap.dripHeads.map(h => ({ ...h }));
+    this.grid.set(snap.grid);
+    if (snap.gridPigment) {
+        this.gridFluid.set(snap.gridFluid);
+        this.gridPigment.set(snap.gridPigment);
+    } else {
+        const rgb = this.fluids[0].rgb;
+        for (let i = 0; i < this.grid.length; i++) {
+            this.gridPigment[i * 3] = rgb.r * this.grid[i];
+            this.gridPigment[i * 3 + 1] = rgb.g * this.grid[i];
+            this.gridPigment[i * 3 + 2] = rgb.b * this.grid[i];
+        }
+    }
+    // Checkpoints from before drying have never dried
+    if (snap.gridWetTime) {
+        this.gridWetTime.set(snap.gridWetTime);
+        this.gridResidue.set(snap.gridResidue);
+    } else {
+        this.gridWetTime.fill(-1);
+        this.gridResidue.fill(0);
+    }
+    // Checkpoints from before the shallow-water solver restore at rest
+    if (snap.gridFlux) this.water.flux.set(snap.gridFlux); else this.water.clear();
+    this.dryingTime = snap.dryingTime || 0;
+    this.surfaceDriedAt = snap.surfaceDriedAt || 0;
+    this.wetMap.set(snap.wetMap);
+    this.roughnessMap.set(snap.roughnessMap);
+    this.permeabilityMap.set(snap.permeabilityMap);
+    // Checkpoints from before substrates are on the procedural surface,
+    // which absorbs nothing
+    if (snap.absorbencyMap) {
+        this.absorbencyMap.set(snap.absorbencyMap);
+        this.gridSoak.set(snap.gridSoak);
+    } else {
+        this.substrate = 'procedural';
+        this.absorbencyMap.fill(0);
+        this.gridSoak.fill(0);
+    }
+    this.substrateSource = snap.substrateSource ? { ...snap.substrateSource, data: snap.substrateSource.data.slice() } : null;
+    if (this.substrate !== 'procedural') this.renderSubstrate();
+
+    const img = this.surfaceCtx.createImageData(this.width, this.height);
+    img.data.set(snap.surface);
+    this.surfaceCtx.putImageData(img, 0, 0);
+
+    this.impactPoint = snap.impactPoint ? { ...snap.impactPoint } : null;
+    // Checkpoints from before vector recording restore without paths
+    const paths = snap.vectorPaths || { blobs: [], strokes: [] };
+    this.vectorPaths = {
+        blobs: paths.blobs.map(b => ({ ...b })),
+        strokes: paths.strokes.map(s => ({ ...s, points: s.points.map(p => ({ ...p })) }))
+    };
+    this.elapsed = snap.elapsed || 0;
+    this.paused = snap.paused;
   }
 
   updateTLOU(dt) {
@@ -1415,7 +2221,8 @@ export class FluidSimulator {
               // Project texture into grid
               // Iterate over a bounding box in grid space relative to emitter
               // Texture size approx 200px -> grid size 50
-              const radius = 40 * e.scale; // Grid cells
+              // Whole grid cells, so the loops below land on cell indices
+              const radius = Math.ceil(40 * e.scale);
               
               const gx = Math.floor(e.x * this.gridScale);
               const gy = Math.floor(e.y * this.gridScale);
@@ -1425,13 +2232,15 @@ export class FluidSimulator {
 
               for(let dy=-radius; dy<=radius; dy++) {
                   for(let dx=-radius; dx<=radius; dx++) {
-                       const gridIdx = (gy+dy)*w + (gx+dx);
+                       let cx = gx+dx, cy = gy+dy;
+                       if (this.tileable) { cx = (cx % w + w) % w; cy = (cy % h + h) % h; }
+                       const gridIdx = cy*w + cx;
                        if (gridIdx < 0 || gridIdx >= w*h) continue;
                        
                        // Check mask
                        if (this.hasMask) {
-                            const mx = Math.floor((gx+dx) * scale);
-                            const my = Math.floor((gy+dy) * scale);
+                            const mx = Math.floor(cx * scale);
+                            const my = Math.floor(cy * scale);
                             const mIdx = my * this.width + mx;
                             if (mIdx < this.maskData.length && this.maskData[mIdx] === 0) continue;
                        }
@@ -1531,13 +2340,9 @@ export class FluidSimulator {
   }
 
   updateSmartExpansion(dt) {
-      const w = this.gridWidth;
-      const h = this.gridHeight;
-      const scale = 1 / this.gridScale;
-      const mw = this.width;
-
       // Swap buffers
       this.nextGrid.set(this.grid);
+      this.nextPigment.set(this.gridPigment);
 
       // 1. Process Emitters (Source Injection)
       for (let i = this.emitters.length - 1; i >= 0; i--) {
@@ -1545,6 +2350,8 @@ export class FluidSimulator {
           if (!e.active || e.type !== 'smart') continue;
           
           e.age += dt;
+          // Emitters saved before per-cell fluids pour the current one
+          const fluid = e.fluid !== undefined ? e.fluid : this.fluid;
 
           // Emitters wander in smart mode too for irregularity
           const wander = this.fbm(e.age * 5, 100);
@@ -1555,11 +2362,13 @@ export class FluidSimulator {
           const gx = Math.floor(ex * this.gridScale);
           const gy = Math.floor(ey * this.gridScale);
           
-          // Radius varies by pulse
+          // Radius varies by pulse; the source keeps its cells near SOURCE_HEAD
+          // for constant pressure behind the expansion
           let radiusBase = 12 * this.gridScale; 
           let pumpRate = 30.0;
+          const SOURCE_HEAD = 2.5;
 
-          if (this.material === 'blood') {
+          if (this.fluids[fluid].material === 'blood') {
               const period = 0.8;
               const phase = (e.age % period) / period;
               const pulse = Math.pow(Math.exp(-8 * phase), 2);
@@ -1575,13 +2384,12 @@ export class FluidSimulator {
               for(let i=-r; i<=r; i++) {
                  const distSq = i*i+j*j;
                  if (distSq <= r*r) {
-                     const idx = (gy+j)*w + (gx+i);
+                     const idx = this.gridIndex(gx+i, gy+j);
                      if (idx>=0 && idx<this.grid.length) {
-                         // Infinite Source logic: Always try to keep source at max height
-                         // This ensures constant pressure for the expansion
-                         if (this.nextGrid[idx] < 2.5) {
-                            this.nextGrid[idx] += dt * pumpRate;
-                            if (this.nextGrid[idx] > 2.5) this.nextGrid[idx] = 2.5;
+                         const amount = this.water.inflow(this.nextGrid[idx], pumpRate, SOURCE_HEAD, dt);
+                         if (amount > 0) {
+                            this.nextGrid[idx] += amount;
+                            this.pourGrid(idx, fluid, amount);
                          }
                      }
                  }
@@ -1589,102 +2397,17 @@ export class FluidSimulator {
           }
       }
 
-      // 2. Viscous Fingering Simulation (Smart Expansion)
-      // "Constant Rate" Expansion Logic
-      
-      const minThreshold = 0.005;
-      const randomness = this.poolingRandomness;
-      const permPower = 3.0 * (1.1 - randomness);
-
-      // Speed Factor - High base speed
-      let baseSpeed = 40.0 * dt; 
-      
-      for (let y = 1; y < h - 1; y++) {
-          for (let x = 1; x < w - 1; x++) {
-              const idx = y * w + x;
-              const val = this.grid[idx];
-              
-              if (val > minThreshold) {
-                  // Mask Check (Source)
-                  if (this.hasMask) {
-                      const mx = Math.floor(x * scale);
-                      const my = Math.floor(y * scale);
-                      if (this.maskData[my * mw + mx] === 0) {
-                          this.nextGrid[idx] = 0; 
-                          continue;
-                      }
-                  }
-
-                  // 4 Neighbors
-                  const neighbors = [idx - w, idx + w, idx - 1, idx + 1];
-                  
-                  let totalFlux = 0;
-                  const fluxes = [0,0,0,0];
-
-                  for(let i=0; i<4; i++) {
-                      const nIdx = neighbors[i];
-                      const nVal = this.grid[nIdx];
-                      
-                      // Only flow to lower
-                      if (val > nVal) {
-                          // Check mask for target
-                          if (this.hasMask) {
-                              let nx = x, ny = y;
-                              if (i===0) ny--; else if(i===1) ny++; else if(i===2) nx--; else nx++;
-                              
-                              const nmx = Math.floor(nx * scale);
-                              const nmy = Math.floor(ny * scale);
-                              if (this.maskData[nmy * mw + nmx] === 0) continue;
-                          }
-
-                          const noiseVal = this.permeabilityMap[nIdx];
-                          const perm = Math.pow(noiseVal, permPower); 
-                          
-                          // Reduced Tension Barrier for "fill everything" request
-                          const tensionLimit = (this.surfaceTension * 0.01); 
-                          if (nVal < 0.001 && val < tensionLimit && perm < 0.3) continue;
-
-                          // CONSTANT EXPANSION LOGIC
-                          // If we have fluid, we push it out at a constant rate relative to permeability,
-                          // not dependent on the diminishing height difference.
-                          
-                          let flowAmount = 0;
-                          
-                          if (nVal < val * 0.95) {
-                              // Active Expansion
-                              // Use a fixed push that ignores gradient falloff
-                              flowAmount = baseSpeed * (0.2 + perm * 1.5);
-                              
-                              // Boost leading edge
-                              if (nVal < 0.05) flowAmount *= 2.5;
-                          } else {
-                              // Equalization
-                              flowAmount = (val - nVal) * baseSpeed;
-                          }
-                          
-                          fluxes[i] = flowAmount;
-                          totalFlux += flowAmount;
-                      }
-                  }
+      this.grid.set(this.nextGrid);
+      this.gridPigment.set(this.nextPigment);
 
-                  // Scale down if trying to give more than we have
-                  let scaleF = 1.0;
-                  if (totalFlux > val) scaleF = val / totalFlux;
-                  
-                  // Apply
-                  for(let i=0; i<4; i++) {
-                      if (fluxes[i] > 0) {
-                          const amount = fluxes[i] * scaleF;
-                          this.nextGrid[neighbors[i]] += amount;
-                          this.nextGrid[idx] -= amount;
-                      }
-                  }
-              }
-          }
+      // 2. Viscous Fingering: the surface noise (permeabilityMap) widens and
+      // narrows the pipes, more sharply the less random the pooling
+      const permPower = 3.0 * (1.1 - this.poolingRandomness);
+      for (let i = 0; i < this.gridConductance.length; i++) {
+          this.gridConductance[i] = 0.2 + Math.pow(this.permeabilityMap[i], permPower) * 1.5;
       }
-      
-      // Copy back
-      this.grid.set(this.nextGrid);
+      this.flowGrid(dt, this.gridConductance);
+      if (this.substrate !== 'procedural') this.soakGrid(dt);
   }
 
   updateVectorDrip(dt) {
@@ -1729,27 +2452,29 @@ export class FluidSimulator {
 
           // Mask Check
           if (this.hasMask) {
-              const mx = Math.floor(head.x);
-              const my = Math.floor(head.y);
-              if (mx >= 0 && mx < this.width && my >= 0 && my < this.height) {
-                  if (this.maskData[my * this.width + mx] === 0) {
-                      head.active = false;
-                  }
+              const mIdx = this.pixelIndex(Math.floor(head.x), Math.floor(head.y));
+              if (mIdx >= 0 && this.maskData[mIdx] === 0) {
+                  head.active = false;
               }
           }
 
           // Render Trail
           if (head.width > 0.5) {
               this.surfaceCtx.lineWidth = head.width;
-              this.surfaceCtx.beginPath();
-              this.surfaceCtx.moveTo(head.prevX, head.prevY);
-              this.surfaceCtx.lineTo(head.x, head.y);
-              this.surfaceCtx.stroke();
-              
-              // Draw head cap to smooth joints
-              this.surfaceCtx.beginPath();
-              this.surfaceCtx.arc(head.x, head.y, head.width/2, 0, Math.PI*2);
-              this.surfaceCtx.fill();
+              const reach = head.width + Math.abs(head.x - head.prevX) + Math.abs(head.y - head.prevY);
+              this.drawOnSurface(head.x, head.y, reach, () => {
+                  this.surfaceCtx.beginPath();
+                  this.surfaceCtx.moveTo(head.prevX, head.prevY);
+                  this.surfaceCtx.lineTo(head.x, head.y);
+                  this.surfaceCtx.stroke();
+                  
+                  // Draw head cap to smooth joints
+                  this.surfaceCtx.beginPath();
+                  this.surfaceCtx.arc(head.x, head.y, head.width/2, 0, Math.PI*2);
+                  this.surfaceCtx.fill();
+              });
+              this.addVectorPoint(head);
+              this.markWet(head.x, head.y, head.width / 2, this.fluid);
           } else {
               head.active = false;
           }
@@ -1767,14 +2492,41 @@ export class FluidSimulator {
                   vx: head.vx + (this.random() - 0.5) * 50, 
                   vy: head.vy * 0.8,
                   width: newW,
-                  active: true
+                  active: true,
+                  path: this.startVectorStroke(head.x, head.y, newW, head.path)
               });
           }
           
-          if (head.y > this.height) head.active = false;
+          if (this.tileable) {
+              const x = head.x, y = head.y;
+              this.wrapPosition(head);
+              // Across the edge the path carries on as a new stroke
+              if ((head.x !== x || head.y !== y) && head.path !== undefined) {
+                  head.path = this.startVectorStroke(head.x, head.y, head.width, head.path);
+              }
+          } else if (head.y > this.height) head.active = false;
       }
   }
 
+  // New recorded Vector Drip stroke; returns its index for dripHead.path
+  startVectorStroke(x, y, width, parent = null) {
+      this.vectorPaths.strokes.push({ parent, color: this.color, points: [{ x, y, width, time: this.elapsed }] });
+      return this.vectorPaths.strokes.length - 1;
+  }
+
+  addVectorPoint(head) {
+      const stroke = this.vectorPaths.strokes[head.path];
+      if (!stroke) return;
+      const points = stroke.points;
+      const point = { x: head.x, y: head.y, width: head.width, time: this.elapsed };
+      // Heads move a pixel or two per step: keep moving the newest vertex
+      // until it is far enough from the one before
+      const last = points[points.length - 1];
+      const prev = points[points.length - 2];
+      if (prev && Math.hypot(last.x - prev.x, last.y - prev.y) < VECTOR_MIN_SEGMENT) points[points.length - 1] = point;
+      else points.push(point);
+  }
+
   updateExperimental(dt) {
       const w = this.gridWidth;
       const h = this.gridHeight;
@@ -1783,6 +2535,7 @@ export class FluidSimulator {
 
       // Copy current state to next state buffer
       this.nextGrid.set(this.grid);
+      this.nextPigment.set(this.gridPigment);
 
       // 1. Emitter Logic
       for (let i = this.emitters.length - 1; i >= 0; i--) {
@@ -1790,8 +2543,10 @@ export class FluidSimulator {
           if (!e.active || e.type !== 'experimental') continue;
           
           e.age += dt;
+          const fluid = e.fluid !== undefined ? e.fluid : this.fluid;
           
           let flowRate = 120.0; // Higher flow rate
+          const SOURCE_HEAD = 3.0;
           
           const gx = Math.floor(e.x * this.gridScale);
           const gy = Math.floor(e.y * this.gridScale);
@@ -1800,89 +2555,205 @@ export class FluidSimulator {
           for(let dy=-r; dy<=r; dy++) {
               for(let dx=-r; dx<=r; dx++) {
                   if(dx*dx+dy*dy <= r*r) {
-                      const idx = (gy+dy)*w + (gx+dx);
+                      let cx = gx+dx, cy = gy+dy;
+                      if (this.tileable) { cx = (cx % w + w) % w; cy = (cy % h + h) % h; }
+                      const idx = cy*w + cx;
                       if(idx>=0 && idx<this.grid.length) {
                           if (this.hasMask) {
-                              const mx = Math.floor((gx+dx) * scale);
-                              const my = Math.floor((gy+dy) * scale);
+                              const mx = Math.floor(cx * scale);
+                              const my = Math.floor(cy * scale);
                               const midx = my * mw + mx;
                               if (midx < this.maskData.length && this.maskData[midx] === 0) continue;
                           }
-                          this.nextGrid[idx] = Math.min(3.0, this.nextGrid[idx] + flowRate * dt * 0.2);
+                          const amount = this.water.inflow(this.nextGrid[idx], flowRate * 0.4, SOURCE_HEAD, dt);
+                          this.nextGrid[idx] += amount;
+                          this.pourGrid(idx, fluid, amount);
                       }
                   }
               }
           }
       }
 
-      // 2. Simplified Cellular Automata Flow
-      const flowSpeed = 200.0 * dt * (1.0 - this.viscosity * 0.5);
-      
-      // Iterate with randomness to avoid bias? 
-      // Simple scanline is efficient. We can do forward/backward pass if needed, but single pass usually ok for this density.
-      
-      for(let y=1; y<h-1; y++) {
-          for(let x=1; x<w-1; x++) {
-              const idx = y*w + x;
-              const val = this.grid[idx];
-              
-              if (val <= 0.001) continue;
-
-              // Mask Self Check
-              if (this.hasMask) {
-                   const mx = Math.floor(x * scale);
-                   const my = Math.floor(y * scale);
-                   if (this.maskData[my * mw + mx] === 0) {
-                       this.nextGrid[idx] = 0;
-                       continue;
-                   }
-              }
-              
-              const neighbors = [idx-1, idx+1, idx-w, idx+w];
-              const coords = [[x-1,y], [x+1,y], [x,y-1], [x,y+1]];
-              
-              let totalFlow = 0;
-              const flows = [0,0,0,0];
+      this.grid.set(this.nextGrid);
+      this.gridPigment.set(this.nextPigment);
 
-              for(let i=0; i<4; i++) {
-                  const nIdx = neighbors[i];
-                  const nVal = this.grid[nIdx];
-                  
-                  // Mask Target Check
-                  if (this.hasMask) {
-                      const [nx, ny] = coords[i];
-                      const nmx = Math.floor(nx * scale);
-                      const nmy = Math.floor(ny * scale);
-                      if (this.maskData[nmy * mw + nmx] === 0) continue; 
-                  }
+      // 2. Shallow-water flow; substrates open the pipes along their channels
+      const substrate = this.substrate !== 'procedural';
+      if (substrate) {
+          for (let i = 0; i < this.gridConductance.length; i++) this.gridConductance[i] = 0.5 + this.permeabilityMap[i];
+      }
+      this.flowGrid(dt, substrate ? this.gridConductance : null);
+      if (substrate) this.soakGrid(dt);
+  }
 
-                  const diff = val - nVal;
-                  if (diff > 0) {
-                      const flow = diff * flowSpeed;
-                      flows[i] = flow;
-                      totalFlow += flow;
+  // Moves the grid modes' liquid with the shallow-water solver
+  // (shallow-water.js) in steps of at most MAX_FLOW_DT, carrying each cell's
+  // pigment along. Liquid in masked-off cells is removed.
+  // conductance: per-cell inflow factor, or null
+  flowGrid(dt, conductance) {
+      const w = this.gridWidth;
+      const h = this.gridHeight;
+      let open = null;
+      if (this.hasMask) {
+          open = this.gridOpen;
+          const scale = 1 / this.gridScale;
+          for (let y = 0; y < h; y++) {
+              for (let x = 0; x < w; x++) {
+                  const idx = y * w + x;
+                  open[idx] = this.maskData[Math.floor(y * scale) * this.width + Math.floor(x * scale)];
+                  if (!open[idx] && this.grid[idx] > 0) {
+                      this.grid[idx] = 0;
+                      this.gridPigment.fill(0, idx * 3, idx * 3 + 3);
                   }
               }
+          }
+      }
 
-              if (totalFlow > 0) {
-                  // Conserve mass
-                  if (totalFlow > val) {
-                      const f = val / totalFlow;
-                      for(let i=0; i<4; i++) flows[i] *= f;
-                      totalFlow = val;
+      const params = {
+          gravity: GRID_GRAVITY,
+          tiltX: this.tiltX * TILT_SLOPE,
+          tiltY: this.tiltY * TILT_SLOPE,
+          damping: this.fluids.map(f => VISCOUS_DAMPING * (0.1 + f.viscosity)),
+          film: this.fluids.map(f => FILM_TENSION * f.surfaceTension),
+          fluid: this.gridFluid,
+          mixes: (a, b) => this.fluidsMix(a, b),
+          open,
+          conductance,
+          friction: this.substrate !== 'procedural' ? this.roughnessMap : null,
+          frictionRate: SUBSTRATE_FRICTION,
+          wrap: this.tileable
+      };
+      const steps = Math.max(1, Math.ceil(dt / MAX_FLOW_DT));
+      const stepDt = dt / steps;
+      const flux = this.water.flux;
+      for (let s = 0; s < steps; s++) {
+          this.water.step(this.grid, stepDt, params);
+          this.nextGrid.set(this.grid);
+          this.nextPigment.set(this.gridPigment);
+          for (let y = 0; y < h; y++) {
+              for (let x = 0; x < w; x++) {
+                  const idx = y * w + x;
+                  for (let dir = 0; dir < 4; dir++) {
+                      const amount = flux[idx * 4 + dir] * stepDt;
+                      if (amount <= 0) continue;
+                      const nIdx = this.water.neighbor(x, y, dir, this.tileable);
+                      this.carryGrid(idx, nIdx, amount);
+                      this.nextGrid[idx] -= amount;
+                      this.nextGrid[nIdx] += amount;
                   }
+              }
+          }
+          // Float rounding may leave a drained cell a hair below zero
+          for (let i = 0; i < this.nextGrid.length; i++) {
+              if (this.nextGrid[i] < 0) this.nextGrid[i] = 0;
+          }
+          this.grid.set(this.nextGrid);
+          this.gridPigment.set(this.nextPigment);
+      }
+      this.water.updateVelocity(this.grid, this.tileable);
+  }
 
-                  this.nextGrid[idx] -= totalFlow;
-                  for(let i=0; i<4; i++) {
-                      if (flows[i] > 0) {
-                           this.nextGrid[neighbors[i]] += flows[i];
-                      }
-                  }
+  // Substrate absorption in the grid modes: cells soak liquid up into
+  // gridSoak, as much as their absorbency lets them hold, and soaked liquid
+  // wicks on into absorbent neighbours along the substrate's grain
+  soakGrid(dt) {
+      const substrate = SUBSTRATES[this.substrate];
+      const w = this.gridWidth;
+      const h = this.gridHeight;
+      const scale = 1 / this.gridScale;
+      const grid = this.grid;
+      const soak = this.gridSoak;
+      const absorbency = this.absorbencyMap;
+
+      // 1. Absorption
+      for (let idx = 0; idx < grid.length; idx++) {
+          const val = grid[idx];
+          if (val <= 0 || absorbency[idx] <= 0) continue;
+          const amount = Math.min(val, absorbency[idx] * SOAK_RATE * dt, absorbency[idx] * SOAK_CAPACITY - soak[idx]);
+          if (amount <= 0) continue;
+          const keep = (val - amount) / val;
+          grid[idx] = val - amount;
+          this.gridPigment[idx * 3] *= keep;
+          this.gridPigment[idx * 3 + 1] *= keep;
+          this.gridPigment[idx * 3 + 2] *= keep;
+          soak[idx] += amount;
+      }
+
+      // 2. Wicking between each cell and its right / lower neighbour, from
+      // a copy so the result does not depend on scan order. Masked-off cells
+      // take nothing.
+      if (!substrate.wick) return;
+      const next = this.nextSoak;
+      next.set(soak);
+      const blocked = (x, y) => this.hasMask && this.maskData[Math.floor(y * scale) * this.width + Math.floor(x * scale)] === 0;
+      const pairs = [[1, 0, substrate.grainX], [0, 1, substrate.grainY]];
+      for (let y = 0; y < h; y++) {
+          for (let x = 0; x < w; x++) {
+              const idx = y * w + x;
+              for (const [dx, dy, grain] of pairs) {
+                  let nx = x + dx, ny = y + dy;
+                  if (this.tileable) { nx %= w; ny %= h; } else if (nx >= w || ny >= h) continue;
+                  const nIdx = ny * w + nx;
+                  const diff = soak[idx] - soak[nIdx];
+                  if (diff === 0) continue;
+                  if (blocked(x, y) || blocked(nx, ny)) continue;
+                  const flow = diff * Math.min(absorbency[idx], absorbency[nIdx]) * substrate.wick * grain * WICK_RATE * dt;
+                  next[idx] -= flow;
+                  next[nIdx] += flow;
+                  // Wicking into a bare cell carries the fluid (and its age) along
+                  if (flow > 0 && soak[nIdx] <= 0 && grid[nIdx] <= 0.005) this.wickInto(nIdx, idx);
+                  else if (flow < 0 && soak[idx] <= 0 && grid[idx] <= 0.005) this.wickInto(idx, nIdx);
               }
           }
       }
+      soak.set(next);
+  }
 
-      this.grid.set(this.nextGrid);
+  wickInto(to, from) {
+      this.gridFluid[to] = this.gridFluid[from];
+      if (this.drying && this.gridWetTime[to] < 0) this.gridWetTime[to] = this.gridWetTime[from];
+  }
+
+  // Adds `amount` of a fluid to grid cell `idx` of the next-step buffers.
+  // Runs before the flow pass. A source pushes out a fluid it does not mix
+  // with: the whole cell becomes the new fluid.
+  pourGrid(idx, fluid, amount) {
+      const rgb = this.fluids[fluid].rgb;
+      const channels = [rgb.r, rgb.g, rgb.b];
+      const pushOut = !this.fluidsMix(fluid, this.gridFluid[idx]);
+      for (let c = 0; c < 3; c++) {
+          if (pushOut) {
+              this.gridPigment[idx * 3 + c] = channels[c] * this.grid[idx];
+              this.nextPigment[idx * 3 + c] = channels[c] * this.nextGrid[idx];
+          } else {
+              this.nextPigment[idx * 3 + c] += channels[c] * amount;
+          }
+      }
+      this.gridFluid[idx] = fluid;
+      if (this.drying) this.gridWetTime[idx] = this.dryingTime;
+  }
+
+  // Moves the pigment carried by `amount` of grid cell `from`'s fluid to
+  // cell `to` in the next-step buffers. A cell takes the fluid of whatever
+  // flows in if that outweighs what was there. Fluids that do not mix only
+  // flow into dry cells (see the flow passes), and recolor what is left there.
+  carryGrid(from, to, amount) {
+      const fluid = this.gridFluid[from];
+      const share = amount / this.grid[from];
+      const takeOver = !this.fluidsMix(fluid, this.gridFluid[to]);
+      for (let c = 0; c < 3; c++) {
+          const moved = this.gridPigment[from * 3 + c] * share;
+          if (takeOver) this.nextPigment[to * 3 + c] = this.gridPigment[from * 3 + c] / this.grid[from] * this.nextGrid[to];
+          this.nextPigment[from * 3 + c] -= moved;
+          this.nextPigment[to * 3 + c] += moved;
+      }
+      if (takeOver || this.grid[to] < amount) this.gridFluid[to] = fluid;
+      // Ages mix by volume; a dry cell takes the age of what reaches it
+      if (this.drying && this.gridWetTime[from] >= 0) {
+          const age = this.gridWetTime;
+          if (age[to] < 0 || this.grid[to] <= 0.005) age[to] = age[from];
+          else age[to] += (age[from] - age[to]) * amount / (this.grid[to] + amount);
+      }
   }
 
   renderExperimental(ctx) {
@@ -1897,7 +2768,8 @@ export class FluidSimulator {
       const w = this.gridWidth;
       const h = this.gridHeight;
       const data = this.gridImgData.data;
-      const rgb = this.hexToRgb(this.color);
+      const pigment = this.gridPigment;
+      const dryRgb = this.fluids.map(f => this.hexToRgb(f.dryColor));
       
       // Light Dir (Top Left)
       const lx = 0.5, ly = -0.5, lz = 0.7;
@@ -1909,8 +2781,6 @@ export class FluidSimulator {
       const hLen = Math.sqrt(LnX*LnX + LnY*LnY + (LnZ+1)*(LnZ+1));
       const Hx = LnX/hLen, Hy = LnY/hLen, Hz = (LnZ+1)/hLen;
 
-      const isBlood = this.material === 'blood';
-      
       for (let y = 0; y < h; y++) {
           const rowOffset = y * w;
           // Optimization: Check if row is empty? (Requires optimization structure, skip for now)
@@ -1921,12 +2791,35 @@ export class FluidSimulator {
               const offset = idx * 4;
               
               if (val > 0.005) {
+                  // Each cell is shaded as its own fluid, in its (possibly
+                  // blended) color
+                  const isBlood = this.fluids[this.gridFluid[idx]].renderStyle === 'blood';
+                  let cellR = pigment[idx * 3] / val;
+                  let cellG = pigment[idx * 3 + 1] / val;
+                  let cellB = pigment[idx * 3 + 2] / val;
+                  if (this.gridWetTime[idx] >= 0) {
+                      // Aging liquid darkens toward its dried color
+                      const dried = dryRgb[this.gridFluid[idx]];
+                      const t = this.dryness(idx) * 0.5;
+                      cellR += (dried.r - cellR) * t;
+                      cellG += (dried.g - cellG) * t;
+                      cellB += (dried.b - cellB) * t;
+                  }
+
                   // Gradient Calculation (Sobel-ish)
                   // Clamped
-                  const vL = x>0 ? this.grid[idx-1] : val;
-                  const vR = x<w-1 ? this.grid[idx+1] : val;
-                  const vT = y>0 ? this.grid[idx-w] : val;
-                  const vB = y<h-1 ? this.grid[idx+w] : val;
+                  let vL, vR, vT, vB;
+                  if (this.tileable) {
+                      vL = this.grid[this.gridIndex(x-1, y)];
+                      vR = this.grid[this.gridIndex(x+1, y)];
+                      vT = this.grid[this.gridIndex(x, y-1)];
+                      vB = this.grid[this.gridIndex(x, y+1)];
+                  } else {
+                      vL = x>0 ? this.grid[idx-1] : val;
+                      vR = x<w-1 ? this.grid[idx+1] : val;
+                      vT = y>0 ? this.grid[idx-w] : val;
+                      vB = y<h-1 ? this.grid[idx+w] : val;
+                  }
                   
                   const dX = (vL - vR) * 2.0; // Height scale
                   const dY = (vT - vB) * 2.0;
@@ -1960,9 +2853,9 @@ export class FluidSimulator {
                       const trans = Math.exp(-depth * 4.0); 
                       
                       // Base albedo
-                      const baseR = rgb.r / 255;
-                      const baseG = rgb.g / 255;
-                      const baseB = rgb.b / 255;
+                      const baseR = cellR / 255;
+                      const baseG = cellG / 255;
+                      const baseB = cellB / 255;
                       
                       // Scatter color (shallow) vs Absorb (deep)
                       const colR = baseR * (trans * 0.8 + 0.1); 
@@ -1992,9 +2885,9 @@ export class FluidSimulator {
                       const depth = Math.min(1.0, val);
                       const brightness = 0.5 + 0.5 * diff;
                       
-                      r = Math.min(255, rgb.r * brightness + spec * 255);
-                      g = Math.min(255, rgb.g * brightness + spec * 255);
-                      b = Math.min(255, rgb.b * brightness + spec * 255);
+                      r = Math.min(255, cellR * brightness + spec * 255);
+                      g = Math.min(255, cellG * brightness + spec * 255);
+                      b = Math.min(255, cellB * brightness + spec * 255);
                       alpha = Math.min(255, val * 500);
                   }
 
@@ -2002,6 +2895,23 @@ export class FluidSimulator {
                   data[offset + 1] = g;
                   data[offset + 2] = b;
                   data[offset + 3] = alpha;
+              } else if (this.gridSoak[idx] > 0) {
+                  // Liquid soaked into the substrate: a flat, darker stain,
+                  // drying toward its dried color
+                  const f = this.fluids[this.gridFluid[idx]];
+                  const dried = dryRgb[this.gridFluid[idx]];
+                  const t = this.gridWetTime[idx] >= 0 ? this.dryness(idx) : 0;
+                  data[offset] = f.rgb.r * 0.55 + (dried.r - f.rgb.r * 0.55) * t;
+                  data[offset + 1] = f.rgb.g * 0.55 + (dried.g - f.rgb.g * 0.55) * t;
+                  data[offset + 2] = f.rgb.b * 0.55 + (dried.b - f.rgb.b * 0.55) * t;
+                  data[offset + 3] = 255 * (1 - Math.exp(-4 * this.gridSoak[idx] - 2 * this.gridResidue[idx]));
+              } else if (this.gridResidue[idx] > 0) {
+                  // Dried residue: flat, matte and in the fluid's dried color
+                  const dried = dryRgb[this.gridFluid[idx]];
+                  data[offset] = dried.r;
+                  data[offset + 1] = dried.g;
+                  data[offset + 2] = dried.b;
+                  data[offset + 3] = 255 * (1 - Math.exp(-2 * this.gridResidue[idx]));
               } else {
                   data[offset + 3] = 0;
               }
@@ -2015,4 +2925,46 @@ export class FluidSimulator {
       ctx.drawImage(this.gridCanvas, 0, 0, this.width, this.height);
       ctx.restore();
   }
-}
\ No newline at end of file
+}
+
+// An 8-bit channel value moved k of the way to target. Moves at least one
+// level while it is a level or more away, like mixFluids, or slow-drying
+// fluids (oil) would round back to where they were on every pass.
+function stepLevel(value, target, k) {
+  if (k <= 0) return value;
+  const d = target - value;
+  let move = Math.round(d * k);
+  if (!move && Math.abs(d) >= 1) move = Math.sign(d);
+  return value + move;
+}
+
+// Mask <-> run lengths: alternating counts of blocked (0) and open (1) cells,
+// starting with blocked
+function encodeMaskRuns(maskData) {
+  const runs = [];
+  let current = 0;
+  let count = 0;
+  for (let i = 0; i < maskData.length; i++) {
+    const v = maskData[i] ? 1 : 0;
+    if (v === current) {
+      count++;
+    } else {
+      runs.push(count);
+      current = v;
+      count = 1;
+    }
+  }
+  runs.push(count);
+  return runs;
+}
+
+function decodeMaskRuns(runs, out) {
+  let o = 0;
+  let v = 0;
+  for (const len of runs) {
+    out.fill(v, o, Math.min(out.length, o + len));
+    o += len;
+    v = 1 - v;
+  }
+  if (o < out.length) out.fill(0, o);
+}
@@ -0,0 +1,362 @@
+#!/usr/bin/env node
+// fluidtex - headless batch renderer
+// Replays a recorded session (event log) through the same ExportManager code
+// path as the browser export and writes the PNGs to disk.
+//
+//   fluidtex render session.json --out dir/ --flipbook 16 --res 512 --depth --normal
+
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { fileURLToPath } from 'node:url';
+import { FluidSimulator } from './fluid-sim.js';
+import { ExportManager } from './export-manager.js';
+import { softwareBackend } from './surface-backend.js';
+import { encodePNG, decodePNG } from './png.js';
+import { parseSession } from './session-file.js';
+import { ENGINES } from './flipbook-metadata.js';
+import { PACK_PRESETS, resolvePacking } from './channel-pack.js';
+import { NORMAL_KERNELS, NORMAL_CONVENTIONS } from './normal-map.js';
+import { PBR_MAPS } from './pbr-maps.js';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+
+const USAGE = `Usage: fluidtex render <session.json> [options]
+
+Options:
+  --out <dir>          Output directory (default: current directory)
+  --flipbook <frames>  Render a flipbook sprite sheet with this many frames
+                       (default: a single texture of the final state)
+  --variants <n>       Render n variations of the session (different random
+                       seeds) packed into one atlas with variations.json
+  --seed <n>           Seed of the first variation (default: 0, the session itself)
+  --position-jitter <px>
+                       Move each variation's spawns by up to this many px
+  --param-jitter <0-1> Vary viscosity, density, velocity, ... per variation by
+                       up to this fraction
+  --spacing <px>       Gap between atlas cells (default: 2)
+  --atlas-pot          Round the variation atlas up to a power of two
+  --res <px>           Long edge of the texture / frames; the other side follows
+                       the canvas aspect (default: 1024, flipbook 512,
+                       variations 256)
+  --width <px>         Explicit output width (height follows unless given)
+  --height <px>        Explicit output height (width follows unless given)
+  --fit <mode>         contain (pad, default), cover (crop) or stretch
+  --padding <px>       Transparent border around the fluid
+  --pot <mode>         Round the size to a power of two: up, down or nearest
+  --trim               Crop to the content bounds (across all flipbook frames),
+                       keeping the untrimmed scale, and write the pivot to
+                       fluid-texture.json / flipbook.json
+  --depth              Also write the depth map
+  --normal             Also write the normal map
+  --normal-strength <n>
+                       Normal map slope multiplier (default: 3)
+  --normal-kernel <k>  central (default), sobel or scharr
+  --normal-y <conv>    Green channel convention: directx (+Y down, default;
+                       Unreal) or opengl (+Y up; Unity, Godot, Blender)
+  --normal-blur <px>   Blur the heights before taking normals
+  --normal-edge <px>   Flatten normals over this distance from the fluid edge
+  --height16           Also write the float heights as a 16-bit PNG,
+                       fluid-height-16.png (plus fluid-normal-16.png with
+                       --normal; single texture only)
+  --exr                Also write them as OpenEXR, fluid-height.exr (plus
+                       fluid-normal.exr with --normal; single texture only)
+  --height-range <n>   Height that maps to white in the 16-bit PNG (default 1,
+                       like the depth map; 0 = the highest point)
+  --pbr <list>         Comma-separated material maps to write next to the
+                       color: roughness, specular, ao, emissive
+  --wet-roughness <0-1>
+                       Roughness of wet / fresh fluid (default: 0.1)
+  --dry-roughness <0-1>
+                       Roughness of dried fluid (default: 0.85)
+  --ao-radius <px>     Cavity size the ambient occlusion looks at (default: 8)
+  --ao-strength <n>    Ambient occlusion multiplier (default: 1)
+  --emissive <n>       Emissive intensity (default: per fluid, by its material;
+                       slime glows)
+  --blend <0-1>        Flipbook frame blending: fraction of the frame interval
+                       accumulated into each frame (default: off)
+  --motion             Also write a flipbook motion vector atlas
+  --fps <n>            Flipbook playback rate in the metadata and animations
+                       (default: real time)
+  --animate <list>     Comma-separated animated copies of the flipbook frames:
+                       apng (flipbook-animated.png), gif (flipbook.gif);
+                       webm needs the browser
+  --loops <n>          Plays of the animations and the flipbook.json / engine
+                       clips, 0 = forever (default)
+  --gif-matte <#hex>   Blend soft GIF edges over this color instead of cutting
+                       alpha at 50%
+  --engine <list>      Comma-separated engine sidecars next to flipbook.json:
+                       unity, unreal, godot
+  --pack <preset>      Also write a channel-packed texture (single texture only):
+                       ${Object.keys(PACK_PRESETS).join(', ')},
+                       or a custom mapping like r=height,g=wetness,b=!wetness,a=coverage
+                       (! inverts a source)
+  --svg                Also write the Vector Drip paths as fluid-vector.svg
+                       (single texture only)
+  --lottie             Also write them as a Lottie animation, fluid-vector.json
+  --duration <sec>     Session length to replay (default: from the session)
+  --formation <png>    Sub-UV sheet for the Realistic Formation mode
+  -h, --help           Show this help
+`;
+
+function decodeImageBytes(bytes) {
+  return decodePNG(bytes, (data) => zlib.inflateSync(data));
+}
+
+// Software backend plus zlib and PNG decoding from data URLs and files
+export const nodeBackend = {
+  ...softwareBackend,
+  name: 'node',
+
+  deflate(bytes) {
+    return zlib.deflateSync(bytes);
+  },
+
+  async loadImage(src) {
+    if (src.startsWith('data:')) {
+      const comma = src.indexOf(',');
+      const meta = src.slice(5, comma);
+      const payload = src.slice(comma + 1);
+      const bytes = meta.endsWith(';base64')
+        ? Buffer.from(payload, 'base64')
+        : Buffer.from(decodeURIComponent(payload), 'latin1');
+      return decodeImageBytes(bytes);
+    }
+    return decodeImageBytes(fs.readFileSync(path.resolve(ROOT, src)));
+  }
+};
+
+// Preset name or "r=src,g=!src,..."
+function parsePacking(value) {
+  if (!value.includes('=')) return resolvePacking(value).name;
+  const mapping = {};
+  for (const part of value.split(',')) {
+    const [channel, source] = part.split('=').map(s => s.trim());
+    if (!['r', 'g', 'b', 'a'].includes(channel) || !source) throw new Error(`--pack: bad channel mapping "${part}"`);
+    mapping[channel] = source.startsWith('!') ? { source: source.slice(1), invert: true } : source;
+  }
+  resolvePacking(mapping);
+  return mapping;
+}
+
+export function parseArgs(argv) {
+  const opts = { command: null, input: null, out: '.', flipbook: 0, res: 0, depth: false, normal: false, pbr: [], wetRoughness: null, dryRoughness: null, aoRadius: null, aoStrength: null, emissive: null, normalStrength: 3, normalKernel: 'central', normalY: 'directx', normalBlur: 0, normalEdge: 0, height16: false, exr: false, heightRange: 1, blend: 0, motion: false, fps: 0, engines: [], animate: [], loops: 0, gifMatte: null, pack: null, width: 0, height: 0, fit: 'contain', padding: 0, pot: false, trim: false, variants: 0, seed: 0, positionJitter: 0, paramJitter: 0, spacing: 2, atlasPot: false, svg: false, lottie: false, duration: null, formation: null, help: false };
+  const rest = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--out': opts.out = next(); break;
+      case '--flipbook': opts.flipbook = parseInt(next(), 10); break;
+      case '--variants': opts.variants = parseInt(next(), 10); break;
+      case '--seed': opts.seed = parseInt(next(), 10); break;
+      case '--position-jitter': opts.positionJitter = parseFloat(next()); break;
+      case '--param-jitter': opts.paramJitter = parseFloat(next()); break;
+      case '--spacing': opts.spacing = parseInt(next(), 10); break;
+      case '--atlas-pot': opts.atlasPot = true; break;
+      case '--res': opts.res = parseInt(next(), 10); break;
+      case '--width': opts.width = parseInt(next(), 10); break;
+      case '--height': opts.height = parseInt(next(), 10); break;
+      case '--fit': opts.fit = next(); break;
+      case '--padding': opts.padding = parseInt(next(), 10); break;
+      case '--pot': opts.pot = next(); break;
+      case '--trim': opts.trim = true; break;
+      case '--depth': opts.depth = true; break;
+      case '--normal': opts.normal = true; break;
+      case '--pbr': opts.pbr = next().split(',').map(s => s.trim()).filter(Boolean); break;
+      case '--wet-roughness': opts.wetRoughness = parseFloat(next()); break;
+      case '--dry-roughness': opts.dryRoughness = parseFloat(next()); break;
+      case '--ao-radius': opts.aoRadius = parseFloat(next()); break;
+      case '--ao-strength': opts.aoStrength = parseFloat(next()); break;
+      case '--emissive': opts.emissive = parseFloat(next()); break;
+      case '--normal-strength': opts.normalStrength = parseFloat(next()); break;
+      case '--normal-kernel': opts.normalKernel = next(); break;
+      case '--normal-y': opts.normalY = next(); break;
+      case '--normal-blur': opts.normalBlur = parseFloat(next()); break;
+      case '--normal-edge': opts.normalEdge = parseFloat(next()); break;
+      case '--height16': opts.height16 = true; break;
+      case '--exr': opts.exr = true; break;
+      case '--height-range': opts.heightRange = parseFloat(next()); break;
+      case '--blend': opts.blend = parseFloat(next()); break;
+      case '--motion': opts.motion = true; break;
+      case '--pack': opts.pack = parsePacking(next()); break;
+      case '--fps': opts.fps = parseFloat(next()); break;
+      case '--engine': opts.engines = next().split(',').map(s => s.trim()).filter(Boolean); break;
+      case '--animate': opts.animate = next().split(',').map(s => s.trim()).filter(Boolean); break;
+      case '--loops': opts.loops = parseInt(next(), 10); break;
+      case '--gif-matte': opts.gifMatte = next(); break;
+      case '--svg': opts.svg = true; break;
+      case '--lottie': opts.lottie = true; break;
+      case '--duration': opts.duration = parseFloat(next()); break;
+      case '--formation': opts.formation = next(); break;
+      case '-h':
+      case '--help': opts.help = true; break;
+      default:
+        if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}`);
+        rest.push(arg);
+    }
+  }
+
+  opts.command = rest[0] || null;
+  opts.input = rest[1] || null;
+  if (!opts.res) opts.res = opts.flipbook ? 512 : (opts.variants ? 256 : 1024);
+  return opts;
+}
+
+// Session project files (any version) and legacy bare event logs
+export function readSession(file) {
+  const session = parseSession(fs.readFileSync(file, 'utf8'));
+  return { events: session.replayEvents, duration: session.duration };
+}
+
+// Canvases are written as PNG, strings (metadata sidecars) and bytes
+// (encoded animations) as-is
+function fileWriter(outDir) {
+  return async (canvasOrText, filename) => {
+    const file = path.join(outDir, filename);
+    if (typeof canvasOrText === 'string' || canvasOrText instanceof Uint8Array) {
+      fs.writeFileSync(file, canvasOrText);
+    } else {
+      const { width, height } = canvasOrText;
+      const pixels = canvasOrText.getContext('2d').getImageData(0, 0, width, height).data;
+      fs.writeFileSync(file, encodePNG(width, height, pixels, { deflate: (data) => zlib.deflateSync(data) }));
+    }
+    // Clear the progress line before logging
+    if (process.stderr.isTTY) process.stderr.write('\r\x1b[K');
+    console.log(`wrote ${file}`);
+  };
+}
+
+function loadFormation(file) {
+  if (file) return decodeImageBytes(fs.readFileSync(file));
+  // The browser asset, if it ships next to us; otherwise the built-in fallback
+  const asset = path.join(ROOT, 't_puddle_06_alpha_subUV.png');
+  return fs.existsSync(asset) ? decodeImageBytes(fs.readFileSync(asset)) : null;
+}
+
+function progressPrinter(label) {
+  let last = -1;
+  return (progress) => {
+    const pct = Math.round(progress);
+    if (pct === last) return;
+    last = pct;
+    process.stderr.write(`\r${label}... ${pct}%`);
+    if (pct >= 100) process.stderr.write('\n');
+  };
+}
+
+export async function render(opts) {
+  if (!opts.input) throw new Error('render: missing <session.json>');
+  if (opts.flipbook && opts.flipbook < 2) throw new Error('--flipbook needs at least 2 frames');
+  if (opts.variants && opts.flipbook) throw new Error('--variants and --flipbook cannot be combined');
+  if (!(opts.variants >= 0)) throw new Error('--variants must be a positive number');
+  if (!Number.isInteger(opts.seed) || opts.seed < 0) throw new Error('--seed must be a whole number, 0 or more');
+  if (!(opts.positionJitter >= 0)) throw new Error('--position-jitter must be zero or more');
+  if (!(opts.paramJitter >= 0 && opts.paramJitter <= 1)) throw new Error('--param-jitter must be between 0 and 1');
+  if (!(opts.spacing >= 0)) throw new Error('--spacing must be zero or more');
+  if (!(opts.res > 0)) throw new Error('--res must be a positive number');
+  if (!(opts.width >= 0) || !(opts.height >= 0)) throw new Error('--width/--height must be positive numbers');
+  if (!(opts.padding >= 0)) throw new Error('--padding must be zero or more');
+  if (!['contain', 'cover', 'stretch'].includes(opts.fit)) throw new Error('--fit must be contain, cover or stretch');
+  if (opts.pot && !['up', 'down', 'nearest'].includes(opts.pot)) throw new Error('--pot must be up, down or nearest');
+  for (const map of opts.pbr) {
+    if (!PBR_MAPS.includes(map)) throw new Error(`--pbr: unknown map "${map}" (expected ${PBR_MAPS.join(', ')})`);
+  }
+  if (opts.pbr.length && opts.variants) throw new Error('--pbr applies to textures and flipbooks');
+  for (const [flag, value] of [['--wet-roughness', opts.wetRoughness], ['--dry-roughness', opts.dryRoughness]]) {
+    if (value !== null && !(value >= 0 && value <= 1)) throw new Error(`${flag} must be between 0 and 1`);
+  }
+  if (opts.aoRadius !== null && !(opts.aoRadius > 0)) throw new Error('--ao-radius must be a positive number');
+  if (opts.aoStrength !== null && !(opts.aoStrength >= 0)) throw new Error('--ao-strength must be zero or more');
+  if (opts.emissive !== null && !(opts.emissive >= 0)) throw new Error('--emissive must be zero or more');
+  if (!(opts.normalStrength > 0)) throw new Error('--normal-strength must be a positive number');
+  if (!NORMAL_KERNELS.includes(opts.normalKernel)) throw new Error(`--normal-kernel must be ${NORMAL_KERNELS.join(', ')}`);
+  if (!NORMAL_CONVENTIONS.includes(opts.normalY)) throw new Error(`--normal-y must be ${NORMAL_CONVENTIONS.join(' or ')}`);
+  if (!(opts.normalBlur >= 0) || !(opts.normalEdge >= 0)) throw new Error('--normal-blur/--normal-edge must be zero or more');
+  if (!(opts.heightRange >= 0)) throw new Error('--height-range must be zero or more');
+  if ((opts.height16 || opts.exr) && (opts.flipbook || opts.variants)) throw new Error('--height16/--exr only apply to single textures');
+  if (!(opts.blend >= 0 && opts.blend <= 1)) throw new Error('--blend must be between 0 and 1');
+  if (!(opts.fps >= 0)) throw new Error('--fps must be a positive number');
+  for (const engine of opts.engines) {
+    if (!ENGINES.includes(engine)) throw new Error(`--engine: unknown engine "${engine}" (expected ${ENGINES.join(', ')})`);
+  }
+  for (const format of opts.animate) {
+    if (!['apng', 'gif', 'webm'].includes(format)) throw new Error(`--animate: unknown format "${format}" (expected apng, gif or webm)`);
+  }
+  if (opts.animate.length && !opts.flipbook) throw new Error('--animate needs --flipbook');
+  if (!Number.isInteger(opts.loops) || opts.loops < 0) throw new Error('--loops must be a whole number, 0 or more');
+  if (opts.gifMatte !== null && !/^#?[0-9a-f]{6}$/i.test(opts.gifMatte)) throw new Error('--gif-matte must be a hex color like #202020');
+
+  const { events, duration: sessionDuration } = readSession(opts.input);
+  const duration = opts.duration !== null ? opts.duration : sessionDuration;
+
+  fs.mkdirSync(opts.out, { recursive: true });
+
+  const simulatorOptions = { formation: loadFormation(opts.formation) };
+  const simulator = new FluidSimulator(1024, 1024, { backend: nodeBackend, ...simulatorOptions });
+  const exporter = new ExportManager(simulator, { writer: fileWriter(opts.out), simulatorOptions });
+
+  const pbr = { wetRoughness: opts.wetRoughness, dryRoughness: opts.dryRoughness, aoRadius: opts.aoRadius, aoStrength: opts.aoStrength, emissiveIntensity: opts.emissive };
+  const normalMap = { strength: opts.normalStrength, kernel: opts.normalKernel, convention: opts.normalY, blur: opts.normalBlur, edgeFalloff: opts.normalEdge };
+  const sizeOptions = { width: opts.width, height: opts.height, fit: opts.fit, padding: opts.padding, powerOfTwo: opts.pot, trim: opts.trim };
+
+  if (opts.variants) {
+    const variationOptions = { ...sizeOptions, normalMap, seed: opts.seed, positionJitter: opts.positionJitter, parameterJitter: opts.paramJitter, spacing: opts.spacing, atlasPowerOfTwo: opts.atlasPot };
+    await exporter.exportVariationAtlas(events, duration, opts.variants, opts.res, opts.depth, opts.normal, progressPrinter('Rendering variations'), variationOptions);
+  } else if (opts.flipbook) {
+    const blendOptions = { ...sizeOptions, normalMap, pbrMaps: opts.pbr, pbr, frameBlending: opts.blend > 0, blendStrength: opts.blend, includeMotion: opts.motion, fps: opts.fps, engines: opts.engines, animations: opts.animate, loops: opts.loops, gifMatte: opts.gifMatte };
+    await exporter.generateReplayFlipbook(events, duration, opts.flipbook, opts.res, opts.depth, opts.normal, progressPrinter('Rendering flipbook'), blendOptions);
+  } else {
+    const heightFormats = [opts.height16 && 'png16', opts.exr && 'exr'].filter(Boolean);
+    await exporter.exportReplayTexture(events, duration, opts.res, opts.depth, opts.normal, progressPrinter('Rendering texture'), { ...sizeOptions, normalMap, pbrMaps: opts.pbr, pbr, packing: opts.pack, vector: opts.svg, lottie: opts.lottie, heightFormats, heightRange: opts.heightRange });
+  }
+}
+
+async function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    return 2;
+  }
+
+  if (opts.help || !opts.command) {
+    console.log(USAGE);
+    return opts.help ? 0 : 2;
+  }
+
+  if (opts.command !== 'render') {
+    console.error(`Unknown command "${opts.command}"`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  try {
+    await render(opts);
+    return 0;
+  } catch (e) {
+    console.error(`fluidtex: ${e.message}`);
+    return 1;
+  }
+}
+
+// Resolve symlinks so the npm bin link (node_modules/.bin/fluidtex) runs main too
+function isEntryPoint() {
+  if (!process.argv[1]) return false;
+  try {
+    return fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(import.meta.url));
+  } catch (e) {
+    return false;
+  }
+}
+
+if (isEntryPoint()) {
+  main(process.argv.slice(2)).then((code) => { process.exitCode = code; });
+}
@@ -0,0 +1,227 @@
+// Minimal Animated GIF Encoder (pure JS)
+// GIF89a with one global palette for all frames, built by median cut over the
+// colors of every frame (5 bits per channel). GIF transparency is 1-bit:
+// pixels below `alphaThreshold` use the reserved transparent index, the rest
+// are opaque - either with their own color or, given a `matte`, blended
+// over it so soft edges do not turn into hard fringes. Frames dispose to
+// the background, so fading fluid does not pile up between frames.
+
+const TRANSPARENT_INDEX = 255;
+const MAX_COLORS = 255; // one slot stays free for transparency
+
+function parseMatte(matte) {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(matte || '');
+  return m ? [parseInt(m[1], 16), parseInt(m[2], 16), parseInt(m[3], 16)] : null;
+}
+
+// 15-bit key of a visible pixel, or -1 when it is transparent
+function pixelKey(data, i, alphaThreshold, matte) {
+  const a = data[i + 3];
+  if (a < alphaThreshold) return -1;
+  let r = data[i], g = data[i + 1], b = data[i + 2];
+  if (matte && a < 255) {
+    const t = a / 255;
+    r = r * t + matte[0] * (1 - t);
+    g = g * t + matte[1] * (1 - t);
+    b = b * t + matte[2] * (1 - t);
+  }
+  return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+function keyChannel(key, c) {
+  return (key >> (10 - c * 5)) & 31;
+}
+
+// Median cut over a 15-bit histogram -> [[r, g, b], ...] (at most maxColors)
+function medianCut(hist, maxColors) {
+  const keys = [];
+  for (let k = 0; k < hist.length; k++) if (hist[k]) keys.push(k);
+  if (keys.length === 0) return [[0, 0, 0]];
+
+  const makeBox = (list) => {
+    const min = [31, 31, 31], max = [0, 0, 0];
+    let count = 0;
+    for (const k of list) {
+      for (let c = 0; c < 3; c++) {
+        const v = keyChannel(k, c);
+        if (v < min[c]) min[c] = v;
+        if (v > max[c]) max[c] = v;
+      }
+      count += hist[k];
+    }
+    const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+    const axis = ranges.indexOf(Math.max(...ranges));
+    return { keys: list, count, axis, range: ranges[axis] };
+  };
+
+  const boxes = [makeBox(keys)];
+  while (boxes.length < maxColors) {
+    // Split the most populated box that still spans more than one color
+    let best = -1;
+    for (let i = 0; i < boxes.length; i++) {
+      if (boxes[i].keys.length < 2 || boxes[i].range === 0) continue;
+      if (best < 0 || boxes[i].count * boxes[i].range > boxes[best].count * boxes[best].range) best = i;
+    }
+    if (best < 0) break;
+
+    const box = boxes[best];
+    const sorted = [...box.keys].sort((a, b) => keyChannel(a, box.axis) - keyChannel(b, box.axis));
+    let half = box.count / 2, split = 1;
+    for (let i = 0, seen = 0; i < sorted.length - 1; i++) {
+      seen += hist[sorted[i]];
+      split = i + 1;
+      if (seen >= half) break;
+    }
+    boxes.splice(best, 1, makeBox(sorted.slice(0, split)), makeBox(sorted.slice(split)));
+  }
+
+  // Count-weighted average of each box, back in 8 bits
+  return boxes.map(box => {
+    const sum = [0, 0, 0];
+    for (const k of box.keys) {
+      for (let c = 0; c < 3; c++) sum[c] += (keyChannel(k, c) * 8 + 4) * hist[k];
+    }
+    return sum.map(v => Math.round(v / box.count));
+  });
+}
+
+// LZW-compressed image data, split into sub-blocks
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+  const out = [];
+  let block = [];
+  let bitBuffer = 0, bitCount = 0;
+
+  const emit = (code, size) => {
+    bitBuffer |= code << bitCount;
+    bitCount += size;
+    while (bitCount >= 8) {
+      block.push(bitBuffer & 0xFF);
+      if (block.length === 255) { out.push(255, ...block); block = []; }
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = eoiCode + 1;
+  let table = new Map();
+  emit(clearCode, codeSize);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix, codeSize);
+    if (nextCode === 4096) {
+      emit(clearCode, codeSize);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = eoiCode + 1;
+    } else {
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix, codeSize);
+  emit(eoiCode, codeSize);
+  if (bitCount > 0) block.push(bitBuffer & 0xFF);
+  if (block.length) out.push(block.length, ...block);
+  out.push(0);
+  return out;
+}
+
+function writeUint16(out, v) {
+  out.push(v & 0xFF, (v >> 8) & 0xFF);
+}
+
+// frames: RGBA8 pixel arrays of equal size
+// options.fps:            playback rate (default 30)
+// options.loops:          number of plays, 0 = forever (default)
+// options.alphaThreshold: 0..255, alpha below which a pixel is transparent (default 128)
+// options.matte:          '#rrggbb' to blend semi-transparent pixels over
+export function encodeGIF(width, height, frames, options = {}) {
+  const fps = options.fps || 30;
+  const loops = options.loops || 0;
+  const alphaThreshold = options.alphaThreshold !== undefined ? options.alphaThreshold : 128;
+  const matte = parseMatte(options.matte);
+
+  const hist = new Uint32Array(32768);
+  for (const data of frames) {
+    for (let i = 0; i < width * height * 4; i += 4) {
+      const key = pixelKey(data, i, alphaThreshold, matte);
+      if (key >= 0) hist[key]++;
+    }
+  }
+  const palette = medianCut(hist, MAX_COLORS);
+
+  // Nearest palette entry per 15-bit color, filled on demand
+  const lookup = new Int16Array(32768).fill(-1);
+  const nearest = (key) => {
+    if (lookup[key] >= 0) return lookup[key];
+    const r = keyChannel(key, 0) * 8 + 4, g = keyChannel(key, 1) * 8 + 4, b = keyChannel(key, 2) * 8 + 4;
+    let best = 0, bestDist = Infinity;
+    palette.forEach((p, i) => {
+      const d = (p[0] - r) ** 2 + (p[1] - g) ** 2 + (p[2] - b) ** 2;
+      if (d < bestDist) { bestDist = d; best = i; }
+    });
+    lookup[key] = best;
+    return best;
+  };
+
+  const out = [];
+  for (const c of 'GIF89a') out.push(c.charCodeAt(0));
+  writeUint16(out, width);
+  writeUint16(out, height);
+  out.push(0xF7, 0, 0); // global color table of 256 entries, background 0, square pixels
+  for (let i = 0; i < 256; i++) {
+    const p = palette[i] || [0, 0, 0];
+    out.push(p[0], p[1], p[2]);
+  }
+
+  // NETSCAPE2.0 counts repeats after the first play; a single play needs none
+  if (loops !== 1) {
+    out.push(0x21, 0xFF, 11);
+    for (const c of 'NETSCAPE2.0') out.push(c.charCodeAt(0));
+    out.push(3, 1);
+    writeUint16(out, loops === 0 ? 0 : loops - 1);
+    out.push(0);
+  }
+
+  const indices = new Uint8Array(width * height);
+  frames.forEach((data, f) => {
+    // Delays are whole centiseconds; round the running total so fps stays exact on average
+    const delay = Math.round((f + 1) * 100 / fps) - Math.round(f * 100 / fps);
+
+    // Graphic Control Extension: dispose to background, transparent index
+    out.push(0x21, 0xF9, 4, (2 << 2) | 1);
+    writeUint16(out, delay);
+    out.push(TRANSPARENT_INDEX, 0);
+
+    // Image descriptor: full frame, global palette
+    out.push(0x2C);
+    writeUint16(out, 0);
+    writeUint16(out, 0);
+    writeUint16(out, width);
+    writeUint16(out, height);
+    out.push(0);
+
+    for (let i = 0, p = 0; p < indices.length; i += 4, p++) {
+      const key = pixelKey(data, i, alphaThreshold, matte);
+      indices[p] = key < 0 ? TRANSPARENT_INDEX : nearest(key);
+    }
+    out.push(8);
+    const lzw = lzwEncode(indices, 8);
+    for (let i = 0; i < lzw.length; i++) out.push(lzw[i]);
+  });
+
+  out.push(0x3B);
+  return new Uint8Array(out);
+}
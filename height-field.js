@@ -0,0 +1,100 @@
+// High-Precision Height Field
+// Float heights sampled straight from the simulation, for exports where the
+// 8-bit depth map (renderDepthToContext) terraces normals and parallax:
+//
+//   grid modes:     FluidSimulator.grid resampled bilinearly, heights above 1
+//                   (pooled fluid reaches ~2.5) are kept
+//   particle modes: the surface stain plus a cone per particle, composited
+//                   like the depth render draws them, but in floats
+//
+//   const field = sampleHeightField(sim, layout);  // { width, height, heights, coverage }
+//
+// The fields feed normal-map.js and pbr-maps.js directly.
+
+import { resampleField } from './channel-pack.js';
+
+// layout: export layout ({ width, height, x, y, w, h }, see computeExportLayout)
+// Returns { width, height, heights, coverage } as Float32Arrays. Heights are
+// what the opaque depth map shows (1 = white) before quantizing.
+export function sampleHeightField(sim, layout) {
+  const { width, height } = layout;
+
+  if (sim.mode === 'tlou' || sim.mode === 'smart' || sim.mode === 'experimental') {
+    const heights = resampleField(sim.grid, sim.gridWidth, sim.gridHeight, layout, 1, Infinity);
+    // The grid depth render is opaque over the whole content rect
+    const coverage = resampleField(new Float32Array([1]), 1, 1, layout);
+    return { width, height, heights, coverage };
+  }
+
+  // Surface stain: grayscale(100%) brightness(200%), over black
+  const stain = sim.surfaceCanvas.getContext('2d').getImageData(0, 0, sim.width, sim.height).data;
+  const stainHeight = new Float32Array(sim.width * sim.height);
+  const stainAlpha = new Float32Array(sim.width * sim.height);
+  for (let i = 0; i < stainHeight.length; i++) {
+    const lum = (0.2126 * stain[i * 4] + 0.7152 * stain[i * 4 + 1] + 0.0722 * stain[i * 4 + 2]) / 255;
+    stainAlpha[i] = stain[i * 4 + 3] / 255;
+    stainHeight[i] = Math.min(1, lum * 2) * stainAlpha[i];
+  }
+  const heights = resampleField(stainHeight, sim.width, sim.height, layout);
+  const coverage = resampleField(stainAlpha, sim.width, sim.height, layout);
+
+  // Particles: white radial gradient, opaque at the center, clear at the rim
+  const scaleX = layout.w / sim.width;
+  const scaleY = layout.h / sim.height;
+  const P = sim.particles;
+  for (let k = 0; k < P.count; k++) {
+    const p = P.live[k];
+    const px = P.x[p], py = P.y[p], mass = P.mass[p];
+    const radius = mass * scaleX;
+    if (!(radius > 0)) continue;
+    const copies = sim.tileable ? sim.wrapOffsets(px, py, mass) : [[0, 0]];
+    for (const [ox, oy] of copies) {
+      const cx = layout.x + (px + ox) * scaleX;
+      const cy = layout.y + (py + oy) * scaleY;
+      const x0 = Math.max(0, Math.floor(cx - radius)), x1 = Math.min(width - 1, Math.ceil(cx + radius));
+      const y0 = Math.max(0, Math.floor(cy - radius)), y1 = Math.min(height - 1, Math.ceil(cy + radius));
+      for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+          const t = 1 - Math.hypot(x + 0.5 - cx, y + 0.5 - cy) / radius;
+          if (t <= 0) continue;
+          const i = y * width + x;
+          heights[i] = t + heights[i] * (1 - t);
+          coverage[i] = t + coverage[i] * (1 - t);
+        }
+      }
+    }
+  }
+  return { width, height, heights, coverage };
+}
+
+// Separable Gaussian blur of a scalar field, sigma = radius / 2
+export function blurField(values, width, height, radius, wrap) {
+  const r = Math.ceil(radius);
+  const sigma = Math.max(0.5, radius / 2);
+  const weights = [];
+  let total = 0;
+  for (let i = -r; i <= r; i++) {
+    const w = Math.exp(-(i * i) / (2 * sigma * sigma));
+    weights.push(w);
+    total += w;
+  }
+  const index = (v, n) => wrap ? ((v % n) + n) % n : Math.max(0, Math.min(n - 1, v));
+
+  const tmp = new Float32Array(values.length);
+  const out = new Float32Array(values.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -r; k <= r; k++) sum += values[y * width + index(x + k, width)] * weights[k + r];
+      tmp[y * width + x] = sum / total;
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -r; k <= r; k++) sum += tmp[index(y + k, height) * width + x] * weights[k + r];
+      out[y * width + x] = sum / total;
+    }
+  }
+  return out;
+}
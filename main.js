@@ -1,18 +1,33 @@
-import { FluidSimulator } from './fluid-sim.js';
-import { ExportManager } from './export-manager.js';
+import { SimulationHost } from './sim-host.js';
+import { SimulationWorkerClient, supportsWorkerSimulation } from './sim-client.js';
+import { downloadBlob } from './export-manager.js';
+import { serializeSession, parseSession } from './session-file.js';
+import { MaterialLibrary, materialFromState } from './material-library.js';
+import { SUBSTRATES } from './substrate.js';
 
 class App {
   constructor() {
     this.canvas = document.getElementById('fluid-canvas');
-    this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
-    
     this.overlayCanvas = document.getElementById('overlay-canvas');
-    this.overlayCtx = this.overlayCanvas.getContext('2d');
-    
-    this.simulator = null;
-    this.exportManager = null;
-    this.isSpawning = false;
-    this.spawnPosition = { x: 0, y: 0 };
+    this.tilePreviewCanvas = document.getElementById('tile-preview-canvas');
+
+    // Canvas size in px. The canvases may belong to the worker, so the page
+    // keeps its own copy for layout and pointer mapping.
+    this.width = 1024;
+    this.height = 1024;
+
+    // SimulationHost or, where OffscreenCanvas is supported, a
+    // SimulationWorkerClient running it in sim-worker.js
+    this.sim = null;
+    // Latest settings mirror (SimulationHost.getState)
+    this.state = null;
+    // Running export job ({ promise, cancel, cancelled }), if any
+    this.exportJob = null;
+    // Built-in and saved material presets (localStorage)
+    this.materials = new MaterialLibrary();
+    // Set while pushing the simulator state into the controls, so their
+    // handlers do not send the values straight back as new actions
+    this.isSyncingControls = false;
     
     // Viewport transform
     this.view = { scale: 1, x: 0, y: 0 };
@@ -23,11 +38,6 @@ class App {
     this.isDrawingShape = false;
     this.drawModeActive = false;
 
-    // Recording / Event Log
-    this.eventLog = [];
-    this.simulationTime = 0;
-    this.isRecording = false;
-
     // Ballistic Aiming & Moving
     this.isAiming = false;
     this.isMovingCube = false;
@@ -41,19 +51,31 @@ class App {
     this.init();
   }
 
-  init() {
+  async init() {
     // Initial size 1024x1024 (default)
-    this.canvas.width = 1024;
-    this.canvas.height = 1024;
+    this.canvas.width = this.width;
+    this.canvas.height = this.height;
     
-    this.overlayCanvas.width = 1024;
-    this.overlayCanvas.height = 1024;
+    this.overlayCanvas.width = this.width;
+    this.overlayCanvas.height = this.height;
     
-    this.simulator = new FluidSimulator(1024, 1024);
-    this.exportManager = new ExportManager(this.simulator);
-    
-    // Start Log
-    this.resetLog();
+    // The simulator and its event log live in the host; the page only
+    // sends actions and mirrors the state it reports back
+    const canvases = { canvas: this.canvas, overlayCanvas: this.overlayCanvas, tilePreviewCanvas: this.tilePreviewCanvas };
+    const onState = (state) => this.handleState(state);
+    if (supportsWorkerSimulation(this.canvas)) {
+        const onError = (e) => alert(`${e.message}. Reload the page to restart the simulation.`);
+        this.sim = new SimulationWorkerClient(canvases, { onState, onError });
+        try {
+            await this.sim.ready;
+        } catch (e) {
+            return; // already reported by onError
+        }
+    } else {
+        this.sim = new SimulationHost(canvases, { onState });
+        this.sim.publishState();
+        this.sim.start();
+    }
     
     this.resizeViewport();
     window.addEventListener('resize', () => this.resizeViewport());
@@ -61,22 +83,23 @@ class App {
     
     this.setupControls();
     this.setupInput();
-    this.start();
   }
 
-  resetLog() {
-    this.eventLog = [];
-    this.simulationTime = 0;
-    // Log full initial configuration state
-    this.logEvent('init', this.simulator.getState());
+  // Sends one user action to the simulator, which applies and logs it
+  act(type, data) {
+    if (this.isSyncingControls) return Promise.resolve(this.state);
+    return this.sim.act(type, data);
   }
 
-  logEvent(type, data) {
-    this.eventLog.push({
-        time: this.simulationTime,
-        type: type,
-        data: data
-    });
+  handleState(state) {
+    this.state = state;
+    if (state.width !== this.width || state.height !== this.height) {
+        this.width = state.width;
+        this.height = state.height;
+        this.centerView();
+        this.updateCubeVisuals();
+    }
+    this.updatePauseButton();
   }
 
   resizeViewport() {
@@ -100,15 +123,15 @@ class App {
     // Let's check HTML. Yes: #target-block is inside #canvas-wrapper.
     // So we just position it by pixels relative to canvas size.
     
-    const x = this.cubePos.x * this.canvas.width;
-    const y = this.cubePos.y * this.canvas.height;
+    const x = this.cubePos.x * this.width;
+    const y = this.cubePos.y * this.height;
     
     targetBlock.style.left = x + 'px';
     targetBlock.style.top = y + 'px';
     
     // Scale size based on canvas width
     // Base size = 10% of width
-    const baseSize = this.canvas.width * 0.10;
+    const baseSize = this.width * 0.10;
     
     // Distance modifies visual scale (Perspective: Farther = Smaller)
     // Distance 0 = Scale 1.2 (Very Close)
@@ -122,8 +145,14 @@ class App {
 
   updateTransform() {
     const wrapper = document.getElementById('canvas-wrapper');
-    wrapper.style.width = this.canvas.width + 'px';
-    wrapper.style.height = this.canvas.height + 'px';
+    wrapper.style.width = this.width + 'px';
+    wrapper.style.height = this.height + 'px';
+    // Canvases drawn by the worker cannot be resized from here, so their
+    // display size is set explicitly
+    for (const canvas of [this.canvas, this.overlayCanvas]) {
+        canvas.style.width = this.width + 'px';
+        canvas.style.height = this.height + 'px';
+    }
     wrapper.style.transform = `translate(${this.view.x}px, ${this.view.y}px) scale(${this.view.scale})`;
   }
   
@@ -134,8 +163,8 @@ class App {
     
     // Fit to screen with padding
     const padding = 40;
-    const scaleX = (cw - padding) / this.canvas.width;
-    const scaleY = (ch - padding) / this.canvas.height;
+    const scaleX = (cw - padding) / this.width;
+    const scaleY = (ch - padding) / this.height;
     const scale = Math.min(scaleX, scaleY, 1); // Don't zoom in by default, just fit
     
     this.view.scale = scale;
@@ -157,29 +186,9 @@ class App {
     // Mode selector
     document.querySelectorAll('.mode-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
-        document.querySelectorAll('.mode-btn').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
         const mode = btn.dataset.mode;
-        this.simulator.setMode(mode);
-        this.logEvent('setMode', mode);
-        
-        // Toggle Shape Controls
-        const shapeControls = document.getElementById('pool-shape-controls');
-        const ballisticControls = document.getElementById('ballistic-controls');
-        const targetBlock = document.getElementById('target-block');
-        
-        // Reset visibility
-        shapeControls.classList.add('hidden');
-        ballisticControls.classList.add('hidden');
-        targetBlock.classList.add('hidden');
-        this.setDrawMode(false);
-
-        if (mode === 'one-click' || mode === 'smart' || mode === 'experimental') {
-            shapeControls.classList.remove('hidden');
-        } else if (mode === 'ballistic') {
-            ballisticControls.classList.remove('hidden');
-            targetBlock.classList.remove('hidden');
-        }
+        this.act('setMode', mode);
+        this.updateModeControls(mode);
       });
     });
     
@@ -189,7 +198,7 @@ class App {
              document.querySelectorAll('.caliber-btn').forEach(b => b.classList.remove('active'));
              btn.classList.add('active');
              const cal = btn.dataset.cal;
-             this.simulator.setCaliber(cal);
+             this.act('setCaliber', cal);
         });
     });
 
@@ -230,8 +239,7 @@ class App {
     });
     
     document.getElementById('clear-shape-btn').addEventListener('click', () => {
-        this.simulator.clearMask();
-        this.logEvent('clearMask', {});
+        this.act('clearMask', {});
     });
 
     const uploadBtn = document.getElementById('upload-shape-btn');
@@ -245,14 +253,9 @@ class App {
         
         const reader = new FileReader();
         reader.onload = (evt) => {
-            const dataUrl = evt.target.result;
-            const img = new Image();
-            img.onload = () => {
-                this.simulator.setMaskFromImage(img);
-                // Log the full data URL to allow replay (might be large, but necessary for exact replay)
-                this.logEvent('setMaskFromImage', dataUrl);
-            };
-            img.src = dataUrl;
+            // The host decodes the image and logs the full data URL to allow
+            // replay (might be large, but necessary for exact replay)
+            this.act('setMaskFromImage', evt.target.result);
         };
         reader.readAsDataURL(file);
         
@@ -260,70 +263,87 @@ class App {
         fileInput.value = '';
     });
 
+    // Surface substrate
+    const substrateSelect = document.getElementById('substrate-select');
+    for (const [id, substrate] of Object.entries(SUBSTRATES)) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = substrate.name;
+        substrateSelect.appendChild(option);
+    }
+    substrateSelect.addEventListener('change', (e) => {
+        this.act('setSubstrate', e.target.value);
+    });
+
+    const substrateInput = document.getElementById('substrate-upload');
+    document.getElementById('upload-substrate-btn').addEventListener('click', () => substrateInput.click());
+    substrateInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        // Logged as the data URL, like masks, so replays load the same texture
+        reader.onload = (evt) => this.act('setSubstrateFromImage', evt.target.result);
+        reader.readAsDataURL(file);
+        substrateInput.value = '';
+    });
+
     // Range inputs
     this.setupRangeInput('viscosity', (val) => {
         const v = val / 100;
-        this.simulator.setViscosity(v);
-        this.logEvent('setViscosity', v);
+        this.act('setViscosity', v);
     });
     this.setupRangeInput('density', (val) => {
-        this.simulator.setDensity(val);
-        this.logEvent('setDensity', val);
+        this.act('setDensity', val);
     });
     this.setupRangeInput('gravity', (val) => {
         const v = val / 100;
-        this.simulator.setGravity(v);
-        this.logEvent('setGravity', v);
+        this.act('setGravity', v);
     });
     this.setupRangeInput('surface-tension', (val) => {
         const v = val / 100;
-        this.simulator.setSurfaceTension(v);
-        this.logEvent('setSurfaceTension', v);
+        this.act('setSurfaceTension', v);
     });
     this.setupRangeInput('turbulence', (val) => {
         const v = val / 100; // 0 to 1
-        this.simulator.setTurbulence(v);
-        this.logEvent('setTurbulence', v);
+        this.act('setTurbulence', v);
     });
     this.setupRangeInput('pooling-randomness', (val) => {
         const v = val / 100;
-        this.simulator.setPoolingRandomness(v);
-        this.logEvent('setPoolingRandomness', v);
+        this.act('setPoolingRandomness', v);
+    });
+    // Smart / Experimental pools run downhill toward +x / +y
+    const actTilt = () => this.act('setTilt', {
+        x: parseFloat(document.getElementById('tilt-x').value) / 100,
+        y: parseFloat(document.getElementById('tilt-y').value) / 100
     });
+    this.setupRangeInput('tilt-x', actTilt);
+    this.setupRangeInput('tilt-y', actTilt);
     this.setupRangeInput('spawn-rate', (val) => {
-        this.simulator.setSpawnRate(val);
-        this.logEvent('setSpawnRate', val);
+        this.act('setSpawnRate', val);
     });
     this.setupRangeInput('spawn-velocity', (val) => {
-        this.simulator.setSpawnVelocity(val);
-        this.logEvent('setSpawnVelocity', val);
+        this.act('setSpawnVelocity', val);
     });
     this.setupRangeInput('spread-angle', (val) => {
-        this.simulator.setSpreadAngle(val);
-        this.logEvent('setSpreadAngle', val);
+        this.act('setSpreadAngle', val);
     });
     this.setupRangeInput('particle-size', (val) => {
-        this.simulator.setParticleSize(val);
-        this.logEvent('setParticleSize', val);
+        this.act('setParticleSize', val);
     });
     this.setupRangeInput('size-randomness', (val) => {
         const v = val / 100;
-        this.simulator.setSizeRandomness(v);
-        this.logEvent('setSizeRandomness', v);
+        this.act('setSizeRandomness', v);
     });
     this.setupRangeInput('opacity', (val) => {
         const v = val / 100;
-        this.simulator.setOpacity(v);
-        this.logEvent('setOpacity', v);
+        this.act('setOpacity', v);
     });
     this.setupRangeInput('time-scale', (val) => {
         const v = val / 100;
-        this.simulator.setTimeScale(v);
-        this.logEvent('setTimeScale', v);
+        this.act('setTimeScale', v);
     });
     this.setupRangeInput('substeps', (val) => {
-        this.simulator.setSubsteps(val);
-        this.logEvent('setSubsteps', val);
+        this.act('setSubsteps', val);
     });
     
     // Initialize Substeps slider visually to match sim default (3)
@@ -331,13 +351,28 @@ class App {
 
     // Lifetime Controls
     this.setupRangeInput('particle-lifetime', (val) => {
-        this.simulator.setParticleLifetime(val);
-        this.logEvent('setParticleLifetime', val);
+        this.act('setParticleLifetime', val);
     });
     const infLifetime = document.getElementById('infinite-lifetime');
     infLifetime.addEventListener('change', (e) => {
-        this.simulator.setInfiniteLifetime(e.target.checked);
-        this.logEvent('setInfiniteLifetime', e.target.checked);
+        this.act('setInfiniteLifetime', e.target.checked);
+    });
+
+    // Drying Controls
+    document.getElementById('drying').addEventListener('change', (e) => {
+        this.act('setDrying', e.target.checked);
+    });
+    this.setupRangeInput('drying-speed', (val) => {
+        this.act('setDryingSpeed', val / 100);
+    });
+    this.setupRangeInput('evaporation', (val) => {
+        this.act('setEvaporation', val / 100);
+    });
+    this.setupRangeInput('residue', (val) => {
+        this.act('setResidue', val / 100);
+    });
+    document.getElementById('dry-color').addEventListener('input', (e) => {
+        this.act('setDryColor', e.target.value);
     });
 
     // Spawn Mode
@@ -346,43 +381,34 @@ class App {
         document.querySelectorAll('.spawn-mode-btn').forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
         const mode = btn.dataset.spawn;
-        this.simulator.setSpawnMode(mode);
-        this.logEvent('setSpawnMode', mode);
+        this.act('setSpawnMode', mode);
       });
     });
 
     // Material Select
     const matSelect = document.getElementById('material-select');
-    matSelect.addEventListener('change', (e) => {
+    this.populateMaterialSelect();
+    matSelect.addEventListener('change', async (e) => {
       const mat = e.target.value;
-      const settings = this.simulator.applyMaterial(mat);
-      this.logEvent('applyMaterial', mat);
+      // Saved presets travel whole in the event, so replays never need this library
+      const state = await this.act('applyMaterial', mat === 'custom' ? mat : this.materials.eventData(mat));
       
-      if (settings) {
+      if (mat !== 'custom') {
         // Update UI controls to match preset
-        this.updateRangeDisplay('viscosity', settings.viscosity * 100);
-        this.updateRangeDisplay('density', settings.density);
-        document.getElementById('fluid-color').value = settings.color;
-        this.updateRangeDisplay('opacity', settings.opacity * 100);
-        if (settings.tension !== undefined) {
-             this.updateRangeDisplay('surface-tension', settings.tension * 100);
-        }
-        if (settings.turbulence !== undefined) {
-             this.updateRangeDisplay('turbulence', settings.turbulence * 100);
-        } else {
-             this.updateRangeDisplay('turbulence', 0);
-        }
+        this.syncMaterialControls(state);
       }
+      this.updateMaterialButtons();
       this.updateMatrixFilter();
     });
+    this.setupMaterialLibrary();
 
     // Color input
     document.getElementById('fluid-color').addEventListener('input', (e) => {
       const color = e.target.value;
-      this.simulator.setColor(color);
-      this.logEvent('setColor', color);
+      this.act('setColor', color);
       // If custom color, set material to custom
       matSelect.value = 'custom';
+      this.updateMaterialButtons();
     });
     
     // Compass
@@ -391,23 +417,21 @@ class App {
     // Pause button
     const pauseBtn = document.getElementById('pause-btn');
     pauseBtn.addEventListener('click', () => {
-      const isPaused = this.simulator.togglePause();
-      pauseBtn.textContent = isPaused ? "Resume" : "Pause";
-      pauseBtn.style.background = isPaused ? "#fff" : "";
-      pauseBtn.style.color = isPaused ? "#000" : "";
+      this.act('setPaused', !this.state.paused);
     });
 
-    // Reset button
+    // Reset button (the host also unpauses and starts a new log)
     document.getElementById('reset-btn').addEventListener('click', () => {
-      this.simulator.reset();
-      this.resetLog();
-      // Ensure we unpause on reset if paused
-      if (this.simulator.paused) {
-        this.simulator.togglePause();
-        pauseBtn.textContent = "Pause";
-        pauseBtn.style.background = "";
-        pauseBtn.style.color = "";
-      }
+      this.sim.reset();
+    });
+
+    // Tileable canvas
+    document.getElementById('tileable').addEventListener('change', (e) => {
+        this.act('setTileable', e.target.checked);
+    });
+    document.getElementById('tiled-preview').addEventListener('change', (e) => {
+        this.sim.setTiledPreview(e.target.checked);
+        this.tilePreviewCanvas.classList.toggle('hidden', !e.target.checked);
     });
 
     // Center View
@@ -421,18 +445,22 @@ class App {
     const updateSize = () => {
         const w = parseInt(wInput.value) || 1024;
         const h = parseInt(hInput.value) || 1024;
-        this.canvas.width = w;
-        this.canvas.height = h;
-        this.overlayCanvas.width = w;
-        this.overlayCanvas.height = h;
-        this.simulator.resize(w, h);
-        this.logEvent('resize', { width: w, height: h });
-        this.centerView();
-        this.updateCubeVisuals();
+        // handleState() re-centers the view once the simulator has resized
+        this.sim.resize(w, h);
     };
     wInput.addEventListener('change', updateSize);
     hInput.addEventListener('change', updateSize);
 
+    // Session Files
+    document.getElementById('save-session-btn').addEventListener('click', () => this.saveSession());
+    const sessionInput = document.getElementById('session-upload');
+    document.getElementById('open-session-btn').addEventListener('click', () => sessionInput.click());
+    sessionInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) this.openSession(file);
+        sessionInput.value = '';
+    });
+
     // Export button
     document.getElementById('export-btn').addEventListener('click', () => {
       this.showExportModal();
@@ -487,6 +515,208 @@ class App {
 
   }
 
+  updatePauseButton() {
+    const pauseBtn = document.getElementById('pause-btn');
+    const isPaused = this.state.paused;
+    pauseBtn.textContent = isPaused ? "Resume" : "Pause";
+    pauseBtn.style.background = isPaused ? "#fff" : "";
+    pauseBtn.style.color = isPaused ? "#000" : "";
+  }
+
+  updateModeControls(mode) {
+    document.querySelectorAll('.mode-btn').forEach(b => b.classList.toggle('active', b.dataset.mode === mode));
+
+    // Toggle Shape Controls
+    const shapeControls = document.getElementById('pool-shape-controls');
+    const ballisticControls = document.getElementById('ballistic-controls');
+    const targetBlock = document.getElementById('target-block');
+    
+    // Reset visibility
+    shapeControls.classList.add('hidden');
+    ballisticControls.classList.add('hidden');
+    targetBlock.classList.add('hidden');
+    this.setDrawMode(false);
+
+    if (mode === 'one-click' || mode === 'smart' || mode === 'experimental') {
+        shapeControls.classList.remove('hidden');
+    } else if (mode === 'ballistic') {
+        ballisticControls.classList.remove('hidden');
+        targetBlock.classList.remove('hidden');
+    }
+  }
+
+  // Material library: save the current sliders as a preset, delete, and
+  // import / export presets as JSON
+  setupMaterialLibrary() {
+    const matSelect = document.getElementById('material-select');
+
+    document.getElementById('save-material-btn').addEventListener('click', async () => {
+      const current = this.materials.list().find(m => m.id === matSelect.value && !m.builtin);
+      const name = prompt('Save current settings as material:', current ? current.name : '');
+      if (!name || !name.trim()) return;
+      let preset;
+      try {
+        preset = this.materials.save(materialFromState(this.state, name));
+      } catch (e) {
+        alert(`Could not save material: ${e.message}`);
+        return;
+      }
+      this.populateMaterialSelect();
+      matSelect.value = preset.id;
+      await this.act('applyMaterial', this.materials.eventData(preset.id));
+      this.updateMaterialButtons();
+    });
+
+    document.getElementById('delete-material-btn').addEventListener('click', () => {
+      const current = this.materials.list().find(m => m.id === matSelect.value && !m.builtin);
+      if (!current || !confirm(`Delete material "${current.name}"?`)) return;
+      this.materials.remove(current.id);
+      this.populateMaterialSelect();
+      // The simulator keeps its values; they are just no longer a preset
+      matSelect.value = 'custom';
+      this.updateMaterialButtons();
+    });
+
+    const materialsInput = document.getElementById('materials-upload');
+    document.getElementById('import-materials-btn').addEventListener('click', () => materialsInput.click());
+    materialsInput.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      materialsInput.value = '';
+      if (!file) return;
+      try {
+        const count = this.materials.importJSON(await file.text());
+        this.populateMaterialSelect();
+        alert(`Imported ${count} material${count === 1 ? '' : 's'}.`);
+      } catch (err) {
+        alert(`Could not import materials: ${err.message}`);
+      }
+    });
+
+    document.getElementById('export-materials-btn').addEventListener('click', () => {
+      const blob = new Blob([this.materials.exportJSON()], { type: 'application/json' });
+      downloadBlob(blob, 'fluid-materials.json');
+    });
+  }
+
+  // Rebuilds the material dropdown from the library, keeping the selection
+  populateMaterialSelect() {
+    const matSelect = document.getElementById('material-select');
+    const selected = matSelect.value;
+    matSelect.innerHTML = '<option value="custom">Custom</option>';
+
+    const groups = [['Built-in', true], ['Saved', false]];
+    for (const [label, builtin] of groups) {
+      const materials = this.materials.list().filter(m => m.builtin === builtin);
+      if (materials.length === 0) continue;
+      const group = document.createElement('optgroup');
+      group.label = label;
+      for (const m of materials) {
+        const option = document.createElement('option');
+        option.value = m.id;
+        option.textContent = m.name;
+        group.appendChild(option);
+      }
+      matSelect.appendChild(group);
+    }
+
+    matSelect.value = selected;
+    if (matSelect.value !== selected) matSelect.value = 'custom';
+    this.updateMaterialButtons();
+  }
+
+  // Only saved presets can be deleted
+  updateMaterialButtons() {
+    const id = document.getElementById('material-select').value;
+    const saved = this.materials.list().some(m => m.id === id && !m.builtin);
+    document.getElementById('delete-material-btn').disabled = !saved;
+  }
+
+  // Pushes the values a material preset sets into their controls without
+  // sending them back as actions
+  syncMaterialControls(state) {
+    this.isSyncingControls = true;
+    this.updateRangeDisplay('viscosity', Math.round(state.viscosity * 100));
+    this.updateRangeDisplay('density', state.density);
+    document.getElementById('fluid-color').value = state.color;
+    this.updateRangeDisplay('opacity', Math.round(state.opacity * 100));
+    this.updateRangeDisplay('surface-tension', Math.round(state.surfaceTension * 100));
+    this.updateRangeDisplay('turbulence', Math.round(state.turbulence * 100));
+    this.updateRangeDisplay('particle-lifetime', state.particleLifetime);
+    this.updateRangeDisplay('size-randomness', Math.round(state.sizeRandomness * 100));
+    this.updateRangeDisplay('evaporation', Math.round(state.evaporation * 100));
+    this.updateRangeDisplay('residue', Math.round(state.residue * 100));
+    document.getElementById('dry-color').value = state.dryColor;
+    this.isSyncingControls = false;
+  }
+
+  // Pushes the simulator's current settings back into every control without
+  // sending them back as actions
+  syncControlsFromState() {
+    const sim = this.state;
+    this.isSyncingControls = true;
+    this.updateModeControls(sim.mode);
+
+    this.updateRangeDisplay('viscosity', Math.round(sim.viscosity * 100));
+    this.updateRangeDisplay('density', sim.density);
+    this.updateRangeDisplay('gravity', Math.round(sim.gravityStrength * 100));
+    this.updateRangeDisplay('surface-tension', Math.round(sim.surfaceTension * 100));
+    this.updateRangeDisplay('turbulence', Math.round(sim.turbulence * 100));
+    this.updateRangeDisplay('pooling-randomness', Math.round(sim.poolingRandomness * 100));
+    this.updateRangeDisplay('spawn-rate', sim.spawnRate);
+    this.updateRangeDisplay('spawn-velocity', sim.spawnVelocity);
+    this.updateRangeDisplay('spread-angle', sim.spreadAngle);
+    this.updateRangeDisplay('particle-size', sim.particleSize);
+    this.updateRangeDisplay('size-randomness', Math.round(sim.sizeRandomness * 100));
+    this.updateRangeDisplay('opacity', Math.round(sim.opacity * 100));
+    this.updateRangeDisplay('time-scale', Math.round(sim.timeScale * 100));
+    this.updateRangeDisplay('substeps', sim.substeps);
+    this.updateRangeDisplay('particle-lifetime', sim.particleLifetime);
+    document.getElementById('infinite-lifetime').checked = sim.infiniteLifetime;
+    document.getElementById('tileable').checked = sim.tileable;
+    document.getElementById('substrate-select').value = sim.substrate;
+    this.updateRangeDisplay('tilt-x', Math.round(sim.tiltX * 100));
+    this.updateRangeDisplay('tilt-y', Math.round(sim.tiltY * 100));
+    document.getElementById('drying').checked = sim.drying;
+    this.updateRangeDisplay('drying-speed', Math.round(sim.dryingSpeed * 100));
+    this.updateRangeDisplay('evaporation', Math.round(sim.evaporation * 100));
+    this.updateRangeDisplay('residue', Math.round(sim.residue * 100));
+    document.getElementById('dry-color').value = sim.dryColor;
+
+    document.querySelectorAll('.spawn-mode-btn').forEach(b => b.classList.toggle('active', b.dataset.spawn === sim.spawnMode));
+    document.querySelectorAll('.caliber-btn').forEach(b => b.classList.toggle('active', b.dataset.cal === sim.activeCaliber));
+    document.getElementById('compass-arrow').style.transform = `rotate(${sim.spawnDirection}rad)`;
+    document.getElementById('fluid-color').value = sim.color;
+    const matSelect = document.getElementById('material-select');
+    matSelect.value = sim.material;
+    if (matSelect.value !== sim.material) matSelect.value = 'custom';
+    this.updateMaterialButtons();
+
+    document.getElementById('canvas-width').value = sim.width;
+    document.getElementById('canvas-height').value = sim.height;
+    this.isSyncingControls = false;
+  }
+
+  async saveSession() {
+    const session = serializeSession(await this.sim.sessionLog());
+    const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+    downloadBlob(blob, 'fluid-session.json');
+  }
+
+  async openSession(file) {
+    let session;
+    try {
+        session = parseSession(await file.text());
+    } catch (e) {
+        alert(`Could not open session: ${e.message}`);
+        return;
+    }
+
+    // Fast-forward the live simulator through the log to rebuild the canvas;
+    // the host continues the session's log from there
+    await this.sim.openSession(session);
+    this.syncControlsFromState();
+  }
+
   setupRangeInput(id, callback) {
     const input = document.getElementById(id);
     const valueSpan = input.parentElement.querySelector('.value');
@@ -497,8 +727,8 @@ class App {
       
       let displayValue = val;
       if (id === 'spread-angle') displayValue = val + '°';
-      else if (id === 'opacity') displayValue = val + '%';
-      else if (id === 'time-scale') displayValue = (val / 100).toFixed(2) + 'x';
+      else if (id === 'opacity' || id === 'residue' || id.startsWith('tilt-') || id === 'variant-param-jitter' || id.startsWith('pbr-')) displayValue = val + '%';
+      else if (id === 'time-scale' || id === 'drying-speed') displayValue = (val / 100).toFixed(2) + 'x';
       
       valueSpan.textContent = displayValue;
     });
@@ -528,8 +758,7 @@ class App {
       const angle = Math.atan2(clientY - cy, clientX - cx);
       
       arrow.style.transform = `rotate(${angle}rad)`;
-      this.simulator.setSpawnDirection(angle);
-      this.logEvent('setSpawnDirection', angle);
+      this.act('setSpawnDirection', angle);
     };
 
     container.addEventListener('mousedown', (e) => {
@@ -570,7 +799,15 @@ class App {
     };
 
     closeBtn.addEventListener('click', closeModal);
-    cancelBtn.addEventListener('click', closeModal);
+    // While an export runs, Cancel stops the job instead
+    cancelBtn.addEventListener('click', () => {
+        if (this.exportJob) {
+            this.exportJob.cancelled = true;
+            this.exportJob.cancel();
+        } else {
+            closeModal();
+        }
+    });
 
     // Export type selector
     document.querySelectorAll('.export-type-btn').forEach(btn => {
@@ -581,6 +818,7 @@ class App {
         const type = btn.dataset.type;
         document.getElementById('texture-options').classList.toggle('hidden', type !== 'texture');
         document.getElementById('flipbook-options').classList.toggle('hidden', type !== 'flipbook');
+        document.getElementById('variation-options').classList.toggle('hidden', type !== 'variations');
         
         // Hide preview when switching modes
         document.getElementById('flipbook-preview-container').classList.add('hidden');
@@ -590,6 +828,11 @@ class App {
 
     // Blend strength
     this.setupRangeInput('blend-strength', () => {});
+    this.setupRangeInput('variant-param-jitter', () => {});
+    this.setupRangeInput('normal-strength', () => {});
+    this.setupRangeInput('pbr-wet-roughness', () => {});
+    this.setupRangeInput('pbr-dry-roughness', () => {});
+    this.setupRangeInput('pbr-ao-strength', () => {});
 
     // Confirm export
     confirmBtn.addEventListener('click', async () => {
@@ -597,6 +840,8 @@ class App {
       
       if (activeType === 'texture') {
         await this.exportTexture();
+      } else if (activeType === 'variations') {
+        await this.exportVariations();
       } else {
         // Replay/Flipbook Export
         await this.exportFlipbookReplay();
@@ -608,61 +853,152 @@ class App {
     document.getElementById('export-modal').classList.add('active');
   }
 
+  // Runs an export job in the simulator host (SimulationHost.runExport) with
+  // the progress bar. Resolves true when it finished; failures are reported,
+  // cancelling is not.
+  async runExportJob(kind, params, label) {
+    const progressContainer = document.getElementById('export-progress');
+    const progressFill = progressContainer.querySelector('.progress-fill');
+    const progressText = progressContainer.querySelector('.progress-text');
+    progressFill.style.width = '0%';
+    progressText.textContent = `${label}... 0%`;
+    progressContainer.classList.remove('hidden');
+
+    const job = this.sim.startExport(kind, params, (progress) => {
+        progressFill.style.width = progress + '%';
+        progressText.textContent = `${label}... ${Math.round(progress)}%`;
+    });
+    this.exportJob = job;
+    try {
+        await job.promise;
+        return true;
+    } catch (e) {
+        // A dead worker was already reported by onError
+        if (!job.cancelled && !this.sim.error) alert(`Export failed: ${e.message}`);
+        return false;
+    } finally {
+        this.exportJob = null;
+        progressContainer.classList.add('hidden');
+    }
+  }
+
+  // Output size settings shared by all export types
+  readSizeOptions() {
+    return {
+        width: parseInt(document.getElementById('export-width').value) || 0,
+        height: parseInt(document.getElementById('export-height').value) || 0,
+        fit: document.getElementById('export-fit').value,
+        padding: parseInt(document.getElementById('export-padding').value) || 0,
+        powerOfTwo: document.getElementById('export-pot').value || false,
+        trim: document.getElementById('export-trim').checked
+    };
+  }
+
+  // Material maps for textures and flipbooks (see pbr-maps.js)
+  readPbrOptions() {
+    const intensity = parseFloat(document.getElementById('pbr-emissive-intensity').value);
+    return {
+        pbrMaps: ['roughness', 'specular', 'ao', 'emissive'].filter(map => document.getElementById(`pbr-${map}`).checked),
+        pbr: {
+            wetRoughness: parseInt(document.getElementById('pbr-wet-roughness').value) / 100,
+            dryRoughness: parseInt(document.getElementById('pbr-dry-roughness').value) / 100,
+            aoRadius: parseFloat(document.getElementById('pbr-ao-radius').value) || 8,
+            aoStrength: parseInt(document.getElementById('pbr-ao-strength').value) / 100,
+            emissiveIntensity: isNaN(intensity) ? null : intensity
+        }
+    };
+  }
+
+  // Normal map settings shared by all export types (see normal-map.js)
+  readNormalMapOptions() {
+    return {
+        strength: parseFloat(document.getElementById('normal-strength').value),
+        kernel: document.getElementById('normal-kernel').value,
+        convention: document.getElementById('normal-convention').value,
+        blur: parseFloat(document.getElementById('normal-blur').value) || 0,
+        edgeFalloff: parseFloat(document.getElementById('normal-edge').value) || 0
+    };
+  }
+
   async exportFlipbookReplay() {
     const resolution = parseInt(document.getElementById('flipbook-resolution').value);
     const frameCount = parseInt(document.getElementById('frame-count').value);
     const includeDepth = document.getElementById('flipbook-depth').checked;
     const includeNormal = document.getElementById('flipbook-normal').checked;
-    
-    // We export the entire session duration
-    const duration = this.simulationTime;
+    const blendOptions = {
+        ...this.readSizeOptions(),
+        normalMap: this.readNormalMapOptions(),
+        ...this.readPbrOptions(),
+        frameBlending: document.getElementById('frame-blending').checked,
+        blendStrength: parseInt(document.getElementById('blend-strength').value) / 100,
+        includeMotion: document.getElementById('flipbook-motion').checked,
+        fps: parseFloat(document.getElementById('flipbook-fps').value) || 0,
+        engines: ['unity', 'unreal', 'godot'].filter(engine => document.getElementById(`flipbook-${engine}`).checked),
+        animations: ['apng', 'gif', 'webm'].filter(format => document.getElementById(`flipbook-${format}`).checked),
+        loops: parseInt(document.getElementById('flipbook-loops').value) || 0,
+        gifMatte: document.getElementById('flipbook-gif-matte-enabled').checked ? document.getElementById('flipbook-gif-matte').value : null
+    };
     
     // UI Feedback
     const modal = document.getElementById('export-modal');
     document.querySelector('.export-type-selector').style.display = 'none';
     document.getElementById('flipbook-options').classList.add('hidden');
-    const progressContainer = document.getElementById('export-progress');
-    progressContainer.classList.remove('hidden');
+    document.getElementById('size-options').classList.add('hidden');
     
-    // Trigger Export Manager
-    await this.exportManager.generateReplayFlipbook(
-        this.eventLog,
-        duration,
-        frameCount,
-        resolution,
-        includeDepth,
-        includeNormal,
-        (progress) => {
-            const progressFill = progressContainer.querySelector('.progress-fill');
-            const progressText = progressContainer.querySelector('.progress-text');
-            progressFill.style.width = progress + '%';
-            progressText.textContent = `Rendering Flipbook... ${Math.round(progress)}%`;
-        }
-    );
+    // Replays the entire session so far, in the background
+    await this.runExportJob('flipbook', { resolution, frameCount, includeDepth, includeNormal, options: blendOptions }, 'Rendering Flipbook');
     
     // Reset UI
-    progressContainer.classList.add('hidden');
     modal.classList.remove('active');
     document.querySelector('.export-type-selector').style.display = 'grid';
     document.getElementById('flipbook-options').classList.remove('hidden');
+    document.getElementById('size-options').classList.remove('hidden');
+  }
+
+  async exportVariations() {
+    const variantCount = parseInt(document.getElementById('variant-count').value);
+    const resolution = parseInt(document.getElementById('variant-resolution').value);
+    const includeDepth = document.getElementById('variant-depth').checked;
+    const includeNormal = document.getElementById('variant-normal').checked;
+    const variationOptions = {
+        ...this.readSizeOptions(),
+        normalMap: this.readNormalMapOptions(),
+        seed: parseInt(document.getElementById('variant-seed').value) || 0,
+        positionJitter: parseFloat(document.getElementById('variant-position-jitter').value) || 0,
+        parameterJitter: parseInt(document.getElementById('variant-param-jitter').value) / 100,
+        spacing: parseInt(document.getElementById('variant-spacing').value) || 0,
+        atlasPowerOfTwo: document.getElementById('variant-atlas-pot').checked
+    };
+
+    const modal = document.getElementById('export-modal');
+    document.querySelector('.export-type-selector').style.display = 'none';
+    document.getElementById('variation-options').classList.add('hidden');
+    document.getElementById('size-options').classList.add('hidden');
+
+    await this.runExportJob('variations', { resolution, variantCount, includeDepth, includeNormal, options: variationOptions }, 'Rendering Variations');
+
+    modal.classList.remove('active');
+    document.querySelector('.export-type-selector').style.display = 'grid';
+    document.getElementById('variation-options').classList.remove('hidden');
+    document.getElementById('size-options').classList.remove('hidden');
   }
 
   async exportTexture() {
     const resolution = parseInt(document.getElementById('texture-resolution').value);
     const includeDepth = document.getElementById('export-depth').checked;
     const includeNormal = document.getElementById('export-normal').checked;
-    const progressContainer = document.getElementById('export-progress');
+    const packing = document.getElementById('export-packing').value || null;
+    const vector = document.getElementById('export-svg').checked;
+    const lottie = document.getElementById('export-lottie').checked;
+    const heightFormats = [
+        document.getElementById('export-height16').checked && 'png16',
+        document.getElementById('export-exr').checked && 'exr'
+    ].filter(Boolean);
+    const options = { ...this.readSizeOptions(), normalMap: this.readNormalMapOptions(), ...this.readPbrOptions(), packing, vector, lottie, heightFormats };
     
-    progressContainer.classList.remove('hidden');
+    // Keep the modal open after a failure so the settings can be changed
+    if (!await this.runExportJob('texture', { resolution, includeDepth, includeNormal, options }, 'Exporting')) return;
     
-    await this.exportManager.exportTexture(resolution, includeDepth, includeNormal, (progress) => {
-      const progressFill = progressContainer.querySelector('.progress-fill');
-      const progressText = progressContainer.querySelector('.progress-text');
-      progressFill.style.width = progress + '%';
-      progressText.textContent = `Exporting... ${Math.round(progress)}%`;
-    });
-    
-    progressContainer.classList.add('hidden');
     document.getElementById('export-modal').classList.remove('active');
   }
 
@@ -695,8 +1031,8 @@ class App {
        // The canvas-wrapper is centered in container.
        // So world 0,0 corresponds to canvas width/2, height/2
        
-       const canvasX = worldX + this.canvas.width / 2;
-       const canvasY = worldY + this.canvas.height / 2;
+       const canvasX = worldX + this.width / 2;
+       const canvasY = worldY + this.height / 2;
        
        return { x: canvasX, y: canvasY };
     };
@@ -716,32 +1052,13 @@ class App {
       // Drawing Shape
       if (this.drawModeActive && e.button === 0) {
           this.isDrawingShape = true;
-          this.simulator.updateMask(pos.x, pos.y, 40, false);
-          this.logEvent('drawShape', { x: pos.x, y: pos.y, radius: 40, erase: false });
+          this.act('drawShape', { x: pos.x, y: pos.y, radius: 40, erase: false });
           return;
       }
       
-      // Spawning
+      // Spawning: a one-shot spawn or a spray, depending on the mode
       if (e.button === 0) {
-          this.spawnPosition = pos;
-          
-          if (this.simulator.mode === 'one-click') {
-             this.simulator.spawnPool(pos.x, pos.y);
-             this.logEvent('spawnPool', { x: pos.x, y: pos.y }); 
-          } else if (this.simulator.mode === 'experimental') {
-             this.simulator.spawnExperimental(pos.x, pos.y);
-             this.logEvent('spawnExperimental', { x: pos.x, y: pos.y });
-          } else if (this.simulator.mode === 'smart') {
-             this.simulator.spawn(pos.x, pos.y);
-             this.logEvent('spawn', { x: pos.x, y: pos.y, mode: 'smart' });
-          } else if (this.simulator.mode === 'grid-wall') {
-             this.isSpawning = true;
-          } else if (this.simulator.spawnMode === 'drop') {
-             this.simulator.spawn(pos.x, pos.y);
-             this.logEvent('spawn', { x: pos.x, y: pos.y, mode: 'drop' });
-          } else {
-             this.isSpawning = true;
-          }
+          this.sim.pointerDown(pos.x, pos.y);
       }
     };
     
@@ -749,14 +1066,18 @@ class App {
         if (this.isMovingCube) {
             const pos = getCanvasPos(e.clientX, e.clientY);
             // Clamp to canvas
-            this.cubePos.x = Math.max(0, Math.min(1, pos.x / this.canvas.width));
-            this.cubePos.y = Math.max(0, Math.min(1, pos.y / this.canvas.height));
+            this.cubePos.x = Math.max(0, Math.min(1, pos.x / this.width));
+            this.cubePos.y = Math.max(0, Math.min(1, pos.y / this.height));
             this.updateCubeVisuals();
             return;
         }
 
         if (this.isAiming) {
             this.aimCurrent = { x: e.clientX, y: e.clientY };
+            this.sim.setAim({
+                start: getCanvasPos(this.aimStart.x, this.aimStart.y),
+                end: getCanvasPos(this.aimCurrent.x, this.aimCurrent.y)
+            });
             return; // Don't pan or spawn while aiming
         }
 
@@ -773,11 +1094,10 @@ class App {
         const pos = getCanvasPos(e.clientX, e.clientY);
         
         if (this.isDrawingShape) {
-            this.simulator.updateMask(pos.x, pos.y, 40, false);
             // Throttle logging if needed, but for now log all
-            this.logEvent('drawShape', { x: pos.x, y: pos.y, radius: 40, erase: false });
-        } else if (this.isSpawning) {
-            this.spawnPosition = pos;
+            this.act('drawShape', { x: pos.x, y: pos.y, radius: 40, erase: false });
+        } else {
+            this.sim.pointerMove(pos.x, pos.y);
         }
     };
     
@@ -789,6 +1109,7 @@ class App {
 
         if (this.isAiming) {
             this.isAiming = false;
+            this.sim.setAim(null);
             // Fire!
             // Calculate angle
             const dx = this.aimCurrent.x - this.aimStart.x;
@@ -798,19 +1119,18 @@ class App {
             // Map screen aim start (center of block) to canvas coords
             const pos = getCanvasPos(this.aimStart.x, this.aimStart.y);
             
-            this.simulator.spawnBallistic(pos.x, pos.y, angle, this.cubeDistance);
-            this.logEvent('spawnBallistic', { 
+            this.act('spawnBallistic', { 
                 x: pos.x, 
                 y: pos.y, 
                 angle: angle, 
-                caliber: this.simulator.activeCaliber,
+                caliber: this.state.activeCaliber,
                 distance: this.cubeDistance 
             });
         }
 
         this.isPanning = false;
-        this.isSpawning = false;
         this.isDrawingShape = false;
+        this.sim.pointerUp();
     };
     
     container.addEventListener('mousedown', handleStart);
@@ -828,27 +1148,11 @@ class App {
             
             if (this.drawModeActive) {
                 this.isDrawingShape = true;
-                this.simulator.updateMask(pos.x, pos.y, 40, false);
-                this.logEvent('drawShape', { x: pos.x, y: pos.y, radius: 40, erase: false });
+                this.act('drawShape', { x: pos.x, y: pos.y, radius: 40, erase: false });
                 return;
             }
 
-            this.spawnPosition = pos;
-            if (this.simulator.mode === 'one-click') {
-                 this.simulator.spawnPool(pos.x, pos.y);
-                 this.logEvent('spawnPool', { x: pos.x, y: pos.y });
-            } else if (this.simulator.mode === 'experimental') {
-                 this.simulator.spawnExperimental(pos.x, pos.y);
-                 this.logEvent('spawnExperimental', { x: pos.x, y: pos.y });
-            } else if (this.simulator.mode === 'smart') {
-                 this.simulator.spawn(pos.x, pos.y);
-                 this.logEvent('spawn', { x: pos.x, y: pos.y, mode: 'smart' });
-            } else if (this.simulator.spawnMode === 'drop') {
-                 this.simulator.spawn(pos.x, pos.y);
-                 this.logEvent('spawn', { x: pos.x, y: pos.y, mode: 'drop' });
-            } else {
-                 this.isSpawning = true;
-            }
+            this.sim.pointerDown(pos.x, pos.y);
         }
     });
     
@@ -865,12 +1169,11 @@ class App {
         } else if (this.isDrawingShape) {
             const t = e.touches[0];
             const pos = getCanvasPos(t.clientX, t.clientY);
-            this.simulator.updateMask(pos.x, pos.y, 40, false);
-            this.logEvent('drawShape', { x: pos.x, y: pos.y, radius: 40, erase: false });
-        } else if (this.isSpawning) {
+            this.act('drawShape', { x: pos.x, y: pos.y, radius: 40, erase: false });
+        } else {
             const t = e.touches[0];
             const pos = getCanvasPos(t.clientX, t.clientY);
-            this.spawnPosition = pos;
+            this.sim.pointerMove(pos.x, pos.y);
         }
     });
     
@@ -894,99 +1197,6 @@ class App {
   updateSpawnPosition(e) {
       // Deprecated, logic moved to getCanvasPos inside setupInput
   }
-
-  update(dt) {
-    if (this.isSpawning) {
-      this.simulator.spawn(this.spawnPosition.x, this.spawnPosition.y);
-      // Log spawn stream (throttle if needed? No, frames are low enough)
-      this.logEvent('spawn', { x: this.spawnPosition.x, y: this.spawnPosition.y, mode: 'spray' });
-    }
-    
-    this.simulator.update(dt);
-  }
-
-  render() {
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    this.simulator.render(this.ctx);
-    
-    this.overlayCtx.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
-    this.simulator.renderOverlay(this.overlayCtx);
-    
-    // Draw Aim Line
-    if (this.isAiming) {
-        // We need to map screen coords back to canvas coords for the overlay canvas
-        // Actually, overlay canvas is same transform as main canvas? 
-        // No, in CSS canvas-wrapper is transformed. The canvases are inside.
-        // So we can draw using canvas coords.
-        // We have screen coords for aim.
-        // Use getCanvasPos logic but we don't have access to it easily here unless we scope it or re-implement.
-        // BUT, we have this.aimStart which was calculated from getBoundingClientRect center.
-        
-        const getLoc = (sx, sy) => {
-            // Re-implement transform logic or use saved canvas center
-            // Simple approach: aimStart was screen relative.
-            const rect = document.getElementById('canvas-container').getBoundingClientRect();
-            const cx = rect.left + rect.width/2;
-            const cy = rect.top + rect.height/2;
-            const dx = sx - cx;
-            const dy = sy - cy;
-            // world relative to center
-            const wx = (dx - this.view.x) / this.view.scale;
-            const wy = (dy - this.view.y) / this.view.scale;
-            return { x: wx + this.canvas.width/2, y: wy + this.canvas.height/2 };
-        };
-        
-        const start = getLoc(this.aimStart.x, this.aimStart.y);
-        const end = getLoc(this.aimCurrent.x, this.aimCurrent.y);
-        
-        this.overlayCtx.beginPath();
-        this.overlayCtx.moveTo(start.x, start.y);
-        this.overlayCtx.lineTo(end.x, end.y);
-        this.overlayCtx.strokeStyle = 'rgba(255, 0, 0, 0.5)';
-        this.overlayCtx.lineWidth = 4;
-        this.overlayCtx.setLineDash([10, 10]);
-        this.overlayCtx.stroke();
-        this.overlayCtx.setLineDash([]);
-        
-        // Arrow head
-        const angle = Math.atan2(end.y - start.y, end.x - start.x);
-        const headLen = 20;
-        this.overlayCtx.beginPath();
-        this.overlayCtx.moveTo(end.x, end.y);
-        this.overlayCtx.lineTo(end.x - headLen * Math.cos(angle - Math.PI/6), end.y - headLen * Math.sin(angle - Math.PI/6));
-        this.overlayCtx.lineTo(end.x - headLen * Math.cos(angle + Math.PI/6), end.y - headLen * Math.sin(angle + Math.PI/6));
-        this.overlayCtx.fillStyle = 'rgba(255, 0, 0, 0.8)';
-        this.overlayCtx.fill();
-    }
-  }
-
-  start() {
-    let lastTime = performance.now();
-    let accumulator = 0;
-    const FIXED_STEP = 1 / 60;
-    
-    const loop = (currentTime) => {
-      let frameTime = (currentTime - lastTime) / 1000;
-      lastTime = currentTime;
-      
-      // Prevent spiral of death
-      if (frameTime > 0.25) frameTime = 0.25;
-      
-      accumulator += frameTime;
-
-      while (accumulator >= FIXED_STEP) {
-        this.update(FIXED_STEP);
-        this.simulationTime += FIXED_STEP;
-        accumulator -= FIXED_STEP;
-      }
-      
-      this.render();
-      
-      requestAnimationFrame(loop);
-    };
-    
-    requestAnimationFrame(loop);
-  }
 }
 
 new App();
\ No newline at end of file
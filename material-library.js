@@ -0,0 +1,203 @@
+// Material Library
+// The built-in liquid presets plus the user's own, saved from the current
+// slider state and kept in localStorage. A preset is plain data:
+//
+//   { id, name, color, viscosity, density, opacity, surfaceTension,
+//     turbulence, particleLifetime, sizeRandomness, renderStyle, phase,
+//     evaporation, residue, dryColor }
+//
+// Built-ins are applied by id (FluidSimulator.applyMaterial('blood')); user
+// presets are applied as the whole object, so an applyMaterial event carries
+// everything a replay needs, with or without this browser's library.
+//
+// Library files (import / export):
+// { format: 'arsenals-fluid-materials', version: 1, materials: [preset, ...] }
+
+export const MATERIALS_FORMAT = 'arsenals-fluid-materials';
+export const MATERIALS_VERSION = 1;
+
+const STORAGE_KEY = 'arsenals-fluid-materials';
+
+// Ids of user presets start with this, so they never shadow a built-in
+const USER_PREFIX = 'user:';
+
+// 'blood' draws one-click pools and grid stains in dark layered tones
+export const RENDER_STYLES = ['standard', 'blood'];
+
+// Fluids of the same phase blend their colors where they meet; different
+// phases stay apart (oil beads on water instead of tinting it)
+export const PHASES = ['aqueous', 'oil', 'gel'];
+
+// How a material dries (FluidSimulator.drying): evaporation 0..1 is how fast
+// it thins and ages, residue 0..1 how much of it stays behind as a stain,
+// dryColor the color that stain turns. Also the values of presets saved
+// before drying.
+export const DRYING_DEFAULTS = { evaporation: 0.2, residue: 0.6, dryColor: '#4a1c14' };
+
+// Simulator settings a preset stores; the built-ins leave lifetime and size
+// randomness alone
+export const MATERIAL_FIELDS = ['color', 'viscosity', 'density', 'opacity', 'surfaceTension', 'turbulence', 'particleLifetime', 'sizeRandomness', 'renderStyle', 'phase', 'evaporation', 'residue', 'dryColor'];
+
+export const BUILTIN_MATERIALS = {
+  water: { name: 'Water', color: '#2b95ff', viscosity: 0.1, density: 40, opacity: 0.6, surfaceTension: 0.4, turbulence: 0, renderStyle: 'standard', phase: 'aqueous', evaporation: 0.5, residue: 0.1, dryColor: '#8a96a0' },
+  blood: { name: 'Blood', color: '#7a0000', viscosity: 0.5, density: 80, opacity: 0.95, surfaceTension: 0.6, turbulence: 0.4, renderStyle: 'blood', phase: 'aqueous', evaporation: 0.25, residue: 0.9, dryColor: '#3b1a10' },
+  oil: { name: 'Oil', color: '#1a1a1a', viscosity: 0.4, density: 55, opacity: 0.98, surfaceTension: 0.5, turbulence: 0, renderStyle: 'standard', phase: 'oil', evaporation: 0.02, residue: 1.0, dryColor: '#141414' },
+  honey: { name: 'Honey', color: '#dca600', viscosity: 0.8, density: 80, opacity: 0.9, surfaceTension: 0.8, turbulence: 0, renderStyle: 'standard', phase: 'aqueous', evaporation: 0.05, residue: 0.95, dryColor: '#a86a00' },
+  slime: { name: 'Slime', color: '#52ff00', viscosity: 0.6, density: 65, opacity: 0.8, surfaceTension: 0.6, turbulence: 0, renderStyle: 'standard', phase: 'gel', evaporation: 0.3, residue: 0.4, dryColor: '#2e7a00' },
+  chocolate: { name: 'Chocolate', color: '#3e2723', viscosity: 0.7, density: 70, opacity: 1.0, surfaceTension: 0.6, turbulence: 0, renderStyle: 'standard', phase: 'oil', evaporation: 0.15, residue: 0.9, dryColor: '#2a1a16' }
+};
+
+// The preset an applyMaterial event refers to: a built-in id, or a preset
+// object (user presets). null for 'custom' and unknown ids.
+export function resolveMaterial(mat) {
+  if (mat && typeof mat === 'object') return mat;
+  const builtin = BUILTIN_MATERIALS[mat];
+  return builtin ? { id: mat, ...builtin } : null;
+}
+
+// Rendering style of a material id, for states saved before renderStyle
+export function materialRenderStyle(id) {
+  const builtin = BUILTIN_MATERIALS[id];
+  return builtin ? builtin.renderStyle : 'standard';
+}
+
+// Phase of a material id, for states saved before phases
+export function materialPhase(id) {
+  const builtin = BUILTIN_MATERIALS[id];
+  return builtin ? builtin.phase : 'aqueous';
+}
+
+// Drying settings of a material id, for states saved before drying
+export function materialDrying(id) {
+  const builtin = BUILTIN_MATERIALS[id];
+  return builtin ? { evaporation: builtin.evaporation, residue: builtin.residue, dryColor: builtin.dryColor } : { ...DRYING_DEFAULTS };
+}
+
+export function userMaterialId(name) {
+  const slug = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return USER_PREFIX + (slug || 'material');
+}
+
+// A named preset of the simulator's current settings (getState())
+export function materialFromState(state, name) {
+  const preset = { id: userMaterialId(name), name: name.trim() };
+  for (const field of MATERIAL_FIELDS) preset[field] = state[field];
+  return validateMaterial(preset);
+}
+
+// Checks a user preset and returns a clean copy, throwing on anything a
+// replay could not apply
+export function validateMaterial(m) {
+  if (!m || typeof m !== 'object') throw new Error('Material is not an object');
+  if (typeof m.name !== 'string' || !m.name.trim()) throw new Error('Material has no name');
+  if (!isHexColor(m.color)) throw new Error(`Material "${m.name}" has no #rrggbb color`);
+  const preset = { id: userMaterialId(m.name), name: m.name.trim() };
+  for (const field of MATERIAL_FIELDS) {
+    if (field === 'color') {
+      preset.color = m.color.toLowerCase();
+    } else if (field === 'renderStyle') {
+      preset.renderStyle = RENDER_STYLES.includes(m.renderStyle) ? m.renderStyle : 'standard';
+    } else if (field === 'phase') {
+      preset.phase = PHASES.includes(m.phase) ? m.phase : 'aqueous';
+    } else if (field === 'dryColor') {
+      preset.dryColor = isHexColor(m.dryColor) ? m.dryColor.toLowerCase() : DRYING_DEFAULTS.dryColor;
+    } else if (m[field] === undefined && DRYING_DEFAULTS[field] !== undefined) {
+      preset[field] = DRYING_DEFAULTS[field];
+    } else {
+      if (typeof m[field] !== 'number' || !Number.isFinite(m[field])) throw new Error(`Material "${m.name}" has no ${field}`);
+      preset[field] = m[field];
+    }
+  }
+  return preset;
+}
+
+function isHexColor(value) {
+  return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+export function serializeMaterials(materials) {
+  return { format: MATERIALS_FORMAT, version: MATERIALS_VERSION, materials: materials.map(validateMaterial) };
+}
+
+// Presets from a library file; also takes a bare array or a single preset
+export function parseMaterials(text) {
+  const json = typeof text === 'string' ? JSON.parse(text) : text;
+  let list;
+  if (Array.isArray(json)) list = json;
+  else if (json && json.format === MATERIALS_FORMAT) {
+    if (json.version > MATERIALS_VERSION) throw new Error(`Material library version ${json.version} is newer than this app supports`);
+    list = json.materials || [];
+  } else if (json && typeof json.name === 'string') list = [json];
+  else throw new Error('Not a fluid material library');
+  return list.map(validateMaterial);
+}
+
+export class MaterialLibrary {
+  // options.storage: Storage-like { getItem, setItem } (default: localStorage
+  //                  where there is one; otherwise presets last for the page)
+  constructor(options = {}) {
+    this.storage = options.storage !== undefined ? options.storage
+      : (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.user = []; // user presets, in the order they were first saved
+    this.load();
+  }
+
+  load() {
+    this.user = [];
+    if (!this.storage) return;
+    const text = this.storage.getItem(STORAGE_KEY);
+    if (!text) return;
+    try {
+      this.user = parseMaterials(text);
+    } catch (e) {
+      console.warn('Ignoring unreadable saved materials:', e.message);
+    }
+  }
+
+  persist() {
+    if (this.storage) this.storage.setItem(STORAGE_KEY, JSON.stringify(serializeMaterials(this.user)));
+  }
+
+  // Built-ins first: [{ id, name, builtin }]
+  list() {
+    const builtins = Object.entries(BUILTIN_MATERIALS).map(([id, m]) => ({ id, name: m.name, builtin: true }));
+    return builtins.concat(this.user.map(m => ({ id: m.id, name: m.name, builtin: false })));
+  }
+
+  // What to send as applyMaterial's data: the id for built-ins, the whole
+  // preset for user materials. null if there is no such material.
+  eventData(id) {
+    if (BUILTIN_MATERIALS[id]) return id;
+    const preset = this.user.find(m => m.id === id);
+    return preset ? { ...preset } : null;
+  }
+
+  // Adds a preset, replacing a user preset of the same name
+  save(preset) {
+    const clean = validateMaterial(preset);
+    const index = this.user.findIndex(m => m.id === clean.id);
+    if (index >= 0) this.user[index] = clean; else this.user.push(clean);
+    this.persist();
+    return clean;
+  }
+
+  remove(id) {
+    this.user = this.user.filter(m => m.id !== id);
+    this.persist();
+  }
+
+  exportJSON() {
+    return JSON.stringify(serializeMaterials(this.user), null, 2);
+  }
+
+  // Merges a library file into the user presets; returns how many it held
+  importJSON(text) {
+    const presets = parseMaterials(text);
+    for (const preset of presets) {
+      const index = this.user.findIndex(m => m.id === preset.id);
+      if (index >= 0) this.user[index] = preset; else this.user.push(preset);
+    }
+    this.persist();
+    return presets.length;
+  }
+}
@@ -0,0 +1,186 @@
+// Normal Map Generation
+// Tangent-space normals from a height field ({ width, height, heights,
+// coverage } with 0..1 heights, see height-field.js, or the red/alpha of a
+// depth render via canvasHeightField). Settings:
+//
+//   strength:       slope multiplier (default 3)
+//   kernel:         'central' (4-tap difference, default), 'sobel' or 'scharr'
+//                   (3x3, smoother on noisy heights); all scaled so a ramp
+//                   gives the same slope
+//   convention:     green channel direction. 'directx' (default): +Y points
+//                   down the image, which is what the generator has always
+//                   written; 'opengl': +Y up (Unity, Blender, Godot)
+//   blur:           px radius of a Gaussian pre-blur of the heights
+//   edgeFalloff:    px over which normals flatten towards the fluid edge,
+//                   softening the rim the drop to the background creates
+//   alphaThreshold: 0..1 coverage below which a pixel is background (flat,
+//                   transparent; default 10/255)
+//   wrap:           sample across the edges (tileable canvases) instead of clamping
+
+import { blurField } from './height-field.js';
+
+export const NORMAL_KERNELS = ['central', 'sobel', 'scharr'];
+export const NORMAL_CONVENTIONS = ['directx', 'opengl'];
+
+export const NORMAL_MAP_DEFAULTS = {
+  strength: 3.0,
+  kernel: 'central',
+  convention: 'directx',
+  blur: 0,
+  edgeFalloff: 0,
+  alphaThreshold: 10 / 255,
+  wrap: false
+};
+
+// 3x3 kernel weights for the rows/columns either side: [outer, center, outer]
+// and the divisor that matches the 4-tap central difference on a ramp
+const KERNEL_WEIGHTS = {
+  sobel: { w: [1, 2, 1], scale: 1 / 4 },
+  scharr: { w: [3, 10, 3], scale: 1 / 16 }
+};
+
+export function resolveNormalSettings(settings = {}) {
+  const resolved = { ...NORMAL_MAP_DEFAULTS };
+  for (const [key, value] of Object.entries(settings)) {
+    if (value !== undefined && value !== null) resolved[key] = value;
+  }
+  if (!NORMAL_KERNELS.includes(resolved.kernel)) {
+    throw new Error(`Unknown normal kernel "${resolved.kernel}" (expected ${NORMAL_KERNELS.join(', ')})`);
+  }
+  if (!NORMAL_CONVENTIONS.includes(resolved.convention)) {
+    throw new Error(`Unknown normal convention "${resolved.convention}" (expected ${NORMAL_CONVENTIONS.join(', ')})`);
+  }
+  return resolved;
+}
+
+// Height field from a grayscale depth render: red as height, alpha as coverage
+export function canvasHeightField(canvas) {
+  const { width, height } = canvas;
+  const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+  const heights = new Float32Array(width * height);
+  const coverage = new Float32Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    heights[i] = data[i * 4] / 255.0;
+    coverage[i] = data[i * 4 + 3] / 255;
+  }
+  return { width, height, heights, coverage };
+}
+
+// Chamfer distance (px) from every pixel to the nearest background pixel.
+// Wrapped fields take a second sweep so distances carry across the seams.
+function edgeDistance(background, width, height, wrap) {
+  const INF = 1e9;
+  const dist = new Float32Array(width * height);
+  for (let i = 0; i < dist.length; i++) dist[i] = background[i] ? 0 : INF;
+  const at = (x, y) => {
+    if (wrap) return dist[((y + height) % height) * width + ((x + width) % width)];
+    return (x < 0 || y < 0 || x >= width || y >= height) ? INF : dist[y * width + x];
+  };
+
+  const D = Math.SQRT2;
+  for (let sweep = 0; sweep < (wrap ? 2 : 1); sweep++) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        dist[i] = Math.min(dist[i], at(x - 1, y) + 1, at(x, y - 1) + 1, at(x - 1, y - 1) + D, at(x + 1, y - 1) + D);
+      }
+    }
+    for (let y = height - 1; y >= 0; y--) {
+      for (let x = width - 1; x >= 0; x--) {
+        const i = y * width + x;
+        dist[i] = Math.min(dist[i], at(x + 1, y) + 1, at(x, y + 1) + 1, at(x + 1, y + 1) + D, at(x - 1, y + 1) + D);
+      }
+    }
+  }
+  return dist;
+}
+
+// Unit normals of a height field: { width, height, normals (xyz per pixel,
+// +Y per the convention), alpha (0..1, 0 on background) }
+export function computeNormals(field, settings = {}) {
+  const s = resolveNormalSettings(settings);
+  const { width, height, coverage } = field;
+  const heights = s.blur > 0 ? blurField(field.heights, width, height, s.blur, s.wrap) : field.heights;
+  const count = width * height;
+  const normals = new Float32Array(count * 3);
+  const alpha = new Float32Array(count);
+
+  const background = new Uint8Array(count);
+  for (let i = 0; i < count; i++) background[i] = coverage[i] < s.alphaThreshold ? 1 : 0;
+  const distance = s.edgeFalloff > 0 ? edgeDistance(background, width, height, s.wrap) : null;
+
+  const getH = (x, y) => {
+    // Clamp (or wrap)
+    const nx = s.wrap ? (x + width) % width : Math.max(0, Math.min(width - 1, x));
+    const ny = s.wrap ? (y + height) % height : Math.max(0, Math.min(height - 1, y));
+    return heights[ny * width + nx];
+  };
+  const kernel = KERNEL_WEIGHTS[s.kernel];
+  const ySign = s.convention === 'opengl' ? -1 : 1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (background[i]) {
+        normals[i * 3 + 2] = 1;
+        continue;
+      }
+
+      let strength = s.strength;
+      if (distance) strength *= Math.min(1, distance[i] / s.edgeFalloff);
+
+      let dx, dy;
+      if (kernel) {
+        const [a, b, c] = kernel.w;
+        dx = (a * (getH(x - 1, y - 1) - getH(x + 1, y - 1)) + b * (getH(x - 1, y) - getH(x + 1, y)) + c * (getH(x - 1, y + 1) - getH(x + 1, y + 1))) * kernel.scale * strength;
+        dy = (a * (getH(x - 1, y - 1) - getH(x - 1, y + 1)) + b * (getH(x, y - 1) - getH(x, y + 1)) + c * (getH(x + 1, y - 1) - getH(x + 1, y + 1))) * kernel.scale * strength;
+      } else {
+        dx = (getH(x - 1, y) - getH(x + 1, y)) * strength;
+        dy = (getH(x, y - 1) - getH(x, y + 1)) * strength;
+      }
+
+      const len = Math.sqrt(dx * dx + dy * dy + 1);
+      normals[i * 3] = dx / len;
+      normals[i * 3 + 1] = ySign * dy / len;
+      normals[i * 3 + 2] = 1 / len;
+      alpha[i] = coverage[i];
+    }
+  }
+  return { width, height, normals, alpha };
+}
+
+// RGBA8, background (128, 128, 255, 0)
+export function packNormals8(result) {
+  const { width, height, normals, alpha } = result;
+  const out = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const o = i * 4;
+    if (alpha[i] === 0) {
+      out[o] = 128; out[o + 1] = 128; out[o + 2] = 255; out[o + 3] = 0;
+      continue;
+    }
+    out[o] = Math.floor((normals[i * 3] + 1) * 127.5);
+    out[o + 1] = Math.floor((normals[i * 3 + 1] + 1) * 127.5);
+    out[o + 2] = Math.floor((normals[i * 3 + 2] + 1) * 127.5);
+    out[o + 3] = Math.round(alpha[i] * 255);
+  }
+  return out;
+}
+
+// RGBA16, background (32768, 32768, 65535, 0)
+export function packNormals16(result) {
+  const { width, height, normals, alpha } = result;
+  const out = new Uint16Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const o = i * 4;
+    if (alpha[i] === 0) {
+      out[o] = 32768; out[o + 1] = 32768; out[o + 2] = 65535; out[o + 3] = 0;
+      continue;
+    }
+    out[o] = Math.round((normals[i * 3] + 1) * 32767.5);
+    out[o + 1] = Math.round((normals[i * 3 + 1] + 1) * 32767.5);
+    out[o + 2] = Math.round((normals[i * 3 + 2] + 1) * 32767.5);
+    out[o + 3] = Math.round(Math.min(1, alpha[i]) * 65535);
+  }
+  return out;
+}
@@ -0,0 +1,71 @@
+// Typed-Array Particle Storage
+// Packs the simulator's particle pool (particle-pool.js) into compact typed
+// arrays and back, so snapshots cross the worker boundary (sim-worker.js) as
+// transferable buffers instead of thousands of structured-cloned objects:
+//
+//   { count, values: Float32Array(count * FIELDS), flags: Uint8Array(count),
+//     colors: Uint16Array(count), palette: ['rgba(...)', ...],
+//     fluids: Uint8Array(count), birthOrder: Int32Array(count) }
+//
+// Particles are stored in the pool's iteration order, and birthOrder lists
+// them oldest first, so a restored pool steps and evicts exactly like the
+// original. Values are the pool's own float32s, so they restore bit-exactly.
+
+import { FIELDS, ACTIVE, MIST, SPLATTER, POOL } from './particle-pool.js';
+
+// Particle object flags (pre-pool checkpoints), by bit
+const OBJECT_FLAGS = [['active', ACTIVE], ['isMist', MIST], ['isSplatter', SPLATTER], ['pool', POOL]];
+
+export function packParticles(pool) {
+  const count = pool.count;
+  const stride = FIELDS.length;
+  const values = new Float32Array(count * stride);
+  const flags = new Uint8Array(count);
+  const colors = new Uint16Array(count);
+  const fluids = new Uint8Array(count);
+
+  for (let k = 0; k < count; k++) {
+    const i = pool.live[k];
+    for (let f = 0; f < stride; f++) values[k * stride + f] = pool[FIELDS[f]][i];
+    flags[k] = pool.flags[i];
+    colors[k] = pool.colors[i];
+    fluids[k] = pool.fluids[i];
+  }
+  return { count, values, flags, colors, palette: pool.palette.slice(), fluids, birthOrder: pool.birthOrder() };
+}
+
+// Refills `pool` from packParticles() output, or from an array of particle
+// objects as checkpoints held before the pool existed. Particles saved
+// before per-particle fluids get fluid 0; without a birthOrder they are
+// taken to be oldest first.
+export function unpackParticles(packed, pool) {
+  pool.clear();
+  if (Array.isArray(packed)) {
+    for (const p of packed) {
+      let bits = 0;
+      for (const [name, bit] of OBJECT_FLAGS) if (p[name]) bits |= bit;
+      const i = pool.add(p.x, p.y, p.vx, p.vy, p.mass, p.initialMass, p.life, p.color, bits, p.fluid || 0);
+      pool.prevX[i] = p.prevX;
+      pool.prevY[i] = p.prevY;
+      if (p.originX !== undefined) {
+        pool.originX[i] = p.originX;
+        pool.originY[i] = p.originY;
+      }
+    }
+    return pool;
+  }
+
+  const { count, values, flags, colors, palette, fluids } = packed;
+  const stride = FIELDS.length;
+  for (let k = 0; k < count; k++) {
+    const i = pool.add(0, 0, 0, 0, 0, 0, 0, palette[colors[k]], flags[k], fluids ? fluids[k] : 0);
+    for (let f = 0; f < stride; f++) pool[FIELDS[f]][i] = values[k * stride + f];
+  }
+  if (packed.birthOrder) pool.setBirthOrder(packed.birthOrder);
+  return pool;
+}
+
+// ArrayBuffers of a packed particle set, for postMessage transfer lists
+export function particleTransferables(packed) {
+  return [packed.values.buffer, packed.flags.buffer, packed.colors.buffer, packed.fluids.buffer, packed.birthOrder.buffer];
+}
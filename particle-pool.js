@@ -0,0 +1,190 @@
+// Particle Pool
+// Structure-of-arrays particle store for FluidSimulator: one typed array per
+// field, indexed by slot, so stepping thousands of particles allocates
+// nothing and eviction is O(1) instead of Array shift()/splice().
+//
+//   const pool = new ParticlePool();
+//   const i = pool.add(x, y, vx, vy, mass, initialMass, life, 'rgba(...)', ACTIVE, fluid);
+//   for (let k = pool.count - 1; k >= 0; k--) {
+//     const i = pool.live[k];
+//     pool.x[i] += pool.vx[i] * dt;
+//     if (pool.mass[i] <= 0.2) pool.remove(k);  // swaps live[count - 1] into k
+//   }
+//
+// Slots come from a free list and the arrays double when it runs dry, so the
+// pool itself never refuses a particle; the simulator enforces maxParticles
+// by evicting first. Two orders are kept on top of the slots:
+//   live   dense list of used slots, the iteration order. remove(k) moves the
+//          last entry into k, so backwards loops may remove as they go.
+//   birth  doubly linked list, oldest first, for evictOldest().
+// Fields are float32: half the memory traffic of float64 for the same
+// number of particles. Behavior depends only on the two orders, never on
+// slot numbers, which is what lets particle-buffer.js snapshot the pool
+// compactly.
+
+// Flag bits
+export const ACTIVE = 1;
+export const MIST = 2;     // ballistic mist: high drag, evaporates when slow
+export const SPLATTER = 4; // ballistic splatter: splats hard on the wall
+export const POOL = 8;     // emitted by a pool emitter; never decays in one-click mode
+
+// Per-slot float fields. originX/originY are NaN for particles without an origin.
+export const FIELDS = ['x', 'y', 'prevX', 'prevY', 'vx', 'vy', 'mass', 'initialMass', 'life', 'originX', 'originY'];
+
+// Palette indices are Uint16; color mixing stops adding colors at this size
+export const MAX_COLORS = 0xffff;
+
+// End of the birth list
+const NONE = -1;
+
+export class ParticlePool {
+  constructor(capacity = 1024) {
+    this.capacity = 0;
+    this.count = 0;
+    // Color strings are shared by many particles; slots hold palette indices
+    this.palette = [];
+    this.paletteIndex = new Map();
+    this.paletteRgb = []; // parsed palette colors, filled in by rgbOf()
+    this.allocate(capacity);
+    this.clear();
+  }
+
+  // (Re)allocates every per-slot array at `capacity`, keeping the used slots
+  allocate(capacity) {
+    const old = this.capacity > 0 ? this : null;
+    for (const name of FIELDS) this[name] = grow(Float32Array, old && old[name], capacity);
+    this.flags = grow(Uint8Array, old && old.flags, capacity);
+    this.colors = grow(Uint16Array, old && old.colors, capacity);
+    this.fluids = grow(Uint8Array, old && old.fluids, capacity);    // FluidSimulator.fluids index
+    this.live = grow(Int32Array, old && old.live, capacity);
+    this.livePos = grow(Int32Array, old && old.livePos, capacity); // slot -> index in live
+    this.older = grow(Int32Array, old && old.older, capacity);     // birth list links
+    this.newer = grow(Int32Array, old && old.newer, capacity);
+
+    // New slots go on the free stack so the lowest is handed out first
+    const freeList = new Int32Array(capacity);
+    let freeCount = 0;
+    for (let i = capacity - 1; i >= this.capacity; i--) freeList[freeCount++] = i;
+    if (old) {
+      freeList.set(old.freeList.subarray(0, old.freeCount), freeCount);
+      freeCount += old.freeCount;
+    }
+    this.freeList = freeList;
+    this.freeCount = freeCount;
+    this.capacity = capacity;
+  }
+
+  clear() {
+    this.count = 0;
+    this.freeCount = this.capacity;
+    for (let i = 0; i < this.capacity; i++) this.freeList[i] = this.capacity - 1 - i;
+    this.oldest = NONE;
+    this.newest = NONE;
+    this.palette = [];
+    this.paletteIndex.clear();
+    this.paletteRgb = [];
+  }
+
+  // Index of a color string in the palette, adding it if new
+  colorIndex(color) {
+    let index = this.paletteIndex.get(color);
+    if (index === undefined) {
+      index = this.palette.length;
+      this.palette.push(color);
+      this.paletteIndex.set(color, index);
+    }
+    return index;
+  }
+
+  colorOf(slot) {
+    return this.palette[this.colors[slot]];
+  }
+
+  // [r, g, b] of a slot's 'rgba(r, g, b, a)' color
+  rgbOf(slot) {
+    const index = this.colors[slot];
+    let rgb = this.paletteRgb[index];
+    if (!rgb) {
+      rgb = this.palette[index].match(/[\d.]+/g).slice(0, 3).map(Number);
+      this.paletteRgb[index] = rgb;
+    }
+    return rgb;
+  }
+
+  // New particle at the end of both orders; returns its slot. The field
+  // arrays may be reallocated, so re-read pool.x etc. after adding.
+  add(x, y, vx, vy, mass, initialMass, life, color, flags = ACTIVE, fluid = 0) {
+    if (this.freeCount === 0) this.allocate(this.capacity * 2);
+    const i = this.freeList[--this.freeCount];
+
+    this.x[i] = x; this.y[i] = y;
+    this.prevX[i] = x; this.prevY[i] = y;
+    this.vx[i] = vx; this.vy[i] = vy;
+    this.mass[i] = mass;
+    this.initialMass[i] = initialMass;
+    this.life[i] = life;
+    this.originX[i] = NaN; this.originY[i] = NaN;
+    this.flags[i] = flags;
+    this.colors[i] = this.colorIndex(color);
+    this.fluids[i] = fluid;
+
+    this.livePos[i] = this.count;
+    this.live[this.count++] = i;
+
+    this.older[i] = this.newest;
+    this.newer[i] = NONE;
+    if (this.newest !== NONE) this.newer[this.newest] = i; else this.oldest = i;
+    this.newest = i;
+    return i;
+  }
+
+  // Frees the particle at live index k
+  remove(k) {
+    const i = this.live[k];
+    const last = this.live[--this.count];
+    this.live[k] = last;
+    this.livePos[last] = k;
+
+    const older = this.older[i], newer = this.newer[i];
+    if (older !== NONE) this.newer[older] = newer; else this.oldest = newer;
+    if (newer !== NONE) this.older[newer] = older; else this.newest = older;
+
+    this.freeList[this.freeCount++] = i;
+  }
+
+  removeSlot(slot) {
+    this.remove(this.livePos[slot]);
+  }
+
+  evictOldest() {
+    if (this.oldest !== NONE) this.removeSlot(this.oldest);
+  }
+
+  // Live indices (positions in `live`) from oldest to newest
+  birthOrder() {
+    const order = new Int32Array(this.count);
+    let n = 0;
+    for (let i = this.oldest; i !== NONE; i = this.newer[i]) order[n++] = this.livePos[i];
+    return order;
+  }
+
+  // Rebuilds the birth list from birthOrder() output, after the live list
+  // was filled in the same order
+  setBirthOrder(order) {
+    this.oldest = NONE;
+    this.newest = NONE;
+    for (let n = 0; n < order.length; n++) {
+      const i = this.live[order[n]];
+      this.older[i] = this.newest;
+      this.newer[i] = NONE;
+      if (this.newest !== NONE) this.newer[this.newest] = i; else this.oldest = i;
+      this.newest = i;
+    }
+  }
+}
+
+function grow(Type, old, capacity) {
+  const array = new Type(capacity);
+  if (old) array.set(old);
+  return array;
+}
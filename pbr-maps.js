@@ -0,0 +1,200 @@
+// PBR Material Maps
+// Grayscale / color maps for lit decals, derived from the simulation state:
+//
+//   roughness: glossy where the fluid is wet - the wetMap, fresh or fast
+//              particles and (grid modes) thick pooled fluid - and matte
+//              where it has dried
+//   specular:  dielectric reflectance, following the same wetness
+//   ao:        ambient occlusion from cavities: pixels lower than the
+//              blurred heights around them
+//   emissive:  the fluid color scaled by an intensity; by default only
+//              glowing materials (MATERIAL_EMISSION, e.g. slime) light up,
+//              wherever that fluid is - not the material currently selected
+//
+// Uncovered pixels get the neutral values (roughness 1, specular 0, AO 1,
+// no emission) so the maps can be sampled without the color alpha.
+
+import { blurField, sampleHeightField } from './height-field.js';
+import { resampleField } from './channel-pack.js';
+
+export const PBR_MAPS = ['roughness', 'specular', 'ao', 'emissive'];
+
+export const PBR_DEFAULTS = {
+  wetRoughness: 0.1,
+  dryRoughness: 0.85,
+  wetSpecular: 0.5,
+  drySpecular: 0.25,
+  // How much particle age dulls the gloss / how much speed restores it
+  ageInfluence: 0.7,
+  speedInfluence: 0.3,
+  speedRange: 300, // px/s that counts as fully fast
+  aoRadius: 8, // px at the export size
+  aoStrength: 1,
+  emissiveIntensity: null // null = per fluid, by its material (MATERIAL_EMISSION, else 0)
+};
+
+// Emissive intensity of materials that glow
+export const MATERIAL_EMISSION = {
+  slime: 1.0
+};
+
+export function resolvePbrSettings(settings = {}) {
+  const resolved = { ...PBR_DEFAULTS };
+  for (const [key, value] of Object.entries(settings)) {
+    if (value !== undefined && value !== null) resolved[key] = value;
+  }
+  return resolved;
+}
+
+function clamp01(v) {
+  return v < 0 ? 0 : (v > 1 ? 1 : v);
+}
+
+// 0..1 wetness per export pixel: the strongest of the wetMap, the particle
+// freshness and, in the grid modes, the fluid thickness
+function wetnessField(sim, layout, field, s) {
+  const { width, height } = layout;
+  const wet = resampleField(sim.wetMap, sim.width, sim.height, layout, 1 / 255);
+
+  if (sim.mode === 'tlou' || sim.mode === 'smart' || sim.mode === 'experimental') {
+    for (let i = 0; i < wet.length; i++) wet[i] = Math.max(wet[i], clamp01(field.heights[i]));
+  }
+
+  // Particles: fresh (young) and moving fluid is glossy, fading to the rim
+  const scaleX = layout.w / sim.width;
+  const scaleY = layout.h / sim.height;
+  const lifetime = sim.particleLifetime > 0 ? sim.particleLifetime : 1;
+  const P = sim.particles;
+  for (let k = 0; k < P.count; k++) {
+    const p = P.live[k];
+    const px = P.x[p], py = P.y[p], mass = P.mass[p];
+    const radius = mass * scaleX;
+    if (!(radius > 0)) continue;
+    const age = sim.infiniteLifetime ? 0 : clamp01(1 - P.life[p] / lifetime);
+    const speed = clamp01(Math.hypot(P.vx[p], P.vy[p]) / s.speedRange);
+    const fresh = clamp01(1 - s.ageInfluence * age + s.speedInfluence * speed);
+    const copies = sim.tileable ? sim.wrapOffsets(px, py, mass) : [[0, 0]];
+    for (const [ox, oy] of copies) {
+      const cx = layout.x + (px + ox) * scaleX;
+      const cy = layout.y + (py + oy) * scaleY;
+      const x0 = Math.max(0, Math.floor(cx - radius)), x1 = Math.min(width - 1, Math.ceil(cx + radius));
+      const y0 = Math.max(0, Math.floor(cy - radius)), y1 = Math.min(height - 1, Math.ceil(cy + radius));
+      for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+          const t = 1 - Math.hypot(x + 0.5 - cx, y + 0.5 - cy) / radius;
+          if (t <= 0) continue;
+          const i = y * width + x;
+          wet[i] = Math.max(wet[i], fresh * t);
+        }
+      }
+    }
+  }
+  return wet;
+}
+
+// Emissive intensity per export pixel from the fluid there: the live
+// particle on top, else the fluid that last landed on the grid cell
+function emissionField(sim, layout) {
+  const { width, height } = layout;
+  const out = new Float32Array(width * height);
+  const emission = sim.fluids.map(f => MATERIAL_EMISSION[f.material] || 0);
+  if (!emission.some(e => e > 0)) return out;
+
+  const scaleX = layout.w / sim.width;
+  const scaleY = layout.h / sim.height;
+  const gw = sim.gridWidth, gh = sim.gridHeight;
+  const y0c = Math.max(0, layout.y), y1c = Math.min(height, layout.y + layout.h);
+  const x0c = Math.max(0, layout.x), x1c = Math.min(width, layout.x + layout.w);
+  for (let y = y0c; y < y1c; y++) {
+    const gy = Math.min(gh - 1, Math.floor((y - layout.y + 0.5) / scaleY * sim.gridScale));
+    for (let x = x0c; x < x1c; x++) {
+      const gx = Math.min(gw - 1, Math.floor((x - layout.x + 0.5) / scaleX * sim.gridScale));
+      out[y * width + x] = emission[sim.gridFluid[gy * gw + gx]] || 0;
+    }
+  }
+
+  const P = sim.particles;
+  for (let k = 0; k < P.count; k++) {
+    const p = P.live[k];
+    const px = P.x[p], py = P.y[p], mass = P.mass[p];
+    const radius = mass * scaleX;
+    if (!(radius > 0)) continue;
+    const e = emission[P.fluids[p]] || 0;
+    const copies = sim.tileable ? sim.wrapOffsets(px, py, mass) : [[0, 0]];
+    for (const [ox, oy] of copies) {
+      const cx = layout.x + (px + ox) * scaleX;
+      const cy = layout.y + (py + oy) * scaleY;
+      const x0 = Math.max(0, Math.floor(cx - radius)), x1 = Math.min(width - 1, Math.ceil(cx + radius));
+      const y0 = Math.max(0, Math.floor(cy - radius)), y1 = Math.min(height - 1, Math.ceil(cy + radius));
+      for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+          if (Math.hypot(x + 0.5 - cx, y + 0.5 - cy) < radius) out[y * width + x] = e;
+        }
+      }
+    }
+  }
+  return out;
+}
+
+// 0..1 occlusion (1 = open) from how far each pixel sits below its surroundings
+function occlusionField(field, s, wrap) {
+  const { width, height, heights } = field;
+  const around = blurField(heights, width, height, s.aoRadius, wrap);
+  const ao = new Float32Array(heights.length);
+  for (let i = 0; i < ao.length; i++) ao[i] = clamp01(1 - s.aoStrength * 2 * Math.max(0, around[i] - heights[i]));
+  return ao;
+}
+
+function grayPixels(values, coverage, background) {
+  const out = new Uint8ClampedArray(values.length * 4);
+  for (let i = 0; i < values.length; i++) {
+    const v = Math.round((background + (values[i] - background) * coverage[i]) * 255);
+    out[i * 4] = v;
+    out[i * 4 + 1] = v;
+    out[i * 4 + 2] = v;
+    out[i * 4 + 3] = 255;
+  }
+  return out;
+}
+
+// RGBA8 pixels of each requested map for the simulator at `layout`.
+// colorPixels: the color texture rendered at the same layout (coverage and
+// emissive color come from it).
+// options.wrap: tileable sampling for the AO blur
+export function computePbrMaps(sim, layout, maps, colorPixels, settings = {}, options = {}) {
+  const s = resolvePbrSettings(settings);
+  const count = layout.width * layout.height;
+  const coverage = new Float32Array(count);
+  for (let i = 0; i < count; i++) coverage[i] = colorPixels[i * 4 + 3] / 255;
+
+  const field = sampleHeightField(sim, layout);
+  const result = {};
+
+  if (maps.includes('roughness') || maps.includes('specular')) {
+    const wet = wetnessField(sim, layout, field, s);
+    if (maps.includes('roughness')) {
+      result.roughness = grayPixels(wet.map(w => s.dryRoughness + (s.wetRoughness - s.dryRoughness) * w), coverage, 1);
+    }
+    if (maps.includes('specular')) {
+      result.specular = grayPixels(wet.map(w => s.drySpecular + (s.wetSpecular - s.drySpecular) * w), coverage, 0);
+    }
+  }
+
+  if (maps.includes('ao')) {
+    result.ao = grayPixels(occlusionField(field, s, !!options.wrap), coverage, 1);
+  }
+
+  if (maps.includes('emissive')) {
+    const perPixel = s.emissiveIntensity !== null ? null : emissionField(sim, layout);
+    const out = new Uint8ClampedArray(count * 4);
+    for (let i = 0; i < count; i++) {
+      const k = (perPixel ? perPixel[i] : s.emissiveIntensity) * coverage[i];
+      out[i * 4] = colorPixels[i * 4] * k;
+      out[i * 4 + 1] = colorPixels[i * 4 + 1] * k;
+      out[i * 4 + 2] = colorPixels[i * 4 + 2] * k;
+      out[i * 4 + 3] = 255;
+    }
+    result.emissive = out;
+  }
+  return result;
+}
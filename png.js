@@ -0,0 +1,296 @@
+// Minimal PNG Codec (pure JS)
+// Encodes RGBA8 / RGBA16 / Gray16 images and RGBA8 animations (APNG), and
+// decodes the common 8-bit, non-interlaced variants. Compression is
+// pluggable: pass a zlib deflate/inflate (e.g. Node's zlib.deflateSync) for
+// real compression, otherwise images are written with uncompressed "stored"
+// deflate blocks, which every PNG reader accepts.
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(bytes, start = 0, end = bytes.length) {
+  let c = 0xFFFFFFFF;
+  for (let i = start; i < end; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function adler32(bytes) {
+  let a = 1, b = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    a = (a + bytes[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+// zlib stream made of stored (uncompressed) blocks
+export function deflateStored(bytes) {
+  const blockSize = 65535;
+  const blocks = Math.max(1, Math.ceil(bytes.length / blockSize));
+  const out = new Uint8Array(2 + blocks * 5 + bytes.length + 4);
+  let o = 0;
+  out[o++] = 0x78; out[o++] = 0x01;
+
+  for (let b = 0; b < blocks; b++) {
+    const start = b * blockSize;
+    const len = Math.min(blockSize, bytes.length - start);
+    out[o++] = b === blocks - 1 ? 1 : 0;
+    out[o++] = len & 0xFF; out[o++] = len >>> 8;
+    out[o++] = ~len & 0xFF; out[o++] = (~len >>> 8) & 0xFF;
+    out.set(bytes.subarray(start, start + len), o);
+    o += len;
+  }
+
+  const adler = adler32(bytes);
+  out[o++] = adler >>> 24; out[o++] = (adler >>> 16) & 0xFF;
+  out[o++] = (adler >>> 8) & 0xFF; out[o++] = adler & 0xFF;
+  return out;
+}
+
+function writeUint32(arr, o, v) {
+  arr[o] = v >>> 24; arr[o+1] = (v >>> 16) & 0xFF; arr[o+2] = (v >>> 8) & 0xFF; arr[o+3] = v & 0xFF;
+}
+
+function readUint32(arr, o) {
+  return ((arr[o] << 24) | (arr[o+1] << 16) | (arr[o+2] << 8) | arr[o+3]) >>> 0;
+}
+
+// Builds one chunk: length + type + data + crc
+export function pngChunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  writeUint32(out, 0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  writeUint32(out, 8 + data.length, crc32(out, 4, 8 + data.length));
+  return out;
+}
+
+export function concatBytes(parts) {
+  const total = parts.reduce((n, p) => n + p.length, 0);
+  const out = new Uint8Array(total);
+  let o = 0;
+  for (const p of parts) { out.set(p, o); o += p.length; }
+  return out;
+}
+
+// Color types we write
+const COLOR_GRAY = 0;
+const COLOR_RGBA = 6;
+
+// Raw scanlines with filter byte 0 (None) per row
+function packScanlines(width, height, pixels, channels, bitDepth) {
+  const bytesPerSample = bitDepth / 8;
+  const stride = width * channels * bytesPerSample;
+  const raw = new Uint8Array((stride + 1) * height);
+
+  for (let y = 0; y < height; y++) {
+    let o = y * (stride + 1) + 1;
+    const rowStart = y * width * channels;
+    for (let i = 0; i < width * channels; i++) {
+      const v = pixels[rowStart + i];
+      if (bytesPerSample === 2) {
+        raw[o++] = (v >>> 8) & 0xFF;
+        raw[o++] = v & 0xFF;
+      } else {
+        raw[o++] = v;
+      }
+    }
+  }
+  return raw;
+}
+
+export function pngHeader(width, height, bitDepth, colorType) {
+  const ihdr = new Uint8Array(13);
+  writeUint32(ihdr, 0, width);
+  writeUint32(ihdr, 4, height);
+  ihdr[8] = bitDepth;
+  ihdr[9] = colorType;
+  return pngChunk('IHDR', ihdr);
+}
+
+export function encodeImageDataStream(width, height, pixels, options = {}) {
+  const channels = options.channels || 4;
+  const bitDepth = options.bitDepth || 8;
+  const deflate = options.deflate || deflateStored;
+  return new Uint8Array(deflate(packScanlines(width, height, pixels, channels, bitDepth)));
+}
+
+function pngFile(width, height, stream, options) {
+  const channels = options.channels || 4;
+  const bitDepth = options.bitDepth || 8;
+  const colorType = channels === 1 ? COLOR_GRAY : COLOR_RGBA;
+
+  return concatBytes([
+    new Uint8Array(PNG_SIGNATURE),
+    pngHeader(width, height, bitDepth, colorType),
+    pngChunk('IDAT', stream),
+    pngChunk('IEND', new Uint8Array(0))
+  ]);
+}
+
+// pixels: Uint8(Clamped)Array for 8-bit, Uint16Array for 16-bit.
+// options.channels: 4 (RGBA, default) or 1 (grayscale)
+export function encodePNG(width, height, pixels, options = {}) {
+  return pngFile(width, height, encodeImageDataStream(width, height, pixels, options), options);
+}
+
+// As encodePNG, for a deflate that may return a Promise
+export async function encodePNGAsync(width, height, pixels, options = {}) {
+  const deflate = options.deflate || deflateStored;
+  const raw = packScanlines(width, height, pixels, options.channels || 4, options.bitDepth || 8);
+  return pngFile(width, height, new Uint8Array(await deflate(raw)), options);
+}
+
+// Animated PNG (APNG) from RGBA8 frames of equal size. Each frame replaces
+// the previous one completely, so transparent pixels stay transparent.
+// options.fps:     playback rate, up to two decimals (default 30)
+// options.loops:   number of plays, 0 = forever (default)
+// options.deflate: as for encodePNG, but may also return a Promise (e.g. a
+//                  CompressionStream in the browser)
+export async function encodeAPNG(width, height, frames, options = {}) {
+  const fps = options.fps || 30;
+  const deflate = options.deflate || deflateStored;
+  const actl = new Uint8Array(8);
+  writeUint32(actl, 0, frames.length);
+  writeUint32(actl, 4, options.loops || 0);
+
+  const parts = [
+    new Uint8Array(PNG_SIGNATURE),
+    pngHeader(width, height, 8, COLOR_RGBA),
+    pngChunk('acTL', actl)
+  ];
+
+  let sequence = 0;
+  for (let i = 0; i < frames.length; i++) {
+    const fctl = new Uint8Array(26);
+    writeUint32(fctl, 0, sequence++);
+    writeUint32(fctl, 4, width);
+    writeUint32(fctl, 8, height);
+    // x/y offset 0; delay = 100 / (fps * 100) seconds
+    const delayDen = Math.round(fps * 100);
+    fctl[20] = 0; fctl[21] = 100;
+    fctl[22] = delayDen >>> 8; fctl[23] = delayDen & 0xFF;
+    fctl[24] = 0; // dispose_op: none
+    fctl[25] = 0; // blend_op: source
+    parts.push(pngChunk('fcTL', fctl));
+
+    const stream = new Uint8Array(await deflate(packScanlines(width, height, frames[i], 4, 8)));
+    if (i === 0) {
+      // The first frame doubles as the still image for non-APNG readers
+      parts.push(pngChunk('IDAT', stream));
+    } else {
+      const fdat = new Uint8Array(4 + stream.length);
+      writeUint32(fdat, 0, sequence++);
+      fdat.set(stream, 4);
+      parts.push(pngChunk('fdAT', fdat));
+    }
+  }
+
+  parts.push(pngChunk('IEND', new Uint8Array(0)));
+  return concatBytes(parts);
+}
+
+// Decodes to { width, height, data: Uint8ClampedArray RGBA }.
+// Requires an inflate function (zlib stream in, bytes out).
+export function decodePNG(bytes, inflate) {
+  for (let i = 0; i < 8; i++) {
+    if (bytes[i] !== PNG_SIGNATURE[i]) throw new Error('Not a PNG file');
+  }
+
+  let o = 8;
+  let width = 0, height = 0, bitDepth = 8, colorType = COLOR_RGBA, interlace = 0;
+  let palette = null, transparency = null;
+  const idat = [];
+
+  while (o < bytes.length) {
+    const len = readUint32(bytes, o);
+    const type = String.fromCharCode(bytes[o+4], bytes[o+5], bytes[o+6], bytes[o+7]);
+    const data = bytes.subarray(o + 8, o + 8 + len);
+    o += 12 + len;
+
+    if (type === 'IHDR') {
+      width = readUint32(data, 0);
+      height = readUint32(data, 4);
+      bitDepth = data[8];
+      colorType = data[9];
+      interlace = data[12];
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (bitDepth !== 8 || interlace !== 0) {
+    throw new Error('Unsupported PNG (only 8-bit, non-interlaced)');
+  }
+
+  const channelsByType = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+  const channels = channelsByType[colorType];
+  if (!channels) throw new Error('Unsupported PNG color type ' + colorType);
+
+  const raw = new Uint8Array(inflate(concatBytes(idat)));
+  const stride = width * channels;
+  const pixels = new Uint8Array(stride * height);
+  const bpp = channels;
+
+  // Undo scanline filters
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const dst = y * stride;
+    const prev = dst - stride;
+
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? pixels[dst + x - bpp] : 0;
+      const b = y > 0 ? pixels[prev + x] : 0;
+      const c = (x >= bpp && y > 0) ? pixels[prev + x - bpp] : 0;
+      let v = raw[src + x];
+
+      if (filter === 1) v += a;
+      else if (filter === 2) v += b;
+      else if (filter === 3) v += (a + b) >> 1;
+      else if (filter === 4) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+        v += (pa <= pb && pa <= pc) ? a : (pb <= pc ? b : c);
+      }
+      pixels[dst + x] = v & 0xFF;
+    }
+  }
+
+  // Expand to RGBA
+  const out = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const s = i * channels;
+    const d = i * 4;
+    if (colorType === 6) {
+      out[d] = pixels[s]; out[d+1] = pixels[s+1]; out[d+2] = pixels[s+2]; out[d+3] = pixels[s+3];
+    } else if (colorType === 2) {
+      out[d] = pixels[s]; out[d+1] = pixels[s+1]; out[d+2] = pixels[s+2]; out[d+3] = 255;
+    } else if (colorType === 0) {
+      out[d] = out[d+1] = out[d+2] = pixels[s]; out[d+3] = 255;
+    } else if (colorType === 4) {
+      out[d] = out[d+1] = out[d+2] = pixels[s]; out[d+3] = pixels[s+1];
+    } else if (colorType === 3) {
+      const idx = pixels[s];
+      out[d] = palette[idx*3]; out[d+1] = palette[idx*3+1]; out[d+2] = palette[idx*3+2];
+      out[d+3] = transparency && idx < transparency.length ? transparency[idx] : 255;
+    }
+  }
+
+  return { width, height, data: out };
+}
@@ -0,0 +1,117 @@
+// Session Project Files
+// A session is the initial simulator state plus every logged event since the
+// last Reset. Saving it lets a splatter be reopened, tweaked or re-exported at
+// another resolution later; the events come back in exactly the shape
+// ExportManager.generateReplayFlipbook expects.
+//
+// Layout (version 1):
+// {
+//   format: 'arsenals-fluid-session', version: 1,
+//   createdAt, duration, seed,
+//   init:   getState() at the start of the log,
+//   events: [{ time, type, data, rng }] (without the init event; rng is the
+//           simulator PRNG state right after the event),
+//   masks:  { id: dataURL }  - uploaded mask images, referenced from
+//           setMaskFromImage events as { mask: id } so repeats are stored once
+// }
+
+export const SESSION_FORMAT = 'arsenals-fluid-session';
+export const SESSION_VERSION = 1;
+
+// Upgrades one version to the next. Keyed by the version being upgraded *from*.
+const MIGRATIONS = {
+  // 0: bare event arrays / { events } objects from before the project format
+  0: (legacy) => {
+    const events = Array.isArray(legacy) ? legacy : (legacy.events || []);
+    const initEvent = events.find(e => e.type === 'init');
+    const lastTime = events.reduce((t, e) => Math.max(t, e.time || 0), 0);
+    const init = initEvent ? initEvent.data : {};
+    return {
+      format: SESSION_FORMAT,
+      version: 1,
+      createdAt: null,
+      duration: (!Array.isArray(legacy) && typeof legacy.duration === 'number') ? legacy.duration : lastTime,
+      seed: init && init.seed !== undefined ? init.seed : 1337,
+      init: init || {},
+      events: events.filter(e => e !== initEvent),
+      masks: {}
+    };
+  }
+};
+
+function detectVersion(json) {
+  if (Array.isArray(json)) return 0;
+  if (json && json.format === SESSION_FORMAT && typeof json.version === 'number') return json.version;
+  if (json && Array.isArray(json.events)) return 0;
+  throw new Error('Not a fluid session file');
+}
+
+// events: the App event log (starting with the init event)
+export function serializeSession({ events, duration, seed }) {
+  const initEvent = events.find(e => e.type === 'init');
+  const masks = {};
+  const maskIds = new Map();
+
+  const outEvents = [];
+  for (const e of events) {
+    if (e === initEvent) continue;
+    if (e.type === 'setMaskFromImage' && typeof e.data === 'string') {
+      let id = maskIds.get(e.data);
+      if (!id) {
+        id = 'mask-' + maskIds.size;
+        maskIds.set(e.data, id);
+        masks[id] = e.data;
+      }
+      outEvents.push({ time: e.time, type: e.type, data: { mask: id }, rng: e.rng });
+    } else {
+      outEvents.push({ time: e.time, type: e.type, data: e.data, rng: e.rng });
+    }
+  }
+
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    createdAt: new Date().toISOString(),
+    duration,
+    seed,
+    init: initEvent ? initEvent.data : {},
+    events: outEvents,
+    masks
+  };
+}
+
+// Accepts a parsed JSON value or a string. Returns the session upgraded to the
+// current version plus `replayEvents`: the full, replay-ready event log.
+export function parseSession(input) {
+  let json = typeof input === 'string' ? JSON.parse(input) : input;
+  let version = detectVersion(json);
+
+  if (version > SESSION_VERSION) {
+    throw new Error(`Session file version ${version} is newer than this app supports (${SESSION_VERSION})`);
+  }
+
+  while (version < SESSION_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) throw new Error(`No migration from session version ${version}`);
+    json = migrate(json);
+    version = json.version;
+  }
+
+  const masks = json.masks || {};
+  const init = { ...(json.init || {}) };
+  if (json.seed !== undefined && init.seed === undefined) init.seed = json.seed;
+
+  const replayEvents = [{ time: 0, type: 'init', data: init }];
+  for (const e of json.events || []) {
+    if (e.type === 'setMaskFromImage' && e.data && typeof e.data === 'object') {
+      const url = masks[e.data.mask];
+      if (!url) throw new Error(`Session references missing mask "${e.data.mask}"`);
+      replayEvents.push({ time: e.time, type: e.type, data: url, rng: e.rng });
+    } else {
+      replayEvents.push(e);
+    }
+  }
+  replayEvents.sort((a, b) => a.time - b.time);
+
+  return { ...json, init, replayEvents };
+}
@@ -0,0 +1,150 @@
+// Shallow Water
+// Virtual-pipes height-field solver for the grid modes (FluidSimulator's
+// 'experimental' and 'smart'). Every cell is a column of liquid joined to its
+// four neighbours by pipes. The flow through a pipe is accelerated by the
+// difference in surface height plus the tilt of the surface, keeps its
+// momentum from step to step, and is damped by the liquid's viscosity - the
+// more, the thinner the film. No cell sends out more than it holds.
+//
+//   water.step(height, dt, params);  // fills water.flux
+//   // move water.flux[idx * 4 + dir] * dt from each idx to water.neighbor(...)
+//   water.updateVelocity(height, wrap);  // fills water.velX / velY
+//   height[idx] += water.inflow(height[idx], rate, head, dt);  // sources
+//
+// Pipes run left, right, up and down (DIRECTIONS). Heights are in the grid's
+// own units and lengths in cells; the caller applies the outflow, so it can
+// carry pigment along with the liquid.
+
+export const DIRECTIONS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+// Heights at or below this count as dry
+export const DRY_HEIGHT = 0.005;
+
+// Film thickness below which viscous drag takes over (see step())
+const FILM_HEIGHT = 0.1;
+
+export class ShallowWater {
+  constructor(width, height) {
+    this.resize(width, height);
+  }
+
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    // Outflow per pipe, 4 per cell (height units per second)
+    this.flux = new Float32Array(width * height * 4);
+    // Cell-centred velocity (cells per second), see updateVelocity()
+    this.velX = new Float32Array(width * height);
+    this.velY = new Float32Array(width * height);
+  }
+
+  clear() {
+    this.flux.fill(0);
+    this.velX.fill(0);
+    this.velY.fill(0);
+  }
+
+  // Cell across pipe `dir` of (x, y): wrapped when `wrap`, -1 off the grid
+  neighbor(x, y, dir, wrap) {
+    const w = this.width, h = this.height;
+    let nx = x + DIRECTIONS[dir][0], ny = y + DIRECTIONS[dir][1];
+    if (wrap) {
+      nx = (nx + w) % w;
+      ny = (ny + h) % h;
+    } else if (nx < 0 || nx >= w || ny < 0 || ny >= h) {
+      return -1;
+    }
+    return ny * w + nx;
+  }
+
+  // Source term: how much a source pours into a cell of height `h` over dt.
+  // A source is a reservoir at height `head` piped into the cell: it pours
+  // `rate` (height units per second) into a dry cell and less as the cell
+  // fills, so it never raises the cell above its head.
+  inflow(h, rate, head, dt) {
+    if (h >= head) return 0;
+    return (head - h) * (1 - Math.exp(-rate * dt / head));
+  }
+
+  // Advances the pipe fluxes by dt for the heights in `height`.
+  //
+  // params.gravity:     flux acceleration per unit of height difference
+  // params.tiltX/Y:     how far the surface drops per cell along x / y, so
+  //                     liquid runs toward +x for a positive tiltX
+  // params.damping:     per-fluid damping rates (1/s), indexed by params.fluid
+  // params.fluid:       per-cell fluid index (Uint8Array)
+  // params.mixes:       (a, b) => whether fluids a and b flow into each other;
+  //                     liquid only enters wet cells of a fluid it mixes with
+  // params.open:        per-cell 0 (wall) / 1, or null for no walls
+  // params.conductance: per-cell factor on inflow (channels), or null
+  // params.friction:    per-cell friction 0..1, or null
+  // params.frictionRate: damping rate (1/s) of friction 1
+  // params.film:        per-fluid height a front needs to wet a dry cell
+  //                     (surface tension holds thinner edges back), or null
+  // params.wrap:        wrap pipes across the edges (tileable canvases)
+  step(height, dt, params) {
+    const { width: w, height: h, flux } = this;
+    const { gravity, damping, fluid, mixes, open, conductance, friction, frictionRate, film, wrap } = params;
+    const tiltX = params.tiltX || 0, tiltY = params.tiltY || 0;
+    const slope = [-tiltX, tiltX, -tiltY, tiltY];
+
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const idx = y * w + x;
+        const f = idx * 4;
+        const val = height[idx];
+        if (val <= 0 || (open && !open[idx])) {
+          flux[f] = flux[f + 1] = flux[f + 2] = flux[f + 3] = 0;
+          continue;
+        }
+
+        const minFront = film ? film[fluid[idx]] : 0;
+        let total = 0;
+        for (let dir = 0; dir < 4; dir++) {
+          const nIdx = this.neighbor(x, y, dir, wrap);
+          const nVal = nIdx >= 0 ? height[nIdx] : 0;
+          if (nIdx < 0 || (open && !open[nIdx]) ||
+              (nVal > DRY_HEIGHT ? !mixes(fluid[idx], fluid[nIdx]) : val < minFront)) {
+            flux[f + dir] = 0;
+            continue;
+          }
+          // Viscous drag grows as the film between the cells thins
+          const depth = Math.max((val + nVal) * 0.5, DRY_HEIGHT);
+          let rate = damping[fluid[idx]] + (friction ? friction[nIdx] * frictionRate : 0);
+          rate *= 1 + FILM_HEIGHT / depth;
+          const accel = gravity * (val - nVal + slope[dir]) * (conductance ? conductance[nIdx] : 1);
+          const out = Math.max(0, (flux[f + dir] + accel * dt) / (1 + rate * dt));
+          flux[f + dir] = out;
+          total += out;
+        }
+
+        // Never drain more than the cell holds
+        if (total * dt > val) {
+          const k = val / (total * dt);
+          for (let dir = 0; dir < 4; dir++) flux[f + dir] *= k;
+        }
+      }
+    }
+  }
+
+  // Cell-centred velocity: the net flow across each axis over the depth
+  updateVelocity(height, wrap) {
+    const { width: w, height: h, flux, velX, velY } = this;
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const idx = y * w + x;
+        const depth = height[idx];
+        if (depth <= DRY_HEIGHT) {
+          velX[idx] = velY[idx] = 0;
+          continue;
+        }
+        const left = this.neighbor(x, y, 0, wrap), right = this.neighbor(x, y, 1, wrap);
+        const up = this.neighbor(x, y, 2, wrap), down = this.neighbor(x, y, 3, wrap);
+        const inLeft = left >= 0 ? flux[left * 4 + 1] : 0, inRight = right >= 0 ? flux[right * 4] : 0;
+        const inUp = up >= 0 ? flux[up * 4 + 3] : 0, inDown = down >= 0 ? flux[down * 4 + 2] : 0;
+        velX[idx] = (inLeft - flux[idx * 4] + flux[idx * 4 + 1] - inRight) * 0.5 / depth;
+        velY[idx] = (inUp - flux[idx * 4 + 2] + flux[idx * 4 + 3] - inDown) * 0.5 / depth;
+      }
+    }
+  }
+}
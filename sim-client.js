@@ -0,0 +1,181 @@
+// Simulation Worker Client
+// Page side of sim-worker.js: hands the page canvases to the worker and
+// exposes SimulationHost's interface as promises, so the App works the same
+// whether the simulator runs in the worker or (without OffscreenCanvas) on
+// the main thread.
+//
+//   const sim = new SimulationWorkerClient(canvases, { onState });
+//   await sim.act('setViscosity', 0.4);
+//   const job = sim.startExport('flipbook', params, onProgress);  // { promise, cancel }
+
+import { downloadBlob } from './export-manager.js';
+import { domBackend } from './surface-backend.js';
+import { answerVideoRequest } from './video-relay.js';
+
+// Whether this browser can render the simulation from a worker
+export function supportsWorkerSimulation(canvas) {
+  return typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof canvas.transferControlToOffscreen === 'function';
+}
+
+export class SimulationWorkerClient {
+  // canvases:        { canvas, overlayCanvas, tilePreviewCanvas } <canvas> elements;
+  //                  their control moves to the worker, so the page can no longer
+  //                  size or draw them itself
+  // options.onState: (state) => void, as for SimulationHost
+  // options.onError: (error) => void, called once if the worker dies (a script
+  //                  error or an uncaught exception); every pending and later
+  //                  call rejects with the same error
+  constructor(canvases, options = {}) {
+    this.onState = options.onState || null;
+    this.onError = options.onError || null;
+    this.state = null;
+    this.error = null;
+    this.nextId = 1;
+    this.pending = new Map(); // id -> { resolve, reject, onProgress }
+    // Resolves with the first state the worker reports, rejects if it dies first
+    this.ready = new Promise((resolve, reject) => {
+      this.resolveReady = resolve;
+      this.rejectReady = reject;
+    });
+
+    this.worker = new Worker(new URL('./sim-worker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (e) => this.handleMessage(e.data);
+    this.worker.onerror = (e) => {
+      e.preventDefault();
+      this.fail(new Error(`Simulation worker failed: ${e.message || 'could not load sim-worker.js'}`));
+    };
+
+    const offscreen = {
+      canvas: canvases.canvas.transferControlToOffscreen(),
+      overlayCanvas: canvases.overlayCanvas.transferControlToOffscreen(),
+      tilePreviewCanvas: canvases.tilePreviewCanvas.transferControlToOffscreen()
+    };
+    this.worker.postMessage({ type: 'init', ...offscreen }, Object.values(offscreen));
+  }
+
+  handleMessage(msg) {
+    if (msg.type === 'state') {
+      this.state = msg.state;
+      if (this.resolveReady) {
+        this.resolveReady(msg.state);
+        this.resolveReady = this.rejectReady = null;
+      }
+      if (this.onState) this.onState(msg.state);
+      return;
+    }
+    if (msg.type === 'encodeVideo') {
+      // WebM flipbook frames from an export job; MediaRecorder is page-only
+      answerVideoRequest(msg, domBackend).then(reply => this.worker.postMessage(reply));
+      return;
+    }
+
+    const request = this.pending.get(msg.id);
+    if (!request) return;
+    switch (msg.type) {
+      case 'result':
+        this.pending.delete(msg.id);
+        request.resolve(msg.value);
+        break;
+      case 'error':
+        this.pending.delete(msg.id);
+        request.reject(new Error(msg.message));
+        break;
+      case 'progress':
+        if (request.onProgress) request.onProgress(msg.progress);
+        break;
+      case 'file':
+        downloadBlob(msg.blob, msg.filename);
+        break;
+    }
+  }
+
+  // The worker is gone: reject `ready` and everything still waiting for a
+  // reply, then report the error
+  fail(error) {
+    if (this.error) return;
+    this.error = error;
+    console.error(error.message);
+    if (this.rejectReady) {
+      this.rejectReady(error);
+      this.resolveReady = this.rejectReady = null;
+    }
+    for (const request of this.pending.values()) request.reject(error);
+    this.pending.clear();
+    if (this.onError) this.onError(error);
+  }
+
+  // Host method call, resolving with its return value
+  call(method, ...args) {
+    if (this.error) return Promise.reject(this.error);
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ type: 'call', id, method, args });
+    });
+  }
+
+  // Host method call without a reply, for pointer streams
+  notify(method, ...args) {
+    this.worker.postMessage({ type: 'call', method, args });
+  }
+
+  act(type, data) {
+    return this.call('act', type, data);
+  }
+
+  reset() {
+    return this.call('reset');
+  }
+
+  resize(width, height) {
+    return this.call('resize', width, height);
+  }
+
+  openSession(session) {
+    return this.call('openSession', session);
+  }
+
+  sessionLog() {
+    return this.call('sessionLog');
+  }
+
+  // Checkpoint with typed-array particles; its buffers are transferred, not copied
+  snapshot() {
+    return this.call('snapshot');
+  }
+
+  pointerDown(x, y) {
+    this.notify('pointerDown', x, y);
+  }
+
+  pointerMove(x, y) {
+    this.notify('pointerMove', x, y);
+  }
+
+  pointerUp() {
+    this.notify('pointerUp');
+  }
+
+  setAim(aim) {
+    this.notify('setAim', aim);
+  }
+
+  setTiledPreview(enabled) {
+    this.notify('setTiledPreview', enabled);
+  }
+
+  // Background export job (see SimulationHost.runExport). Files are downloaded
+  // as the worker writes them; cancel() stops the job at its next yield and
+  // rejects `promise`.
+  startExport(kind, params, onProgress) {
+    const id = this.nextId++;
+    const promise = new Promise((resolve, reject) => {
+      if (this.error) return reject(this.error);
+      this.pending.set(id, { resolve, reject, onProgress });
+      this.worker.postMessage({ type: 'export', id, kind, params });
+    });
+    return { promise, cancel: () => this.worker.postMessage({ type: 'cancel', id }) };
+  }
+}
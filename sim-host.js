@@ -0,0 +1,325 @@
+// Live Simulation Host
+// Owns the live FluidSimulator with its clock and event log, runs the fixed
+// step loop and draws into the page's three canvases (fluid, overlay, 3x3
+// tile preview). It runs inside sim-worker.js on transferred OffscreenCanvases,
+// or directly on the main thread where workers cannot render; the App only
+// uses the methods below, which SimulationWorkerClient (sim-client.js)
+// mirrors over postMessage.
+//
+// Every user action is an event of the replay vocabulary
+// (ExportManager.applyEventAction), applied and logged here, so the log's
+// times and PRNG states always belong to the simulator that produced them.
+
+import { FluidSimulator } from './fluid-sim.js';
+import { ExportManager } from './export-manager.js';
+
+// Physics step (seconds), same as ExportManager.replayUntil
+const FIXED_STEP = 1 / 60;
+
+export const EXPORT_JOBS = ['texture', 'flipbook', 'variations'];
+
+export class SimulationHost {
+  // canvases:           { canvas, overlayCanvas, tilePreviewCanvas }, DOM or Offscreen
+  // options.backend:    surface backend (defaults to the environment's)
+  // options.yieldSteps: replay steps between yields in export jobs (see ExportManager)
+  // options.onState:    (state) => void, called whenever the settings change
+  constructor(canvases, options = {}) {
+    this.canvas = canvases.canvas;
+    this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    this.overlayCanvas = canvases.overlayCanvas;
+    this.overlayCtx = this.overlayCanvas.getContext('2d');
+    this.tilePreviewCanvas = canvases.tilePreviewCanvas;
+    this.tilePreviewCtx = this.tilePreviewCanvas.getContext('2d');
+    this.tiledPreview = false;
+
+    const simulatorOptions = options.backend ? { backend: options.backend } : {};
+    this.simulator = new FluidSimulator(this.canvas.width, this.canvas.height, simulatorOptions);
+    this.exportManager = new ExportManager(this.simulator);
+    this.yieldSteps = options.yieldSteps || 5;
+    this.onState = options.onState || null;
+
+    // Recording / Event Log
+    this.eventLog = [];
+    this.simulationTime = 0;
+    this.logSeed = 1337;
+
+    // Spray position while the pointer is held down, null otherwise
+    this.spray = null;
+    // Aim line of the ballistic target in canvas px ({ start, end }), or null
+    this.aim = null;
+    // While > 0 the live loop does not step (session loads, texture exports)
+    this.holds = 0;
+
+    this.resetLog();
+  }
+
+  resetLog() {
+    this.eventLog = [];
+    this.simulationTime = 0;
+    this.logSeed = this.simulator.seed;
+    // Log full initial configuration state
+    this.logEvent('init', this.simulator.getState());
+  }
+
+  // Called right after the action was applied, so `rng` is the PRNG state
+  // the replay has to continue from
+  logEvent(type, data) {
+    this.eventLog.push({
+        time: this.simulationTime,
+        type: type,
+        data: data,
+        rng: this.simulator.seed
+    });
+  }
+
+  // Settings mirror for the UI: getState() without the mask runs, plus the
+  // run state the controls show
+  getState() {
+    const { mask, ...state } = this.simulator.getState();
+    return {
+        ...state,
+        hasMask: this.simulator.hasMask,
+        paused: this.simulator.paused,
+        particleCount: this.simulator.particles.count,
+        simulationTime: this.simulationTime
+    };
+  }
+
+  publishState() {
+    const state = this.getState();
+    if (this.onState) this.onState(state);
+    return state;
+  }
+
+  // Applies and logs one user action (any event type of applyEventAction)
+  async act(type, data) {
+    await this.exportManager.applyEventAction(this.simulator, type, data);
+    this.logEvent(type, data);
+    return this.publishState();
+  }
+
+  // Reset button: clears the canvas and starts a new log, unpaused
+  reset() {
+    this.simulator.reset();
+    this.simulator.paused = false;
+    this.spray = null;
+    this.resetLog();
+    return this.publishState();
+  }
+
+  resize(width, height) {
+    this.simulator.resize(width, height);
+    this.logEvent('resize', { width, height });
+    this.sizeCanvases();
+    return this.publishState();
+  }
+
+  sizeCanvases() {
+    this.canvas.width = this.simulator.width;
+    this.canvas.height = this.simulator.height;
+    this.overlayCanvas.width = this.simulator.width;
+    this.overlayCanvas.height = this.simulator.height;
+  }
+
+  // Mode-dependent press: a one-shot spawn, or the start of a spray that
+  // update() keeps feeding until pointerUp()
+  pointerDown(x, y) {
+    const sim = this.simulator;
+    if (sim.mode === 'one-click') return this.act('spawnPool', { x, y });
+    if (sim.mode === 'experimental') return this.act('spawnExperimental', { x, y });
+    if (sim.mode === 'smart') return this.act('spawn', { x, y, mode: 'smart' });
+    if (sim.mode !== 'grid-wall' && sim.spawnMode === 'drop') return this.act('spawn', { x, y, mode: 'drop' });
+    this.spray = { x, y };
+  }
+
+  pointerMove(x, y) {
+    if (this.spray) this.spray = { x, y };
+  }
+
+  pointerUp() {
+    this.spray = null;
+  }
+
+  setAim(aim) {
+    this.aim = aim;
+  }
+
+  setTiledPreview(enabled) {
+    this.tiledPreview = enabled;
+  }
+
+  // Fast-forwards the live simulator through a parsed session (parseSession)
+  // and continues its log
+  async openSession(session) {
+    // Logs always start unpaused (Reset unpauses); setPaused events do the rest
+    this.holds++;
+    this.spray = null;
+    this.simulator.paused = false;
+    let cursor;
+    try {
+        this.simulator.reset();
+        cursor = this.exportManager.createReplayCursor(session.replayEvents);
+        await this.exportManager.replayUntil(this.simulator, session.replayEvents, cursor, session.duration);
+    } finally {
+        this.holds--;
+    }
+    this.sizeCanvases();
+
+    this.eventLog = session.replayEvents.slice();
+    this.simulationTime = cursor.simTime;
+    this.logSeed = session.seed;
+    return this.publishState();
+  }
+
+  // What serializeSession needs to save the current log
+  sessionLog() {
+    return { events: this.eventLog, duration: this.simulationTime, seed: this.logSeed };
+  }
+
+  // Checkpoint of the live simulator (FluidSimulator.snapshot())
+  snapshot() {
+    return this.simulator.snapshot();
+  }
+
+  // Runs one export job. `texture` exports the live canvas and holds the loop
+  // so every layer shows the same instant; `flipbook` and `variations` replay
+  // the current log in ghost simulators while the live one keeps running.
+  // params: { resolution, includeDepth, includeNormal, options } plus
+  //         frameCount (flipbook) or variantCount (variations)
+  // job:    { onProgress, signal (AbortSignal), writer (see ExportManager) }
+  async runExport(kind, params, job = {}) {
+    const exporter = new ExportManager(this.simulator, {
+        writer: job.writer,
+        signal: job.signal,
+        yieldSteps: this.yieldSteps
+    });
+    const onProgress = job.onProgress || (() => {});
+    const { resolution, includeDepth, includeNormal } = params;
+    const options = params.options || {};
+    const events = this.eventLog.slice();
+    const duration = this.simulationTime;
+
+    switch (kind) {
+        case 'texture':
+            this.holds++;
+            try {
+                await exporter.exportTexture(resolution, includeDepth, includeNormal, onProgress, options);
+            } finally {
+                this.holds--;
+            }
+            break;
+        case 'flipbook':
+            await exporter.generateReplayFlipbook(events, duration, params.frameCount, resolution, includeDepth, includeNormal, onProgress, options);
+            break;
+        case 'variations':
+            await exporter.exportVariationAtlas(events, duration, params.variantCount, resolution, includeDepth, includeNormal, onProgress, options);
+            break;
+        default:
+            throw new Error(`Unknown export job "${kind}" (expected ${EXPORT_JOBS.join(', ')})`);
+    }
+  }
+
+  // Same job interface as SimulationWorkerClient.startExport, for the main thread
+  startExport(kind, params, onProgress) {
+    const controller = new AbortController();
+    const promise = this.runExport(kind, params, { onProgress, signal: controller.signal });
+    return { promise, cancel: () => controller.abort() };
+  }
+
+  update(dt) {
+    if (this.spray) {
+      this.simulator.spawn(this.spray.x, this.spray.y);
+      // Spray is logged once per fixed step, stamped with the step's start time,
+      // which is exactly where ExportManager.replayUntil re-applies it
+      this.logEvent('spawn', { x: this.spray.x, y: this.spray.y, mode: 'spray' });
+    }
+
+    this.simulator.update(dt);
+  }
+
+  start() {
+    // Dedicated workers have requestAnimationFrame where they can render
+    // OffscreenCanvas; fall back to a 60 Hz timer elsewhere
+    const nextFrame = typeof requestAnimationFrame === 'function'
+      ? requestAnimationFrame
+      : (cb) => setTimeout(() => cb(performance.now()), 1000 / 60);
+    let lastTime = performance.now();
+    let accumulator = 0;
+
+    const loop = (currentTime) => {
+      let frameTime = (currentTime - lastTime) / 1000;
+      lastTime = currentTime;
+
+      // Prevent spiral of death
+      if (frameTime > 0.25) frameTime = 0.25;
+
+      accumulator += frameTime;
+
+      // The live simulator is busy replaying a session or being exported
+      if (this.holds > 0) accumulator = 0;
+
+      while (accumulator >= FIXED_STEP) {
+        this.update(FIXED_STEP);
+        this.simulationTime += FIXED_STEP;
+        accumulator -= FIXED_STEP;
+      }
+
+      this.render();
+
+      nextFrame(loop);
+    };
+
+    nextFrame(loop);
+  }
+
+  // Repeats the canvas 3x3 so seams show up; the centre copy sits under the real canvas
+  renderTilePreview() {
+    const w = this.canvas.width;
+    const h = this.canvas.height;
+    if (this.tilePreviewCanvas.width !== w * 3 || this.tilePreviewCanvas.height !== h * 3) {
+        this.tilePreviewCanvas.width = w * 3;
+        this.tilePreviewCanvas.height = h * 3;
+    }
+    this.tilePreviewCtx.clearRect(0, 0, w * 3, h * 3);
+    for (let ty = 0; ty < 3; ty++) {
+        for (let tx = 0; tx < 3; tx++) {
+            if (tx === 1 && ty === 1) continue;
+            this.tilePreviewCtx.drawImage(this.canvas, tx * w, ty * h);
+        }
+    }
+  }
+
+  render() {
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.simulator.render(this.ctx);
+
+    this.overlayCtx.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
+    this.simulator.renderOverlay(this.overlayCtx);
+
+    if (this.tiledPreview) this.renderTilePreview();
+
+    if (this.aim) this.renderAimLine(this.aim.start, this.aim.end);
+  }
+
+  renderAimLine(start, end) {
+    const ctx = this.overlayCtx;
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    ctx.lineTo(end.x, end.y);
+    ctx.strokeStyle = 'rgba(255, 0, 0, 0.5)';
+    ctx.lineWidth = 4;
+    ctx.setLineDash([10, 10]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Arrow head
+    const angle = Math.atan2(end.y - start.y, end.x - start.x);
+    const headLen = 20;
+    ctx.beginPath();
+    ctx.moveTo(end.x, end.y);
+    ctx.lineTo(end.x - headLen * Math.cos(angle - Math.PI/6), end.y - headLen * Math.sin(angle - Math.PI/6));
+    ctx.lineTo(end.x - headLen * Math.cos(angle + Math.PI/6), end.y - headLen * Math.sin(angle + Math.PI/6));
+    ctx.fillStyle = 'rgba(255, 0, 0, 0.8)';
+    ctx.fill();
+  }
+}
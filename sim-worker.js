@@ -0,0 +1,118 @@
+// Simulation Worker
+// Runs the live simulator (SimulationHost) and the replay exporter off the
+// main thread, drawing into canvases the page transferred with
+// transferControlToOffscreen(). Started and spoken to by
+// SimulationWorkerClient (sim-client.js).
+//
+// Page -> worker:
+//   { type: 'init', canvas, overlayCanvas, tilePreviewCanvas }  OffscreenCanvases, transferred
+//   { type: 'call', id, method, args }  one of HOST_METHODS; answered with
+//                                       'result' / 'error' when `id` is set
+//   { type: 'export', id, kind, params }  starts an export job (SimulationHost.runExport)
+//   { type: 'cancel', id }                cancels that job at its next yield
+//   { type: 'video' / 'videoError', ... } answer to an 'encodeVideo' request
+//
+// Worker -> page:
+//   { type: 'state', state }              settings mirror after every change (SimulationHost.getState)
+//   { type: 'result', id, value }         call return value / finished job
+//   { type: 'error', id, message }        failed (or cancelled) call or job
+//   { type: 'progress', id, progress }    job progress, 0-100
+//   { type: 'file', id, filename, blob }  a file the job wrote, for the page to download
+//   { type: 'encodeVideo', ... }          WebM frames for the page to encode (video-relay.js)
+
+import { SimulationHost } from './sim-host.js';
+import { offscreenBackend } from './surface-backend.js';
+import { particleTransferables } from './particle-buffer.js';
+import { VideoRelay } from './video-relay.js';
+
+// Host methods the page may call
+const HOST_METHODS = [
+  'act', 'reset', 'resize', 'openSession', 'sessionLog', 'snapshot',
+  'pointerDown', 'pointerMove', 'pointerUp', 'setAim', 'setTiledPreview'
+];
+
+// Replays are off the UI thread, so they only yield now and then to pick up
+// 'cancel' messages and let the live loop draw
+const WORKER_YIELD_STEPS = 60;
+
+let host = null;
+const jobs = new Map(); // id -> AbortController
+// Workers have no MediaRecorder; WebM flipbooks are encoded by the page
+const videoRelay = new VideoRelay(msg => self.postMessage(msg));
+
+// Buffers of a FluidSimulator.snapshot(), moved instead of copied
+function snapshotTransferables(snap) {
+  return [
+    ...particleTransferables(snap.particles),
+    snap.grid.buffer, snap.gridFluid.buffer, snap.gridPigment.buffer,
+    snap.gridWetTime.buffer, snap.gridResidue.buffer, snap.gridSoak.buffer, snap.gridFlux.buffer,
+    snap.wetMap.buffer, snap.roughnessMap.buffer,
+    snap.permeabilityMap.buffer, snap.absorbencyMap.buffer, snap.surface.buffer
+  ];
+}
+
+// Export writer: every canvas, text or byte file becomes a Blob for the page
+async function toBlob(item) {
+  if (item instanceof Blob) return item;
+  if (typeof item === 'string') return new Blob([item], { type: 'text/plain' });
+  if (item instanceof Uint8Array) return new Blob([item], { type: 'application/octet-stream' });
+  return item.convertToBlob({ type: 'image/png' });
+}
+
+async function handleCall({ id, method, args }) {
+  try {
+    if (!HOST_METHODS.includes(method)) throw new Error(`Unknown simulation call "${method}"`);
+    const value = await host[method](...(args || []));
+    if (id === undefined) return;
+    const transfer = method === 'snapshot' ? snapshotTransferables(value) : [];
+    self.postMessage({ type: 'result', id, value }, transfer);
+  } catch (e) {
+    if (id !== undefined) self.postMessage({ type: 'error', id, message: e.message });
+  }
+}
+
+async function handleExport({ id, kind, params }) {
+  const controller = new AbortController();
+  jobs.set(id, controller);
+  try {
+    await host.runExport(kind, params, {
+      signal: controller.signal,
+      onProgress: (progress) => self.postMessage({ type: 'progress', id, progress }),
+      writer: async (item, filename) => {
+        self.postMessage({ type: 'file', id, filename, blob: await toBlob(item) });
+      }
+    });
+    self.postMessage({ type: 'result', id, value: null });
+  } catch (e) {
+    self.postMessage({ type: 'error', id, message: e.message });
+  } finally {
+    jobs.delete(id);
+  }
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (videoRelay.handle(msg)) return;
+  switch (msg.type) {
+    case 'init':
+      host = new SimulationHost(msg, {
+        backend: videoRelay.backend(offscreenBackend),
+        yieldSteps: WORKER_YIELD_STEPS,
+        onState: (state) => self.postMessage({ type: 'state', state })
+      });
+      host.publishState();
+      host.start();
+      break;
+    case 'call':
+      handleCall(msg);
+      break;
+    case 'export':
+      handleExport(msg);
+      break;
+    case 'cancel': {
+      const controller = jobs.get(msg.id);
+      if (controller) controller.abort();
+      break;
+    }
+  }
+};
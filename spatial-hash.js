@@ -0,0 +1,157 @@
+// Spatial Hash
+// Uniform grid over a ParticlePool (particle-pool.js) for neighbour queries.
+// The grid is sized from the canvas and the query radius on every build(),
+// so any canvas size works: particles off the canvas (they may fly up to
+// 100px past the edges) are clamped into the border cells, and tileable
+// canvases wrap cells across the edges.
+//
+//   hash.build(pool, width, height, cellSize, wrap);
+//   hash.forEachNeighbor(pool, x, y, radius, (slot, dx, dy, distSq) => { ... });
+//
+// Queries look at the 3x3 block of cells around a point, so they find
+// everything within `radius` as long as cellSize >= radius. Buckets are filled by a counting sort
+// into typed arrays, so rebuilding every step allocates nothing once the
+// arrays have grown. Positions and fluids are copied along in bucket order
+// (xs, ys, fluids), so scanning a bucket reads contiguous memory however
+// scattered the pool's slots are.
+
+// Grids larger than this get coarser cells instead
+const MAX_CELLS = 1 << 20;
+
+export class SpatialHash {
+  constructor() {
+    this.cols = 0;
+    this.rows = 0;
+    this.cellSize = 1;
+    this.width = 0;
+    this.height = 0;
+    this.wrap = false;
+    // Bucket b holds the slots items[start[b] .. start[b + 1]), at xs / ys
+    this.start = new Int32Array(1);
+    this.items = new Int32Array(0);
+    this.xs = new Float32Array(0);
+    this.ys = new Float32Array(0);
+    this.fluids = new Uint8Array(0);
+    // Buckets of the last neighborCells() call
+    this.cells = new Int32Array(9);
+  }
+
+  // Re-buckets the pool's live particles (massless ones are left out), keeping
+  // the pool's order inside each bucket. cellSize is raised to fit MAX_CELLS.
+  build(pool, width, height, cellSize, wrap = false) {
+    while (Math.ceil(width / cellSize) * Math.ceil(height / cellSize) > MAX_CELLS) cellSize *= 2;
+    this.cellSize = cellSize;
+    this.cols = Math.max(1, Math.ceil(width / cellSize));
+    this.rows = Math.max(1, Math.ceil(height / cellSize));
+    this.width = width;
+    this.height = height;
+    this.wrap = wrap;
+
+    const cellCount = this.cols * this.rows;
+    if (this.start.length < cellCount + 1) this.start = new Int32Array(cellCount + 1);
+    if (this.items.length < pool.count) {
+      this.items = new Int32Array(pool.capacity);
+      this.xs = new Float32Array(pool.capacity);
+      this.ys = new Float32Array(pool.capacity);
+      this.fluids = new Uint8Array(pool.capacity);
+    }
+    const { start, items, xs, ys, fluids } = this;
+    const { live, x, y, mass } = pool;
+
+    // Count per bucket, turn the counts into end offsets, then fill each
+    // bucket back to front, which leaves start[b] at its first item
+    start.fill(0, 0, cellCount + 1);
+    for (let k = 0; k < pool.count; k++) {
+      const i = live[k];
+      if (mass[i] > 0) start[this.cellIndex(x[i], y[i])]++;
+    }
+    for (let b = 1; b < cellCount; b++) start[b] += start[b - 1];
+    start[cellCount] = start[cellCount - 1];
+    for (let k = pool.count - 1; k >= 0; k--) {
+      const i = live[k];
+      if (!(mass[i] > 0)) continue;
+      const n = --start[this.cellIndex(x[i], y[i])];
+      items[n] = i;
+      xs[n] = x[i];
+      ys[n] = y[i];
+      fluids[n] = pool.fluids[i];
+    }
+  }
+
+  // Column / row of a coordinate, clamped to the grid (NaN lands in cell 0)
+  column(x) {
+    const c = Math.floor(x / this.cellSize);
+    return c >= 0 ? (c < this.cols ? c : this.cols - 1) : 0;
+  }
+
+  row(y) {
+    const r = Math.floor(y / this.cellSize);
+    return r >= 0 ? (r < this.rows ? r : this.rows - 1) : 0;
+  }
+
+  cellIndex(x, y) {
+    return this.row(y) * this.cols + this.column(x);
+  }
+
+  // Fills this.cells with the distinct buckets of the 3x3 block around
+  // (x, y) - its own cell first, where the closest neighbours are, then the
+  // rest row by row - and returns how many there are
+  neighborCells(x, y) {
+    return this.blockCells(this.column(x), this.row(y));
+  }
+
+  // neighborCells() of the cell at column cx, row cy
+  blockCells(cx, cy) {
+    const { cols, rows, cells } = this;
+    cells[0] = cy * cols + cx;
+    let n = 1;
+    for (let j = cy - 1; j <= cy + 1; j++) {
+      let r = j;
+      if (this.wrap) r = (j + rows) % rows; else if (j < 0 || j >= rows) continue;
+      for (let i = cx - 1; i <= cx + 1; i++) {
+        let c = i;
+        if (this.wrap) c = (i + cols) % cols; else if (i < 0 || i >= cols) continue;
+        const b = r * cols + c;
+        // Grids under 3 cells across wrap onto the same bucket twice
+        let seen = false;
+        for (let m = 0; m < n; m++) if (cells[m] === b) seen = true;
+        if (!seen) cells[n++] = b;
+      }
+    }
+    return n;
+  }
+
+  // Offset from a point to another, the shortest way round on tileable canvases
+  deltaX(dx) {
+    if (!this.wrap) return dx;
+    if (dx > this.width / 2) return dx - this.width;
+    if (dx < -this.width / 2) return dx + this.width;
+    return dx;
+  }
+
+  deltaY(dy) {
+    if (!this.wrap) return dy;
+    if (dy > this.height / 2) return dy - this.height;
+    if (dy < -this.height / 2) return dy + this.height;
+    return dy;
+  }
+
+  // Calls fn(slot, dx, dy, distSq) for every particle within `radius` of
+  // (x, y), with (dx, dy) pointing from it to the point; the particle at the
+  // point itself is included. Stops early when fn returns true. fn must not
+  // query the hash itself (this.cells is shared).
+  forEachNeighbor(pool, x, y, radius, fn) {
+    const radiusSq = radius * radius;
+    const n = this.neighborCells(x, y);
+    for (let c = 0; c < n; c++) {
+      const b = this.cells[c];
+      for (let m = this.start[b]; m < this.start[b + 1]; m++) {
+        const slot = this.items[m];
+        const dx = this.deltaX(x - this.xs[m]);
+        const dy = this.deltaY(y - this.ys[m]);
+        const distSq = dx * dx + dy * dy;
+        if (distSq < radiusSq && fn(slot, dx, dy, distSq)) return;
+      }
+    }
+  }
+}
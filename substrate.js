@@ -0,0 +1,136 @@
+// Surface Substrates
+// What the fluid lands on. A substrate is three maps over the simulation grid
+// (FluidSimulator.gridWidth x gridHeight), all 0..1:
+//
+//   channel    - how readily liquid runs into a cell: grout lines, grain
+//                grooves and threads are channels (permeabilityMap)
+//   friction   - how much a cell holds liquid back (roughnessMap)
+//   absorbency - how fast a cell soaks liquid up (absorbencyMap)
+//
+// Each substrate also says how soaked-up liquid wicks on: `wick` is the
+// speed, grainX / grainY weigh it along each axis (wood wicks along its
+// grain, fabric along both threads).
+//
+// 'procedural' is the original noise surface, without absorption; the
+// simulator builds it itself. 'custom' reads the maps from an uploaded
+// image: dark areas are grooves and pores, light areas raised and sealed.
+
+export const SUBSTRATES = {
+  procedural: { name: 'Procedural (default)', wick: 0, grainX: 1, grainY: 1 },
+  tile: { name: 'Tile', wick: 0.4, grainX: 1, grainY: 1 },
+  concrete: { name: 'Concrete', wick: 0.3, grainX: 1, grainY: 1 },
+  wood: { name: 'Wood', wick: 0.6, grainX: 1, grainY: 0.15 },
+  fabric: { name: 'Fabric', wick: 1.0, grainX: 1, grainY: 1 },
+  custom: { name: 'Uploaded Texture', wick: 0.5, grainX: 1, grainY: 1 }
+};
+
+// Feature sizes in canvas px
+const TILE_SIZE = 128;
+const GROUT_WIDTH = 6;
+const WOOD_RING_SPACING = 14;
+const THREAD_SPACING = 6;
+
+// Hash noise 0..1 per integer lattice point
+function hash(x, y, seed) {
+  const s = Math.sin(x * 127.1 + y * 311.7 + seed * 74.7) * 43758.5453;
+  return s - Math.floor(s);
+}
+
+// Smooth value noise 0..1
+function valueNoise(x, y, seed) {
+  const x0 = Math.floor(x), y0 = Math.floor(y);
+  const tx = x - x0, ty = y - y0;
+  const sx = tx * tx * (3 - 2 * tx), sy = ty * ty * (3 - 2 * ty);
+  const top = hash(x0, y0, seed) * (1 - sx) + hash(x0 + 1, y0, seed) * sx;
+  const bottom = hash(x0, y0 + 1, seed) * (1 - sx) + hash(x0 + 1, y0 + 1, seed) * sx;
+  return top * (1 - sy) + bottom * sy;
+}
+
+// Fills maps { channel, friction, absorbency } (Float32Array(w * h) each)
+// with substrate `name` on a w x h grid.
+//
+// options.scale:  grid cells per canvas px (FluidSimulator.gridScale), so
+//                 features keep their size in px at any grid resolution
+// options.seed:   varies the noise (the simulator passes its noiseOffset)
+// options.source: { data: luminance 0..1, width, height } for 'custom'
+export function fillSubstrate(name, maps, w, h, options = {}) {
+  const scale = options.scale || 1;
+  const seed = options.seed || 0;
+  const { channel, friction, absorbency } = maps;
+
+  // Whole tiles / rings / threads across the grid, so tileable canvases
+  // keep seamless patterns
+  const period = (size, cells) => cells / Math.max(1, Math.round(cells / (size * scale)));
+  const tileX = period(TILE_SIZE, w), tileY = period(TILE_SIZE, h);
+  const grout = Math.max(1, GROUT_WIDTH * scale);
+  const ring = period(WOOD_RING_SPACING, h);
+  const thread = Math.max(2, THREAD_SPACING * scale);
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const idx = y * w + x;
+      // Per-cell grit and a smoother large-scale variation
+      const grit = hash(x, y, seed);
+      const patch = valueNoise(x / (32 * scale), y / (32 * scale), seed);
+
+      switch (name) {
+        case 'tile': {
+          const gx = x % tileX, gy = y % tileY;
+          const inGrout = gx < grout || gy < grout;
+          channel[idx] = inGrout ? 1.0 : 0.1 + grit * 0.05;
+          friction[idx] = inGrout ? 0.5 : 0.05;
+          absorbency[idx] = inGrout ? 0.7 : 0.0;
+          break;
+        }
+        case 'concrete': {
+          const pore = grit > 0.94;
+          channel[idx] = 0.3 + patch * 0.3 + (pore ? 0.3 : 0);
+          friction[idx] = 0.5 + grit * 0.2;
+          absorbency[idx] = pore ? 0.9 : 0.3 + patch * 0.3;
+          break;
+        }
+        case 'wood': {
+          // Grain runs along x; rings warped by slow noise
+          const warp = valueNoise(x / (64 * scale), y / (16 * scale), seed) * 2.5;
+          const grain = 0.5 + 0.5 * Math.sin((y / ring + warp) * Math.PI * 2);
+          const groove = grain > 0.85;
+          channel[idx] = groove ? 0.9 : 0.25 + grain * 0.2;
+          friction[idx] = 0.25 + (1 - grain) * 0.15;
+          absorbency[idx] = groove ? 0.55 : 0.2;
+          break;
+        }
+        case 'fabric': {
+          // Plain weave: threads alternate over and under
+          const over = (Math.floor(x / thread) + Math.floor(y / thread)) % 2 === 0;
+          channel[idx] = over ? 0.6 : 0.4;
+          friction[idx] = 0.75 + grit * 0.1;
+          absorbency[idx] = over ? 0.85 : 0.95;
+          break;
+        }
+        case 'custom': {
+          const src = options.source;
+          const lum = src
+            ? src.data[Math.min(src.height - 1, Math.floor(y * src.height / h)) * src.width + Math.min(src.width - 1, Math.floor(x * src.width / w))]
+            : 0.5;
+          channel[idx] = 1 - lum;
+          friction[idx] = 0.2 + lum * 0.4;
+          absorbency[idx] = (1 - lum) * 0.6;
+          break;
+        }
+        default:
+          throw new Error(`Unknown substrate "${name}" (expected ${Object.keys(SUBSTRATES).join(', ')})`);
+      }
+    }
+  }
+}
+
+// Luminance 0..1 of an RGBA image ({ data, width, height }), the 'custom'
+// substrate's source. Transparent pixels count as sealed surface.
+export function substrateSourceFromImage(img) {
+  const data = new Float32Array(img.width * img.height);
+  for (let i = 0; i < data.length; i++) {
+    const r = img.data[i * 4], g = img.data[i * 4 + 1], b = img.data[i * 4 + 2], a = img.data[i * 4 + 3] / 255;
+    data[i] = 1 - a + a * (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+  }
+  return { data, width: img.width, height: img.height };
+}
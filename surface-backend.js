@@ -0,0 +1,784 @@
+// Surface / Raster Backends
+// The simulator never touches `document` directly. Everything that needs a
+// canvas, an ImageData or an image decode goes through one of these backends,
+// so the same physics code runs in the browser and headless under Node.
+
+// zlib via the browser's CompressionStream (windows and workers)
+async function streamDeflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Browser backend: real <canvas> elements
+export const domBackend = {
+  name: 'dom',
+
+  createCanvas(width, height) {
+    const c = document.createElement('canvas');
+    c.width = width;
+    c.height = height;
+    return c;
+  },
+
+  createImageData(width, height, data) {
+    return data ? new ImageData(data, width, height) : new ImageData(width, height);
+  },
+
+  loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.crossOrigin = "Anonymous";
+      img.onload = () => resolve(img);
+      img.onerror = reject;
+      img.src = src;
+    });
+  },
+
+  // zlib stream for PNG/APNG encoding
+  deflate: streamDeflate,
+
+  // WebM from RGBA8 frames via MediaRecorder. The recorder timestamps frames
+  // as they arrive, so they are fed in real time at `fps`.
+  // options.fps: playback rate (default 30)
+  async encodeVideo(width, height, frames, options = {}) {
+    const fps = options.fps || 30;
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+      .find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error('This browser cannot record WebM video');
+
+    const canvas = this.createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const chunks = [];
+    recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+    recorder.start();
+    for (const pixels of frames) {
+      ctx.putImageData(new ImageData(new Uint8ClampedArray(pixels), width, height), 0, 0);
+      track.requestFrame();
+      await new Promise(r => setTimeout(r, 1000 / fps));
+    }
+    recorder.stop();
+    await stopped;
+    track.stop();
+    return new Blob(chunks, { type: 'video/webm' });
+  }
+};
+
+// Web Worker backend: OffscreenCanvas, which has the full 2D context of a
+// <canvas> but no DOM. Images decode to ImageBitmaps (drawImage accepts them
+// like an <img>). MediaRecorder does not exist in workers, so there is no
+// video encoder; sim-worker.js has the page encode WebM (video-relay.js).
+export const offscreenBackend = {
+  name: 'offscreen',
+
+  createCanvas(width, height) {
+    return new OffscreenCanvas(width, height);
+  },
+
+  createImageData(width, height, data) {
+    return data ? new ImageData(data, width, height) : new ImageData(width, height);
+  },
+
+  // src: URL relative to the worker script, or a data: URL
+  async loadImage(src) {
+    const response = await fetch(src);
+    if (!response.ok) throw new Error(`Could not load ${src} (${response.status})`);
+    return createImageBitmap(await response.blob());
+  },
+
+  deflate: streamDeflate
+};
+
+// Headless backend: pure JS rasterizer (see SoftwareCanvas below)
+// No loadImage here - formation data and masks have to be injected as
+// raw RGBA ({ data, width, height }) when running without a DOM. No video
+// encoder either, so WebM exports need the DOM backend.
+export const softwareBackend = {
+  name: 'software',
+
+  createCanvas(width, height) {
+    return new SoftwareCanvas(width, height);
+  },
+
+  createImageData(width, height, data) {
+    return { width, height, data: data || new Uint8ClampedArray(width * height * 4) };
+  }
+};
+
+export function getDefaultBackend() {
+  if (typeof document !== 'undefined') return domBackend;
+  return (typeof OffscreenCanvas !== 'undefined') ? offscreenBackend : softwareBackend;
+}
+
+// ---------------------------------------------------------------------------
+// Software Canvas
+// Implements the subset of CanvasRenderingContext2D used by the simulator and
+// exporter: paths made of lines and arcs, fill/stroke with round caps, solid
+// colors and radial/linear gradients, globalAlpha, a few composite modes,
+// drawImage with scaling and the blur/contrast/grayscale/brightness filters.
+// Pixels are stored as straight (non-premultiplied) RGBA, like getImageData.
+// No antialiasing: a pixel is covered when its center is inside the shape.
+// ---------------------------------------------------------------------------
+
+export class SoftwareCanvas {
+  constructor(width, height) {
+    this._width = Math.max(0, Math.floor(width));
+    this._height = Math.max(0, Math.floor(height));
+    this.data = new Uint8ClampedArray(this._width * this._height * 4);
+    this._ctx = null;
+  }
+
+  // Like the DOM, assigning a size clears the pixels and resets the context
+  get width() { return this._width; }
+  set width(w) { this._width = Math.max(0, Math.floor(w)); this._realloc(); }
+  get height() { return this._height; }
+  set height(h) { this._height = Math.max(0, Math.floor(h)); this._realloc(); }
+
+  _realloc() {
+    this.data = new Uint8ClampedArray(this._width * this._height * 4);
+    if (this._ctx) this._ctx._resetState();
+  }
+
+  getContext(type) {
+    if (type !== '2d') return null;
+    if (!this._ctx) this._ctx = new SoftwareContext2D(this);
+    return this._ctx;
+  }
+}
+
+const colorCache = new Map();
+const NAMED_COLORS = {
+  black: [0, 0, 0, 1], white: [255, 255, 255, 1], red: [255, 0, 0, 1],
+  green: [0, 128, 0, 1], blue: [0, 0, 255, 1], transparent: [0, 0, 0, 0]
+};
+
+// Returns [r, g, b, a] with rgb in 0..255 and a in 0..1
+export function parseColor(str) {
+  if (typeof str !== 'string') return [0, 0, 0, 1];
+  const cached = colorCache.get(str);
+  if (cached) return cached;
+
+  const s = str.trim().toLowerCase();
+  let out = [0, 0, 0, 1];
+
+  if (s[0] === '#') {
+    const hex = s.slice(1);
+    if (hex.length === 3 || hex.length === 4) {
+      out = [
+        parseInt(hex[0] + hex[0], 16),
+        parseInt(hex[1] + hex[1], 16),
+        parseInt(hex[2] + hex[2], 16),
+        hex.length === 4 ? parseInt(hex[3] + hex[3], 16) / 255 : 1
+      ];
+    } else if (hex.length === 6 || hex.length === 8) {
+      out = [
+        parseInt(hex.slice(0, 2), 16),
+        parseInt(hex.slice(2, 4), 16),
+        parseInt(hex.slice(4, 6), 16),
+        hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+      ];
+    }
+  } else if (s.startsWith('rgb')) {
+    const parts = s.slice(s.indexOf('(') + 1, s.lastIndexOf(')')).split(/[\s,\/]+/).filter(Boolean);
+    const ch = (v) => v.endsWith('%') ? parseFloat(v) * 2.55 : parseFloat(v);
+    out = [
+      ch(parts[0] || '0'),
+      ch(parts[1] || '0'),
+      ch(parts[2] || '0'),
+      parts[3] !== undefined ? (parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3])) : 1
+    ];
+  } else if (NAMED_COLORS[s]) {
+    out = NAMED_COLORS[s];
+  }
+
+  out = out.map((v, i) => {
+    if (isNaN(v)) return i === 3 ? 1 : 0;
+    return i === 3 ? Math.max(0, Math.min(1, v)) : Math.max(0, Math.min(255, v));
+  });
+  colorCache.set(str, out);
+  return out;
+}
+
+class SoftwareGradient {
+  constructor(kind, args) {
+    this.kind = kind;
+    this.args = args;
+    this.stops = [];
+  }
+
+  addColorStop(offset, color) {
+    this.stops.push({ offset, color: parseColor(color) });
+    this.stops.sort((a, b) => a.offset - b.offset);
+  }
+
+  colorAt(x, y) {
+    let t = 0;
+    if (this.kind === 'radial') {
+      // Concentric approximation (the only form we draw with)
+      const [x0, y0, r0, x1, y1, r1] = this.args;
+      const dx = x - x1, dy = y - y1;
+      const d = Math.sqrt(dx*dx + dy*dy);
+      t = r1 === r0 ? 1 : (d - r0) / (r1 - r0);
+    } else {
+      const [x0, y0, x1, y1] = this.args;
+      const vx = x1 - x0, vy = y1 - y0;
+      const len2 = vx*vx + vy*vy;
+      t = len2 > 0 ? ((x - x0) * vx + (y - y0) * vy) / len2 : 0;
+    }
+
+    const stops = this.stops;
+    if (stops.length === 0) return [0, 0, 0, 0];
+    if (t <= stops[0].offset) return stops[0].color;
+    const last = stops[stops.length - 1];
+    if (t >= last.offset) return last.color;
+
+    for (let i = 1; i < stops.length; i++) {
+      const b = stops[i];
+      if (t <= b.offset) {
+        const a = stops[i - 1];
+        const f = (t - a.offset) / Math.max(1e-6, b.offset - a.offset);
+        return [
+          a.color[0] + (b.color[0] - a.color[0]) * f,
+          a.color[1] + (b.color[1] - a.color[1]) * f,
+          a.color[2] + (b.color[2] - a.color[2]) * f,
+          a.color[3] + (b.color[3] - a.color[3]) * f
+        ];
+      }
+    }
+    return last.color;
+  }
+}
+
+const DEFAULT_STATE = {
+  fillStyle: '#000',
+  strokeStyle: '#000',
+  lineWidth: 1,
+  lineCap: 'butt',
+  lineJoin: 'miter',
+  globalAlpha: 1,
+  globalCompositeOperation: 'source-over',
+  filter: 'none',
+  imageSmoothingEnabled: true,
+  imageSmoothingQuality: 'low',
+  // Translation only; enough for the simulator's wrap-around drawing
+  _translateX: 0,
+  _translateY: 0
+};
+
+class SoftwareContext2D {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this._resetState();
+  }
+
+  _resetState() {
+    Object.assign(this, DEFAULT_STATE);
+    this._stack = [];
+    this._subpaths = [];
+    this._current = null;
+  }
+
+  save() {
+    const s = {};
+    for (const key in DEFAULT_STATE) s[key] = this[key];
+    this._stack.push(s);
+  }
+
+  restore() {
+    const s = this._stack.pop();
+    if (s) Object.assign(this, s);
+  }
+
+  // --- Transform ---
+
+  translate(x, y) {
+    this._translateX += x;
+    this._translateY += y;
+  }
+
+  resetTransform() {
+    this._translateX = 0;
+    this._translateY = 0;
+  }
+
+  // --- Paths ---
+
+  beginPath() {
+    this._subpaths = [];
+    this._current = null;
+  }
+
+  moveTo(x, y) {
+    this._current = { points: [x + this._translateX, y + this._translateY], closed: false };
+    this._subpaths.push(this._current);
+  }
+
+  lineTo(x, y) {
+    if (!this._current) { this.moveTo(x, y); return; }
+    this._current.points.push(x + this._translateX, y + this._translateY);
+  }
+
+  closePath() {
+    if (this._current) {
+      this._current.closed = true;
+      const p = this._current.points;
+      this.moveTo(p[0] - this._translateX, p[1] - this._translateY);
+    }
+  }
+
+  arc(cx, cy, r, start, end, ccw = false) {
+    r = Math.abs(r);
+    let sweep = end - start;
+    const full = Math.PI * 2;
+    if (!ccw && sweep >= full) sweep = full;
+    else if (ccw && -sweep >= full) sweep = -full;
+    else if (!ccw && sweep < 0) sweep = (sweep % full) + full;
+    else if (ccw && sweep > 0) sweep = (sweep % full) - full;
+
+    // Flatten: enough segments that the chord error stays under ~0.25px
+    const segs = Math.max(8, Math.min(256, Math.ceil(Math.abs(sweep) * Math.sqrt(Math.max(r, 1)) * 1.5)));
+    for (let i = 0; i <= segs; i++) {
+      const a = start + sweep * (i / segs);
+      const x = cx + Math.cos(a) * r;
+      const y = cy + Math.sin(a) * r;
+      if (i === 0 && !this._current) this.moveTo(x, y);
+      else this.lineTo(x, y);
+    }
+  }
+
+  rect(x, y, w, h) {
+    this.moveTo(x, y);
+    this.lineTo(x + w, y);
+    this.lineTo(x + w, y + h);
+    this.lineTo(x, y + h);
+    this.closePath();
+  }
+
+  // --- Styles ---
+
+  // Gradients take the translation current at creation (not at fill time)
+  createRadialGradient(x0, y0, r0, x1, y1, r1) {
+    const tx = this._translateX, ty = this._translateY;
+    return new SoftwareGradient('radial', [x0 + tx, y0 + ty, r0, x1 + tx, y1 + ty, r1]);
+  }
+
+  createLinearGradient(x0, y0, x1, y1) {
+    const tx = this._translateX, ty = this._translateY;
+    return new SoftwareGradient('linear', [x0 + tx, y0 + ty, x1 + tx, y1 + ty]);
+  }
+
+  // --- Drawing ---
+
+  fill() {
+    const w = this.canvas.width, h = this.canvas.height;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const edges = [];
+
+    for (const sp of this._subpaths) {
+      const p = sp.points;
+      const n = p.length / 2;
+      if (n < 2) continue;
+      for (let i = 0; i < n; i++) {
+        const x0 = p[i*2], y0 = p[i*2+1];
+        const j = (i + 1) % n; // Fill implicitly closes every subpath
+        const x1 = p[j*2], y1 = p[j*2+1];
+        if (x0 < minX) minX = x0; if (x0 > maxX) maxX = x0;
+        if (y0 < minY) minY = y0; if (y0 > maxY) maxY = y0;
+        if (y0 !== y1) edges.push(x0, y0, x1, y1);
+      }
+    }
+    if (edges.length === 0) return;
+
+    const bx0 = Math.max(0, Math.floor(minX));
+    const by0 = Math.max(0, Math.floor(minY));
+    const bx1 = Math.min(w, Math.ceil(maxX) + 1);
+    const by1 = Math.min(h, Math.ceil(maxY) + 1);
+    if (bx0 >= bx1 || by0 >= by1) return;
+
+    const bw = bx1 - bx0;
+    const mask = new Uint8Array(bw * (by1 - by0));
+    const xs = [];
+
+    for (let y = by0; y < by1; y++) {
+      const sy = y + 0.5;
+      xs.length = 0;
+      for (let e = 0; e < edges.length; e += 4) {
+        const x0 = edges[e], y0 = edges[e+1], x1 = edges[e+2], y1 = edges[e+3];
+        const up = y1 > y0;
+        const lo = up ? y0 : y1, hi = up ? y1 : y0;
+        if (sy < lo || sy >= hi) continue;
+        const x = x0 + (sy - y0) * (x1 - x0) / (y1 - y0);
+        xs.push(x, up ? 1 : -1);
+      }
+      if (xs.length === 0) continue;
+
+      // Sort crossings (pairs of [x, dir]) and walk with nonzero winding
+      const pairs = [];
+      for (let i = 0; i < xs.length; i += 2) pairs.push([xs[i], xs[i+1]]);
+      pairs.sort((a, b) => a[0] - b[0]);
+
+      let winding = 0;
+      for (let i = 0; i < pairs.length - 1; i++) {
+        winding += pairs[i][1];
+        if (winding === 0) continue;
+        const start = Math.max(bx0, Math.ceil(pairs[i][0] - 0.5));
+        const end = Math.min(bx1, Math.ceil(pairs[i+1][0] - 0.5));
+        const row = (y - by0) * bw;
+        for (let x = start; x < end; x++) mask[row + x - bx0] = 1;
+      }
+    }
+
+    this._compositeMask(mask, bx0, by0, bw, by1 - by0, this.fillStyle);
+  }
+
+  stroke() {
+    const w = this.canvas.width, h = this.canvas.height;
+    const r = Math.max(0.5, this.lineWidth / 2);
+    const round = this.lineCap === 'round' || this.lineJoin === 'round';
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const sp of this._subpaths) {
+      const p = sp.points;
+      for (let i = 0; i < p.length; i += 2) {
+        if (p[i] < minX) minX = p[i]; if (p[i] > maxX) maxX = p[i];
+        if (p[i+1] < minY) minY = p[i+1]; if (p[i+1] > maxY) maxY = p[i+1];
+      }
+    }
+    if (minX === Infinity) return;
+
+    const bx0 = Math.max(0, Math.floor(minX - r));
+    const by0 = Math.max(0, Math.floor(minY - r));
+    const bx1 = Math.min(w, Math.ceil(maxX + r) + 1);
+    const by1 = Math.min(h, Math.ceil(maxY + r) + 1);
+    if (bx0 >= bx1 || by0 >= by1) return;
+
+    const bw = bx1 - bx0;
+    const mask = new Uint8Array(bw * (by1 - by0));
+    const r2 = r * r;
+
+    // Each segment is a capsule (round) or a rectangle (butt); segments are
+    // OR-ed into one mask so overlapping joints are only painted once.
+    for (const sp of this._subpaths) {
+      const p = sp.points;
+      const n = p.length / 2;
+      const segCount = sp.closed ? n : n - 1;
+      for (let s = 0; s < segCount; s++) {
+        const ax = p[s*2], ay = p[s*2+1];
+        const j = (s + 1) % n;
+        const bx = p[j*2], by = p[j*2+1];
+        const vx = bx - ax, vy = by - ay;
+        const len2 = vx*vx + vy*vy;
+
+        const sx0 = Math.max(bx0, Math.floor(Math.min(ax, bx) - r));
+        const sx1 = Math.min(bx1, Math.ceil(Math.max(ax, bx) + r) + 1);
+        const sy0 = Math.max(by0, Math.floor(Math.min(ay, by) - r));
+        const sy1 = Math.min(by1, Math.ceil(Math.max(ay, by) + r) + 1);
+
+        for (let y = sy0; y < sy1; y++) {
+          const py = y + 0.5;
+          const row = (y - by0) * bw;
+          for (let x = sx0; x < sx1; x++) {
+            const px = x + 0.5;
+            let t = len2 > 0 ? ((px - ax) * vx + (py - ay) * vy) / len2 : 0;
+            if (!round && (t < 0 || t > 1)) continue;
+            if (t < 0) t = 0; else if (t > 1) t = 1;
+            const dx = px - (ax + vx * t);
+            const dy = py - (ay + vy * t);
+            if (dx*dx + dy*dy <= r2) mask[row + x - bx0] = 1;
+          }
+        }
+      }
+    }
+
+    this._compositeMask(mask, bx0, by0, bw, by1 - by0, this.strokeStyle);
+  }
+
+  fillRect(x, y, w, h) {
+    const saved = this._subpaths, savedCur = this._current;
+    this.beginPath();
+    this.rect(x, y, w, h);
+    this.fill();
+    this._subpaths = saved;
+    this._current = savedCur;
+  }
+
+  clearRect(x, y, w, h) {
+    x += this._translateX;
+    y += this._translateY;
+    const cw = this.canvas.width, ch = this.canvas.height;
+    const x0 = Math.max(0, Math.round(x)), y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(cw, Math.round(x + w)), y1 = Math.min(ch, Math.round(y + h));
+    if (x0 >= x1) return;
+    const data = this.canvas.data;
+    for (let j = y0; j < y1; j++) {
+      data.fill(0, (j * cw + x0) * 4, (j * cw + x1) * 4);
+    }
+  }
+
+  // Blends `style` (color string or gradient) into every masked pixel
+  _compositeMask(mask, bx0, by0, bw, bh, style) {
+    const isGradient = style instanceof SoftwareGradient;
+    const solid = isGradient ? null : parseColor(style);
+
+    for (let y = 0; y < bh; y++) {
+      for (let x = 0; x < bw; x++) {
+        if (!mask[y * bw + x]) continue;
+        const c = isGradient ? style.colorAt(bx0 + x + 0.5, by0 + y + 0.5) : solid;
+        this._blendPixel(bx0 + x, by0 + y, c[0], c[1], c[2], c[3] * this.globalAlpha);
+      }
+    }
+  }
+
+  _blendPixel(x, y, r, g, b, a) {
+    const data = this.canvas.data;
+    const i = (y * this.canvas.width + x) * 4;
+    const op = this.globalCompositeOperation;
+
+    if (op === 'destination-out') {
+      data[i+3] = data[i+3] * (1 - a);
+      return;
+    }
+    if (op === 'copy') {
+      data[i] = r; data[i+1] = g; data[i+2] = b; data[i+3] = a * 255;
+      return;
+    }
+
+    const da = data[i+3] / 255;
+    if (op === 'lighter') {
+      data[i] = data[i] * da + r * a;
+      data[i+1] = data[i+1] * da + g * a;
+      data[i+2] = data[i+2] * da + b * a;
+      const outA = Math.min(1, da + a);
+      if (outA > 0) {
+        // Stored straight: divide the summed premultiplied color back out
+        data[i] = data[i] / outA; data[i+1] = data[i+1] / outA; data[i+2] = data[i+2] / outA;
+      }
+      data[i+3] = outA * 255;
+      return;
+    }
+
+    // source-over
+    const outA = a + da * (1 - a);
+    if (outA <= 0) { data[i+3] = 0; return; }
+    const k = da * (1 - a);
+    data[i] = (r * a + data[i] * k) / outA;
+    data[i+1] = (g * a + data[i+1] * k) / outA;
+    data[i+2] = (b * a + data[i+2] * k) / outA;
+    data[i+3] = outA * 255;
+  }
+
+  // --- Pixels ---
+
+  createImageData(w, h) {
+    if (typeof w === 'object') { h = w.height; w = w.width; }
+    return { width: w, height: h, data: new Uint8ClampedArray(w * h * 4) };
+  }
+
+  getImageData(sx, sy, sw, sh) {
+    const out = this.createImageData(sw, sh);
+    const cw = this.canvas.width, ch = this.canvas.height;
+    const src = this.canvas.data;
+    for (let y = 0; y < sh; y++) {
+      const yy = sy + y;
+      if (yy < 0 || yy >= ch) continue;
+      for (let x = 0; x < sw; x++) {
+        const xx = sx + x;
+        if (xx < 0 || xx >= cw) continue;
+        const si = (yy * cw + xx) * 4;
+        const di = (y * sw + x) * 4;
+        out.data[di] = src[si];
+        out.data[di+1] = src[si+1];
+        out.data[di+2] = src[si+2];
+        out.data[di+3] = src[si+3];
+      }
+    }
+    return out;
+  }
+
+  putImageData(img, dx, dy) {
+    const cw = this.canvas.width, ch = this.canvas.height;
+    const dst = this.canvas.data;
+    for (let y = 0; y < img.height; y++) {
+      const yy = dy + y;
+      if (yy < 0 || yy >= ch) continue;
+      for (let x = 0; x < img.width; x++) {
+        const xx = dx + x;
+        if (xx < 0 || xx >= cw) continue;
+        const si = (y * img.width + x) * 4;
+        const di = (yy * cw + xx) * 4;
+        dst[di] = img.data[si];
+        dst[di+1] = img.data[si+1];
+        dst[di+2] = img.data[si+2];
+        dst[di+3] = img.data[si+3];
+      }
+    }
+  }
+
+  // Accepts SoftwareCanvas or anything shaped like ImageData ({ data, width, height })
+  drawImage(src, ...args) {
+    let sx = 0, sy = 0, sw = src.width, sh = src.height, dx, dy, dw, dh;
+    if (args.length === 2) { [dx, dy] = args; dw = sw; dh = sh; }
+    else if (args.length === 4) { [dx, dy, dw, dh] = args; }
+    else { [sx, sy, sw, sh, dx, dy, dw, dh] = args; }
+    if (!sw || !sh || !dw || !dh) return;
+    dx += this._translateX;
+    dy += this._translateY;
+
+    const cw = this.canvas.width, ch = this.canvas.height;
+    const filters = parseFilter(this.filter);
+    const blur = filters.reduce((acc, f) => f.name === 'blur' ? acc + f.value : acc, 0);
+    const pad = Math.ceil(blur * 3);
+
+    const x0 = Math.max(0, Math.floor(Math.min(dx, dx + dw)) - pad);
+    const y0 = Math.max(0, Math.floor(Math.min(dy, dy + dh)) - pad);
+    const x1 = Math.min(cw, Math.ceil(Math.max(dx, dx + dw)) + pad);
+    const y1 = Math.min(ch, Math.ceil(Math.max(dy, dy + dh)) + pad);
+    if (x0 >= x1 || y0 >= y1) return;
+
+    // 1. Resample the source into a premultiplied float buffer
+    const bw = x1 - x0, bh = y1 - y0;
+    const buf = new Float32Array(bw * bh * 4);
+    const smooth = this.imageSmoothingEnabled;
+    const sdata = src.data;
+    const srcW = src.width, srcH = src.height;
+
+    for (let y = 0; y < bh; y++) {
+      const v = ((y0 + y + 0.5 - dy) / dh) * sh + sy;
+      if (v < sy || v >= sy + sh) continue;
+      for (let x = 0; x < bw; x++) {
+        const u = ((x0 + x + 0.5 - dx) / dw) * sw + sx;
+        if (u < sx || u >= sx + sw) continue;
+        const o = (y * bw + x) * 4;
+        if (smooth) {
+          sampleBilinear(sdata, srcW, srcH, u - 0.5, v - 0.5, buf, o);
+        } else {
+          const ix = Math.min(srcW - 1, Math.floor(u));
+          const iy = Math.min(srcH - 1, Math.floor(v));
+          const si = (iy * srcW + ix) * 4;
+          const a = sdata[si+3] / 255;
+          buf[o] = sdata[si] * a; buf[o+1] = sdata[si+1] * a; buf[o+2] = sdata[si+2] * a; buf[o+3] = a;
+        }
+      }
+    }
+
+    // 2. Filters (blur works premultiplied, color ops on straight color)
+    for (const f of filters) {
+      if (f.name === 'blur' && f.value > 0) boxBlurRGBA(buf, bw, bh, f.value);
+    }
+    const colorOps = filters.filter(f => f.name !== 'blur');
+
+    // 3. Composite
+    for (let y = 0; y < bh; y++) {
+      for (let x = 0; x < bw; x++) {
+        const o = (y * bw + x) * 4;
+        const a = buf[o+3];
+        if (a <= 0) continue;
+        let r = buf[o] / a, g = buf[o+1] / a, b = buf[o+2] / a;
+        for (const f of colorOps) [r, g, b] = applyColorFilter(f, r, g, b);
+        this._blendPixel(x0 + x, y0 + y, clamp255(r), clamp255(g), clamp255(b), Math.min(1, a) * this.globalAlpha);
+      }
+    }
+  }
+}
+
+function clamp255(v) {
+  return v < 0 ? 0 : (v > 255 ? 255 : v);
+}
+
+function sampleBilinear(data, w, h, fx, fy, out, o) {
+  const x0 = Math.max(0, Math.min(w - 1, Math.floor(fx)));
+  const y0 = Math.max(0, Math.min(h - 1, Math.floor(fy)));
+  const x1 = Math.min(w - 1, x0 + 1);
+  const y1 = Math.min(h - 1, y0 + 1);
+  const tx = Math.max(0, Math.min(1, fx - x0));
+  const ty = Math.max(0, Math.min(1, fy - y0));
+
+  out[o] = out[o+1] = out[o+2] = out[o+3] = 0;
+  const taps = [[x0, y0, (1-tx)*(1-ty)], [x1, y0, tx*(1-ty)], [x0, y1, (1-tx)*ty], [x1, y1, tx*ty]];
+  for (const [x, y, wt] of taps) {
+    const i = (y * w + x) * 4;
+    const a = data[i+3] / 255;
+    out[o] += data[i] * a * wt;
+    out[o+1] += data[i+1] * a * wt;
+    out[o+2] += data[i+2] * a * wt;
+    out[o+3] += a * wt;
+  }
+}
+
+// Parses a CSS filter string into [{ name, value }], value normalized:
+// blur in px, the rest as a multiplier (e.g. "200%" -> 2.0)
+function parseFilter(str) {
+  if (!str || str === 'none') return [];
+  const out = [];
+  const re = /([a-z-]+)\(([^)]*)\)/g;
+  let m;
+  while ((m = re.exec(str))) {
+    const raw = m[2].trim();
+    let value = parseFloat(raw);
+    if (isNaN(value)) value = m[1] === 'blur' ? 0 : 1;
+    else if (raw.endsWith('%')) value /= 100;
+    out.push({ name: m[1], value });
+  }
+  return out;
+}
+
+function applyColorFilter(f, r, g, b) {
+  switch (f.name) {
+    case 'contrast':
+      return [(r - 127.5) * f.value + 127.5, (g - 127.5) * f.value + 127.5, (b - 127.5) * f.value + 127.5];
+    case 'brightness':
+      return [r * f.value, g * f.value, b * f.value];
+    case 'grayscale': {
+      const amt = Math.min(1, f.value);
+      const l = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+      return [r + (l - r) * amt, g + (l - g) * amt, b + (l - b) * amt];
+    }
+    case 'invert': {
+      const amt = Math.min(1, f.value);
+      return [r + (255 - 2 * r) * amt, g + (255 - 2 * g) * amt, b + (255 - 2 * b) * amt];
+    }
+    default:
+      return [r, g, b];
+  }
+}
+
+// Three box passes approximate a gaussian with the given standard deviation
+function boxBlurRGBA(buf, w, h, sigma) {
+  const passes = 3;
+  const boxW = Math.sqrt((12 * sigma * sigma / passes) + 1);
+  const radius = Math.max(1, Math.round((boxW - 1) / 2));
+  const tmp = new Float32Array(buf.length);
+
+  for (let p = 0; p < passes; p++) {
+    boxBlurAxis(buf, tmp, w, h, radius, true);
+    boxBlurAxis(tmp, buf, w, h, radius, false);
+  }
+}
+
+function boxBlurAxis(src, dst, w, h, r, horizontal) {
+  const len = horizontal ? w : h;
+  const lines = horizontal ? h : w;
+  const norm = 1 / (r * 2 + 1);
+
+  for (let line = 0; line < lines; line++) {
+    const idx = (i) => (horizontal ? (line * w + i) : (i * w + line)) * 4;
+    for (let c = 0; c < 4; c++) {
+      let acc = 0;
+      // Pixels outside the buffer count as transparent black
+      for (let i = -r; i <= r; i++) {
+        if (i >= 0 && i < len) acc += src[idx(i) + c];
+      }
+      for (let i = 0; i < len; i++) {
+        dst[idx(i) + c] = acc * norm;
+        const outI = i - r;
+        const inI = i + r + 1;
+        if (outI >= 0) acc -= src[idx(outI) + c];
+        if (inI < len) acc += src[idx(inI) + c];
+      }
+    }
+  }
+}
@@ -0,0 +1,65 @@
+// Variation atlas packing (atlas-pack.js)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { packRects } from '../atlas-pack.js';
+
+// Trimmed variants: every one a different size
+const SIZES = [
+  { w: 120, h: 90 }, { w: 64, h: 64 }, { w: 200, h: 40 }, { w: 33, h: 150 },
+  { w: 90, h: 91 }, { w: 17, h: 12 }, { w: 128, h: 128 }, { w: 75, h: 60 }
+];
+
+// Every rect inside the atlas, `spacing` away from its border and at least
+// `spacing` apart from every other rect
+function assertPacked(packed, sizes, spacing) {
+  assert.equal(packed.rects.length, sizes.length);
+  packed.rects.forEach((r, i) => {
+    assert.equal(r.w, sizes[i].w, `width of rect ${i}`);
+    assert.equal(r.h, sizes[i].h, `height of rect ${i}`);
+    assert.ok(r.x >= spacing && r.y >= spacing, `rect ${i} clears the top left border`);
+    assert.ok(r.x + r.w + spacing <= packed.width && r.y + r.h + spacing <= packed.height, `rect ${i} clears the bottom right border`);
+    for (let j = 0; j < i; j++) {
+      const o = packed.rects[j];
+      const apart = r.x >= o.x + o.w + spacing || o.x >= r.x + r.w + spacing ||
+        r.y >= o.y + o.h + spacing || o.y >= r.y + r.h + spacing;
+      assert.ok(apart, `rects ${j} and ${i} overlap`);
+    }
+  });
+}
+
+test('rects keep their order and sizes and never overlap', () => {
+  const packed = packRects(SIZES);
+  assertPacked(packed, SIZES, 0);
+
+  // Not much worse than the rects' own area
+  const area = SIZES.reduce((sum, s) => sum + s.w * s.h, 0);
+  assert.ok(packed.width * packed.height < area * 1.5, `${packed.width}x${packed.height}`);
+});
+
+test('spacing separates the rects and the atlas border', () => {
+  for (const spacing of [1, 2, 7]) assertPacked(packRects(SIZES, { spacing }), SIZES, spacing);
+});
+
+test('power-of-two atlases round both sides up', () => {
+  const packed = packRects(SIZES, { spacing: 2, powerOfTwo: true });
+  assertPacked(packed, SIZES, 2);
+  for (const side of [packed.width, packed.height]) assert.equal(side & (side - 1), 0, `${side}`);
+});
+
+test('maxWidth limits the atlas unless a rect is wider', () => {
+  const narrow = packRects(SIZES, { maxWidth: 210 });
+  assertPacked(narrow, SIZES, 0);
+  assert.ok(narrow.width <= 210);
+
+  const wide = packRects([{ w: 300, h: 10 }, { w: 20, h: 20 }], { maxWidth: 100 });
+  assert.equal(wide.width, 300);
+});
+
+test('identical variants tile as a grid, and no variants give a 1x1 atlas', () => {
+  const cells = Array.from({ length: 4 }, () => ({ w: 100, h: 100 }));
+  const packed = packRects(cells, { spacing: 2 });
+  assertPacked(packed, cells, 2);
+  assert.deepEqual([packed.width, packed.height], [206, 206]);
+
+  assert.deepEqual(packRects([]), { width: 1, height: 1, rects: [] });
+});
@@ -0,0 +1,41 @@
+// Surface stains reach their fluid's dried color, however slowly it dries
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FluidSimulator } from '../fluid-sim.js';
+import { softwareBackend } from '../surface-backend.js';
+
+const SIZE = 32;
+
+// A surface covered in `material`, dried in SURFACE_DRY_INTERVAL (0.5 s)
+// passes for `seconds` of scaled drying time; returns the centre pixel
+function dryStain(material, seconds) {
+  const sim = new FluidSimulator(SIZE, SIZE, { backend: softwareBackend, formation: null });
+  sim.setMode('wall');
+  sim.applyMaterial(material);
+  const fluid = sim.syncFluid();
+  const f = sim.fluids[fluid];
+  sim.gridFluid.fill(fluid);
+  sim.surfaceCtx.fillStyle = f.color;
+  sim.surfaceCtx.fillRect(0, 0, SIZE, SIZE);
+  for (let t = 0; t < seconds; t += 0.5) sim.drySurface(0.5);
+  const data = sim.surfaceCtx.getImageData(0, 0, SIZE, SIZE).data;
+  const o = ((SIZE / 2) * SIZE + SIZE / 2) * 4;
+  return { fluid: f, rgb: [data[o], data[o + 1], data[o + 2]], alpha: data[o + 3] };
+}
+
+function rgbOf(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+test('oil, a few levels from its dry color, still gets there', () => {
+  const { fluid, rgb } = dryStain('oil', 400);
+  assert.deepEqual(rgb, rgbOf(fluid.dryColor));
+});
+
+test('honey reaches its dry color and fades to its residue', () => {
+  const { fluid, rgb, alpha } = dryStain('honey', 400);
+  assert.deepEqual(rgb, rgbOf(fluid.dryColor));
+  // Inside the stain, away from the ring: 0.95 residue
+  assert.ok(Math.abs(alpha - 255 * fluid.residue) <= 1, `alpha ${alpha}`);
+});
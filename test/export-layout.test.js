@@ -0,0 +1,87 @@
+// Export layout math: where the simulation lands in the exported image
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeExportLayout, ExportManager } from '../export-manager.js';
+import { FluidSimulator } from '../fluid-sim.js';
+import { softwareBackend } from '../surface-backend.js';
+
+test('without a size the long edge is the resolution and padding goes around it', () => {
+  assert.deepEqual(computeExportLayout(1024, 1024, 256), { width: 256, height: 256, x: 0, y: 0, w: 256, h: 256 });
+  assert.deepEqual(computeExportLayout(800, 400, 400), { width: 400, height: 200, x: 0, y: 0, w: 400, h: 200 });
+  assert.deepEqual(computeExportLayout(400, 800, 400), { width: 200, height: 400, x: 0, y: 0, w: 200, h: 400 });
+  assert.deepEqual(computeExportLayout(800, 400, 400, { padding: 10 }), { width: 420, height: 220, x: 10, y: 10, w: 400, h: 200 });
+});
+
+test('one explicit side gives the other from the aspect, inside the padding', () => {
+  assert.deepEqual(computeExportLayout(800, 400, 999, { width: 300 }), { width: 300, height: 150, x: 0, y: 0, w: 300, h: 150 });
+  assert.deepEqual(computeExportLayout(800, 400, 999, { width: 300, padding: 10 }), { width: 300, height: 160, x: 10, y: 10, w: 280, h: 140 });
+  assert.deepEqual(computeExportLayout(800, 400, 999, { height: 100 }), { width: 200, height: 100, x: 0, y: 0, w: 200, h: 100 });
+});
+
+test('explicit sizes letterbox, crop or stretch the canvas', () => {
+  const size = { width: 512, height: 512 };
+  assert.deepEqual(computeExportLayout(800, 400, 999, size), { width: 512, height: 512, x: 0, y: 128, w: 512, h: 256 });
+  assert.deepEqual(computeExportLayout(800, 400, 999, { ...size, fit: 'cover' }), { width: 512, height: 512, x: -256, y: 0, w: 1024, h: 512 });
+  assert.deepEqual(computeExportLayout(800, 400, 999, { ...size, fit: 'stretch' }), { width: 512, height: 512, x: 0, y: 0, w: 512, h: 512 });
+  assert.deepEqual(computeExportLayout(800, 400, 999, { ...size, padding: 6 }), { width: 512, height: 512, x: 6, y: 131, w: 500, h: 250 });
+  assert.throws(() => computeExportLayout(800, 400, 400, { fit: 'fill' }), /Unknown fit "fill"/);
+});
+
+test('power-of-two sizes round each side and refit the canvas', () => {
+  assert.deepEqual(computeExportLayout(800, 400, 400, { powerOfTwo: true }), { width: 512, height: 256, x: 0, y: 0, w: 512, h: 256 });
+  assert.deepEqual(computeExportLayout(800, 400, 400, { powerOfTwo: 'down' }), { width: 256, height: 128, x: 0, y: 0, w: 256, h: 128 });
+  assert.deepEqual(computeExportLayout(800, 400, 400, { powerOfTwo: 'nearest' }), { width: 512, height: 256, x: 0, y: 0, w: 512, h: 256 });
+  // 300 rounds up to 512 and 150 to 256, and the 2:1 canvas fits that exactly
+  assert.deepEqual(computeExportLayout(800, 400, 999, { width: 300, powerOfTwo: 'up' }), { width: 512, height: 256, x: 0, y: 0, w: 512, h: 256 });
+  // A square image letterboxes it
+  assert.deepEqual(computeExportLayout(800, 400, 999, { width: 300, height: 300, powerOfTwo: 'nearest' }), { width: 256, height: 256, x: 0, y: 64, w: 256, h: 128 });
+  assert.throws(() => computeExportLayout(800, 400, 400, { powerOfTwo: 'sideways' }), /Unknown power-of-two rounding "sideways"/);
+});
+
+test('a trimmed crop keeps the untrimmed scale instead of zooming to the resolution', () => {
+  // 85x77 splat on a 1024 canvas exported at 256: a quarter of its size
+  const crop = { x: 400, y: 300, w: 85, h: 77 };
+  const layout = computeExportLayout(1024, 1024, 256, { crop });
+  assert.equal(layout.width, 21);
+  assert.equal(layout.height, 19);
+  // The content rect is the whole canvas at the untrimmed size, shifted so the
+  // crop starts at the image origin
+  assert.equal(layout.w, 256);
+  assert.equal(layout.h, 256);
+  assert.equal(layout.x, -100);
+  assert.equal(layout.y, -75);
+});
+
+test('trim padding and power-of-two rounding grow the image around the crop', () => {
+  const crop = { x: 200, y: 100, w: 100, h: 60 };
+  const padded = computeExportLayout(800, 400, 400, { crop, padding: 4 });
+  assert.deepEqual(padded, { width: 58, height: 38, x: -96, y: -46, w: 400, h: 200 });
+
+  // The untrimmed image would be 512x256 with the canvas refit at 0.64, so
+  // the crop is 64x38 at that scale, rounded up to 64x64 and centred
+  const pot = computeExportLayout(800, 400, 400, { crop, powerOfTwo: 'up' });
+  assert.deepEqual(pot, { width: 64, height: 64, x: -128, y: -51, w: 512, h: 256 });
+});
+
+test('trimmed texture export keeps its pixel scale, offset and pivot', async () => {
+  const size = 256;
+  const written = new Map();
+  const sim = new FluidSimulator(size, size, { backend: softwareBackend, formation: null });
+  sim.setSeed(7);
+  sim.spawn(128, 96);
+  for (let i = 0; i < 20; i++) sim.update(1 / 60);
+
+  const exporter = new ExportManager(sim, { writer: async (item, filename) => { written.set(filename, item); } });
+  const crop = exporter.contentBounds(false);
+  assert.ok(crop && crop.w < size / 2, 'the splat covers part of the canvas');
+
+  await exporter.exportTexture(128, false, false, () => {}, { trim: true });
+  const image = written.get('fluid-texture.png');
+  const meta = JSON.parse(written.get('fluid-texture.json'));
+  // Half the canvas resolution, so half the crop's size
+  assert.ok(Math.abs(image.width - crop.w / 2) <= 1, `width ${image.width} for a ${crop.w} px crop`);
+  assert.ok(Math.abs(image.height - crop.h / 2) <= 1, `height ${image.height} for a ${crop.h} px crop`);
+  assert.equal(meta.trim.scale.x, 0.5);
+  assert.equal(meta.trim.offset.x, -Math.round(crop.x / 2));
+  assert.ok(Math.abs(meta.trim.pivotPixels.x - (meta.trim.offset.x + meta.trim.impact.x / 2)) < 1e-9);
+});
@@ -0,0 +1,135 @@
+// OpenEXR encoding (exr.js): header, offset table and float scanlines, read
+// back with a minimal decoder
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { encodeEXR } from '../exr.js';
+
+// Null-terminated string at o: [string, offset after it]
+function readString(bytes, o) {
+  let end = o;
+  while (bytes[end] !== 0) end++;
+  return [String.fromCharCode(...bytes.subarray(o, end)), end + 1];
+}
+
+// Undoes the ZIP predictor and byte split
+function unpredict(bytes) {
+  const t = new Uint8Array(bytes);
+  for (let i = 1; i < t.length; i++) t[i] = (t[i - 1] + t[i] - 128) & 0xFF;
+  const out = new Uint8Array(t.length);
+  const half = (t.length + 1) >> 1;
+  for (let i = 0, a = 0, b = half; i < t.length; i += 2) {
+    out[i] = t[a++];
+    if (i + 1 < t.length) out[i + 1] = t[b++];
+  }
+  return out;
+}
+
+// { attributes: { name: { type, data, offset } }, channels: [names], width,
+//   height, compression, lines: [{ y, channels: { name: [floats] } }] }
+function readEXR(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  assert.equal(view.getInt32(0, true), 20000630, 'magic');
+  assert.equal(view.getInt32(4, true), 2, 'version, single-part scanline');
+
+  const attributes = {};
+  let o = 8;
+  while (bytes[o] !== 0) {
+    let name, type;
+    [name, o] = readString(bytes, o);
+    [type, o] = readString(bytes, o);
+    const size = view.getInt32(o, true);
+    attributes[name] = { type, data: bytes.subarray(o + 4, o + 4 + size), offset: o + 4 };
+    o += 4 + size;
+  }
+  o++;
+
+  const channels = [];
+  for (let c = attributes.channels.offset; bytes[c] !== 0;) {
+    let name;
+    [name, c] = readString(bytes, c);
+    assert.equal(view.getInt32(c, true), 2, `${name} is FLOAT`);
+    channels.push(name);
+    c += 16;
+  }
+  const box = attributes.dataWindow.offset;
+  const width = view.getInt32(box + 8, true) + 1;
+  const height = view.getInt32(box + 12, true) + 1;
+  const compression = attributes.compression.data[0];
+  const linesPerBlock = compression === 3 ? 16 : 1;
+
+  const lines = [];
+  const blockCount = Math.ceil(height / linesPerBlock);
+  for (let b = 0; b < blockCount; b++) {
+    const offset = view.getUint32(o + b * 8, true) + view.getUint32(o + b * 8 + 4, true) * 0x100000000;
+    const y0 = view.getInt32(offset, true);
+    assert.equal(y0, b * linesPerBlock);
+    const size = view.getInt32(offset + 4, true);
+    const count = Math.min(linesPerBlock, height - y0);
+    let raw = bytes.slice(offset + 8, offset + 8 + size);
+    if (size < width * 4 * channels.length * count) raw = unpredict(zlib.inflateSync(raw));
+    const floats = new DataView(raw.buffer);
+    let p = 0;
+    for (let y = y0; y < y0 + count; y++) {
+      const line = { y, channels: {} };
+      for (const name of channels) {
+        line.channels[name] = [];
+        for (let x = 0; x < width; x++, p += 4) line.channels[name].push(floats.getFloat32(p, true));
+      }
+      lines.push(line);
+    }
+  }
+  return { attributes, channels, width, height, compression, lines };
+}
+
+// Channel values as read back, pixel by pixel
+function pixelsOf(exr, name) {
+  return exr.lines.flatMap(line => line.channels[name]);
+}
+
+test('uncompressed files hold one scanline per block, channels in name order', async () => {
+  const width = 3, height = 2;
+  const channels = {
+    Y: new Float32Array([0, 0.25, 1.5, -2, 1e-8, 65504]),
+    A: new Float32Array([1, 1, 0.5, 0, 0, 1])
+  };
+  const exr = readEXR(await encodeEXR(width, height, channels));
+  assert.deepEqual(exr.channels, ['A', 'Y']);
+  assert.equal(exr.width, width);
+  assert.equal(exr.height, height);
+  assert.equal(exr.compression, 0);
+  assert.deepEqual(exr.attributes.displayWindow.data, exr.attributes.dataWindow.data);
+  assert.equal(exr.lines.length, height);
+  assert.deepEqual(pixelsOf(exr, 'Y'), [...channels.Y]);
+  assert.deepEqual(pixelsOf(exr, 'A'), [...channels.A]);
+});
+
+test('ZIP files hold 16 scanlines per block and decode to the same floats', async () => {
+  const width = 7, height = 40;
+  const heights = new Float32Array(width * height).map((_, i) => Math.sin(i * 0.1) * 0.5 + 0.5);
+  const normals = {
+    R: heights.map(v => v * 2 - 1),
+    G: heights.map(v => 1 - v),
+    B: new Float32Array(width * height).fill(1)
+  };
+
+  const plain = await encodeEXR(width, height, normals);
+  const zipped = await encodeEXR(width, height, normals, { deflate: zlib.deflateSync });
+  assert.ok(zipped.length < plain.length, `${zipped.length} < ${plain.length}`);
+
+  const exr = readEXR(zipped);
+  assert.equal(exr.compression, 3);
+  assert.equal(exr.lines.length, height);
+  for (const name of ['R', 'G', 'B']) assert.deepEqual(pixelsOf(exr, name), [...normals[name]], name);
+});
+
+test('blocks that do not shrink are stored as they are', async () => {
+  // Level 0 deflate only adds framing, so every block comes out larger
+  let seed = 1;
+  const noise = new Float32Array(16 * 16).map(() => {
+    seed = (seed * 1103515245 + 12345) >>> 0;
+    return seed / 4294967296;
+  });
+  const exr = readEXR(await encodeEXR(16, 16, { Y: noise }, { deflate: async (bytes) => zlib.deflateSync(bytes, { level: 0 }) }));
+  assert.deepEqual(pixelsOf(exr, 'Y'), [...noise]);
+});
@@ -0,0 +1,37 @@
+// flipbook.json and the engine sidecars loop like the APNG / GIF copies
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildFlipbookMetadata, flipbookSidecars } from '../flipbook-metadata.js';
+
+const SHEET = {
+  frameCount: 4,
+  columns: 2,
+  rows: 2,
+  frameWidth: 32,
+  frameHeight: 32,
+  duration: 1,
+  fps: 12,
+  layers: { color: 'flipbook-color.png' }
+};
+
+function sidecars(loops) {
+  const meta = buildFlipbookMetadata(loops === undefined ? SHEET : { ...SHEET, loops });
+  const files = new Map(flipbookSidecars(meta, ['unity', 'godot']).map(f => [f.filename, f.text]));
+  return { meta, json: JSON.parse(files.get('flipbook.json')), anim: files.get('flipbook.anim'), tres: files.get('flipbook.tres') };
+}
+
+test('loops forever by default, like the animations', () => {
+  const { json, anim, tres } = sidecars(undefined);
+  assert.equal(json.loop, true);
+  assert.equal(json.loops, 0);
+  assert.match(anim, /m_LoopTime: 1/);
+  assert.match(tres, /"loop": true,/);
+});
+
+test('a finite play count turns looping off everywhere', () => {
+  const { json, anim, tres } = sidecars(3);
+  assert.equal(json.loop, false);
+  assert.equal(json.loops, 3);
+  assert.match(anim, /m_LoopTime: 0/);
+  assert.match(tres, /"loop": false,/);
+});
@@ -0,0 +1,165 @@
+// Animated GIF encoding (gif.js), read back with a minimal GIF89a decoder
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeGIF } from '../gif.js';
+
+// Variable-width LZW as GIF readers decode it
+function lzwDecode(bytes, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+  const out = [];
+  let dict, codeSize, prev;
+  const reset = () => {
+    dict = [];
+    for (let i = 0; i < clearCode; i++) dict.push([i]);
+    dict.push(null, null);
+    codeSize = minCodeSize + 1;
+    prev = null;
+  };
+  reset();
+
+  let bits = 0, bitCount = 0, pos = 0;
+  for (;;) {
+    while (bitCount < codeSize) {
+      assert.ok(pos < bytes.length, 'image data ends before the end code');
+      bits |= bytes[pos++] << bitCount;
+      bitCount += 8;
+    }
+    const code = bits & ((1 << codeSize) - 1);
+    bits >>>= codeSize;
+    bitCount -= codeSize;
+    if (code === clearCode) { reset(); continue; }
+    if (code === eoiCode) break;
+
+    const entry = code < dict.length ? dict[code] : prev.concat(prev[0]);
+    for (const v of entry) out.push(v);
+    if (prev && dict.length < 4096) {
+      dict.push(prev.concat(entry[0]));
+      if (dict.length === (1 << codeSize) && codeSize < 12) codeSize++;
+    }
+    prev = entry;
+  }
+  return out;
+}
+
+// { width, height, palette: [[r, g, b]], loops, frames: [{ delay, disposal, transparent, indices }] }
+// loops is the NETSCAPE2.0 repeat count, null without one
+function readGIF(bytes) {
+  assert.equal(String.fromCharCode(...bytes.subarray(0, 6)), 'GIF89a');
+  const u16 = (o) => bytes[o] | (bytes[o + 1] << 8);
+  const gif = { width: u16(6), height: u16(8), palette: [], loops: null, frames: [] };
+  assert.equal(bytes[10] & 0x80, 0x80, 'global color table');
+  const colors = 2 << (bytes[10] & 7);
+  for (let i = 0; i < colors; i++) gif.palette.push([...bytes.subarray(13 + i * 3, 16 + i * 3)]);
+
+  // Data sub-blocks from o: [blocks, offset after the terminator]
+  const subBlocks = (o) => {
+    const blocks = [];
+    while (bytes[o] !== 0) {
+      blocks.push(bytes.subarray(o + 1, o + 1 + bytes[o]));
+      o += 1 + bytes[o];
+    }
+    return [blocks, o + 1];
+  };
+
+  let o = 13 + colors * 3;
+  let control = null;
+  while (bytes[o] !== 0x3B) {
+    if (bytes[o] === 0x21) {
+      const label = bytes[o + 1];
+      let blocks;
+      [blocks, o] = subBlocks(o + 2);
+      if (label === 0xF9) {
+        const b = blocks[0];
+        control = { delay: b[1] | (b[2] << 8), disposal: (b[0] >> 2) & 7, transparent: b[0] & 1 ? b[3] : null };
+      } else if (label === 0xFF && String.fromCharCode(...blocks[0]) === 'NETSCAPE2.0') {
+        gif.loops = blocks[1][1] | (blocks[1][2] << 8);
+      }
+    } else {
+      assert.equal(bytes[o], 0x2C, `block at ${o}`);
+      assert.deepEqual([u16(o + 1), u16(o + 3), u16(o + 5), u16(o + 7), bytes[o + 9]], [0, 0, gif.width, gif.height, 0]);
+      const minCodeSize = bytes[o + 10];
+      let blocks;
+      [blocks, o] = subBlocks(o + 11);
+      const data = new Uint8Array(blocks.reduce((n, b) => n + b.length, 0));
+      blocks.reduce((at, b) => { data.set(b, at); return at + b.length; }, 0);
+      const indices = lzwDecode(data, minCodeSize);
+      assert.equal(indices.length, gif.width * gif.height);
+      gif.frames.push({ ...control, indices });
+      control = null;
+    }
+  }
+  return gif;
+}
+
+// RGBA frame where pixel p gets colors[pick(p)]
+function frameOf(width, height, colors, pick) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let p = 0; p < width * height; p++) data.set(colors[pick(p)], p * 4);
+  return data;
+}
+
+// Every visible pixel within the 5-bit quantization of its source color,
+// every pixel below the threshold transparent
+function assertFrame(gif, frame, data, alphaThreshold = 128) {
+  frame.indices.forEach((index, p) => {
+    const i = p * 4;
+    if (data[i + 3] < alphaThreshold) {
+      assert.equal(index, frame.transparent, `pixel ${p} is transparent`);
+      return;
+    }
+    assert.notEqual(index, frame.transparent, `pixel ${p} is visible`);
+    const rgb = gif.palette[index];
+    for (let c = 0; c < 3; c++) assert.ok(Math.abs(rgb[c] - data[i + c]) <= 4, `pixel ${p}: ${rgb} for ${[...data.subarray(i, i + 3)]}`);
+  });
+}
+
+const COLORS = [[200, 10, 10, 255], [0, 0, 0, 0], [20, 180, 60, 255], [250, 250, 250, 200], [90, 40, 200, 100]];
+
+test('frames keep their pixels, disposal, transparency and timing', () => {
+  const frames = [0, 1, 2].map(f => frameOf(6, 4, COLORS, (p) => (p + f) % COLORS.length));
+  const gif = readGIF(encodeGIF(6, 4, frames));
+  assert.equal(gif.width, 6);
+  assert.equal(gif.height, 4);
+  assert.equal(gif.loops, 0);
+  assert.equal(gif.frames.length, 3);
+  // 30 fps in whole centiseconds: 3, 4, 3 adds up to 10
+  assert.deepEqual(gif.frames.map(f => f.delay), [3, 4, 3]);
+  gif.frames.forEach((frame, f) => {
+    assert.equal(frame.disposal, 2, 'dispose to background');
+    assert.equal(frame.transparent, 255);
+    assertFrame(gif, frame, frames[f]);
+  });
+});
+
+test('loops count repeats after the first play', () => {
+  const frames = [frameOf(2, 2, COLORS, () => 0)];
+  assert.equal(readGIF(encodeGIF(2, 2, frames, { loops: 3 })).loops, 2);
+  assert.equal(readGIF(encodeGIF(2, 2, frames, { loops: 1 })).loops, null);
+  assert.deepEqual(readGIF(encodeGIF(2, 2, frames, { fps: 12 })).frames.map(f => f.delay), [8]);
+});
+
+test('the alpha threshold and matte decide what soft pixels become', () => {
+  const soft = [[255, 0, 0, 128], [0, 0, 255, 255]];
+  const frame = frameOf(2, 1, soft, (p) => p);
+
+  const strict = readGIF(encodeGIF(2, 1, [frame], { alphaThreshold: 200 }));
+  assertFrame(strict, strict.frames[0], frame, 200);
+
+  // Half-transparent red over a blue matte
+  const matted = readGIF(encodeGIF(2, 1, [frame], { matte: '#0000ff' }));
+  const [r, g, b] = matted.palette[matted.frames[0].indices[0]];
+  assert.ok(Math.abs(r - 128) <= 4 && g <= 4 && Math.abs(b - 127) <= 4, `${[r, g, b]}`);
+});
+
+test('large frames restart the LZW table and still decode', () => {
+  // 200 colors scattered over 16k pixels: far more than 4096 codes
+  const colors = Array.from({ length: 200 }, (_, i) => [(i * 8) & 0xF8, (i * 40) & 0xF8, (i * 88) & 0xF8, 255]);
+  let seed = 7;
+  const frame = frameOf(128, 128, colors, () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed % colors.length;
+  });
+  const gif = readGIF(encodeGIF(128, 128, [frame]));
+  assertFrame(gif, gif.frames[0], frame);
+});
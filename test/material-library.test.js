@@ -0,0 +1,87 @@
+// Material presets (material-library.js): validation, library files and the
+// stored user library
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MaterialLibrary, validateMaterial, parseMaterials, serializeMaterials, BUILTIN_MATERIALS, DRYING_DEFAULTS, MATERIALS_FORMAT, MATERIALS_VERSION } from '../material-library.js';
+
+const GOO = {
+  name: '  Green Goo! ', color: '#33CC66', viscosity: 0.5, density: 60, opacity: 0.9, surfaceTension: 0.5,
+  turbulence: 0.1, particleLifetime: 8, sizeRandomness: 0.3, renderStyle: 'blood', phase: 'gel'
+};
+
+// Storage-like object over a Map
+function memoryStorage() {
+  const items = new Map();
+  return { getItem: (key) => (items.has(key) ? items.get(key) : null), setItem: (key, value) => items.set(key, String(value)) };
+}
+
+test('validated presets get a user id, a lowercase color and the drying defaults', () => {
+  const preset = validateMaterial({ ...GOO, extra: 'dropped' });
+  assert.equal(preset.id, 'user:green-goo');
+  assert.equal(preset.name, 'Green Goo!');
+  assert.equal(preset.color, '#33cc66');
+  assert.equal(preset.renderStyle, 'blood');
+  assert.equal(preset.phase, 'gel');
+  assert.equal(preset.evaporation, DRYING_DEFAULTS.evaporation);
+  assert.equal(preset.residue, DRYING_DEFAULTS.residue);
+  assert.equal(preset.dryColor, DRYING_DEFAULTS.dryColor);
+  assert.equal(preset.extra, undefined);
+
+  // Unknown styles and phases fall back instead of failing
+  const fallback = validateMaterial({ ...GOO, renderStyle: 'neon', phase: 'plasma', dryColor: 'brown' });
+  assert.equal(fallback.renderStyle, 'standard');
+  assert.equal(fallback.phase, 'aqueous');
+  assert.equal(fallback.dryColor, DRYING_DEFAULTS.dryColor);
+});
+
+test('presets a replay could not apply are rejected', () => {
+  assert.throws(() => validateMaterial(null), /not an object/);
+  assert.throws(() => validateMaterial({ ...GOO, name: '   ' }), /no name/);
+  assert.throws(() => validateMaterial({ ...GOO, color: 'red' }), /no #rrggbb color/);
+  assert.throws(() => validateMaterial({ ...GOO, viscosity: '0.5' }), /no viscosity/);
+  assert.throws(() => validateMaterial({ ...GOO, density: NaN }), /no density/);
+  assert.throws(() => validateMaterial({ ...GOO, particleLifetime: undefined }), /no particleLifetime/);
+});
+
+test('library files, bare arrays and single presets all parse', () => {
+  const file = serializeMaterials([GOO]);
+  assert.equal(file.format, MATERIALS_FORMAT);
+  assert.equal(file.version, MATERIALS_VERSION);
+  assert.deepEqual(parseMaterials(JSON.stringify(file)), [validateMaterial(GOO)]);
+  assert.deepEqual(parseMaterials([GOO]), [validateMaterial(GOO)]);
+  assert.deepEqual(parseMaterials(GOO), [validateMaterial(GOO)]);
+
+  assert.throws(() => parseMaterials({ ...file, version: MATERIALS_VERSION + 1 }), /newer than this app supports/);
+  assert.throws(() => parseMaterials({ format: 'other' }), /Not a fluid material library/);
+  assert.throws(() => parseMaterials({ ...file, materials: [{ ...GOO, color: '#fff' }] }), /no #rrggbb color/);
+});
+
+test('the library stores user presets after the built-ins', () => {
+  const storage = memoryStorage();
+  const library = new MaterialLibrary({ storage });
+  const saved = library.save(GOO);
+  library.save({ ...GOO, name: 'green goo', density: 70 }); // same id, replaces it
+
+  const reopened = new MaterialLibrary({ storage });
+  const list = reopened.list();
+  assert.equal(list.length, Object.keys(BUILTIN_MATERIALS).length + 1);
+  assert.deepEqual(list[list.length - 1], { id: saved.id, name: 'green goo', builtin: false });
+  assert.equal(reopened.eventData(saved.id).density, 70);
+  assert.equal(reopened.eventData('blood'), 'blood');
+  assert.equal(reopened.eventData('user:missing'), null);
+
+  reopened.remove(saved.id);
+  assert.equal(new MaterialLibrary({ storage }).user.length, 0);
+});
+
+test('an unreadable stored library is ignored', () => {
+  const storage = memoryStorage();
+  storage.setItem('arsenals-fluid-materials', '{ not json');
+  const original = console.warn;
+  console.warn = () => {};
+  try {
+    assert.deepEqual(new MaterialLibrary({ storage }).user, []);
+  } finally {
+    console.warn = original;
+  }
+});
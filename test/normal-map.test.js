@@ -0,0 +1,142 @@
+// Normal maps on small known height fields, checked pixel by pixel
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeNormals, packNormals8, resolveNormalSettings } from '../normal-map.js';
+
+const EPSILON = 1e-5;
+
+// width x height field, heights from fn(x, y), fully covered unless cover(x, y) says otherwise
+function field(width, height, fn, cover = () => 1) {
+  const heights = new Float32Array(width * height);
+  const coverage = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      heights[y * width + x] = fn(x, y);
+      coverage[y * width + x] = cover(x, y);
+    }
+  }
+  return { width, height, heights, coverage };
+}
+
+// Slope (dx, dy) a normal encodes, +dy down the image as in DirectX maps
+function slope(result, x, y, convention = 'directx') {
+  const i = (y * result.width + x) * 3;
+  const n = result.normals;
+  return [n[i] / n[i + 2], (convention === 'opengl' ? -1 : 1) * n[i + 1] / n[i + 2]];
+}
+
+function assertSlope(result, x, y, expected, convention) {
+  const [dx, dy] = slope(result, x, y, convention);
+  assert.ok(Math.abs(dx - expected[0]) < EPSILON, `dx at ${x},${y}: ${dx}, expected ${expected[0]}`);
+  assert.ok(Math.abs(dy - expected[1]) < EPSILON, `dy at ${x},${y}: ${dy}, expected ${expected[1]}`);
+}
+
+function pixel(result, x, y) {
+  const o = (y * result.width + x) * 4;
+  return Array.from(packNormals8(result).subarray(o, o + 4));
+}
+
+// Rises 0.1 per px to the right / down the image
+const rampX = field(7, 7, (x) => x * 0.1);
+const rampY = field(7, 7, (x, y) => y * 0.1);
+// A single 1.0 peak in the middle of a flat 5x5 field
+const peak = field(5, 5, (x, y) => (x === 2 && y === 2 ? 1 : 0));
+
+test('every kernel gives a ramp the same slope', () => {
+  for (const kernel of ['central', 'sobel', 'scharr']) {
+    const result = computeNormals(rampX, { kernel, strength: 3 });
+    // Heights fall toward -x: 2 px * 0.1 * strength 3
+    assertSlope(result, 3, 3, [-0.6, 0]);
+    assert.deepEqual(pixel(result, 3, 3), [61, 127, 236, 255]);
+  }
+});
+
+test('kernels differ on a peak the way their weights say', () => {
+  const central = computeNormals(peak, { kernel: 'central', strength: 3 });
+  const sobel = computeNormals(peak, { kernel: 'sobel', strength: 3 });
+  const scharr = computeNormals(peak, { kernel: 'scharr', strength: 3 });
+
+  // Left of the peak: the centre column weight over the divisor
+  assertSlope(central, 1, 2, [-3, 0]);
+  assertSlope(sobel, 1, 2, [-3 * 2 / 4, 0]);
+  assertSlope(scharr, 1, 2, [-3 * 10 / 16, 0]);
+
+  // Diagonal neighbour: the 4-tap difference misses the peak, the 3x3
+  // kernels see it through their corner weights
+  assertSlope(central, 1, 1, [0, 0]);
+  assert.deepEqual(pixel(central, 1, 1), [127, 127, 255, 255]);
+  assertSlope(sobel, 1, 1, [-3 / 4, -3 / 4]);
+  assertSlope(scharr, 1, 1, [-3 * 3 / 16, -3 * 3 / 16]);
+});
+
+test('the image border clamps heights, halving the ramp slope there', () => {
+  const result = computeNormals(rampX, { strength: 3 });
+  assertSlope(result, 0, 3, [-0.3, 0]);
+  assertSlope(result, 6, 3, [-0.3, 0]);
+});
+
+test('opengl inverts the green channel of directx', () => {
+  const directx = computeNormals(rampY, { convention: 'directx', strength: 3 });
+  const opengl = computeNormals(rampY, { convention: 'opengl', strength: 3 });
+  assertSlope(directx, 3, 3, [0, -0.6]);
+  assertSlope(opengl, 3, 3, [0, -0.6], 'opengl');
+
+  const dx = pixel(directx, 3, 3), gl = pixel(opengl, 3, 3);
+  assert.deepEqual(dx, [127, 61, 236, 255]);
+  assert.deepEqual(gl, [127, 193, 236, 255]);
+  // Red, blue and alpha agree everywhere; green mirrors around 127.5
+  for (let y = 0; y < 7; y++) {
+    for (let x = 0; x < 7; x++) {
+      const a = pixel(directx, x, y), b = pixel(opengl, x, y);
+      assert.equal(a[0], b[0]);
+      assert.ok(Math.abs(a[1] + b[1] - 254) <= 1, `green ${a[1]} / ${b[1]} at ${x},${y}`);
+      assert.equal(a[2], b[2]);
+      assert.equal(a[3], b[3]);
+    }
+  }
+});
+
+test('blur spreads the peak before the slopes are taken', () => {
+  // Radius 1 is a 3-tap Gaussian with sigma 0.5: weights e^-2, 1, e^-2
+  const side = Math.exp(-2), total = 1 + 2 * side;
+  const centre = (1 / total) ** 2;  // blurred peak
+  const beside = side / total / total;  // blurred height next to it
+
+  const sharp = computeNormals(peak, { strength: 3 });
+  const blurred = computeNormals(peak, { strength: 3, blur: 1 });
+  assertSlope(blurred, 1, 2, [-3 * centre, 0]);
+  // Two px out the sharp peak is out of reach, the blurred one is not
+  assertSlope(sharp, 0, 2, [0, 0]);
+  assertSlope(blurred, 0, 2, [-3 * beside, 0]);
+
+  // A ramp has no curvature to lose
+  assertSlope(computeNormals(rampX, { strength: 3, blur: 1 }), 3, 3, [-0.6, 0]);
+  assert.deepEqual(computeNormals(peak, { strength: 3, blur: 0 }).normals, sharp.normals);
+});
+
+test('edge falloff flattens normals toward the background, not the image border', () => {
+  // Background in column 0; the ramp covers the rest
+  const edged = field(7, 7, (x) => x * 0.1, (x) => (x === 0 ? 0 : 1));
+  const result = computeNormals(edged, { strength: 3, edgeFalloff: 2 });
+
+  // Background: flat and transparent
+  assert.deepEqual(pixel(result, 0, 3), [128, 128, 255, 0]);
+  // 1 px from the background: half strength; 2 px and beyond: full
+  assertSlope(result, 1, 3, [-0.3, 0]);
+  assertSlope(result, 2, 3, [-0.6, 0]);
+  assertSlope(result, 4, 3, [-0.6, 0]);
+  // The image border is not an edge: the last column keeps its (clamped) slope
+  assertSlope(result, 6, 3, [-0.3, 0]);
+  assertSlope(computeNormals(rampX, { strength: 3, edgeFalloff: 2 }), 0, 0, [-0.3, 0]);
+
+  // Tileable fields measure the distance across the seam
+  const wrapped = computeNormals(edged, { strength: 3, edgeFalloff: 2, wrap: true });
+  // Column 6 wraps onto the background in column 0, 1 px away: half of the
+  // wrapped difference h(5) - h(0) = 0.5 at strength 3
+  assertSlope(wrapped, 6, 3, [0.5 * 3 * 0.5, 0]);
+});
+
+test('unknown kernels and conventions are rejected', () => {
+  assert.throws(() => resolveNormalSettings({ kernel: 'prewitt' }), /Unknown normal kernel/);
+  assert.throws(() => resolveNormalSettings({ convention: 'vulkan' }), /Unknown normal convention/);
+});
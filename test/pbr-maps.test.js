@@ -0,0 +1,54 @@
+// The emissive map glows where glowing fluid is, whatever material is selected
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FluidSimulator } from '../fluid-sim.js';
+import { softwareBackend } from '../surface-backend.js';
+import { computePbrMaps } from '../pbr-maps.js';
+
+const SIZE = 128;
+
+// Slime poured on the left, water on the right; `last` is selected at export
+function twoFluids(last) {
+  const sim = new FluidSimulator(SIZE, SIZE, { backend: softwareBackend, formation: null });
+  sim.setSeed(3);
+  sim.setMode('floor');
+  const pour = (material, x) => {
+    sim.applyMaterial(material);
+    sim.spawn(x, SIZE / 2);
+  };
+  if (last === 'water') {
+    pour('slime', 24);
+    pour('water', 104);
+  } else {
+    pour('water', 104);
+    pour('slime', 24);
+  }
+  for (let f = 0; f < 10; f++) sim.update(1 / 60);
+  return sim;
+}
+
+// Emissive red at (x, y) over a fully covered white color texture
+function emissiveAt(sim, points) {
+  const layout = { width: SIZE, height: SIZE, x: 0, y: 0, w: SIZE, h: SIZE };
+  const white = new Uint8ClampedArray(SIZE * SIZE * 4).fill(255);
+  const { emissive } = computePbrMaps(sim, layout, ['emissive'], white);
+  return points.map(([x, y]) => emissive[(y * SIZE + x) * 4]);
+}
+
+for (const last of ['water', 'slime']) {
+  test(`slime glows and water does not with ${last} selected`, () => {
+    const sim = twoFluids(last);
+    assert.equal(sim.material, last);
+    const [slime, water] = emissiveAt(sim, [[24, SIZE / 2], [104, SIZE / 2]]);
+    assert.equal(slime, 255);
+    assert.equal(water, 0);
+  });
+}
+
+test('an explicit intensity still applies everywhere', () => {
+  const sim = twoFluids('water');
+  const layout = { width: SIZE, height: SIZE, x: 0, y: 0, w: SIZE, h: SIZE };
+  const white = new Uint8ClampedArray(SIZE * SIZE * 4).fill(255);
+  const { emissive } = computePbrMaps(sim, layout, ['emissive'], white, { emissiveIntensity: 0.5 });
+  assert.equal(emissive[((SIZE / 2) * SIZE + 104) * 4], 128);
+});
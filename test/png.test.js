@@ -0,0 +1,123 @@
+// PNG encoding (png.js): 8-bit and 16-bit stills and APNG animations, read
+// back chunk by chunk
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { encodePNG, encodePNGAsync, encodeAPNG, decodePNG, crc32 } from '../png.js';
+
+// [{ type, data }] of a PNG file, checking the signature and every CRC
+function readChunks(bytes) {
+  assert.deepEqual([...bytes.subarray(0, 8)], [137, 80, 78, 71, 13, 10, 26, 10]);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  for (let o = 8; o < bytes.length;) {
+    const length = view.getUint32(o);
+    const type = String.fromCharCode(...bytes.subarray(o + 4, o + 8));
+    assert.equal(view.getUint32(o + 8 + length), crc32(bytes, o + 4, o + 8 + length), `${type} CRC`);
+    chunks.push({ type, data: bytes.subarray(o + 8, o + 8 + length) });
+    o += 12 + length;
+  }
+  return chunks;
+}
+
+// Scanlines of a single-IDAT image, filter bytes checked and stripped
+function readRows(chunks, rowBytes) {
+  const raw = zlib.inflateSync(chunks.find(c => c.type === 'IDAT').data);
+  const rows = [];
+  for (let o = 0; o < raw.length; o += rowBytes + 1) {
+    assert.equal(raw[o], 0, 'filter None');
+    rows.push(raw.subarray(o + 1, o + 1 + rowBytes));
+  }
+  return rows;
+}
+
+test('the CRC is the standard CRC-32', () => {
+  assert.equal(crc32(new TextEncoder().encode('IEND')), 0xAE426082);
+  assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+});
+
+test('16-bit RGBA stores big-endian samples', () => {
+  const pixels = new Uint16Array([0x0102, 0xFFFF, 0, 0x8000, 0x1234, 0xABCD, 65535, 1]);
+  const chunks = readChunks(encodePNG(2, 1, pixels, { bitDepth: 16 }));
+  assert.deepEqual(chunks.map(c => c.type), ['IHDR', 'IDAT', 'IEND']);
+
+  const ihdr = new DataView(chunks[0].data.buffer, chunks[0].data.byteOffset);
+  assert.deepEqual([ihdr.getUint32(0), ihdr.getUint32(4), ihdr.getUint8(8), ihdr.getUint8(9)], [2, 1, 16, 6]);
+
+  const [row] = readRows(chunks, 2 * 4 * 2);
+  const samples = [];
+  for (let i = 0; i < row.length; i += 2) samples.push((row[i] << 8) | row[i + 1]);
+  assert.deepEqual(samples, [...pixels]);
+});
+
+test('16-bit grayscale heights survive a real deflate', async () => {
+  const width = 5, height = 3;
+  const heights = new Uint16Array(width * height).map((_, i) => i * 4369);
+  const bytes = await encodePNGAsync(width, height, heights, { bitDepth: 16, channels: 1, deflate: zlib.deflateSync });
+  const chunks = readChunks(bytes);
+  assert.deepEqual([chunks[0].data[8], chunks[0].data[9]], [16, 0]);
+
+  const rows = readRows(chunks, width * 2);
+  assert.equal(rows.length, height);
+  rows.forEach((row, y) => {
+    for (let x = 0; x < width; x++) assert.equal((row[x * 2] << 8) | row[x * 2 + 1], heights[y * width + x]);
+  });
+  // Same image as the synchronous encoder
+  assert.deepEqual(bytes, encodePNG(width, height, heights, { bitDepth: 16, channels: 1, deflate: zlib.deflateSync }));
+});
+
+test('8-bit images decode back, with or without compression', () => {
+  const pixels = new Uint8ClampedArray(3 * 2 * 4).map((_, i) => (i * 37) & 0xFF);
+  for (const deflate of [undefined, zlib.deflateSync]) {
+    const decoded = decodePNG(encodePNG(3, 2, pixels, { deflate }), zlib.inflateSync);
+    assert.equal(decoded.width, 3);
+    assert.equal(decoded.height, 2);
+    assert.deepEqual(decoded.data, pixels);
+  }
+  // Larger than one stored deflate block
+  const big = new Uint8ClampedArray(200 * 100 * 4).map((_, i) => i & 0xFF);
+  assert.deepEqual(decodePNG(encodePNG(200, 100, big), zlib.inflateSync).data, big);
+});
+
+// Big-endian uint32 / uint16 of a chunk's data
+const u32 = (data, o) => new DataView(data.buffer, data.byteOffset).getUint32(o);
+const u16 = (data, o) => new DataView(data.buffer, data.byteOffset).getUint16(o);
+
+test('APNG frames come in sequence, the first doubling as the still image', async () => {
+  const width = 3, height = 2;
+  const frames = [0, 1, 2].map(f => new Uint8ClampedArray(width * height * 4).map((_, i) => (i * 11 + f * 50) & 0xFF));
+  const bytes = await encodeAPNG(width, height, frames, { fps: 24, loops: 2, deflate: async (raw) => zlib.deflateSync(raw) });
+  const chunks = readChunks(bytes);
+  assert.deepEqual(chunks.map(c => c.type), ['IHDR', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'fcTL', 'fdAT', 'IEND']);
+
+  const actl = chunks[1].data;
+  assert.deepEqual([u32(actl, 0), u32(actl, 4)], [3, 2]);
+
+  // fcTL and fdAT share one sequence counter
+  const sequence = chunks.filter(c => c.type === 'fcTL' || c.type === 'fdAT').map(c => u32(c.data, 0));
+  assert.deepEqual(sequence, [0, 1, 2, 3, 4]);
+
+  for (const fctl of chunks.filter(c => c.type === 'fcTL').map(c => c.data)) {
+    assert.deepEqual([u32(fctl, 4), u32(fctl, 8), u32(fctl, 12), u32(fctl, 16)], [width, height, 0, 0]);
+    // 100 / 2400 s = 1 / 24 s
+    assert.deepEqual([u16(fctl, 20), u16(fctl, 22), fctl[24], fctl[25]], [100, 2400, 0, 0]);
+  }
+
+  // Readers without APNG support see the first frame
+  assert.deepEqual(decodePNG(bytes, zlib.inflateSync).data, frames[0]);
+
+  // The others follow their sequence number as image data of their own
+  chunks.filter(c => c.type === 'fdAT').forEach((fdat, n) => {
+    const rows = readRows([{ type: 'IDAT', data: fdat.data.subarray(4) }], width * 4);
+    assert.deepEqual(Buffer.concat(rows), Buffer.from(frames[n + 1]));
+  });
+});
+
+test('APNG defaults to 30 fps, looping forever, uncompressed', async () => {
+  const frame = new Uint8ClampedArray(4).fill(255);
+  const chunks = readChunks(await encodeAPNG(1, 1, [frame]));
+  assert.deepEqual(chunks.map(c => c.type), ['IHDR', 'acTL', 'fcTL', 'IDAT', 'IEND']);
+  assert.deepEqual([u32(chunks[1].data, 0), u32(chunks[1].data, 4)], [1, 0]);
+  assert.equal(u16(chunks[2].data, 22), 3000);
+  assert.deepEqual([...readRows(chunks, 4)[0]], [255, 255, 255, 255]);
+});
@@ -0,0 +1,58 @@
+// Session project files (session-file.js): saving, opening, and upgrading
+// logs saved before the project format
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { serializeSession, parseSession, SESSION_FORMAT, SESSION_VERSION } from '../session-file.js';
+
+const MASK = 'data:image/png;base64,AAAA';
+
+const LOG = [
+  { time: 0, type: 'init', data: { mode: 'wall', seed: 42 } },
+  { time: 0.5, type: 'setMaskFromImage', data: MASK, rng: 43 },
+  { time: 1, type: 'spawn', data: { x: 10, y: 20 }, rng: 44 },
+  { time: 2, type: 'setMaskFromImage', data: MASK, rng: 45 }
+];
+
+test('a saved session opens to the log it was saved from', () => {
+  const saved = serializeSession({ events: LOG, duration: 3, seed: 42 });
+  assert.equal(saved.format, SESSION_FORMAT);
+  assert.equal(saved.version, SESSION_VERSION);
+  assert.deepEqual(saved.init, { mode: 'wall', seed: 42 });
+
+  // A mask used twice is stored once
+  assert.deepEqual(saved.masks, { 'mask-0': MASK });
+  assert.deepEqual(saved.events[0].data, { mask: 'mask-0' });
+  assert.deepEqual(saved.events[2].data, { mask: 'mask-0' });
+
+  const opened = parseSession(JSON.stringify(saved));
+  assert.deepEqual(opened.replayEvents, LOG);
+  assert.equal(opened.duration, 3);
+});
+
+test('bare event arrays are upgraded from version 0', () => {
+  const opened = parseSession([LOG[2], LOG[0], LOG[1]]);
+  assert.equal(opened.format, SESSION_FORMAT);
+  assert.equal(opened.version, SESSION_VERSION);
+  assert.equal(opened.createdAt, null);
+  assert.equal(opened.seed, 42);
+  // Without a saved duration, the last event's time
+  assert.equal(opened.duration, 1);
+  assert.deepEqual(opened.replayEvents, [LOG[0], LOG[1], LOG[2]]);
+});
+
+test('{ events } objects are upgraded from version 0 and keep their duration', () => {
+  const opened = parseSession({ events: [{ time: 1.5, type: 'spawn', data: {} }], duration: 4 });
+  assert.equal(opened.version, SESSION_VERSION);
+  assert.equal(opened.duration, 4);
+  // No init event: the default seed, and an empty init that carries it
+  assert.equal(opened.seed, 1337);
+  assert.deepEqual(opened.replayEvents[0], { time: 0, type: 'init', data: { seed: 1337 } });
+  assert.equal(opened.replayEvents.length, 2);
+});
+
+test('newer versions, unknown files and missing masks are rejected', () => {
+  const saved = serializeSession({ events: LOG, duration: 3, seed: 42 });
+  assert.throws(() => parseSession({ ...saved, version: SESSION_VERSION + 1 }), /newer than this app supports/);
+  assert.throws(() => parseSession({ format: 'something-else' }), /Not a fluid session file/);
+  assert.throws(() => parseSession({ ...saved, masks: {} }), /missing mask "mask-0"/);
+});
@@ -0,0 +1,85 @@
+// A dead simulation worker fails everything waiting on it instead of hanging
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationWorkerClient } from '../sim-client.js';
+
+// Worker stand-in that records posted messages and lets the test fire onerror
+class FakeWorker {
+  constructor() {
+    this.posted = [];
+    FakeWorker.last = this;
+  }
+
+  postMessage(msg) {
+    this.posted.push(msg);
+  }
+
+  crash(message) {
+    let prevented = false;
+    this.onerror({ message, preventDefault: () => { prevented = true; } });
+    return prevented;
+  }
+}
+
+function fakeCanvas() {
+  return { transferControlToOffscreen: () => ({}) };
+}
+
+function createClient(options) {
+  const previous = globalThis.Worker;
+  globalThis.Worker = FakeWorker;
+  try {
+    const canvases = { canvas: fakeCanvas(), overlayCanvas: fakeCanvas(), tilePreviewCanvas: fakeCanvas() };
+    return new SimulationWorkerClient(canvases, options);
+  } finally {
+    globalThis.Worker = previous;
+  }
+}
+
+test('a worker error rejects ready, pending calls and exports, and reports it once', async () => {
+  const reported = [];
+  const client = createClient({ onError: (e) => reported.push(e) });
+  const worker = FakeWorker.last;
+  const act = client.act('setViscosity', 0.4);
+  const job = client.startExport('flipbook', {}, () => {});
+
+  const original = console.error;
+  console.error = () => {};
+  try {
+    assert.equal(worker.crash('boom'), true);
+    worker.crash('again');
+  } finally {
+    console.error = original;
+  }
+
+  await assert.rejects(client.ready, /Simulation worker failed: boom/);
+  await assert.rejects(act, /boom/);
+  await assert.rejects(job.promise, /boom/);
+  assert.equal(client.pending.size, 0);
+  assert.equal(reported.length, 1);
+  assert.equal(reported[0], client.error);
+
+  // Later calls fail straight away rather than waiting on the dead worker
+  const posted = worker.posted.length;
+  await assert.rejects(client.reset(), /boom/);
+  await assert.rejects(client.startExport('texture', {}, () => {}).promise, /boom/);
+  assert.equal(worker.posted.length, posted);
+});
+
+test('an error after the first state leaves ready resolved', async () => {
+  const client = createClient({});
+  const worker = FakeWorker.last;
+  worker.onmessage({ data: { type: 'state', state: { mode: 'wall' } } });
+  const call = client.sessionLog();
+
+  const original = console.error;
+  console.error = () => {};
+  try {
+    worker.crash('late');
+  } finally {
+    console.error = original;
+  }
+
+  assert.deepEqual(await client.ready, { mode: 'wall' });
+  await assert.rejects(call, /late/);
+});
@@ -0,0 +1,145 @@
+// Checkpoints: FluidSimulator.snapshot() / restore() and the packed
+// particle format behind them (particle-buffer.js)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FluidSimulator } from '../fluid-sim.js';
+import { ParticlePool, FIELDS, ACTIVE, MIST, POOL } from '../particle-pool.js';
+import { packParticles, unpackParticles, particleTransferables } from '../particle-buffer.js';
+import { softwareBackend } from '../surface-backend.js';
+
+const SIZE = 128;
+const STEP = 1 / 60;
+
+// Liquid for each mode, added every few frames while the run goes on
+const MODES = {
+  wall: (sim, f) => sim.spawn(20 + f, 30),
+  floor: (sim, f) => sim.spawn(64, 40 + f),
+  'one-click': (sim) => sim.spawnPool(64, 64),
+  smart: (sim, f) => sim.spawn(40 + f, 64),
+  'vector-drip': (sim, f) => sim.spawn(30 + f, 20),
+  ballistic: (sim, f) => sim.spawnBallistic(64, 64, f * 0.3, 0.4),
+  experimental: (sim, f) => sim.spawnExperimental(50 + f, 64),
+  tlou: (sim, f) => sim.spawnTLOU(40 + f, 64)
+};
+
+function createSim(mode) {
+  const sim = new FluidSimulator(SIZE, SIZE, { backend: softwareBackend, formation: null });
+  sim.setMode(mode);
+  sim.setSeed(21);
+  sim.maxParticles = 400; // evictions happen before and after the checkpoint
+  return sim;
+}
+
+function run(sim, frames, feed) {
+  for (let f = 0; f < frames; f++) {
+    if (feed && f % 6 === 0) feed(sim, f);
+    sim.update(STEP);
+  }
+}
+
+// Surface, a full render, the grid and the particles
+function state(sim) {
+  const canvas = softwareBackend.createCanvas(sim.width, sim.height);
+  sim.render(canvas.getContext('2d'));
+  const packed = packParticles(sim.particles);
+  return {
+    surface: Buffer.from(sim.surfaceCtx.getImageData(0, 0, sim.width, sim.height).data),
+    render: Buffer.from(canvas.getContext('2d').getImageData(0, 0, sim.width, sim.height).data),
+    grid: Buffer.from(sim.grid.buffer),
+    particles: Buffer.from(packed.values.buffer),
+    seed: sim.seed
+  };
+}
+
+for (const [mode, feed] of Object.entries(MODES)) {
+  test(`${mode}: a restored checkpoint steps exactly like the original`, () => {
+    const original = createSim(mode);
+    run(original, 30, feed);
+    const snap = original.snapshot();
+
+    const restored = createSim(mode);
+    restored.setSeed(99); // the checkpoint brings its own PRNG state
+    restored.restore(snap);
+    assert.deepEqual(state(restored), state(original));
+
+    // Both keep going with the same input
+    run(original, 30, feed);
+    run(restored, 30, feed);
+    const a = state(original), b = state(restored);
+    assert.ok(a.surface.some(v => v > 0) || a.grid.some(v => v > 0), 'nothing was simulated');
+    assert.deepEqual(b, a);
+  });
+}
+
+test('packed particles keep both orders, float32 values, flags, colors and fluids', () => {
+  const pool = new ParticlePool(2);
+  const values = [];
+  for (let n = 0; n < 7; n++) {
+    const x = 10 + n / 3, y = 20 - n * Math.PI;
+    const slot = pool.add(x, y, n * 0.1, -n * 0.7, 3 + n, 4, 9.5, `rgba(${n % 3}, 0, 0, 1)`, n % 2 ? ACTIVE | MIST : ACTIVE, n % 4);
+    if (n === 3) {
+      pool.originX[slot] = 1 / 7;
+      pool.originY[slot] = 2 / 7;
+      pool.flags[slot] |= POOL;
+    }
+    values.push(Math.fround(x));
+  }
+  // Removals leave free slots behind and move the last live particle in
+  pool.evictOldest();
+  pool.remove(2);
+  values.splice(0, 1);
+  values.splice(1, 1);
+  const liveXs = Array.from(pool.live.subarray(0, pool.count), (i) => pool.x[i]);
+  assert.deepEqual(liveXs, [values[4], values[0], values[3], values[1], values[2]]);
+
+  const packed = packParticles(pool);
+  assert.equal(packed.count, 5);
+  assert.ok(packed.values instanceof Float32Array);
+  assert.equal(packed.values.length, 5 * FIELDS.length);
+  assert.deepEqual(particleTransferables(packed), [packed.values.buffer, packed.flags.buffer, packed.colors.buffer, packed.fluids.buffer, packed.birthOrder.buffer]);
+
+  const restored = unpackParticles(packed, new ParticlePool());
+  assert.equal(restored.count, 5);
+  for (let k = 0; k < 5; k++) {
+    const a = pool.live[k], b = restored.live[k];
+    for (const field of FIELDS) assert.ok(Object.is(restored[field][b], pool[field][a]), `${field} of particle ${k}`);
+    assert.equal(restored.flags[b], pool.flags[a]);
+    assert.equal(restored.colorOf(b), pool.colorOf(a));
+    assert.equal(restored.fluids[b], pool.fluids[a]);
+  }
+  // Particles are still evicted oldest first
+  const evicted = [];
+  while (restored.count > 0) {
+    evicted.push(restored.x[restored.oldest]);
+    restored.evictOldest();
+  }
+  assert.deepEqual(evicted, values);
+});
+
+test('step() removes dead particles and keeps the rest in birth order', () => {
+  const sim = createSim('floor');
+  const fluid = sim.syncFluid();
+  const xs = [10, 30, 50, 70, 90];
+  for (const x of xs) sim.particles.add(x, 64, 0, 0, x === 30 || x === 70 ? 0.1 : 4, 4, 10, 'rgba(255, 0, 0, 1)', ACTIVE, fluid);
+  sim.step(STEP);
+  const P = sim.particles;
+  const left = Array.from(P.birthOrder(), (k) => Math.round(P.x[P.live[k]]));
+  assert.deepEqual(left, [10, 50, 90]);
+});
+
+test('checkpoints holding particle objects restore into the pool', () => {
+  const objects = [
+    { x: 5.5, y: 6.25, prevX: 5, prevY: 6, vx: 1, vy: 2, mass: 3, initialMass: 3, life: 8, color: 'rgba(1, 2, 3, 1)', active: true },
+    { x: 7, y: 8, prevX: 7, prevY: 8, vx: 0, vy: 0, mass: 2, initialMass: 4, life: 9, color: 'rgba(4, 5, 6, 1)', active: true, isMist: true, originX: 1, originY: 2, pool: true }
+  ];
+  const pool = unpackParticles(objects, new ParticlePool());
+  assert.equal(pool.count, 2);
+  const [a, b] = [pool.live[0], pool.live[1]];
+  assert.equal(pool.x[a], 5.5);
+  assert.ok(Number.isNaN(pool.originX[a]));
+  assert.equal(pool.flags[a], ACTIVE);
+  assert.equal(pool.originY[b], 2);
+  assert.equal(pool.flags[b], ACTIVE | MIST | POOL);
+  assert.equal(pool.colorOf(b), 'rgba(4, 5, 6, 1)');
+  assert.equal(pool.fluids[b], 0);
+});
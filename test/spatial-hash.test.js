@@ -0,0 +1,117 @@
+// Neighbour queries (spatial-hash.js) and the repulsion built on them
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FluidSimulator } from '../fluid-sim.js';
+import { SpatialHash } from '../spatial-hash.js';
+import { ParticlePool } from '../particle-pool.js';
+import { softwareBackend } from '../surface-backend.js';
+
+const COLOR = 'rgba(255, 0, 0, 1)';
+
+// Particles at quarter-pixel offsets, so translating them keeps every
+// difference exact
+const CLUSTER = [
+  [0, 0], [6.5, 1.25], [-4.75, 8], [12, -3.5], [3.25, -9.5], [-11, -2.25],
+  [18.5, 7.75], [-7.5, -14], [9.25, 15.5], [24, 0.5], [-20.75, 6], [1.5, 26.25]
+];
+
+function simWith(size, mode, particles, tileable = false) {
+  const sim = new FluidSimulator(size, size, { backend: softwareBackend, formation: null });
+  sim.setMode(mode);
+  sim.setTileable(tileable);
+  const fluid = sim.syncFluid();
+  for (const [x, y] of particles) sim.particles.add(x, y, 0, 0, sim.particleSize, sim.particleSize, 10, COLOR, undefined, fluid);
+  return sim;
+}
+
+// Velocity change of every particle (in insertion order) over one repulsion pass
+function repulse(sim) {
+  sim.applyRepulsion(1 / 60);
+  const P = sim.particles;
+  const dv = [];
+  for (let k = 0; k < P.count; k++) dv.push([P.vx[P.live[k]], P.vy[P.live[k]]]);
+  return dv;
+}
+
+const at = (ox, oy) => CLUSTER.map(([x, y]) => [x + ox, y + oy]);
+
+for (const mode of ['floor', 'one-click']) {
+  test(`${mode}: a cluster repels the same on a 1024 and a 4096 canvas`, () => {
+    const small = simWith(1024, mode, at(500, 500));
+    const before = repulse(small);
+    assert.ok(before.some(([vx, vy]) => vx !== 0 || vy !== 0));
+
+    // Moved by whole hash cells, neighbours are visited in the same order
+    const cell = small.neighborHash.cellSize;
+    assert.deepEqual(repulse(simWith(4096, mode, at(500 + 63 * cell, 500 + 49 * cell))), before);
+
+    // Anywhere else only the summation order may change
+    const moved = repulse(simWith(4096, mode, at(3111.25, 2077.5)));
+    for (let k = 0; k < before.length; k++) {
+      assert.ok(Math.abs(moved[k][0] - before[k][0]) < 1e-9 && Math.abs(moved[k][1] - before[k][1]) < 1e-9, `particle ${k}`);
+    }
+  });
+}
+
+test('tileable canvases repel across the seam like anywhere else', () => {
+  const across = repulse(simWith(1024, 'floor', [[1023, 300], [1, 300], [300, 1022.5], [300, 1.5]], true));
+  const inside = repulse(simWith(1024, 'floor', [[511, 300], [513, 300], [300, 510.5], [300, 513.5]], true));
+  assert.deepEqual(across, inside);
+  assert.ok(across[0][0] < 0 && across[1][0] > 0);
+
+  // Without wrapping the pairs are a canvas apart and do not interact
+  const apart = repulse(simWith(1024, 'floor', [[1023, 300], [1, 300]]));
+  assert.deepEqual(apart, [[0, 0], [0, 0]]);
+});
+
+test('grids past MAX_CELLS get coarser cells and still find every neighbour', () => {
+  const pool = new ParticlePool();
+  pool.add(2000.5, 3000.5, 0, 0, 1, 1, 1, COLOR);
+  pool.add(2002.5, 3001, 0, 0, 1, 1, 1, COLOR);
+  pool.add(2100, 3000, 0, 0, 1, 1, 1, COLOR);
+
+  const hash = new SpatialHash();
+  // 4096 x 4096 one-pixel cells would be 16M buckets; MAX_CELLS is 2^20
+  hash.build(pool, 4096, 4096, 1);
+  assert.equal(hash.cellSize, 4);
+  assert.equal(hash.cols * hash.rows, 1 << 20);
+
+  const found = [];
+  hash.forEachNeighbor(pool, 2001, 3001, 3, (slot) => { found.push(slot); });
+  assert.deepEqual(found.sort(), [0, 1]);
+});
+
+test('particles off the canvas land in the border cells', () => {
+  const pool = new ParticlePool();
+  pool.add(-60, 50, 0, 0, 1, 1, 1, COLOR);
+  pool.add(150, 180, 0, 0, 1, 1, 1, COLOR);
+  const hash = new SpatialHash();
+  hash.build(pool, 100, 100, 10);
+
+  const near = (x, y) => {
+    const slots = [];
+    hash.forEachNeighbor(pool, x, y, 10, (slot) => { slots.push(slot); });
+    return slots;
+  };
+  assert.deepEqual(near(-55, 50), [0]);
+  assert.deepEqual(near(145, 175), [1]);
+  assert.deepEqual(near(50, 50), []);
+});
+
+test('tileable hashes wrap neighbour cells and offsets across the edges', () => {
+  const pool = new ParticlePool();
+  pool.add(1, 50, 0, 0, 1, 1, 1, COLOR);
+  pool.add(50, 98, 0, 0, 1, 1, 1, COLOR);
+  const hash = new SpatialHash();
+
+  hash.build(pool, 100, 100, 10, true);
+  const hits = [];
+  hash.forEachNeighbor(pool, 99, 50, 5, (slot, dx, dy) => { hits.push([slot, dx, dy]); });
+  hash.forEachNeighbor(pool, 50, 1, 5, (slot, dx, dy) => { hits.push([slot, dx, dy]); });
+  assert.deepEqual(hits, [[0, -2, 0], [1, 0, 3]]);
+
+  hash.build(pool, 100, 100, 10, false);
+  let count = 0;
+  hash.forEachNeighbor(pool, 99, 50, 5, () => { count++; });
+  assert.equal(count, 0);
+});
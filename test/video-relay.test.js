@@ -0,0 +1,78 @@
+// WebM flipbooks exported from the worker are encoded by the page
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FluidSimulator } from '../fluid-sim.js';
+import { ExportManager } from '../export-manager.js';
+import { softwareBackend } from '../surface-backend.js';
+import { VideoRelay, answerVideoRequest } from '../video-relay.js';
+
+const EVENTS = [
+  { time: 0, type: 'init', data: { width: 64, height: 64, mode: 'wall' } },
+  { time: 0, type: 'spawn', data: { x: 32, y: 16 } }
+];
+
+// A worker-side relay whose "page" encodes with `pageBackend` on a later tick,
+// like a postMessage round trip
+function workerRelay(pageBackend) {
+  const relay = new VideoRelay((msg) => {
+    setTimeout(async () => relay.handle(await answerVideoRequest(msg, pageBackend)), 0);
+  });
+  return relay;
+}
+
+// Flipbook export in worker mode: the software backend stands in for the
+// offscreen one, which has no encodeVideo of its own
+async function exportWebM(relay) {
+  const backend = relay.backend(softwareBackend);
+  const written = new Map();
+  const sim = new FluidSimulator(64, 64, { backend, formation: null });
+  const exporter = new ExportManager(sim, {
+    writer: async (item, filename) => { written.set(filename, item); },
+    simulatorOptions: { formation: null }
+  });
+  await exporter.generateReplayFlipbook(EVENTS, 0.5, 3, 32, false, false, () => {}, { animations: ['webm'] });
+  return written;
+}
+
+test('a WebM flipbook exported in worker mode is encoded by the page', async () => {
+  const requests = [];
+  const relay = workerRelay({
+    async encodeVideo(width, height, frames, options) {
+      requests.push({ width, height, frames: frames.length, fps: options.fps });
+      return new Blob(['webm'], { type: 'video/webm' });
+    }
+  });
+  const written = await exportWebM(relay);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].frames, 3);
+  assert.ok(requests[0].width > 0 && requests[0].height > 0);
+  assert.ok(written.get('flipbook.webm') instanceof Blob);
+  assert.equal(relay.pending.size, 0);
+});
+
+test('an encoder failure on the page fails the export with its message', async () => {
+  const relay = workerRelay({
+    async encodeVideo() {
+      throw new Error('This browser cannot record WebM video');
+    }
+  });
+  await assert.rejects(exportWebM(relay), /cannot record WebM/);
+});
+
+test('a backend without a video encoder still refuses WebM up front', async () => {
+  const sim = new FluidSimulator(64, 64, { backend: softwareBackend, formation: null });
+  const exporter = new ExportManager(sim, { writer: async () => {}, simulatorOptions: { formation: null } });
+  await assert.rejects(exporter.generateReplayFlipbook(EVENTS, 0.5, 3, 32, false, false, () => {}, { animations: ['webm'] }), /video encoder/);
+});
+
+test('replies are matched to their requests and other messages pass through', async () => {
+  const posted = [];
+  const relay = new VideoRelay(msg => posted.push(msg));
+  const first = relay.encode(4, 4, [], {});
+  const second = relay.encode(8, 8, [], {});
+  assert.equal(relay.handle({ type: 'state', state: {} }), false);
+  assert.equal(relay.handle({ type: 'video', id: posted[1].id, blob: 'b' }), true);
+  assert.equal(relay.handle({ type: 'videoError', id: posted[0].id, message: 'no codec' }), true);
+  assert.equal(await second, 'b');
+  await assert.rejects(first, /no codec/);
+});
@@ -0,0 +1,106 @@
+// Session Variations
+// Variants of one recorded session for decal atlases: the same strokes re-run
+// with different randomness and, optionally, jittered placement / parameters.
+//
+// Replays resync the simulator PRNG to the `rng` logged with every event (see
+// ExportManager.applyEvent), so changing the init seed alone would be undone
+// by the first event. A variant instead shifts the init seed and every logged
+// `rng` by the same amount, which keeps each replay deterministic. Variant 0
+// with no jitter is the session itself.
+
+export const VARIATION_ATLAS_FORMAT = 'arsenals-variation-atlas';
+export const VARIATION_ATLAS_VERSION = 1;
+
+// PRNG shift per variant seed; sessions advance the counter far less than this
+export const VARIANT_SEED_STRIDE = 1000003;
+
+// Seed FluidSimulator.reset() (and so setMode) restarts the PRNG at
+const RESET_SEED = 1337;
+
+// Jittered parameters: init state key -> event type that sets it later
+const JITTER_PARAMS = {
+  viscosity: 'setViscosity',
+  density: 'setDensity',
+  gravityStrength: 'setGravity',
+  surfaceTension: 'setSurfaceTension',
+  spawnRate: 'setSpawnRate',
+  spawnVelocity: 'setSpawnVelocity',
+  spreadAngle: 'setSpreadAngle',
+  particleSize: 'setParticleSize',
+  turbulence: 'setTurbulence'
+};
+
+// Events whose { x, y } is where fluid enters the canvas
+const SPAWN_EVENTS = ['spawn', 'spawnPool', 'spawnTLOU', 'spawnBallistic', 'spawnExperimental'];
+
+// Small seeded PRNG (mulberry32) so the jitter does not touch the simulator's
+function jitterRandom(seed) {
+  let a = (seed * 2654435761) >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// The jitter one variant gets: { seed, noiseShift, dx, dy, params: { key: factor } }
+// (factors only with parameterJitter). Seeds other than 0 also move the
+// turbulence noise field, which is not driven by the PRNG counter.
+//
+// options.positionJitter:  max px every spawn of the variant is moved by
+// options.parameterJitter: 0..1, max relative change of the JITTER_PARAMS
+export function variantJitter(seed, options = {}) {
+  const random = jitterRandom(seed);
+  const positionJitter = options.positionJitter || 0;
+  const parameterJitter = Math.max(0, Math.min(1, options.parameterJitter || 0));
+
+  const jitter = {
+    seed,
+    noiseShift: seed ? random() * 1000 : 0,
+    dx: positionJitter ? (random() * 2 - 1) * positionJitter : 0,
+    dy: positionJitter ? (random() * 2 - 1) * positionJitter : 0,
+    params: {}
+  };
+  if (parameterJitter) {
+    for (const key of Object.keys(JITTER_PARAMS)) {
+      jitter.params[key] = 1 + (random() * 2 - 1) * parameterJitter;
+    }
+  }
+  return jitter;
+}
+
+// Replay-ready event log (starting with 'init') for one variant.
+// Mode switches reset the PRNG and redraw the noise field from the fixed
+// RESET_SEED, so each one is followed by a partial 'init' restating the
+// variant's. Material presets applied mid-session set their own values unjittered.
+export function variantEvents(events, jitter) {
+  const shift = jitter.seed * VARIANT_SEED_STRIDE;
+  const eventParams = {};
+  for (const [key, type] of Object.entries(JITTER_PARAMS)) eventParams[type] = key;
+
+  return events.flatMap(e => {
+    const out = { ...e };
+    if (e.rng !== undefined) out.rng = e.rng + shift;
+
+    if (e.type === 'setMode' && shift) {
+      const rng = out.rng !== undefined ? out.rng : RESET_SEED + shift;
+      return [out, { time: e.time, type: 'init', data: { noiseOffset: jitter.noiseShift, seed: rng }, rng }];
+    }
+
+    if (e.type === 'init' && e.data) {
+      const data = { ...e.data, seed: (e.data.seed !== undefined ? e.data.seed : RESET_SEED) + shift };
+      if (jitter.noiseShift) data.noiseOffset = (typeof data.noiseOffset === 'number' ? data.noiseOffset : 0) + jitter.noiseShift;
+      for (const [key, factor] of Object.entries(jitter.params)) {
+        if (typeof data[key] === 'number') data[key] *= factor;
+      }
+      out.data = data;
+    } else if (SPAWN_EVENTS.includes(e.type) && e.data) {
+      out.data = { ...e.data, x: e.data.x + jitter.dx, y: e.data.y + jitter.dy };
+    } else if (eventParams[e.type] && typeof e.data === 'number' && jitter.params[eventParams[e.type]]) {
+      out.data = e.data * jitter.params[eventParams[e.type]];
+    }
+    return out;
+  });
+}
@@ -0,0 +1,232 @@
+// Vector Drip Export
+// Turns the geometry FluidSimulator records in Vector Drip mode (impact blobs
+// plus drip-head polylines with per-vertex width and branches, see
+// FluidSimulator.vectorPaths) into resolution-independent files:
+//
+//   SVG:    every stroke as a filled outline that tapers with the recorded
+//           width and ends in round caps, like the canvas trail
+//   Lottie: blobs pop in at their spawn time; strokes grow along their
+//           centerline with a Trim Paths end keyed to the recorded times.
+//           Lottie strokes have one width, so each stroke is split into
+//           short runs that each use their average width.
+
+// Vertices per Lottie stroke run
+const LOTTIE_RUN_LENGTH = 8;
+
+export function hasVectorPaths(paths) {
+  return !!paths && (paths.blobs.length > 0 || paths.strokes.length > 0);
+}
+
+function num(v) {
+  return Math.round(v * 100) / 100;
+}
+
+// Outline of a variable-width polyline: one side forward, a round cap, the
+// other side back and a round cap at the start
+function strokeOutline(points) {
+  const n = points.length;
+  const left = [];
+  const right = [];
+  let nx = 1, ny = 0;
+  for (let i = 0; i < n; i++) {
+    const a = points[Math.max(0, i - 1)];
+    const b = points[Math.min(n - 1, i + 1)];
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const len = Math.hypot(dx, dy);
+    // Keep the previous normal where the path stalls
+    if (len > 1e-6) { nx = -dy / len; ny = dx / len; }
+    const r = points[i].width / 2;
+    left.push([points[i].x + nx * r, points[i].y + ny * r]);
+    right.push([points[i].x - nx * r, points[i].y - ny * r]);
+  }
+
+  const endR = num(points[n - 1].width / 2);
+  const startR = num(points[0].width / 2);
+  let d = `M${num(left[0][0])} ${num(left[0][1])}`;
+  for (let i = 1; i < n; i++) d += `L${num(left[i][0])} ${num(left[i][1])}`;
+  d += `A${endR} ${endR} 0 0 0 ${num(right[n - 1][0])} ${num(right[n - 1][1])}`;
+  for (let i = n - 2; i >= 0; i--) d += `L${num(right[i][0])} ${num(right[i][1])}`;
+  d += `A${startR} ${startR} 0 0 0 ${num(left[0][0])} ${num(left[0][1])}Z`;
+  return d;
+}
+
+// options.width/height: canvas size (the viewBox)
+// options.tileable:     repeat the drips around the canvas so strokes that
+//                       cross an edge continue on the other side
+export function buildVectorSVG(paths, { width, height, tileable = false }) {
+  const lines = [];
+  for (const b of paths.blobs) {
+    lines.push(`    <circle cx="${num(b.x)}" cy="${num(b.y)}" r="${num(b.r)}" fill="${b.color}"/>`);
+  }
+  paths.strokes.forEach((s, i) => {
+    const parent = s.parent !== null ? ` data-parent="drip-${s.parent}"` : '';
+    if (s.points.length === 1) {
+      const p = s.points[0];
+      lines.push(`    <circle id="drip-${i}"${parent} cx="${num(p.x)}" cy="${num(p.y)}" r="${num(p.width / 2)}" fill="${s.color}"/>`);
+    } else {
+      lines.push(`    <path id="drip-${i}"${parent} d="${strokeOutline(s.points)}" fill="${s.color}"/>`);
+    }
+  });
+
+  const copies = [];
+  if (tileable) {
+    for (const oy of [-height, 0, height]) {
+      for (const ox of [-width, 0, width]) {
+        if (ox || oy) copies.push(`  <use href="#drips" x="${ox}" y="${oy}"/>`);
+      }
+    }
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <g id="drips">
+${lines.join('\n')}
+  </g>
+${copies.length ? copies.join('\n') + '\n' : ''}</svg>
+`;
+}
+
+// '#rrggbb' -> [r, g, b, 1] in 0..1
+function lottieColor(hex) {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  if (!m) return [0, 0, 0, 1];
+  return [parseInt(m[1], 16) / 255, parseInt(m[2], 16) / 255, parseInt(m[3], 16) / 255, 1];
+}
+
+const LINEAR_IN = { x: [1], y: [1] };
+const LINEAR_OUT = { x: [0], y: [0] };
+
+function staticValue(k) {
+  return { a: 0, k };
+}
+
+function groupTransform(opacity = staticValue(100)) {
+  return {
+    ty: 'tr',
+    p: staticValue([0, 0]),
+    a: staticValue([0, 0]),
+    s: staticValue([100, 100]),
+    r: staticValue(0),
+    o: opacity,
+    sk: staticValue(0),
+    sa: staticValue(0)
+  };
+}
+
+// Blob that appears (hold keyframe) at its spawn frame
+function lottieBlob(b, fps, index) {
+  const frame = num(b.time * fps);
+  const opacity = frame > 0
+    ? { a: 1, k: [{ t: 0, s: [0], h: 1 }, { t: frame, s: [100], h: 1 }] }
+    : staticValue(100);
+  return {
+    ty: 'gr',
+    nm: `Blob ${index}`,
+    it: [
+      { ty: 'el', p: staticValue([num(b.x), num(b.y)]), s: staticValue([num(b.r * 2), num(b.r * 2)]) },
+      { ty: 'fl', c: staticValue(lottieColor(b.color)), o: staticValue(100), r: 1 },
+      groupTransform(opacity)
+    ]
+  };
+}
+
+// One run of a stroke: a centerline path whose Trim Paths end follows the
+// arc length reached at each recorded time
+function lottieRun(points, color, fps, name) {
+  const lengths = [0];
+  for (let i = 1; i < points.length; i++) {
+    lengths.push(lengths[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+  }
+  const total = lengths[lengths.length - 1] || 1;
+
+  // One key per frame; points recorded within the same frame keep the last
+  const keys = [];
+  points.forEach((p, i) => {
+    const t = num(p.time * fps);
+    const s = [num(lengths[i] / total * 100)];
+    const last = keys[keys.length - 1];
+    if (last && t <= last.t) last.s = s;
+    else keys.push({ t, s, i: LINEAR_IN, o: LINEAR_OUT });
+  });
+  keys[keys.length - 1].s = [100];
+  const end = keys.length > 1 ? { a: 1, k: keys } : staticValue(100);
+
+  const width = points.reduce((sum, p) => sum + p.width, 0) / points.length;
+  return {
+    ty: 'gr',
+    nm: name,
+    it: [
+      {
+        ty: 'sh',
+        ks: staticValue({
+          i: points.map(() => [0, 0]),
+          o: points.map(() => [0, 0]),
+          v: points.map(p => [num(p.x), num(p.y)]),
+          c: false
+        })
+      },
+      { ty: 'st', c: staticValue(lottieColor(color)), o: staticValue(100), w: staticValue(num(width)), lc: 2, lj: 2, ml: 4 },
+      { ty: 'tm', s: staticValue(0), e: end, o: staticValue(0), m: 1 },
+      groupTransform()
+    ]
+  };
+}
+
+// options.width/height: composition size
+// options.fps:          frame rate (default 30)
+// options.duration:     seconds; defaults to the last recorded time
+export function buildVectorLottie(paths, { width, height, fps = 30, duration = 0 }) {
+  const items = [];
+  let lastTime = 0;
+
+  paths.blobs.forEach((b, i) => {
+    items.push({ time: b.time, shape: lottieBlob(b, fps, i) });
+    lastTime = Math.max(lastTime, b.time);
+  });
+  paths.strokes.forEach((s, i) => {
+    const pts = s.points;
+    // Runs share their end vertex so the pieces join up
+    for (let start = 0; start < Math.max(1, pts.length - 1); start += LOTTIE_RUN_LENGTH) {
+      const run = pts.slice(start, start + LOTTIE_RUN_LENGTH + 1);
+      if (run.length < 2) continue;
+      items.push({ time: run[0].time, shape: lottieRun(run, s.color, fps, `Drip ${i}.${start / LOTTIE_RUN_LENGTH}`) });
+    }
+    lastTime = Math.max(lastTime, pts[pts.length - 1].time);
+  });
+
+  // Lottie draws the first shape on top: newest first
+  items.sort((a, b) => b.time - a.time);
+  const outPoint = Math.max(1, Math.ceil(Math.max(duration, lastTime) * fps));
+
+  return {
+    v: '5.7.4',
+    fr: fps,
+    ip: 0,
+    op: outPoint,
+    w: width,
+    h: height,
+    nm: 'Vector Drip',
+    ddd: 0,
+    assets: [],
+    layers: [{
+      ddd: 0,
+      ind: 1,
+      ty: 4,
+      nm: 'Drips',
+      sr: 1,
+      ks: {
+        o: staticValue(100),
+        r: staticValue(0),
+        p: staticValue([0, 0, 0]),
+        a: staticValue([0, 0, 0]),
+        s: staticValue([100, 100, 100])
+      },
+      ao: 0,
+      shapes: items.map(item => item.shape),
+      ip: 0,
+      op: outPoint,
+      st: 0,
+      bm: 0
+    }]
+  };
+}
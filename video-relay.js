@@ -0,0 +1,58 @@
+// Video Relay
+// MediaRecorder only exists on the page, so WebM flipbooks exported from the
+// worker (sim-worker.js) are encoded there: the worker's backend posts the
+// frames to the page, SimulationWorkerClient (sim-client.js) encodes them
+// with the DOM backend and posts the WebM back.
+//
+// Worker -> page: { type: 'encodeVideo', id, width, height, frames, options }
+// Page -> worker: { type: 'video', id, blob } or { type: 'videoError', id, message }
+//
+//   const relay = new VideoRelay(msg => self.postMessage(msg));
+//   const backend = relay.backend(offscreenBackend);  // has encodeVideo
+//   self.onmessage = (e) => { if (relay.handle(e.data)) return; ... };
+
+export class VideoRelay {
+  // post: (message) => void, sends a request to the page
+  constructor(post) {
+    this.post = post;
+    this.nextId = 1;
+    this.pending = new Map(); // id -> { resolve, reject }
+  }
+
+  // Same signature as a backend's encodeVideo; resolves with the page's Blob
+  encode(width, height, frames, options = {}) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.post({ type: 'encodeVideo', id, width, height, frames, options });
+    });
+  }
+
+  // `backend` with an encodeVideo that goes through this relay
+  backend(backend) {
+    return { ...backend, encodeVideo: (width, height, frames, options) => this.encode(width, height, frames, options) };
+  }
+
+  // Settles the request a page reply answers. Returns false for messages
+  // that are not replies, so the caller handles those itself.
+  handle(msg) {
+    if (msg.type !== 'video' && msg.type !== 'videoError') return false;
+    const request = this.pending.get(msg.id);
+    if (!request) return true;
+    this.pending.delete(msg.id);
+    if (msg.type === 'video') request.resolve(msg.blob);
+    else request.reject(new Error(msg.message));
+    return true;
+  }
+}
+
+// Page side: encodes an 'encodeVideo' request with `backend` (the DOM
+// backend) and resolves with the reply to post back to the worker
+export async function answerVideoRequest(msg, backend) {
+  try {
+    const blob = await backend.encodeVideo(msg.width, msg.height, msg.frames, msg.options);
+    return { type: 'video', id: msg.id, blob };
+  } catch (e) {
+    return { type: 'videoError', id: msg.id, message: e.message };
+  }
+}